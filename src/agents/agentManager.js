@@ -0,0 +1,713 @@
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config.js';
+import { openDatabase } from '../database/database.js';
+import llmClient from '../llm/llmClient.js';
+
+// Emotions tracked for every agent, each between 0 and 1
+const EMOTIONS = ['joy', 'sadness', 'anger', 'fear', 'surprise', 'trust'];
+
+// Resting emotional state agents drift back to between interactions
+const DEFAULT_BASELINE = {
+  joy: 0.3,
+  sadness: 0.1,
+  anger: 0.05,
+  fear: 0.05,
+  surprise: 0.1,
+  trust: 0.4
+};
+
+/**
+ * Clamp a number to a range
+ * @param {number} value - Value to clamp
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Clamped value
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Class representing an agent (persona)
+ */
+class Agent {
+  /**
+   * Create an agent
+   * @param {Object} params - Agent parameters
+   * @param {string} params.id - Unique identifier
+   * @param {string} params.name - Display name
+   * @param {string} [params.systemPrompt] - Persona description / instructions
+   * @param {string[]} [params.traits] - Personality traits
+   * @param {string} [params.speakingStyle] - How the agent talks
+   * @param {string} [params.avatarUrl] - Avatar image URL
+   * @param {Object} [params.emotions] - Current emotion levels (0-1)
+   * @param {Object} [params.baselineEmotions] - Resting emotion levels (0-1)
+   * @param {Object} [params.metadata] - Additional metadata
+   * @param {Date} [params.createdAt] - Creation timestamp
+   * @param {Date} [params.updatedAt] - Last update timestamp
+   */
+  constructor({
+    id = uuidv4(),
+    name,
+    systemPrompt = '',
+    traits = [],
+    speakingStyle = '',
+    avatarUrl = null,
+    emotions = { ...DEFAULT_BASELINE },
+    baselineEmotions = { ...DEFAULT_BASELINE },
+    metadata = {},
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.name = name;
+    this.systemPrompt = systemPrompt;
+    this.traits = traits;
+    this.speakingStyle = speakingStyle;
+    this.avatarUrl = avatarUrl;
+    this.emotions = emotions;
+    this.baselineEmotions = baselineEmotions;
+    this.metadata = metadata;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Get the agent's dominant emotion
+   * @returns {string} Mood label
+   */
+  get mood() {
+    return EMOTIONS.reduce((best, emotion) =>
+      (this.emotions[emotion] || 0) > (this.emotions[best] || 0) ? emotion : best, EMOTIONS[0]);
+  }
+
+  /**
+   * Convert agent to JSON
+   * @returns {Object} JSON representation of agent
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      systemPrompt: this.systemPrompt,
+      traits: this.traits,
+      speakingStyle: this.speakingStyle,
+      avatarUrl: this.avatarUrl,
+      emotions: this.emotions,
+      baselineEmotions: this.baselineEmotions,
+      metadata: this.metadata,
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Create agent from JSON
+   * @param {Object} json - JSON representation of agent
+   * @returns {Agent} Agent instance
+   */
+  static fromJSON(json) {
+    return new Agent({
+      ...json,
+      createdAt: new Date(json.createdAt),
+      updatedAt: new Date(json.updatedAt)
+    });
+  }
+}
+
+/**
+ * Class for managing agents, their emotional state and relationships
+ */
+class AgentManager {
+  /**
+   * Create an agent manager
+   */
+  constructor() {
+    this.dbPath = config.database.path;
+    this.emotionDecay = config.agents.emotionDecay;
+    this.maxEmotionShift = config.agents.maxEmotionShift;
+    this.maxRelationshipShift = config.agents.maxRelationshipShift;
+
+    this.agents = new Map(); // Map of agentId to Agent
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the agent manager
+   */
+  async initialize() {
+    try {
+      // Open database connection
+      this.db = await openDatabase(this.dbPath);
+
+      // Create tables if they don't exist
+      await this._createTables();
+
+      // Agents are few, so keep them all in memory
+      const rows = await this.db.all(`SELECT * FROM agents`);
+      for (const row of rows) {
+        const agent = this._rowToAgent(row);
+        this.agents.set(agent.id, agent);
+      }
+
+      this.initialized = true;
+      console.log(`Agent Manager initialized with ${this.agents.size} agents`);
+    } catch (error) {
+      console.error('Failed to initialize Agent Manager:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create database tables
+   * @private
+   */
+  async _createTables() {
+    // Create agents table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS agents (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        system_prompt TEXT,
+        traits TEXT,
+        speaking_style TEXT,
+        avatar_url TEXT,
+        emotions TEXT,
+        baseline_emotions TEXT,
+        metadata TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Create relationships table (directed: how the source feels about the target)
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS agent_relationships (
+        source_id TEXT,
+        target_id TEXT,
+        target_type TEXT NOT NULL,
+        score REAL NOT NULL DEFAULT 0,
+        interactions INTEGER NOT NULL DEFAULT 0,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (source_id, target_id),
+        FOREIGN KEY (source_id) REFERENCES agents(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Channels used to hold a single agent; scenes can now hold several
+    const channelColumns = await this.db.all(`PRAGMA table_info(channel_agents)`);
+    const hasSingleAgentChannels = channelColumns.length > 0 && !channelColumns.some(column => column.name === 'joined_at');
+    if (hasSingleAgentChannels) {
+      await this.db.exec(`ALTER TABLE channel_agents RENAME TO channel_agents_single`);
+    }
+
+    // Create channel membership table (agents present in a channel's scene)
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS channel_agents (
+        channel_id TEXT,
+        agent_id TEXT,
+        joined_at TEXT NOT NULL,
+        PRIMARY KEY (channel_id, agent_id),
+        FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
+      )
+    `);
+
+    if (hasSingleAgentChannels) {
+      await this.db.exec(`
+        INSERT INTO channel_agents (channel_id, agent_id, joined_at)
+        SELECT channel_id, agent_id, strftime('%Y-%m-%dT%H:%M:%fZ', 'now') FROM channel_agents_single;
+        DROP TABLE channel_agents_single;
+      `);
+    }
+
+    // Create indexes for performance
+    await this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_agent_relationships_target_id ON agent_relationships(target_id);
+    `);
+  }
+
+  /**
+   * Create an agent
+   * @param {Object} agentData - Agent data (see Agent constructor)
+   * @returns {Promise<Agent>} The newly created agent
+   */
+  async createAgent(agentData) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      if (!agentData.name) {
+        throw new Error('Agent name is required');
+      }
+
+      if (this.getAgentByName(agentData.name)) {
+        throw new Error(`An agent named ${agentData.name} already exists`);
+      }
+
+      const agent = new Agent(agentData);
+      await this._saveAgent(agent);
+      this.agents.set(agent.id, agent);
+
+      console.log(`Agent created: ${agent.name} (${agent.id})`);
+      return agent;
+    } catch (error) {
+      console.error('Failed to create agent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an agent by ID
+   * @param {string} id - Agent ID
+   * @returns {Agent|null} Agent or null if not found
+   */
+  getAgent(id) {
+    return this.agents.get(id) || null;
+  }
+
+  /**
+   * Get an agent by name (case-insensitive)
+   * @param {string} name - Agent name
+   * @returns {Agent|null} Agent or null if not found
+   */
+  getAgentByName(name) {
+    const lowerName = name.toLowerCase();
+    for (const agent of this.agents.values()) {
+      if (agent.name.toLowerCase() === lowerName) {
+        return agent;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List all agents
+   * @returns {Agent[]} Agents sorted by name
+   */
+  listAgents() {
+    return Array.from(this.agents.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Update an agent
+   * @param {string} id - Agent ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Agent|null>} Updated agent or null if not found
+   */
+  async updateAgent(id, updates) {
+    try {
+      const agent = this.getAgent(id);
+      if (!agent) {
+        return null;
+      }
+
+      if (updates.name && updates.name.toLowerCase() !== agent.name.toLowerCase() && this.getAgentByName(updates.name)) {
+        throw new Error(`An agent named ${updates.name} already exists`);
+      }
+
+      // Update agent fields
+      if (updates.name) agent.name = updates.name;
+      if (updates.systemPrompt !== undefined) agent.systemPrompt = updates.systemPrompt;
+      if (updates.traits) agent.traits = updates.traits;
+      if (updates.speakingStyle !== undefined) agent.speakingStyle = updates.speakingStyle;
+      if (updates.avatarUrl !== undefined) agent.avatarUrl = updates.avatarUrl;
+      if (updates.emotions) agent.emotions = this._normalizeEmotions({ ...agent.emotions, ...updates.emotions });
+      if (updates.baselineEmotions) agent.baselineEmotions = this._normalizeEmotions({ ...agent.baselineEmotions, ...updates.baselineEmotions });
+      if (updates.metadata) agent.metadata = { ...agent.metadata, ...updates.metadata };
+      agent.updatedAt = new Date();
+
+      await this._saveAgent(agent);
+      console.log(`Agent updated: ${agent.name} (${agent.id})`);
+      return agent;
+    } catch (error) {
+      console.error(`Failed to update agent ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an agent (its relationships and channel memberships go with it)
+   * @param {string} id - Agent ID
+   * @returns {Promise<boolean>} True if the agent was deleted, false if it wasn't found
+   */
+  async deleteAgent(id) {
+    try {
+      if (!this.agents.has(id)) {
+        return false;
+      }
+
+      await this.db.transaction(async () => {
+        // Relationships where the agent is the target aren't covered by the foreign key
+        await this.db.run(`DELETE FROM agent_relationships WHERE target_id = ?`, [id]);
+        await this.db.run(`DELETE FROM agents WHERE id = ?`, [id]);
+      });
+      this.agents.delete(id);
+
+      console.log(`Agent deleted: ${id}`);
+      return true;
+    } catch (error) {
+      console.error(`Failed to delete agent ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an agent to a channel's scene, so it speaks there
+   * @param {string} channelId - Channel ID
+   * @param {string} agentId - Agent ID
+   */
+  async addAgentToChannel(channelId, agentId) {
+    await this.db.run(`
+      INSERT OR IGNORE INTO channel_agents (channel_id, agent_id, joined_at)
+      VALUES (?, ?, ?)
+    `, [channelId, agentId, new Date().toISOString()]);
+  }
+
+  /**
+   * Remove an agent from a channel's scene, or every agent if none is given
+   * @param {string} channelId - Channel ID
+   * @param {string} [agentId] - Agent ID
+   */
+  async removeAgentFromChannel(channelId, agentId = null) {
+    if (agentId) {
+      await this.db.run(`DELETE FROM channel_agents WHERE channel_id = ? AND agent_id = ?`, [channelId, agentId]);
+    } else {
+      await this.db.run(`DELETE FROM channel_agents WHERE channel_id = ?`, [channelId]);
+    }
+  }
+
+  /**
+   * Get the agents present in a channel's scene
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<Agent[]>} Agents in the order they joined
+   */
+  async getChannelAgents(channelId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const rows = await this.db.all(`
+      SELECT agent_id
+      FROM channel_agents
+      WHERE channel_id = ?
+      ORDER BY joined_at ASC, rowid ASC
+    `, [channelId]);
+
+    return rows.map(row => this.getAgent(row.agent_id)).filter(Boolean);
+  }
+
+  /**
+   * Get how an agent feels about someone
+   * @param {string} sourceId - Agent ID
+   * @param {string} targetId - Agent or user ID
+   * @returns {Promise<Object|null>} Relationship with score (-1 to 1) and interaction count, or null
+   */
+  async getRelationship(sourceId, targetId) {
+    const row = await this.db.get(`
+      SELECT source_id, target_id, target_type, score, interactions, updated_at
+      FROM agent_relationships
+      WHERE source_id = ? AND target_id = ?
+    `, [sourceId, targetId]);
+
+    return row ? this._rowToRelationship(row) : null;
+  }
+
+  /**
+   * List an agent's relationships
+   * @param {string} sourceId - Agent ID
+   * @returns {Promise<Object[]>} Relationships, strongest feelings first
+   */
+  async listRelationships(sourceId) {
+    const rows = await this.db.all(`
+      SELECT source_id, target_id, target_type, score, interactions, updated_at
+      FROM agent_relationships
+      WHERE source_id = ?
+      ORDER BY ABS(score) DESC
+    `, [sourceId]);
+
+    return rows.map(row => this._rowToRelationship(row));
+  }
+
+  /**
+   * Shift how an agent feels about someone
+   * @param {string} sourceId - Agent ID
+   * @param {string} targetId - Agent or user ID
+   * @param {number} delta - Change in score (clamped to the configured maximum shift)
+   * @param {string} [targetType='user'] - 'user' or 'agent'
+   * @returns {Promise<Object>} Updated relationship
+   */
+  async adjustRelationship(sourceId, targetId, delta, targetType = 'user') {
+    const existing = await this.getRelationship(sourceId, targetId);
+    const shift = clamp(delta, -this.maxRelationshipShift, this.maxRelationshipShift);
+    const score = clamp((existing ? existing.score : 0) + shift, -1, 1);
+
+    await this.db.run(`
+      INSERT INTO agent_relationships (source_id, target_id, target_type, score, interactions, updated_at)
+      VALUES (?, ?, ?, ?, 1, ?)
+      ON CONFLICT(source_id, target_id) DO UPDATE SET
+        score = excluded.score,
+        interactions = interactions + 1,
+        updated_at = excluded.updated_at
+    `, [sourceId, targetId, targetType, score, new Date().toISOString()]);
+
+    return this.getRelationship(sourceId, targetId);
+  }
+
+  /**
+   * Build the system prompt that makes the model speak as an agent
+   * @param {Agent} agent - Agent
+   * @param {Object} [options] - Prompt options
+   * @param {string} [options.userId] - User being addressed, to include the agent's feelings about them
+   * @param {string} [options.userName] - Display name of that user
+   * @returns {Promise<string>} System prompt
+   */
+  async buildSystemPrompt(agent, { userId = null, userName = null } = {}) {
+    const lines = [`You are ${agent.name}. Stay in character as ${agent.name} at all times.`];
+
+    if (agent.systemPrompt) {
+      lines.push(agent.systemPrompt);
+    }
+    if (agent.traits.length > 0) {
+      lines.push(`Personality traits: ${agent.traits.join(', ')}.`);
+    }
+    if (agent.speakingStyle) {
+      lines.push(`Speaking style: ${agent.speakingStyle}`);
+    }
+
+    lines.push(`Current mood: ${this._describeEmotions(agent)}.`);
+
+    if (userId) {
+      const relationship = await this.getRelationship(agent.id, userId);
+      if (relationship) {
+        lines.push(`How you feel about ${userName || 'the person you are talking to'}: ${this._describeRelationship(relationship.score)}.`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Update an agent's emotional state and relationship after it replied to someone.
+   * Emotions first drift back towards the agent's baseline, then shift by the model's appraisal
+   * of the exchange.
+   * @param {Object} params - Interaction parameters
+   * @param {string} params.agentId - Agent that replied
+   * @param {string} params.targetId - User or agent it replied to
+   * @param {string} [params.targetType='user'] - 'user' or 'agent'
+   * @param {string} params.message - What the agent was told
+   * @param {string} params.reply - What the agent replied
+   * @returns {Promise<Agent|null>} Updated agent, or null if it doesn't exist
+   */
+  async processInteraction({ agentId, targetId, targetType = 'user', message, reply }) {
+    try {
+      const agent = this.getAgent(agentId);
+      if (!agent) {
+        return null;
+      }
+
+      const appraisal = await this._appraiseInteraction(agent, message, reply);
+
+      // Decay towards baseline, then apply the appraisal
+      const emotions = {};
+      for (const emotion of EMOTIONS) {
+        const current = agent.emotions[emotion] ?? agent.baselineEmotions[emotion] ?? 0;
+        const baseline = agent.baselineEmotions[emotion] ?? 0;
+        const decayed = current + (baseline - current) * this.emotionDecay;
+        const shift = clamp(appraisal.emotions[emotion] || 0, -this.maxEmotionShift, this.maxEmotionShift);
+        emotions[emotion] = decayed + shift;
+      }
+
+      await this.updateAgent(agentId, { emotions });
+
+      if (targetId) {
+        await this.adjustRelationship(agentId, targetId, appraisal.relationship, targetType);
+      }
+
+      return agent;
+    } catch (error) {
+      console.error(`Failed to process interaction for agent ${agentId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ask the summary model how an exchange affects the agent
+   * @param {Agent} agent - Agent
+   * @param {string} message - What the agent was told
+   * @param {string} reply - What the agent replied
+   * @returns {Promise<Object>} Emotion deltas and relationship delta
+   * @private
+   */
+  async _appraiseInteraction(agent, message, reply) {
+    const response = await llmClient.createChatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: `You track the emotions of a roleplay character. Character: ${agent.name}. Traits: ${agent.traits.join(', ') || 'none given'}. Current mood: ${this._describeEmotions(agent)}.
+
+Given what the character was told and how they replied, estimate how their emotions change and how their feelings towards the speaker change. Respond with JSON only:
+{"emotions": {${EMOTIONS.map(emotion => `"${emotion}": 0`).join(', ')}}, "relationship": 0}
+Emotion changes range from -${this.maxEmotionShift} to ${this.maxEmotionShift}; the relationship change ranges from -${this.maxRelationshipShift} to ${this.maxRelationshipShift}. Use 0 for no change.`
+        },
+        {
+          role: 'user',
+          content: `They were told:\n${message}\n\nThey replied:\n${reply}`
+        }
+      ],
+      model: config.api.groq.summaryModel,
+      temperature: 0.2,
+      response_format: { type: 'json_object' }
+    }, { priority: 'background' });
+
+    try {
+      const parsed = JSON.parse(response.choices[0].message.content);
+      return {
+        emotions: parsed.emotions && typeof parsed.emotions === 'object' ? parsed.emotions : {},
+        relationship: Number(parsed.relationship) || 0
+      };
+    } catch {
+      console.warn(`Could not parse emotional appraisal for agent ${agent.name}`);
+      return { emotions: {}, relationship: 0 };
+    }
+  }
+
+  /**
+   * Describe an agent's emotional state in words
+   * @param {Agent} agent - Agent
+   * @returns {string} Description
+   * @private
+   */
+  _describeEmotions(agent) {
+    const notable = EMOTIONS
+      .filter(emotion => (agent.emotions[emotion] || 0) >= 0.35)
+      .sort((a, b) => agent.emotions[b] - agent.emotions[a]);
+
+    if (notable.length === 0) {
+      return 'calm';
+    }
+    return notable.map(emotion => `${emotion} (${agent.emotions[emotion].toFixed(2)})`).join(', ');
+  }
+
+  /**
+   * Describe a relationship score in words
+   * @param {number} score - Relationship score (-1 to 1)
+   * @returns {string} Description
+   * @private
+   */
+  _describeRelationship(score) {
+    if (score >= 0.6) return 'close and fond';
+    if (score >= 0.2) return 'friendly';
+    if (score > -0.2) return 'neutral';
+    if (score > -0.6) return 'wary';
+    return 'hostile';
+  }
+
+  /**
+   * Keep only known emotions, clamped to 0-1
+   * @param {Object} emotions - Emotion levels
+   * @returns {Object} Normalized emotion levels
+   * @private
+   */
+  _normalizeEmotions(emotions) {
+    const normalized = {};
+    for (const emotion of EMOTIONS) {
+      normalized[emotion] = clamp(Number(emotions[emotion]) || 0, 0, 1);
+    }
+    return normalized;
+  }
+
+  /**
+   * Write an agent to the database
+   * @param {Agent} agent - Agent to save
+   * @private
+   */
+  async _saveAgent(agent) {
+    await this.db.run(`
+      INSERT INTO agents (id, name, system_prompt, traits, speaking_style, avatar_url, emotions, baseline_emotions, metadata, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        system_prompt = excluded.system_prompt,
+        traits = excluded.traits,
+        speaking_style = excluded.speaking_style,
+        avatar_url = excluded.avatar_url,
+        emotions = excluded.emotions,
+        baseline_emotions = excluded.baseline_emotions,
+        metadata = excluded.metadata,
+        updated_at = excluded.updated_at
+    `, [
+      agent.id,
+      agent.name,
+      agent.systemPrompt,
+      JSON.stringify(agent.traits),
+      agent.speakingStyle,
+      agent.avatarUrl,
+      JSON.stringify(agent.emotions),
+      JSON.stringify(agent.baselineEmotions),
+      JSON.stringify(agent.metadata),
+      agent.createdAt.toISOString(),
+      agent.updatedAt.toISOString()
+    ]);
+  }
+
+  /**
+   * Convert a database row to an agent
+   * @param {Object} row - Row from the agents table
+   * @returns {Agent} Agent instance
+   * @private
+   */
+  _rowToAgent(row) {
+    return new Agent({
+      id: row.id,
+      name: row.name,
+      systemPrompt: row.system_prompt || '',
+      traits: JSON.parse(row.traits || '[]'),
+      speakingStyle: row.speaking_style || '',
+      avatarUrl: row.avatar_url,
+      emotions: JSON.parse(row.emotions || 'null') || { ...DEFAULT_BASELINE },
+      baselineEmotions: JSON.parse(row.baseline_emotions || 'null') || { ...DEFAULT_BASELINE },
+      metadata: JSON.parse(row.metadata || '{}'),
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    });
+  }
+
+  /**
+   * Convert a database row to a relationship
+   * @param {Object} row - Row from the agent_relationships table
+   * @returns {Object} Relationship
+   * @private
+   */
+  _rowToRelationship(row) {
+    return {
+      sourceId: row.source_id,
+      targetId: row.target_id,
+      targetType: row.target_type,
+      score: row.score,
+      interactions: row.interactions,
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+
+  /**
+   * Close database connection
+   */
+  async close() {
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+      this.agents.clear();
+      this.initialized = false;
+      console.log('Agent Manager database connection closed');
+    }
+  }
+}
+
+// Create and export a singleton instance
+const agentManager = new AgentManager();
+export default agentManager;
+
+// Also export the Agent class for direct use
+export { Agent, EMOTIONS };
@@ -0,0 +1,241 @@
+import config from '../config.js';
+import agentManager from './agentManager.js';
+import contextManager from '../context/contextManager.js';
+import promptBuilder from '../context/promptBuilder.js';
+import memoryManager from '../memory/memoryManager.js';
+import { cosineSimilarity } from '../memory/embeddings.js';
+import llmClient from '../llm/llmClient.js';
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Class deciding which agents speak in a multi-agent scene, and generating their replies
+ */
+class SceneOrchestrator {
+  /**
+   * Create a scene orchestrator
+   */
+  constructor() {
+    this.maxReplyDepth = config.scenes.maxReplyDepth;
+    this.maxRespondersPerTurn = config.scenes.maxRespondersPerTurn;
+    this.relevanceThreshold = config.scenes.relevanceThreshold; // null for the embedding provider's
+  }
+
+  /**
+   * Run one turn of a scene: pick the agents that respond to a message, generate and record
+   * their replies, and let agents answer each other up to the configured depth.
+   * @param {Object} params - Turn parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {Agent[]} params.agents - Agents present in the scene
+   * @param {string} params.message - The message that starts the turn
+   * @param {string} [params.userId] - User who sent it
+   * @param {string} [params.userName] - Display name of that user
+   * @param {Function} params.deliver - Async callback (agent, content) that posts a reply and
+   *   resolves to the posted Discord message (or null)
+   * @returns {Promise<Object[]>} Replies with agent, content and the recorded contextMessage
+   */
+  async runTurn({ conversationId, agents, message, userId = null, userName = null, deliver }) {
+    const replies = [];
+    const responders = await this.selectResponders({ conversationId, agents, message });
+
+    // Each entry is an agent about to speak, who it answers, and how deep in the exchange it is
+    const queue = responders.map(agent => ({
+      agent,
+      trigger: message,
+      targetId: userId,
+      targetType: 'user',
+      depth: 0
+    }));
+
+    const maxReplies = this.maxRespondersPerTurn + this.maxReplyDepth;
+    while (queue.length > 0 && replies.length < maxReplies) {
+      const turn = queue.shift();
+      const content = await this._generateReply(conversationId, turn.agent, {
+        userId: turn.targetType === 'user' ? userId : null,
+        userName,
+        query: turn.trigger
+      });
+
+      // Posted first, so the line can be found again when its Discord message is deleted
+      const sent = await deliver(turn.agent, content);
+      const contextMessage = await contextManager.addContextMessage({
+        content,
+        role: turn.agent.id,
+        agentId: turn.agent.id,
+        metadata: { agentName: turn.agent.name, ...(sent ? { discordMessageIds: [sent.id] } : {}) },
+        conversationId
+      });
+
+      replies.push({ agent: turn.agent, content, contextMessage });
+
+      // Let the exchange move the agent's mood and feelings towards whoever it answered
+      if (turn.targetId) {
+        agentManager.processInteraction({
+          agentId: turn.agent.id,
+          targetId: turn.targetId,
+          targetType: turn.targetType,
+          message: turn.trigger,
+          reply: content
+        }).catch(error => console.error('Error updating agent state:', error));
+      }
+
+      // An agent addressed by name in this reply gets to answer
+      if (turn.depth < this.maxReplyDepth) {
+        const others = agents.filter(agent => agent.id !== turn.agent.id);
+        const [addressed] = this.findAddressedAgents(content, others);
+        if (addressed) {
+          queue.push({
+            agent: addressed,
+            trigger: content,
+            targetId: turn.agent.id,
+            targetType: 'agent',
+            depth: turn.depth + 1
+          });
+        }
+      }
+    }
+
+    return replies;
+  }
+
+  /**
+   * Decide which agents respond to a message: the ones addressed by name, otherwise the one
+   * whose persona is most relevant, otherwise the next agent in round-robin order
+   * @param {Object} params - Selection parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {Agent[]} params.agents - Agents present in the scene
+   * @param {string} params.message - Message to respond to
+   * @returns {Promise<Agent[]>} Agents that should respond, in order
+   */
+  async selectResponders({ conversationId, agents, message }) {
+    if (agents.length <= 1) {
+      return agents;
+    }
+
+    const addressed = this.findAddressedAgents(message, agents);
+    if (addressed.length > 0) {
+      return addressed.slice(0, this.maxRespondersPerTurn);
+    }
+
+    const relevant = await this._findMostRelevantAgent(agents, message);
+    if (relevant) {
+      return [relevant];
+    }
+
+    return [this._nextInRotation(conversationId, agents)];
+  }
+
+  /**
+   * Find agents addressed by name in a text, in order of first mention
+   * @param {string} text - Text to search
+   * @param {Agent[]} agents - Candidate agents
+   * @returns {Agent[]} Addressed agents
+   */
+  findAddressedAgents(text, agents) {
+    const mentions = [];
+
+    for (const agent of agents) {
+      // Match the full name, or the first name of multi-word names
+      const names = [agent.name];
+      const firstName = agent.name.split(/\s+/)[0];
+      if (firstName !== agent.name && firstName.length >= 3) {
+        names.push(firstName);
+      }
+
+      const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${names.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'iu');
+      const match = pattern.exec(text);
+      if (match) {
+        mentions.push({ agent, index: match.index });
+      }
+    }
+
+    return mentions.sort((a, b) => a.index - b.index).map(mention => mention.agent);
+  }
+
+  /**
+   * Find the agent whose persona is most similar to a message
+   * @param {Agent[]} agents - Candidate agents
+   * @param {string} message - Message
+   * @returns {Promise<Agent|null>} Agent above the relevance threshold, or null
+   * @private
+   */
+  async _findMostRelevantAgent(agents, message) {
+    const provider = memoryManager.embeddingProvider;
+    const profiles = agents.map(agent => [agent.name, agent.systemPrompt, ...agent.traits].join(' '));
+    const [messageVector, ...agentVectors] = await provider.embed([message, ...profiles]);
+
+    let best = null;
+    let bestScore = this.relevanceThreshold ?? provider.thresholds.responder;
+    for (const [index, agent] of agents.entries()) {
+      const score = cosineSimilarity(messageVector, agentVectors[index]);
+      if (score >= bestScore) {
+        best = agent;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Pick the agent after the one that spoke last in the conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {Agent[]} agents - Agents present in the scene
+   * @returns {Agent} Next agent
+   * @private
+   */
+  _nextInRotation(conversationId, agents) {
+    const messages = contextManager.getFullContext(false, conversationId);
+    const lastSpeaker = [...messages].reverse().find(msg => msg.agentId && agents.some(agent => agent.id === msg.agentId));
+    if (!lastSpeaker) {
+      return agents[0];
+    }
+
+    const index = agents.findIndex(agent => agent.id === lastSpeaker.agentId);
+    return agents[(index + 1) % agents.length];
+  }
+
+  /**
+   * Generate an agent's reply from its own view of the conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {Agent} agent - Agent that speaks
+   * @param {Object} options - Generation options
+   * @param {string} [options.userId] - User being answered
+   * @param {string} [options.userName] - Display name of that user
+   * @param {string} options.query - Text used to retrieve memories
+   * @returns {Promise<string>} Reply content
+   * @private
+   */
+  async _generateReply(conversationId, agent, { userId, userName, query }) {
+    const systemPrompt = await agentManager.buildSystemPrompt(agent, { userId, userName });
+    const prompt = await promptBuilder.build({
+      conversationId,
+      query,
+      agentId: agent.id,
+      systemPrompt: `${systemPrompt}\nOther characters' lines are shown as "[Name]: ...". Reply only with ${agent.name}'s own words, without a name prefix.`
+    });
+
+    const response = await llmClient.createChatCompletion({
+      messages: prompt.messages,
+      model: config.api.groq.model,
+      max_tokens: config.api.groq.maxTokens,
+      temperature: config.api.groq.temperature
+    }, { priority: 'reply' });
+
+    // Models sometimes echo the name prefix anyway
+    return response.choices[0].message.content.trim()
+      .replace(new RegExp(`^\\[?${escapeRegExp(agent.name)}\\]?:\\s*`, 'i'), '');
+  }
+}
+
+// Create and export a singleton instance
+const sceneOrchestrator = new SceneOrchestrator();
+export default sceneOrchestrator;
+
+export { SceneOrchestrator };
@@ -38,13 +38,36 @@ const config = {
     },
   },
   
+  // Model provider, and the shared queue all chat completion requests go through
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'groq', // 'groq', 'openai' (any OpenAI-compatible server) or 'mock'
+    apiUrl: process.env.LLM_API_URL, // Base URL of the OpenAI-compatible API, e.g. http://localhost:11434/v1
+    apiKey: process.env.LLM_API_KEY,
+    requestTimeout: parseInt(process.env.LLM_REQUEST_TIMEOUT || '60000', 10), // ms to wait for the server to answer
+    contextLength: parseInt(process.env.LLM_CONTEXT_LENGTH || '0', 10), // Context window in tokens (0 = known window of the model)
+    mockResponse: process.env.LLM_MOCK_RESPONSE, // Fixed reply of the mock provider (it echoes the user otherwise)
+    mockLatency: parseInt(process.env.LLM_MOCK_LATENCY || '0', 10),
+    maxConcurrent: parseInt(process.env.LLM_MAX_CONCURRENT || '3', 10), // Requests running at the same time
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES || process.env.MAX_RETRIES || '3', 10),
+    retryBaseDelay: parseInt(process.env.LLM_RETRY_BASE_DELAY || '500', 10), // ms before the first retry, doubled on each one
+    retryMaxDelay: parseInt(process.env.LLM_RETRY_MAX_DELAY || '30000', 10), // Longest wait before a retry in ms
+    circuitThreshold: parseInt(process.env.LLM_CIRCUIT_THRESHOLD || '5', 10), // Failures in a row that take a model out
+    circuitCooldown: parseInt(process.env.LLM_CIRCUIT_COOLDOWN || '60000', 10), // ms before a failing model is tried again
+    fallbackModels: (process.env.LLM_FALLBACK_MODELS || '').split(',').map(model => model.trim()).filter(Boolean),
+  },
+  
   // Discord bot configuration
   discord: {
     token: process.env.DISCORD_BOT_TOKEN,
     clientId: process.env.DISCORD_CLIENT_ID,
+    guildId: process.env.DISCORD_GUILD_ID, // Register slash commands in this guild only (instant), instead of globally
     prefix: process.env.COMMAND_PREFIX || '!',
     messageRateLimit: parseInt(process.env.MESSAGE_RATE_LIMIT || '1000', 10), // ms between messages
     maxRetries: parseInt(process.env.MAX_RETRIES || '3', 10),
+    streamResponses: process.env.STREAM_RESPONSES !== 'false', // Show replies while they're generated
+    streamEditInterval: parseInt(process.env.STREAM_EDIT_INTERVAL || '1000', 10), // ms between edits of a streamed reply
+    maxReplyMessages: parseInt(process.env.MAX_REPLY_MESSAGES || '5', 10), // Longer replies are sent as a .md attachment
+    regenerateOnEdit: process.env.REGENERATE_ON_EDIT !== 'false', // Answer an edited message again if it was answered last
   },
   
   // Database settings
@@ -68,17 +91,76 @@ const config = {
   memory: {
     maxMemoriesPerConversation: parseInt(process.env.MAX_MEMORIES_PER_CONVERSATION || '500', 10),
     maxGlobalMemories: parseInt(process.env.MAX_GLOBAL_MEMORIES || '10000', 10),
-    relevanceThreshold: parseFloat(process.env.RELEVANCE_THRESHOLD || '0.7'),
-    defaultMemoryRetention: parseInt(process.env.DEFAULT_MEMORY_RETENTION || '2592000000', 10), // 30 days in ms
+    relevanceThreshold: process.env.RELEVANCE_THRESHOLD ? parseFloat(process.env.RELEVANCE_THRESHOLD) : null, // Defaults to the embedding provider's
+    pruneThreshold: parseFloat(process.env.MEMORY_PRUNE_THRESHOLD || '0.1'), // Retention score below which unpinned memories are pruned (0 = never)
     pruneInterval: parseInt(process.env.MEMORY_PRUNE_INTERVAL || '86400000', 10), // 24 hours in ms
+    defaultImportance: parseFloat(process.env.MEMORY_DEFAULT_IMPORTANCE || '0.5'), // Importance (0-1) of memories not given one
+    decayHalfLife: parseInt(process.env.MEMORY_DECAY_HALF_LIFE || '604800000', 10), // ms for recency to halve (7 days)
+
+    // Embeddings used for semantic recall
+    embeddings: {
+      provider: process.env.EMBEDDING_PROVIDER || 'local', // 'local' (hashed n-grams) or 'http' (OpenAI-compatible)
+      dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS || '512', 10),
+      apiUrl: process.env.EMBEDDING_API_URL,
+      apiKey: process.env.EMBEDDING_API_KEY,
+      model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+    },
+
+    // Automatic extraction of memories from conversations
+    extraction: {
+      enabled: process.env.MEMORY_EXTRACTION_ENABLED !== 'false',
+      trigger: process.env.MEMORY_EXTRACTION_TRIGGER || 'exchange', // 'exchange' or 'summary'
+      duplicateThreshold: process.env.MEMORY_DUPLICATE_THRESHOLD ? parseFloat(process.env.MEMORY_DUPLICATE_THRESHOLD) : null, // Similarity at which a fact is already known (defaults to the embedding provider's)
+      relatedThreshold: process.env.MEMORY_RELATED_THRESHOLD ? parseFloat(process.env.MEMORY_RELATED_THRESHOLD) : null, // Similarity at which memories get linked (defaults to the embedding provider's)
+      maxFactsPerRun: parseInt(process.env.MEMORY_MAX_FACTS_PER_RUN || '8', 10),
+    },
+
+    // Background merging of near-duplicate memories
+    consolidation: {
+      enabled: process.env.MEMORY_CONSOLIDATION_ENABLED !== 'false',
+      interval: parseInt(process.env.MEMORY_CONSOLIDATION_INTERVAL || '86400000', 10), // 24 hours in ms
+      threshold: process.env.MEMORY_CONSOLIDATION_THRESHOLD ? parseFloat(process.env.MEMORY_CONSOLIDATION_THRESHOLD) : null, // Similarity at which memories get merged (defaults to the embedding provider's)
+      maxClusterSize: parseInt(process.env.MEMORY_CONSOLIDATION_MAX_CLUSTER || '8', 10), // Memories merged into one at most
+    },
+
+    // Typed links between memories
+    graph: {
+      expansionHops: parseInt(process.env.MEMORY_GRAPH_HOPS || '1', 10), // Links followed from recalled memories in prompts
+      classifyLinks: process.env.MEMORY_CLASSIFY_LINKS !== 'false', // Type new links and flag contradictions with the summary model
+    },
+  },
+  
+  // Agent settings
+  agents: {
+    emotionDecay: parseFloat(process.env.AGENT_EMOTION_DECAY || '0.2'), // Fraction of the way back to baseline per interaction
+    maxEmotionShift: parseFloat(process.env.AGENT_MAX_EMOTION_SHIFT || '0.3'), // Largest change of one emotion per interaction
+    maxRelationshipShift: parseFloat(process.env.AGENT_MAX_RELATIONSHIP_SHIFT || '0.1'), // Largest change of a relationship per interaction
+  },
+  
+  // Multi-agent scene settings
+  scenes: {
+    maxRespondersPerTurn: parseInt(process.env.SCENE_MAX_RESPONDERS || '3', 10), // Agents answering one user message
+    maxReplyDepth: parseInt(process.env.SCENE_MAX_REPLY_DEPTH || '2', 10), // Rounds of agents answering each other
+    relevanceThreshold: process.env.SCENE_RELEVANCE_THRESHOLD ? parseFloat(process.env.SCENE_RELEVANCE_THRESHOLD) : null, // Minimum persona similarity to pick a responder (defaults to the embedding provider's)
+    webhookName: process.env.SCENE_WEBHOOK_NAME || 'Cali Agents',
   },
   
   // Context settings
   context: {
-    maxContextMessages: parseInt(process.env.MAX_CONTEXT_MESSAGES || '50', 10),
+    maxContextTokens: parseInt(process.env.MAX_CONTEXT_TOKENS || '16000', 10), // Tokens of recent messages kept in context
+    maxContextMessages: parseInt(process.env.MAX_CONTEXT_MESSAGES || '200', 10), // Safety cap on the number of messages kept
     summarizationThreshold: parseInt(process.env.SUMMARIZATION_THRESHOLD || '20', 10),
     maxSummaryLength: parseInt(process.env.MAX_SUMMARY_LENGTH || '1000', 10),
+    summaryLevels: parseInt(process.env.SUMMARY_LEVELS || '3', 10), // Tiers of summaries: of messages, of summaries, ...
+    summaryFanIn: parseInt(process.env.SUMMARY_FAN_IN || '4', 10), // Summaries of one tier condensed into one of the next
     cacheTimeout: parseInt(process.env.CONTEXT_CACHE_TIMEOUT || '300000', 10), // 5 minutes in ms
+
+    // Prompt assembly
+    promptTokenBudget: parseInt(process.env.PROMPT_TOKEN_BUDGET || '6000', 10), // Cap on the model's context minus its reply (0 = no cap)
+    promptMaxMemories: parseInt(process.env.PROMPT_MAX_MEMORIES || '8', 10),
+    promptMaxEntities: parseInt(process.env.PROMPT_MAX_ENTITIES || '4', 10), // Profiles of mentioned entities in prompts
+    promptSummaryLevels: parseInt(process.env.PROMPT_SUMMARY_LEVELS || '3', 10), // Summary tiers in prompts, most detailed first
+    systemPrompt: process.env.SYSTEM_PROMPT || 'You are Cali, a roleplay companion on Discord. Stay in character, keep track of the story, and use what you remember about the people you talk to.',
   },
   
   // System-wide settings
@@ -94,6 +176,8 @@ const config = {
   scenarios: {
     path: process.env.SCENARIOS_PATH || join(__dirname, '..', 'data', 'scenarios'),
     defaultScenario: process.env.DEFAULT_SCENARIO || 'default.json',
+    autoUpdate: process.env.SCENARIO_AUTO_UPDATE !== 'false', // Let the model record world changes after each exchange
+    promptMaxWorldState: parseInt(process.env.SCENARIO_PROMPT_MAX_STATE || '12', 10), // World-state entries included in prompts
   },
   
   // User settings
@@ -110,6 +194,30 @@ const config = {
   items: {
     maxItems: parseInt(process.env.MAX_ITEMS || '1000', 10),
   },
+  
+  // Entity index settings (people, agents, places, items and factions memories are about)
+  entities: {
+    maxEntities: parseInt(process.env.MAX_ENTITIES || '2000', 10),
+  },
+  
+  // Rate limiting settings, as "<requests>/<seconds>" per user, channel and guild ("0" = no limit)
+  rateLimits: {
+    types: {
+      // Messages the model answers (mentions and collected replies)
+      ai: {
+        user: process.env.RATE_LIMIT_AI_USER || '5/60',
+        channel: process.env.RATE_LIMIT_AI_CHANNEL || '15/60',
+        guild: process.env.RATE_LIMIT_AI_GUILD || '40/60',
+      },
+      // Prefix and slash commands
+      command: {
+        user: process.env.RATE_LIMIT_COMMAND_USER || '10/30',
+        channel: process.env.RATE_LIMIT_COMMAND_CHANNEL || '30/30',
+        guild: process.env.RATE_LIMIT_COMMAND_GUILD || '0',
+      },
+    },
+    adminRole: process.env.RATE_LIMIT_ADMIN_ROLE, // Role ID or name whose members are never limited
+  },
 };
 
 export default config;
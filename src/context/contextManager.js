@@ -1,6 +1,10 @@
-import { Groq } from 'groq-sdk';
+import { EventEmitter } from 'events';
 import config from '../config.js';
 import { v4 as uuidv4 } from 'uuid';
+import { openDatabase } from '../database/database.js';
+import timeManager from '../time/timeManager.js';
+import scenarioManager from '../scenario/scenarioManager.js';
+import llmClient from '../llm/llmClient.js';
 
 /**
  * Class representing a context message
@@ -13,6 +17,7 @@ class ContextMessage {
    * @param {string} params.content - Message content
    * @param {string} params.role - Message role (user, assistant, system, or an agentId)
    * @param {Date} params.timestamp - Message timestamp
+   * @param {Date} [params.universeTime] - In-universe time the message was sent at
    * @param {string} [params.userId] - ID of the user who sent the message (if applicable)
    * @param {string} [params.agentId] - ID of the agent who sent the message (if applicable)
    * @param {Object} [params.metadata] - Additional metadata
@@ -22,6 +27,7 @@ class ContextMessage {
     content,
     role,
     timestamp = new Date(),
+    universeTime = null,
     userId = null,
     agentId = null,
     metadata = {}
@@ -30,9 +36,22 @@ class ContextMessage {
     this.content = content;
     this.role = role;
     this.timestamp = timestamp;
+    this.universeTime = universeTime;
     this.userId = userId;
     this.agentId = agentId;
     this.metadata = metadata;
+    this.tokenCache = null; // { content, tokens } of the last token count
+  }
+
+  /**
+   * Estimate the number of tokens in the message's content, cached until the content changes
+   * @returns {number} Estimated token count
+   */
+  getTokenCount() {
+    if (!this.tokenCache || this.tokenCache.content !== this.content) {
+      this.tokenCache = { content: this.content, tokens: llmClient.countTokens(this.content) };
+    }
+    return this.tokenCache.tokens;
   }
 
   /**
@@ -45,6 +64,7 @@ class ContextMessage {
       content: this.content,
       role: this.role,
       timestamp: this.timestamp.toISOString(),
+      universeTime: this.universeTime ? this.universeTime.toISOString() : null,
       userId: this.userId,
       agentId: this.agentId,
       metadata: this.metadata
@@ -62,6 +82,7 @@ class ContextMessage {
       content: json.content,
       role: json.role,
       timestamp: new Date(json.timestamp),
+      universeTime: json.universeTime ? new Date(json.universeTime) : null,
       userId: json.userId,
       agentId: json.agentId,
       metadata: json.metadata
@@ -69,19 +90,40 @@ class ContextMessage {
   }
 
   /**
-   * Convert to format suitable for AI models
+   * Convert to format suitable for AI models.
+   * Messages spoken by an agent (role `assistant` or the agent's ID) are seen from a viewpoint:
+   * the viewpoint agent's own lines are `assistant` turns, other agents' lines are attributed
+   * by name, as `user` turns when speaking to an agent or `assistant` turns otherwise.
+   * @param {string} [viewpointAgentId] - Agent whose view of the conversation to produce
    * @returns {Object} Message in AI model format
    */
-  toModelFormat() {
+  toModelFormat(viewpointAgentId = null) {
+    const isAgentMessage = this.agentId && (this.role === 'assistant' || this.role === this.agentId);
+    if (!isAgentMessage) {
+      return {
+        role: this.role,
+        content: this.content
+      };
+    }
+
+    if (this.agentId === viewpointAgentId) {
+      return {
+        role: 'assistant',
+        content: this.content
+      };
+    }
+
     return {
-      role: this.role,
-      content: this.content
+      role: viewpointAgentId ? 'user' : 'assistant',
+      content: `[${this.metadata.agentName || this.agentId}]: ${this.content}`
     };
   }
 }
 
 /**
- * Class representing a context summary
+ * Class representing a context summary.
+ * Summaries form tiers: a level 0 summary covers a run of messages, and a summary of level
+ * n + 1 (an "arc" summary) condenses consecutive summaries of level n.
  */
 class ContextSummary {
   /**
@@ -90,19 +132,26 @@ class ContextSummary {
    * @param {string} params.id - Unique identifier
    * @param {string} params.content - Summary content
    * @param {Date} params.timestamp - Summary timestamp
-   * @param {string[]} params.replaces - IDs of messages this summary replaces
+   * @param {Date} [params.universeTime] - In-universe time the summarized messages reach up to
+   * @param {number} [params.level=0] - Tier of the summary (0 for a summary of messages)
+   * @param {string[]} params.replaces - IDs of the messages (level 0) or summaries (higher
+   *   levels) this summary covers
    * @param {Object} [params.metadata] - Additional metadata
    */
   constructor({
     id = uuidv4(),
     content,
     timestamp = new Date(),
+    universeTime = null,
+    level = 0,
     replaces = [],
     metadata = {}
   }) {
     this.id = id;
     this.content = content;
     this.timestamp = timestamp;
+    this.universeTime = universeTime;
+    this.level = level;
     this.replaces = replaces;
     this.metadata = metadata;
   }
@@ -116,6 +165,8 @@ class ContextSummary {
       id: this.id,
       content: this.content,
       timestamp: this.timestamp.toISOString(),
+      universeTime: this.universeTime ? this.universeTime.toISOString() : null,
+      level: this.level,
       replaces: this.replaces,
       metadata: this.metadata
     };
@@ -131,6 +182,8 @@ class ContextSummary {
       id: json.id,
       content: json.content,
       timestamp: new Date(json.timestamp),
+      universeTime: json.universeTime ? new Date(json.universeTime) : null,
+      level: json.level || 0,
       replaces: json.replaces,
       metadata: json.metadata
     });
@@ -146,9 +199,11 @@ class ContextSummary {
       content: this.content,
       role: 'system',
       timestamp: this.timestamp,
+      universeTime: this.universeTime,
       metadata: {
         ...this.metadata,
         isSummary: true,
+        summaryLevel: this.level,
         replaces: this.replaces
       }
     });
@@ -156,26 +211,48 @@ class ContextSummary {
 }
 
 /**
- * Class for managing conversation context
+ * Class for managing conversation context.
+ *
+ * Summaries roll: each time config.context.summarizationThreshold messages no summary covers
+ * have accumulated, they are summarized (level 0). Once a level holds more than
+ * config.context.summaryFanIn summaries that no higher summary covers, the oldest of them are
+ * condensed into one summary of the next level, up to config.context.summaryLevels levels
+ * (the top level condenses into itself).
+ *
+ * Emits `summaryCreated` ({ conversationId, summary, messages }) after each summary of messages
+ * is stored, and `summaryCondensed` ({ conversationId, summary, summaries }) after each arc summary.
+ *
+ * Messages can be edited or deleted after the fact (deleted messages stay as tombstones, left
+ * out of prompts). Summaries covering a changed message are rewritten: from the messages if
+ * they're all still in context, otherwise by revising the summary. Arc summaries built on them
+ * are dropped and condensed again. Emits `messageEdited` ({ conversationId, message,
+ * previousContent }) and `messageDeleted` ({ conversationId, message }).
  */
-class ContextManager {
+class ContextManager extends EventEmitter {
   /**
    * Create a context manager
    */
   constructor() {
+    super();
+    this.dbPath = config.database.path;
+    this.maxContextTokens = config.context.maxContextTokens;
     this.maxContextMessages = config.context.maxContextMessages;
     this.summarizationThreshold = config.context.summarizationThreshold;
     this.maxSummaryLength = config.context.maxSummaryLength;
+    this.summaryLevels = config.context.summaryLevels;
+    this.summaryFanIn = config.context.summaryFanIn;
     this.cacheTimeout = config.context.cacheTimeout;
     
     this.conversations = new Map(); // Map of conversationId to conversation data
+    this.loadingConversations = new Map(); // Map of conversationId to its pending database load
     this.activeConversationId = null; // Currently active conversation
     
-    this.groq = new Groq({ apiKey: config.api.groq.apiKey });
-    
     this.summarizationQueue = [];
+    this.activeSummarization = null; // Task being processed
     this.isSummarizing = false;
     this.summaryCache = new Map(); // Cache for summaries
+    this.cacheCleanupInterval = null;
+    this.db = null;
     this.initialized = false;
   }
 
@@ -184,27 +261,119 @@ class ContextManager {
    */
   async initialize() {
     try {
+      // Open database connection (shared file with the memory manager)
+      this.db = await openDatabase(this.dbPath);
+
+      // Create tables if they don't exist
+      await this._createTables();
+
       this.initialized = true;
-      console.log("Context Manager initialized");
+      console.log(`Context Manager initialized with database at ${this.dbPath}`);
       
       // Set up cache cleanup interval
-      setInterval(() => this._cleanupCache(), 30000);
+      this.cacheCleanupInterval = setInterval(() => this._cleanupCache(), 30000);
     } catch (error) {
       console.error("Failed to initialize Context Manager:", error);
       throw error;
     }
   }
 
+  /**
+   * Create database tables
+   * @private
+   */
+  async _createTables() {
+    // Create conversations table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        id TEXT PRIMARY KEY,
+        metadata TEXT,
+        created_at TEXT NOT NULL,
+        last_active_at TEXT NOT NULL
+      )
+    `);
+
+    // Create conversation tags table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS conversation_tags (
+        conversation_id TEXT,
+        tag TEXT,
+        PRIMARY KEY (conversation_id, tag),
+        FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create context messages table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS context_messages (
+        id TEXT PRIMARY KEY,
+        conversation_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        role TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        universe_time TEXT,
+        user_id TEXT,
+        agent_id TEXT,
+        metadata TEXT,
+        FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create context summaries table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS context_summaries (
+        id TEXT PRIMARY KEY,
+        conversation_id TEXT NOT NULL,
+        content TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        universe_time TEXT,
+        level INTEGER NOT NULL DEFAULT 0,
+        replaces TEXT NOT NULL,
+        metadata TEXT,
+        FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Databases created before in-universe times and summary levels were stored need the new columns
+    await this.db.addMissingColumns('context_messages', { universe_time: 'TEXT' });
+    await this.db.addMissingColumns('context_summaries', { universe_time: 'TEXT', level: 'INTEGER NOT NULL DEFAULT 0' });
+
+    // Create channel bindings table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS channel_conversations (
+        channel_id TEXT PRIMARY KEY,
+        conversation_id TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create indexes for performance
+    await this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_conversations_last_active_at ON conversations(last_active_at);
+      CREATE INDEX IF NOT EXISTS idx_conversation_tags_tag ON conversation_tags(tag);
+      CREATE INDEX IF NOT EXISTS idx_context_messages_conversation_id ON context_messages(conversation_id, position);
+      CREATE INDEX IF NOT EXISTS idx_context_summaries_conversation_id ON context_summaries(conversation_id);
+    `);
+  }
+
   /**
    * Create or switch to a conversation
    * @param {string} conversationId - Unique conversation identifier
    * @param {string[]} [tags] - Tags to categorize the conversation
    * @param {Object} [metadata] - Additional metadata
-   * @returns {Object} Conversation data
+   * @returns {Promise<Object>} Conversation data
    */
-  createOrSwitchConversation(conversationId, tags = [], metadata = {}) {
-    if (!this.conversations.has(conversationId)) {
-      this.conversations.set(conversationId, {
+  async createOrSwitchConversation(conversationId, tags = [], metadata = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    let conversation = await this.getConversation(conversationId);
+
+    if (!conversation) {
+      conversation = {
         id: conversationId,
         messages: [],
         summaries: [],
@@ -212,48 +381,142 @@ class ContextManager {
         metadata: metadata,
         createdAt: new Date(),
         lastActiveAt: new Date()
-      });
+      };
+      this.conversations.set(conversationId, conversation);
+      await this._saveConversation(conversation);
       console.log(`Created new conversation: ${conversationId}`);
     } else {
       // Update last active time
-      this.conversations.get(conversationId).lastActiveAt = new Date();
+      conversation.lastActiveAt = new Date();
+      await this._saveConversation(conversation);
       console.log(`Switched to existing conversation: ${conversationId}`);
     }
     
     this.activeConversationId = conversationId;
-    return this.conversations.get(conversationId);
+    return conversation;
   }
 
   /**
-   * Get conversation by ID
+   * Get conversation by ID, loading it from the database if it isn't in memory
    * @param {string} conversationId - Conversation ID
-   * @returns {Object|null} Conversation data or null if not found
+   * @returns {Promise<Object|null>} Conversation data or null if not found
    */
-  getConversation(conversationId) {
-    return this.conversations.get(conversationId) || null;
+  async getConversation(conversationId) {
+    if (this.conversations.has(conversationId)) {
+      return this.conversations.get(conversationId);
+    }
+
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    // Concurrent first accesses share one load, so they all get the same conversation object
+    if (!this.loadingConversations.has(conversationId)) {
+      const loading = this._loadConversation(conversationId)
+        .then(conversation => {
+          if (conversation && !this.conversations.has(conversationId)) {
+            this.conversations.set(conversationId, conversation);
+          }
+          return this.conversations.get(conversationId) || null;
+        })
+        .finally(() => this.loadingConversations.delete(conversationId));
+      this.loadingConversations.set(conversationId, loading);
+    }
+    return this.loadingConversations.get(conversationId);
   }
 
   /**
    * List all conversations with optional filtering
    * @param {string[]} [tags] - Filter by tags
    * @param {number} [limit=50] - Maximum number to return
-   * @returns {Object[]} Array of conversation data
+   * @returns {Promise<Object[]>} Array of conversation data
    */
-  listConversations(tags = [], limit = 50) {
-    let conversations = Array.from(this.conversations.values());
-    
+  async listConversations(tags = [], limit = 50) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    let sql = `SELECT DISTINCT c.id, c.last_active_at FROM conversations c`;
+    const params = [];
+
     // Filter by tags if provided
     if (tags.length > 0) {
-      conversations = conversations.filter(conv => 
-        tags.some(tag => conv.tags.includes(tag))
-      );
+      sql += `
+        INNER JOIN conversation_tags t ON c.id = t.conversation_id
+        WHERE t.tag IN (${tags.map(() => '?').join(',')})
+      `;
+      params.push(...tags);
     }
-    
-    // Sort by last active time (most recent first)
+
+    // Sort by last active time (most recent first) and limit results
+    sql += ` ORDER BY c.last_active_at DESC LIMIT ?`;
+    params.push(limit);
+
+    const rows = await this.db.all(sql, params);
+
+    const conversations = [];
+    for (const row of rows) {
+      const conversation = await this.getConversation(row.id);
+      if (conversation) {
+        conversations.push(conversation);
+      }
+    }
+
+    // In-memory activity may be newer than what was last written
     conversations.sort((a, b) => b.lastActiveAt - a.lastActiveAt);
-    
-    // Limit results
-    return conversations.slice(0, limit);
+    return conversations;
+  }
+
+  /**
+   * Find conversations whose ID or tags contain a text, without loading their messages
+   * @param {string} [query=''] - Text to look for
+   * @param {number} [limit=25] - Maximum number to return
+   * @returns {Promise<Object[]>} Matches with id, tags and lastActiveAt, most recent first
+   */
+  async searchConversations(query = '', limit = 25) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const pattern = `%${query}%`;
+    const rows = await this.db.all(`
+      SELECT c.id, c.last_active_at, GROUP_CONCAT(t.tag) AS tags
+      FROM conversations c
+      LEFT JOIN conversation_tags t ON c.id = t.conversation_id
+      GROUP BY c.id
+      HAVING c.id LIKE ? OR tags LIKE ?
+      ORDER BY c.last_active_at DESC
+      LIMIT ?
+    `, [pattern, pattern, limit]);
+
+    return rows.map(row => ({
+      id: row.id,
+      tags: row.tags ? row.tags.split(',') : [],
+      lastActiveAt: new Date(row.last_active_at)
+    }));
+  }
+
+  /**
+   * List the tags in use, most used first
+   * @param {string} [query=''] - Only list tags containing this text
+   * @param {number} [limit=25] - Maximum number to return
+   * @returns {Promise<Object[]>} Tags with the number of conversations using them
+   */
+  async listTags(query = '', limit = 25) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const rows = await this.db.all(`
+      SELECT tag, COUNT(*) AS count
+      FROM conversation_tags
+      WHERE tag LIKE ?
+      GROUP BY tag
+      ORDER BY count DESC, tag ASC
+      LIMIT ?
+    `, [`%${query}%`, limit]);
+
+    return rows.map(row => ({ tag: row.tag, count: row.count }));
   }
 
   /**
@@ -261,10 +524,11 @@ class ContextManager {
    * @param {string} conversationId - Conversation ID
    * @param {string[]} tags - Tags to add
    */
-  addConversationTags(conversationId, tags) {
-    const conversation = this.conversations.get(conversationId);
+  async addConversationTags(conversationId, tags) {
+    const conversation = await this.getConversation(conversationId);
     if (conversation) {
       conversation.tags = [...new Set([...conversation.tags, ...tags])];
+      await this._saveConversation(conversation);
       console.log(`Added tags ${tags.join(', ')} to conversation ${conversationId}`);
     }
   }
@@ -274,29 +538,87 @@ class ContextManager {
    * @param {string} conversationId - Conversation ID
    * @param {string[]} tags - Tags to remove
    */
-  removeConversationTags(conversationId, tags) {
-    const conversation = this.conversations.get(conversationId);
+  async removeConversationTags(conversationId, tags) {
+    const conversation = await this.getConversation(conversationId);
     if (conversation) {
       conversation.tags = conversation.tags.filter(tag => !tags.includes(tag));
+      await this._saveConversation(conversation);
       console.log(`Removed tags ${tags.join(', ')} from conversation ${conversationId}`);
     }
   }
 
+  /**
+   * Merge fields into a conversation's metadata
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} updates - Metadata fields to set
+   * @returns {Promise<Object|null>} Conversation data or null if not found
+   */
+  async updateConversationMetadata(conversationId, updates) {
+    const conversation = await this.getConversation(conversationId);
+    if (conversation) {
+      conversation.metadata = { ...conversation.metadata, ...updates };
+      await this._saveConversation(conversation);
+    }
+    return conversation;
+  }
+
+  /**
+   * Bind a channel (or any external source) to a conversation
+   * @param {string} channelId - Channel ID
+   * @param {string} conversationId - Conversation ID
+   */
+  async bindChannel(channelId, conversationId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    await this.db.run(`
+      INSERT INTO channel_conversations (channel_id, conversation_id, updated_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT(channel_id) DO UPDATE SET
+        conversation_id = excluded.conversation_id,
+        updated_at = excluded.updated_at
+    `, [channelId, conversationId, new Date().toISOString()]);
+  }
+
+  /**
+   * Get the conversation bound to a channel
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<string|null>} Conversation ID or null if the channel is unbound
+   */
+  async getChannelConversation(channelId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const row = await this.db.get(`
+      SELECT conversation_id
+      FROM channel_conversations
+      WHERE channel_id = ?
+    `, [channelId]);
+
+    return row ? row.conversation_id : null;
+  }
+
   /**
    * Add a message to the context
    * @param {Object} messageData - Message data
    * @param {string} messageData.content - Message content
    * @param {string} messageData.role - Message role (user, assistant, system, or an agentId)
    * @param {Date} [messageData.timestamp] - Message timestamp
+   * @param {Date} [messageData.universeTime] - In-universe time (defaults to the current time of
+   *   the conversation's scenario, or of the default scenario if none is bound)
    * @param {string} [messageData.userId] - ID of the user who sent the message
    * @param {string} [messageData.agentId] - ID of the agent who sent the message
    * @param {Object} [messageData.metadata] - Additional metadata
-   * @returns {ContextMessage} The added message
+   * @param {string} [messageData.conversationId] - Conversation ID (uses active if not provided)
+   * @returns {Promise<ContextMessage>} The added message
    */
-  addContextMessage({
+  async addContextMessage({
     content,
     role,
     timestamp = new Date(),
+    universeTime = null,
     userId = null,
     agentId = null,
     metadata = {},
@@ -304,7 +626,7 @@ class ContextManager {
   }) {
     try {
       if (!this.initialized) {
-        this.initialize();
+        await this.initialize();
       }
 
       if (!content || !role) {
@@ -318,8 +640,9 @@ class ContextManager {
       }
 
       // Ensure conversation exists
-      if (!this.conversations.has(targetConversationId)) {
-        this.createOrSwitchConversation(targetConversationId);
+      let conversation = await this.getConversation(targetConversationId);
+      if (!conversation) {
+        conversation = await this.createOrSwitchConversation(targetConversationId);
       }
 
       // Create message instance
@@ -327,23 +650,25 @@ class ContextManager {
         content,
         role,
         timestamp,
+        universeTime: universeTime || timeManager.now(await scenarioManager.getConversationScenarioId(targetConversationId)),
         userId,
         agentId,
         metadata: { ...metadata, conversationId: targetConversationId }
       });
 
       // Add message to conversation
-      const conversation = this.conversations.get(targetConversationId);
       conversation.messages.push(message);
       conversation.lastActiveAt = new Date();
+      await this._insertMessage(targetConversationId, message);
+      await this._saveConversation(conversation);
       
       // Check if we need to trigger summarization
       if (this._shouldSummarize(targetConversationId)) {
-        this._queueSummarization(targetConversationId);
+        this._queueSummarization(targetConversationId, this._getUnsummarizedMessages(conversation));
       }
       
       // If we exceed the maximum context size, we need to remove old messages
-      this._enforceContextSize(targetConversationId);
+      await this._enforceContextSize(targetConversationId);
 
       console.log(`Context message added with ID: ${message.id} to conversation: ${targetConversationId}`);
       return message;
@@ -353,23 +678,108 @@ class ContextManager {
     }
   }
 
+  /**
+   * Find the context message recorded for a Discord message
+   * @param {string} conversationId - Conversation ID
+   * @param {string} discordMessageId - Discord message ID (a reply sent in several Discord
+   *   messages is found by any of them)
+   * @returns {Promise<ContextMessage|null>} Context message, or null if it isn't in context
+   */
+  async findMessageByDiscordId(conversationId, discordMessageId) {
+    const conversation = await this.getConversation(conversationId);
+    if (!conversation) {
+      return null;
+    }
+
+    return conversation.messages.find(msg => msg.metadata.discordMessageId === discordMessageId ||
+      (msg.metadata.discordMessageIds || []).includes(discordMessageId)) || null;
+  }
+
+  /**
+   * Replace the content of a message in context, and rewrite the summaries covering it
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Context message ID
+   * @param {string} content - New content
+   * @returns {Promise<ContextMessage|null>} Edited message, or null if it isn't in context
+   */
+  async editContextMessage(conversationId, messageId, content) {
+    try {
+      const conversation = await this.getConversation(conversationId);
+      const message = conversation ? conversation.messages.find(msg => msg.id === messageId) : null;
+      if (!message || message.metadata.deleted) {
+        return null;
+      }
+      if (message.content === content) {
+        return message;
+      }
+
+      const previousContent = message.content;
+      message.content = content;
+      message.metadata = { ...message.metadata, editedAt: new Date().toISOString() };
+      await this._updateMessage(message);
+
+      await this._invalidateSummaries(conversation, message, { before: previousContent, after: content });
+      this.emit('messageEdited', { conversationId, message, previousContent });
+      console.log(`Edited context message ${messageId} in conversation ${conversationId}`);
+      return message;
+    } catch (error) {
+      console.error('Failed to edit context message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a message from context. The message stays as a tombstone (without its content) that
+   * prompts and summaries leave out, and the summaries covering it are rewritten.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Context message ID
+   * @returns {Promise<ContextMessage|null>} Tombstoned message, or null if it isn't in context
+   */
+  async deleteContextMessage(conversationId, messageId) {
+    try {
+      const conversation = await this.getConversation(conversationId);
+      const message = conversation ? conversation.messages.find(msg => msg.id === messageId) : null;
+      if (!message || message.metadata.deleted) {
+        return null;
+      }
+
+      const previousContent = message.content;
+      message.content = '';
+      message.metadata = { ...message.metadata, deleted: true, deletedAt: new Date().toISOString() };
+      await this._updateMessage(message);
+
+      await this._invalidateSummaries(conversation, message, { before: previousContent, after: null });
+      this.emit('messageDeleted', { conversationId, message });
+      console.log(`Deleted context message ${messageId} from conversation ${conversationId}`);
+      return message;
+    } catch (error) {
+      console.error('Failed to delete context message:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get the current context summary
+   * @param {string} [conversationId] - Conversation ID (uses active if not provided)
    * @returns {Promise<string>} Summary of the current context
    */
-  async getCurrentContextSummary() {
+  async getCurrentContextSummary(conversationId = null) {
     try {
       if (!this.initialized) {
         await this.initialize();
       }
 
+      const targetConversationId = conversationId || this.activeConversationId;
+      const conversation = targetConversationId ? await this.getConversation(targetConversationId) : null;
+
       // If there are no messages, return empty summary
-      if (this.messages.length === 0) {
+      const messages = conversation ? conversation.messages.filter(msg => !msg.metadata.deleted) : [];
+      if (messages.length === 0) {
         return "No conversation context available.";
       }
 
       // Check if we have a cached summary
-      const cacheKey = this._getCacheKey();
+      const cacheKey = this._getCacheKey(conversation);
       if (this.summaryCache.has(cacheKey)) {
         const { summary, timestamp } = this.summaryCache.get(cacheKey);
         
@@ -379,8 +789,14 @@ class ContextManager {
         }
       }
 
-      // Generate a new summary
-      const summary = await this._generateSummary(this.messages);
+      // Generate a new summary, or describe the messages if the model can't be reached
+      let summary;
+      try {
+        summary = await this._generateSummary(messages);
+      } catch (error) {
+        console.error('Failed to generate context summary:', error);
+        return `Conversation with ${messages.length} messages over time period ${messages[0].timestamp.toISOString()} to ${messages[messages.length - 1].timestamp.toISOString()}.`;
+      }
       
       // Cache the summary
       this.summaryCache.set(cacheKey, {
@@ -399,21 +815,23 @@ class ContextManager {
    * Get the full context as an array of messages
    * @param {boolean} [formatted=false] - Whether to return messages in AI model format
    * @param {string} [conversationId] - Conversation ID (uses active if not provided)
+   * @param {string} [viewpointAgentId] - Agent whose view to format the messages from
    * @returns {Array} Array of context messages
    */
-  getFullContext(formatted = false, conversationId = null) {
+  getFullContext(formatted = false, conversationId = null, viewpointAgentId = null) {
     try {
       const targetConversationId = conversationId || this.activeConversationId;
       if (!targetConversationId || !this.conversations.has(targetConversationId)) {
         return [];
       }
 
+      // Deleted messages are only kept as tombstones
       const conversation = this.conversations.get(targetConversationId);
-      const messages = conversation.messages;
+      const messages = conversation.messages.filter(msg => !msg.metadata.deleted);
 
       // Return the context in the requested format
       if (formatted) {
-        return messages.map(msg => msg.toModelFormat());
+        return messages.map(msg => msg.toModelFormat(viewpointAgentId));
       }
       return [...messages];
     } catch (error) {
@@ -423,26 +841,72 @@ class ContextManager {
   }
 
   /**
-   * Clear the context
+   * Get the summaries of a conversation that no higher-level summary covers yet. Together they
+   * cover everything summarized so far, each span once: arc summaries of the oldest parts of
+   * the story, then more detailed summaries of the recent parts.
+   * @param {string} [conversationId] - Conversation ID (uses active if not provided)
+   * @returns {ContextSummary[]} Summaries in story order
+   */
+  getActiveSummaries(conversationId = null) {
+    const targetConversationId = conversationId || this.activeConversationId;
+    const conversation = this.conversations.get(targetConversationId);
+    if (!conversation) {
+      return [];
+    }
+
+    const condensed = new Set(conversation.summaries
+      .filter(summary => summary.level > 0)
+      .flatMap(summary => summary.replaces));
+
+    // Level 0 summaries are in story order; a higher one sits where its earliest part starts
+    const byId = new Map(conversation.summaries.map(summary => [summary.id, summary]));
+    const order = new Map();
+    const getOrder = (summary) => {
+      if (!order.has(summary.id)) {
+        const parts = summary.level > 0 ? summary.replaces.map(id => byId.get(id)).filter(Boolean) : [];
+        order.set(summary.id, parts.length > 0
+          ? Math.min(...parts.map(getOrder))
+          : conversation.summaries.indexOf(summary));
+      }
+      return order.get(summary.id);
+    };
+
+    return conversation.summaries
+      .filter(summary => !condensed.has(summary.id))
+      .sort((a, b) => getOrder(a) - getOrder(b));
+  }
+
+  /**
+   * Clear the context of a conversation
    * @param {boolean} [keepSystemMessages=true] - Whether to keep system messages
-   * @returns {boolean} Success indicator
+   * @param {string} [conversationId] - Conversation ID (uses active if not provided)
+   * @returns {Promise<boolean>} Success indicator
    */
-  clearContext(keepSystemMessages = true) {
+  async clearContext(keepSystemMessages = true, conversationId = null) {
     try {
+      const targetConversationId = conversationId || this.activeConversationId;
+      const conversation = targetConversationId ? await this.getConversation(targetConversationId) : null;
+      if (!conversation) {
+        return false;
+      }
+
       if (keepSystemMessages) {
         // Only keep system messages
-        this.messages = this.messages.filter(msg => msg.role === 'system');
+        conversation.messages = conversation.messages.filter(msg => msg.role === 'system');
       } else {
         // Clear all messages
-        this.messages = [];
+        conversation.messages = [];
       }
       
       // Clear summaries and cache
-      this.summaries = [];
+      conversation.summaries = [];
       this.summaryCache.clear();
-      this.summarizationQueue = [];
+      this.summarizationQueue = this.summarizationQueue.filter(task => task.conversationId !== targetConversationId);
+
+      await this._replaceMessages(conversation);
+      await this.db.run(`DELETE FROM context_summaries WHERE conversation_id = ?`, [targetConversationId]);
       
-      console.log(`Context cleared, kept system messages: ${keepSystemMessages}`);
+      console.log(`Context cleared for conversation ${targetConversationId}, kept system messages: ${keepSystemMessages}`);
       return true;
     } catch (error) {
       console.error('Failed to clear context:', error);
@@ -451,19 +915,18 @@ class ContextManager {
   }
 
   /**
-   * Generate a summary of messages using Groq API
+   * Generate a summary of messages
    * @param {ContextMessage[]} messages - Messages to summarize
+   * @param {ContextSummary} [previous] - Summary of what came before, for continuity
    * @returns {Promise<string>} Generated summary
    * @private
    */
-  async _generateSummary(messages) {
-    await new Promise(resolve => setTimeout(resolve, 5000));
-
+  async _generateSummary(messages, previous = null) {
     // Format messages for the AI model
     const formattedMessages = [
       {
         role: 'system',
-        content: `You are a context summarizer. Your task is to summarize the following conversation in a concise way, highlighting key points, decisions, and information. Keep your summary under ${this.maxSummaryLength} characters.`
+        content: `You are a context summarizer. Your task is to summarize the following conversation in a concise way, highlighting key points, decisions, and information. Keep your summary under ${this.maxSummaryLength} characters.${previous ? `\n\nThe story before these messages, for reference only (don't repeat it):\n${previous.content}` : ''}`
       },
       ...messages.map(msg => msg.toModelFormat()),
       {
@@ -472,144 +935,639 @@ class ContextManager {
       }
     ];
 
-    try {
-      // Call Groq API
-      const response = await this.groq.chat.completions.create({
-        messages: formattedMessages,
-        model: config.api.groq.summaryModel,
-        temperature: 0.3, // Lower temperature for more consistent summaries
-        max_tokens: this.maxSummaryLength / 4, // Conservative estimate of tokens needed
-      });
+    // Call the model, behind replies users are waiting for
+    const response = await llmClient.createChatCompletion({
+      messages: formattedMessages,
+      model: config.api.groq.summaryModel,
+      temperature: 0.3, // Lower temperature for more consistent summaries
+      max_tokens: this.maxSummaryLength / 4, // Conservative estimate of tokens needed
+    }, { priority: 'background' });
 
-      // Extract and return the summary
-      return response.choices[0].message.content.trim();
-    } catch (error) {
-      console.error('Failed to generate summary with Groq API:', error);
-      // Fallback to a basic summary
-      return `Conversation with ${messages.length} messages over time period ${messages[0].timestamp.toISOString()} to ${messages[messages.length - 1].timestamp.toISOString()}.`;
+    // Extract and return the summary
+    return response.choices[0].message.content.trim();
+  }
+
+  /**
+   * Condense consecutive summaries into one arc summary
+   * @param {ContextSummary[]} summaries - Summaries to condense, in story order
+   * @returns {Promise<string>} Generated arc summary
+   * @private
+   */
+  async _generateArcSummary(summaries) {
+    const response = await llmClient.createChatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: `You are a context summarizer. The following are consecutive summaries of one conversation, oldest first. Condense them into a single summary of the whole arc: keep the events that still matter, how things changed, and open threads; drop passing detail. Keep your summary under ${this.maxSummaryLength} characters.`
+        },
+        {
+          role: 'user',
+          content: summaries.map((summary, index) => `Part ${index + 1}:\n${summary.content}`).join('\n\n')
+        }
+      ],
+      model: config.api.groq.summaryModel,
+      temperature: 0.3,
+      max_tokens: this.maxSummaryLength / 4,
+    }, { priority: 'background' });
+
+    return response.choices[0].message.content.trim();
+  }
+
+  /**
+   * Revise a summary to match an edited or deleted message it covers
+   * @param {ContextSummary} summary - Summary to revise
+   * @param {Object} change - The change: `before` and `after` content (null once deleted)
+   * @returns {Promise<string>} Revised summary
+   * @private
+   */
+  async _generateRevisedSummary(summary, change) {
+    const deleted = change.after === null;
+    const response = await llmClient.createChatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: `You are a context summarizer. A message covered by the following summary was ${deleted ? 'deleted' : 'edited'} after the summary was written. Rewrite the summary so it matches the conversation as it now stands: ${deleted ? 'leave out what only the deleted message said' : 'use the edited text in place of the original'}, and keep everything else. Keep your summary under ${this.maxSummaryLength} characters.`
+        },
+        {
+          role: 'user',
+          content: `Summary:\n${summary.content}\n\nOriginal message:\n${change.before}${deleted ? '' : `\n\nEdited message:\n${change.after}`}`
+        }
+      ],
+      model: config.api.groq.summaryModel,
+      temperature: 0.3,
+      max_tokens: this.maxSummaryLength / 4,
+    }, { priority: 'background' });
+
+    return response.choices[0].message.content.trim();
+  }
+
+  /**
+   * Get the messages of a conversation that no summary covers or is being written for
+   * @param {Object} conversation - Conversation data
+   * @returns {ContextMessage[]} Messages in context order
+   * @private
+   */
+  _getUnsummarizedMessages(conversation) {
+    const covered = new Set(conversation.summaries
+      .filter(summary => summary.level === 0)
+      .flatMap(summary => summary.replaces));
+
+    for (const task of this._getPendingTasks(conversation.id)) {
+      for (const message of task.messages || []) {
+        covered.add(message.id);
+      }
     }
+
+    return conversation.messages.filter(msg => !msg.metadata.isSummary && !msg.metadata.deleted && !covered.has(msg.id));
+  }
+
+  /**
+   * Get the summarization tasks of a conversation that are queued or running
+   * @param {string} conversationId - Conversation ID
+   * @returns {Object[]} Tasks
+   * @private
+   */
+  _getPendingTasks(conversationId) {
+    return [this.activeSummarization, ...this.summarizationQueue]
+      .filter(task => task && task.conversationId === conversationId);
   }
 
   /**
    * Check if we need to summarize the context
+   * @param {string} conversationId - Conversation ID
    * @returns {boolean} Whether summarization should be triggered
    * @private
    */
-  _shouldSummarize() {
-    // If we have more messages than the threshold, trigger summarization
-    return this.messages.length >= this.summarizationThreshold;
+  _shouldSummarize(conversationId) {
+    const conversation = this.conversations.get(conversationId);
+
+    // Once enough messages aren't covered by any summary, summarize them
+    return !!conversation && this._getUnsummarizedMessages(conversation).length >= this.summarizationThreshold;
   }
 
   /**
-   * Queue a summarization task
+   * Queue a summarization task for messages
+   * @param {string} conversationId - Conversation ID
+   * @param {ContextMessage[]} messages - Messages to summarize
    * @private
    */
-  _queueSummarization() {
-    // Add the current messages to the summarization queue
-    this.summarizationQueue.push([...this.messages]);
-    
+  _queueSummarization(conversationId, messages) {
+    this.summarizationQueue.push({
+      conversationId,
+      messages: [...messages]
+    });
+
     // If we're not already summarizing, start the process
     if (!this.isSummarizing) {
       this._processSummarizationQueue();
     }
   }
 
+  /**
+   * Queue the condensing of summaries into arc summaries where a level holds too many
+   * @param {string} conversationId - Conversation ID
+   * @private
+   */
+  _queueCondensing(conversationId) {
+    // With a single level, summaries of messages are never condensed
+    if (this.summaryLevels < 2) {
+      return;
+    }
+
+    const pending = new Set(this._getPendingTasks(conversationId)
+      .flatMap(task => (task.summaries || []).map(summary => summary.id)));
+    const active = this.getActiveSummaries(conversationId).filter(summary => !pending.has(summary.id));
+
+    for (let level = 0; level < this.summaryLevels; level++) {
+      const candidates = active.filter(summary => summary.level === level);
+      if (candidates.length > this.summaryFanIn) {
+        this.summarizationQueue.push({
+          conversationId,
+          summaries: candidates.slice(0, this.summaryFanIn),
+          level: Math.min(level + 1, this.summaryLevels - 1)
+        });
+      }
+    }
+
+    if (!this.isSummarizing) {
+      this._processSummarizationQueue();
+    }
+  }
+
   /**
    * Process the summarization queue
    * @private
    */
   async _processSummarizationQueue() {
-    // If there's nothing to summarize, return
-    if (this.summarizationQueue.length === 0) {
-      this.isSummarizing = false;
+    this.isSummarizing = true;
+    const revised = new Map(); // Map of conversationId to whether its rewrites so far succeeded
+
+    while (this.summarizationQueue.length > 0) {
+      const task = this.summarizationQueue.shift();
+      this.activeSummarization = task;
+
+      try {
+        if (task.change) {
+          revised.set(task.conversationId, revised.get(task.conversationId) ?? true);
+          await this._reviseSummary(task.conversationId, task.summaries[0], task.change, task.sources);
+        } else if (task.messages) {
+          await this._summarizeMessages(task.conversationId, task.messages);
+        } else {
+          await this._condenseSummaries(task.conversationId, task.summaries, task.level);
+        }
+      } catch (error) {
+        // What wasn't summarized stays uncovered and is picked up next time
+        console.error('Error processing summarization queue:', error);
+        if (task.change) {
+          revised.set(task.conversationId, false);
+        }
+      } finally {
+        this.activeSummarization = null;
+      }
+
+      // Arc summaries dropped for rewritten summaries are condensed again once the last rewrite
+      // of the conversation is done, unless one failed and left a summary out of date
+      const moreRewrites = this.summarizationQueue.some(queued => queued.change && queued.conversationId === task.conversationId);
+      if (task.change && !moreRewrites) {
+        if (revised.get(task.conversationId)) {
+          this._queueCondensing(task.conversationId);
+        }
+        revised.delete(task.conversationId);
+      }
+    }
+
+    this.isSummarizing = false;
+  }
+
+  /**
+   * Summarize messages into a level 0 summary
+   * @param {string} conversationId - Conversation ID
+   * @param {ContextMessage[]} messages - Messages to summarize
+   * @private
+   */
+  async _summarizeMessages(conversationId, messages) {
+    const previous = this.getActiveSummaries(conversationId).at(-1) || null;
+    const remaining = messages.filter(msg => !msg.metadata.deleted);
+    if (remaining.length === 0) {
       return;
     }
-    
-    this.isSummarizing = true;
-    
-    try {
-      // Get the next batch of messages to summarize
-      const messagesToSummarize = this.summarizationQueue.shift();
-      
-      // Generate a summary
-      const summaryContent = await this._generateSummary(messagesToSummarize);
-      
-      // Create a summary object
-      const summary = new ContextSummary({
-        content: summaryContent,
-        timestamp: new Date(),
-        replaces: messagesToSummarize.map(msg => msg.id)
+
+    const before = messages.map(msg => msg.content);
+    const content = await this._generateSummary(remaining, previous);
+
+    // A message edited or deleted meanwhile leaves them uncovered, to be summarized again
+    if (messages.some((msg, index) => msg.content !== before[index])) {
+      return;
+    }
+
+    const summary = new ContextSummary({
+      content,
+      timestamp: new Date(),
+      // The summary covers the story up to its last message
+      universeTime: messages[messages.length - 1].universeTime,
+      level: 0,
+      replaces: messages.map(msg => msg.id)
+    });
+
+    // Add the summary to the conversation it belongs to
+    const conversation = await this.getConversation(conversationId);
+    if (!conversation) {
+      return;
+    }
+
+    conversation.summaries.push(summary);
+    await this._insertSummary(conversationId, summary);
+    this.emit('summaryCreated', { conversationId, summary, messages });
+    console.log(`Generated summary ${summary.id} of ${messages.length} messages`);
+
+    this._queueCondensing(conversationId);
+  }
+
+  /**
+   * Condense summaries into an arc summary
+   * @param {string} conversationId - Conversation ID
+   * @param {ContextSummary[]} summaries - Summaries to condense, in story order
+   * @param {number} level - Level of the arc summary
+   * @private
+   */
+  async _condenseSummaries(conversationId, summaries, level) {
+    // Summaries dropped since the task was queued (after a message change) are condensed anew
+    const stored = this.conversations.get(conversationId)?.summaries || [];
+    if (summaries.some(part => !stored.includes(part))) {
+      return;
+    }
+
+    const content = await this._generateArcSummary(summaries);
+
+    const summary = new ContextSummary({
+      content,
+      timestamp: new Date(),
+      universeTime: summaries[summaries.length - 1].universeTime,
+      level,
+      replaces: summaries.map(part => part.id)
+    });
+
+    const conversation = await this.getConversation(conversationId);
+    if (!conversation) {
+      return;
+    }
+
+    conversation.summaries.push(summary);
+    await this._insertSummary(conversationId, summary);
+    this.emit('summaryCondensed', { conversationId, summary, summaries });
+    console.log(`Condensed ${summaries.length} summaries into level ${level} summary ${summary.id}`);
+
+    this._queueCondensing(conversationId);
+  }
+
+  /**
+   * Rewrite the summaries covering a message that was edited or deleted: written again from
+   * their messages if those are all still in context, otherwise revised with the change. Arc
+   * summaries built on them are dropped, and the summaries they condensed are condensed again.
+   * @param {Object} conversation - Conversation data
+   * @param {ContextMessage} message - Changed message
+   * @param {Object} change - The change: `before` and `after` content (null once deleted)
+   * @private
+   */
+  async _invalidateSummaries(conversation, message, change) {
+    this._clearSummaryCache(conversation.id);
+
+    const covering = conversation.summaries.filter(summary => summary.level === 0 && summary.replaces.includes(message.id));
+    if (covering.length === 0) {
+      return;
+    }
+
+    // Everything condensed from them, directly or through other arc summaries
+    const stale = new Set(covering.map(summary => summary.id));
+    const arcs = [];
+    for (const summary of conversation.summaries) {
+      if (summary.level > 0 && summary.replaces.some(id => stale.has(id))) {
+        stale.add(summary.id);
+        arcs.push(summary);
+      }
+    }
+
+    for (const summary of covering) {
+      const sources = summary.replaces.map(id => conversation.messages.find(msg => msg.id === id));
+      this.summarizationQueue.push({
+        conversationId: conversation.id,
+        summaries: [summary],
+        change,
+        sources: sources.every(Boolean) ? sources : null
       });
-      
-      // Add the summary to our list
-      this.summaries.push(summary);
-      
-      console.log(`Generated summary: ${summary.id}`);
-      
-      // Continue processing the queue
+    }
+
+    conversation.summaries = conversation.summaries.filter(summary => !arcs.includes(summary));
+    await this._deleteSummaries(arcs);
+    console.log(`Invalidated ${stale.size} summaries covering changed message ${message.id}`);
+
+    this._queueCondensing(conversation.id);
+
+    // Condensing may be off (a single summary level), and the rewrites must run regardless
+    if (!this.isSummarizing) {
       this._processSummarizationQueue();
-    } catch (error) {
-      console.error('Error processing summarization queue:', error);
-      this.isSummarizing = false;
     }
   }
 
   /**
-   * Enforce the maximum context size by removing old messages
+   * Rewrite a summary in place after a message it covers was edited or deleted
+   * @param {string} conversationId - Conversation ID
+   * @param {ContextSummary} summary - Summary to rewrite
+   * @param {Object} change - The change: `before` and `after` content (null once deleted)
+   * @param {ContextMessage[]|null} sources - The messages the summary covers, if all are still
+   *   in context; the summary is written again from them instead of being revised
    * @private
    */
-  _enforceContextSize() {
-    // If we're under the limit, nothing to do
-    if (this.messages.length <= this.maxContextMessages) {
+  async _reviseSummary(conversationId, summary, change, sources) {
+    const remaining = (sources || []).filter(msg => !msg.metadata.deleted);
+    const content = remaining.length > 0
+      ? await this._generateSummary(remaining)
+      : await this._generateRevisedSummary(summary, change);
+
+    const conversation = await this.getConversation(conversationId);
+    if (!conversation || !conversation.summaries.includes(summary)) {
       return;
     }
-    
-    // Calculate how many messages to remove
-    const excessMessages = this.messages.length - this.maxContextMessages;
-    
-    // If we have summaries, use them to replace older messages
-    if (this.summaries.length > 0) {
-      // Find summaries that replace messages still in our context
-      const applicableSummaries = this.summaries.filter(summary => {
-        return summary.replaces.some(id => 
-          this.messages.some(msg => msg.id === id)
-        );
-      });
-      
-      if (applicableSummaries.length > 0) {
-        // Sort summaries by timestamp (oldest first)
-        applicableSummaries.sort((a, b) => a.timestamp - b.timestamp);
-        
-        // Use the oldest applicable summary
-        const summaryToUse = applicableSummaries[0];
-        
-        // Get the IDs of messages to replace
-        const idsToReplace = summaryToUse.replaces;
-        
-        // Filter out the messages being replaced
-        this.messages = this.messages.filter(msg => !idsToReplace.includes(msg.id));
-        
-        // Add the summary as a system message
-        this.messages.unshift(summaryToUse.toContextMessage());
-        
-        console.log(`Replaced ${idsToReplace.length} messages with summary ${summaryToUse.id}`);
-        return;
+
+    summary.content = content;
+    await this._insertSummary(conversationId, summary);
+    this._clearSummaryCache(conversationId);
+    console.log(`Rewrote summary ${summary.id} after a message change`);
+  }
+
+  /**
+   * Enforce the maximum context size by removing old messages: the newest messages are kept
+   * while they fit in config.context.maxContextTokens (and config.context.maxContextMessages).
+   * System messages (other than summaries) are instructions and never removed. Summaries stand
+   * in for the removed messages in prompts; messages removed before any summary covers them are
+   * summarized first.
+   * @param {string} conversationId - Conversation ID
+   * @private
+   */
+  async _enforceContextSize(conversationId) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) {
+      return;
+    }
+
+    const isPinned = (msg) => msg.role === 'system' && !msg.metadata.isSummary;
+    const { messages } = conversation;
+
+    // Walk back from the newest message until a limit is reached; the newest is always kept
+    let tokens = messages.filter(isPinned).reduce((sum, msg) => sum + msg.getTokenCount(), 0);
+    let kept = 0;
+    let cutoff = -1;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      if (isPinned(messages[i])) {
+        continue;
+      }
+      tokens += messages[i].getTokenCount();
+      kept++;
+      if (kept > 1 && (tokens > this.maxContextTokens || kept > this.maxContextMessages)) {
+        cutoff = i;
+        break;
       }
     }
-    
-    // If we don't have applicable summaries, just remove the oldest messages
-    this.messages.splice(0, excessMessages);
-    console.log(`Removed ${excessMessages} oldest messages from context`);
+
+    const removed = messages.slice(0, cutoff + 1).filter(msg => !isPinned(msg));
+
+    // If we're under the limits, nothing to do
+    if (removed.length === 0) {
+      return;
+    }
+
+    const unsummarized = new Set(this._getUnsummarizedMessages(conversation).map(msg => msg.id));
+    const uncovered = removed.filter(msg => unsummarized.has(msg.id));
+    if (uncovered.length > 0) {
+      this._queueSummarization(conversationId, uncovered);
+    }
+
+    conversation.messages = messages.filter(msg => !removed.includes(msg));
+    await this._deleteMessages(removed);
+    console.log(`Removed ${removed.length} oldest messages from context (${uncovered.length} queued for summarization)`);
+  }
+
+  /**
+   * Write a conversation's row and tags to the database
+   * @param {Object} conversation - Conversation data
+   * @private
+   */
+  async _saveConversation(conversation) {
+    await this.db.transaction(async () => {
+      await this.db.run(`
+        INSERT INTO conversations (id, metadata, created_at, last_active_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          metadata = excluded.metadata,
+          last_active_at = excluded.last_active_at
+      `, [
+        conversation.id,
+        JSON.stringify(conversation.metadata),
+        conversation.createdAt.toISOString(),
+        conversation.lastActiveAt.toISOString()
+      ]);
+
+      await this.db.run(`DELETE FROM conversation_tags WHERE conversation_id = ?`, [conversation.id]);
+      for (const tag of conversation.tags) {
+        await this.db.run(`
+          INSERT INTO conversation_tags (conversation_id, tag)
+          VALUES (?, ?)
+        `, [conversation.id, tag]);
+      }
+    });
+  }
+
+  /**
+   * Load a conversation with its messages and summaries from the database
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object|null>} Conversation data or null if not found
+   * @private
+   */
+  async _loadConversation(conversationId) {
+    const row = await this.db.get(`
+      SELECT id, metadata, created_at, last_active_at
+      FROM conversations
+      WHERE id = ?
+    `, [conversationId]);
+
+    if (!row) {
+      return null;
+    }
+
+    // Get tags
+    const tagRows = await this.db.all(`SELECT tag FROM conversation_tags WHERE conversation_id = ?`, [conversationId]);
+
+    // Get messages in context order
+    const messageRows = await this.db.all(`
+      SELECT id, content, role, timestamp, universe_time, user_id, agent_id, metadata
+      FROM context_messages
+      WHERE conversation_id = ?
+      ORDER BY position ASC
+    `, [conversationId]);
+
+    // Get summaries
+    const summaryRows = await this.db.all(`
+      SELECT id, content, timestamp, universe_time, level, replaces, metadata
+      FROM context_summaries
+      WHERE conversation_id = ?
+      ORDER BY timestamp ASC
+    `, [conversationId]);
+
+    return {
+      id: row.id,
+      messages: messageRows.map(messageRow => ContextMessage.fromJSON({
+        id: messageRow.id,
+        content: messageRow.content,
+        role: messageRow.role,
+        timestamp: messageRow.timestamp,
+        universeTime: messageRow.universe_time,
+        userId: messageRow.user_id,
+        agentId: messageRow.agent_id,
+        metadata: JSON.parse(messageRow.metadata || '{}')
+      })),
+      summaries: summaryRows.map(summaryRow => ContextSummary.fromJSON({
+        id: summaryRow.id,
+        content: summaryRow.content,
+        timestamp: summaryRow.timestamp,
+        universeTime: summaryRow.universe_time,
+        level: summaryRow.level,
+        replaces: JSON.parse(summaryRow.replaces),
+        metadata: JSON.parse(summaryRow.metadata || '{}')
+      })),
+      tags: tagRows.map(tagRow => tagRow.tag),
+      metadata: JSON.parse(row.metadata || '{}'),
+      createdAt: new Date(row.created_at),
+      lastActiveAt: new Date(row.last_active_at)
+    };
+  }
+
+  /**
+   * Insert a single context message
+   * @param {string} conversationId - Conversation ID
+   * @param {ContextMessage} message - Message to insert
+   * @param {number} [position] - Position of the message within the context (defaults to after
+   *   the conversation's last stored message)
+   * @private
+   */
+  async _insertMessage(conversationId, message, position = null) {
+    await this.db.run(`
+      INSERT OR REPLACE INTO context_messages
+        (id, conversation_id, position, content, role, timestamp, universe_time, user_id, agent_id, metadata)
+      SELECT ?, ?, COALESCE(?, MAX(position) + 1, 0), ?, ?, ?, ?, ?, ?, ?
+      FROM context_messages
+      WHERE conversation_id = ?
+    `, [
+      message.id,
+      conversationId,
+      position,
+      message.content,
+      message.role,
+      message.timestamp.toISOString(),
+      message.universeTime ? message.universeTime.toISOString() : null,
+      message.userId,
+      message.agentId,
+      JSON.stringify(message.metadata),
+      conversationId
+    ]);
+  }
+
+  /**
+   * Store the content and metadata of a changed message
+   * @param {ContextMessage} message - Message to update
+   * @private
+   */
+  async _updateMessage(message) {
+    await this.db.run(`
+      UPDATE context_messages
+      SET content = ?, metadata = ?
+      WHERE id = ?
+    `, [message.content, JSON.stringify(message.metadata), message.id]);
+  }
+
+  /**
+   * Delete stored context messages
+   * @param {ContextMessage[]} messages - Messages to delete
+   * @private
+   */
+  async _deleteMessages(messages) {
+    await this.db.transaction(async () => {
+      for (const message of messages) {
+        await this.db.run(`DELETE FROM context_messages WHERE id = ?`, [message.id]);
+      }
+    });
+  }
+
+  /**
+   * Rewrite all stored messages of a conversation to match its in-memory context
+   * @param {Object} conversation - Conversation data
+   * @private
+   */
+  async _replaceMessages(conversation) {
+    await this.db.transaction(async () => {
+      await this.db.run(`DELETE FROM context_messages WHERE conversation_id = ?`, [conversation.id]);
+      for (const [position, message] of conversation.messages.entries()) {
+        await this._insertMessage(conversation.id, message, position);
+      }
+    });
+  }
+
+  /**
+   * Insert a context summary
+   * @param {string} conversationId - Conversation ID
+   * @param {ContextSummary} summary - Summary to insert
+   * @private
+   */
+  async _insertSummary(conversationId, summary) {
+    await this.db.run(`
+      INSERT OR REPLACE INTO context_summaries (id, conversation_id, content, timestamp, universe_time, level, replaces, metadata)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      summary.id,
+      conversationId,
+      summary.content,
+      summary.timestamp.toISOString(),
+      summary.universeTime ? summary.universeTime.toISOString() : null,
+      summary.level,
+      JSON.stringify(summary.replaces),
+      JSON.stringify(summary.metadata)
+    ]);
+  }
+
+  /**
+   * Delete context summaries
+   * @param {ContextSummary[]} summaries - Summaries to delete
+   * @private
+   */
+  async _deleteSummaries(summaries) {
+    await this.db.transaction(async () => {
+      for (const summary of summaries) {
+        await this.db.run(`DELETE FROM context_summaries WHERE id = ?`, [summary.id]);
+      }
+    });
   }
 
   /**
-   * Generate a cache key for the current context
+   * Generate a cache key for a conversation's context
+   * @param {Object} conversation - Conversation data
    * @returns {string} Cache key
    * @private
    */
-  _getCacheKey() {
+  _getCacheKey(conversation) {
     // Use the IDs of all messages to create a unique key
-    return this.messages.map(msg => msg.id).join('|');
+    return `${conversation.id}:${conversation.messages.map(msg => msg.id).join('|')}`;
+  }
+
+  /**
+   * Drop the cached summaries of a conversation, whose messages changed
+   * @param {string} conversationId - Conversation ID
+   * @private
+   */
+  _clearSummaryCache(conversationId) {
+    for (const key of this.summaryCache.keys()) {
+      if (key.startsWith(`${conversationId}:`)) {
+        this.summaryCache.delete(key);
+      }
+    }
   }
 
   /**
@@ -626,14 +1584,23 @@ class ContextManager {
   }
 
   /**
-   * Cleanup the cache when the context manager is destroyed
+   * Release in-memory state and close the database when the context manager is destroyed.
+   * Conversations stay in the database and are reloaded on next use.
    */
-  cleanup() {
+  async cleanup() {
     // Clear the cache
-    this._cleanupCache();
+    clearInterval(this.cacheCleanupInterval);
+    this.summaryCache.clear();
 
-    // Clear the context
-    this.clearContext();
+    // Drop in-memory conversations
+    this.conversations.clear();
+    this.loadingConversations.clear();
+    this.activeConversationId = null;
+
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+    }
 
     // Reset initialized flag
     this.initialized = false;
@@ -0,0 +1,487 @@
+import config from '../config.js';
+import memoryManager, { RELATIONSHIP_TYPES } from '../memory/memoryManager.js';
+import entityIndex from '../memory/entityIndex.js';
+import contextManager from './contextManager.js';
+import scenarioManager from '../scenario/scenarioManager.js';
+import placeManager from '../places/placeManager.js';
+import itemManager from '../items/itemManager.js';
+import llmClient from '../llm/llmClient.js';
+
+// Rough per-message overhead of chat formatting, in tokens
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimate the number of tokens in a text, as the configured provider counts them
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return llmClient.countTokens(text);
+}
+
+/**
+ * Estimate the tokens a model-format message takes up
+ * @param {Object} message - Message with role and content
+ * @returns {number} Estimated token count
+ */
+function estimateMessageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Class assembling the prompt sent to the model
+ */
+class PromptBuilder {
+  /**
+   * Create a prompt builder
+   */
+  constructor() {
+    this.tokenBudget = config.context.promptTokenBudget;
+    this.promptSummaryLevels = config.context.promptSummaryLevels;
+    this.maxMemories = config.context.promptMaxMemories;
+    this.memoryExpansionHops = config.memory.graph.expansionHops;
+    this.systemPrompt = config.context.systemPrompt;
+    this.lastPrompts = new Map(); // Map of conversationId to last assembled prompt
+  }
+
+  /**
+   * Get the token budget of a prompt: what the model's context leaves once its reply
+   * (config.api.groq.maxTokens) is reserved, capped at config.context.promptTokenBudget
+   * @param {string} [model] - Model the prompt is for (defaults to config.api.groq.model)
+   * @returns {number} Token budget
+   */
+  getTokenBudget(model = config.api.groq.model) {
+    const available = llmClient.getContextLength(model) - config.api.groq.maxTokens;
+    return this.tokenBudget > 0 ? Math.min(this.tokenBudget, available) : available;
+  }
+
+  /**
+   * Assemble the prompt for a conversation.
+   *
+   * The prompt is made of sections with a priority. While the prompt exceeds the token
+   * budget, items are dropped from the lowest-priority section that can be truncated:
+   * the least relevant memories, then the least relevant world-state entries, then the oldest
+   * history messages, then the items in the scene, then the summary, then the current location,
+   * then the scenario overview.
+   * The system prompt, system messages of the conversation and the current message are pinned
+   * and never dropped. History messages that don't fit (or already left the context) are
+   * stood in for by the summaries covering them.
+   *
+   * @param {Object} params - Build parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} [params.query] - Text used to retrieve memories (usually the user's message)
+   * @param {string} [params.systemPrompt] - Persona/system prompt (defaults to config.context.systemPrompt)
+   * @param {string} [params.agentId] - Agent the prompt is for; history is seen from its viewpoint
+   * @param {string} [params.model] - Model the prompt is for (defaults to config.api.groq.model)
+   * @param {number} [params.tokenBudget] - Token budget (defaults to getTokenBudget(model))
+   * @returns {Promise<Object>} Assembled prompt with `messages`, per-section `sections` stats,
+   *   `totalTokens`, `budget` and the model's `contextLength`
+   */
+  async build({
+    conversationId,
+    query = '',
+    systemPrompt = this.systemPrompt,
+    agentId = null,
+    model = config.api.groq.model,
+    tokenBudget = this.getTokenBudget(model)
+  }) {
+    const conversation = await contextManager.getConversation(conversationId);
+    const messages = contextManager.getFullContext(false, conversationId);
+    const world = await this._getWorldContext(conversationId, query);
+
+    // The newest message is the one being answered
+    const current = messages.length > 0 ? [this._toHistoryItem(messages[messages.length - 1], agentId)] : [];
+    const earlier = messages.slice(0, -1);
+    const isInstruction = (msg) => msg.role === 'system' && !msg.metadata.isSummary;
+
+    // The user being answered, even when other agents have spoken since
+    const speakerId = conversation ? [...conversation.messages].reverse().find(msg => msg.userId)?.userId : null;
+
+    // Summaries are only needed for messages the history doesn't show
+    const history = earlier.filter(msg => !isInstruction(msg)).map(msg => this._toHistoryItem(msg, agentId));
+    const historyIds = history.map(item => item.id);
+    const summaries = this._getSummaryItems(conversation);
+    const shown = new Set([...historyIds, ...current.map(item => item.id)]);
+    const offered = new Set();
+    const needed = summaries.filter(summary => [...summary.covers].some(id => !shown.has(id)));
+    needed.forEach(summary => offered.add(summary.id));
+
+    const summarySection = {
+      name: 'summary',
+      priority: 80,
+      // The oldest parts of the story are dropped first
+      items: needed,
+      dropFrom: 'start',
+      render: (items) => ({
+        role: 'system',
+        content: `Summary of the conversation so far:\n${items.map(item => item.level > 0 ? `Earlier: ${item.content}` : item.content).join('\n\n')}`
+      })
+    };
+    const memorySection = {
+      name: 'memories',
+      priority: 20,
+      // Least relevant memories are at the end, so they're dropped first
+      items: await this._getMemoryItems(conversationId, query),
+      dropFrom: 'end',
+      render: (items) => ({
+        role: 'system',
+        content: `Things you remember from earlier:\n${items.map(item => `- ${item.content}`).join('\n')}`
+      })
+    };
+    const historySection = {
+      name: 'history',
+      priority: 60,
+      items: history,
+      dropFrom: 'start',
+      toMessage: item => item.message
+    };
+
+    const sections = [
+      {
+        name: 'system',
+        priority: 100,
+        pinned: true,
+        items: systemPrompt ? [{ role: 'system', content: systemPrompt }] : []
+      },
+      {
+        name: 'instructions',
+        priority: 100,
+        pinned: true,
+        items: earlier.filter(isInstruction).map(msg => this._toHistoryItem(msg, agentId)),
+        toMessage: item => item.message
+      },
+      {
+        name: 'scenario',
+        priority: 90,
+        items: world ? [{ role: 'system', content: world.overview }] : []
+      },
+      {
+        name: 'location',
+        priority: 85,
+        items: await this._getLocationItems(conversationId)
+      },
+      summarySection,
+      {
+        name: 'items',
+        priority: 70,
+        items: await this._getInventoryItems(conversationId, speakerId, agentId)
+      },
+      {
+        name: 'entities',
+        priority: 25,
+        // Entities mentioned last are at the end, so they're dropped first
+        items: await this._getEntityItems(conversationId, query),
+        dropFrom: 'end',
+        render: (items) => ({
+          role: 'system',
+          content: `What you know about who and what is mentioned (stay consistent with it):\n${items.map(item => `- ${item.content}`).join('\n')}`
+        })
+      },
+      memorySection,
+      {
+        name: 'worldState',
+        priority: 30,
+        // Least relevant entries are at the end, so they're dropped first
+        items: world ? world.entries : [],
+        dropFrom: 'end',
+        render: (items) => ({
+          role: 'system',
+          content: `Current world state:\n${items.map(item => `- ${item.key}: ${item.value}`).join('\n')}`
+        })
+      },
+      historySection,
+      {
+        name: 'current',
+        priority: 100,
+        pinned: true,
+        items: current,
+        toMessage: item => item.message
+      }
+    ];
+
+    let totalTokens = this._fitToBudget(sections, tokenBudget);
+
+    // Bring in the summaries of history dropped to fit, and fit again, until nothing changes.
+    // Each summary is offered once, so one dropped again isn't brought back.
+    for (;;) {
+      const kept = new Set(historySection.items.map(item => item.id));
+      const evicted = historyIds.filter(id => !kept.has(id));
+      const added = summaries.filter(summary => !offered.has(summary.id) && evicted.some(id => summary.covers.has(id)));
+      if (added.length === 0) {
+        break;
+      }
+
+      added.forEach(summary => offered.add(summary.id));
+      summarySection.items = summaries.filter(summary => summarySection.items.includes(summary) || added.includes(summary));
+      totalTokens = this._fitToBudget(sections, tokenBudget);
+    }
+
+    // Only the memories that made it into the prompt count as recalled
+    try {
+      await memoryManager.reinforceMemories(memorySection.items.map(item => item.memory));
+    } catch (error) {
+      console.error('Failed to reinforce memories used in prompt:', error);
+    }
+
+    const prompt = {
+      conversationId,
+      builtAt: new Date(),
+      budget: tokenBudget,
+      contextLength: llmClient.getContextLength(model),
+      totalTokens,
+      sections: sections.map(section => ({
+        name: section.name,
+        priority: section.priority,
+        tokens: this._measureSection(section),
+        included: section.items.length,
+        dropped: section.dropped || 0
+      })),
+      messages: sections.flatMap(section => this._renderSection(section))
+    };
+
+    this.lastPrompts.set(conversationId, prompt);
+    if (config.system.debug) {
+      console.log(`Assembled prompt for ${conversationId}: ${totalTokens}/${tokenBudget} tokens`, prompt.sections);
+    }
+
+    return prompt;
+  }
+
+  /**
+   * Get the last prompt assembled for a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Object|null} Assembled prompt or null if none was built yet
+   */
+  getLastPrompt(conversationId) {
+    return this.lastPrompts.get(conversationId) || null;
+  }
+
+  /**
+   * Build the summary section items from the conversation's active summaries: arc summaries of
+   * the older story first, then the more detailed recent ones, limited to the
+   * config.context.promptSummaryLevels most detailed levels
+   * @param {Object|null} conversation - Conversation data
+   * @returns {Object[]} Summaries with `id`, `level`, `content` and the IDs of the messages
+   *   they cover (`covers`)
+   * @private
+   */
+  _getSummaryItems(conversation) {
+    if (!conversation) {
+      return [];
+    }
+
+    const byId = new Map(conversation.summaries.map(summary => [summary.id, summary]));
+    const getCovered = (summary) => summary.level === 0
+      ? summary.replaces
+      : summary.replaces.flatMap(id => byId.has(id) ? getCovered(byId.get(id)) : []);
+
+    // Skip summaries the context already carries in place of the messages they replaced
+    return contextManager.getActiveSummaries(conversation.id)
+      .filter(summary => summary.level < this.promptSummaryLevels)
+      .filter(summary => !conversation.messages.some(msg => msg.id === summary.id))
+      .map(summary => ({
+        id: summary.id,
+        level: summary.level,
+        content: summary.content,
+        covers: new Set(getCovered(summary))
+      }));
+  }
+
+  /**
+   * Turn a context message into a history item, with its token count
+   * @param {ContextMessage} message - Context message
+   * @param {string|null} agentId - Agent whose viewpoint to format the message from
+   * @returns {Object} Item with the message `id`, its model-format `message` and `tokens`
+   * @private
+   */
+  _toHistoryItem(message, agentId) {
+    const formatted = message.toModelFormat(agentId);
+    // Formatting may add a speaker prefix; the content's own count is cached on the message
+    const prefix = formatted.content.length - message.content.length;
+    return {
+      id: message.id,
+      message: formatted,
+      tokens: message.getTokenCount() + (prefix > 0 ? estimateTokens(formatted.content.slice(0, prefix)) : 0) + MESSAGE_OVERHEAD_TOKENS
+    };
+  }
+
+  /**
+   * Get the scenario overview and world-state entries for a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} query - Text world-state entries are ranked against
+   * @returns {Promise<Object|null>} World context or null if the conversation has no scenario
+   * @private
+   */
+  async _getWorldContext(conversationId, query) {
+    try {
+      return await scenarioManager.getPromptContext(conversationId, query);
+    } catch (error) {
+      // A prompt without the world state is better than no reply at all
+      console.error('Failed to build world context for prompt:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Build the location section items from the place the conversation's scene is set in
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object[]>} Location messages
+   * @private
+   */
+  async _getLocationItems(conversationId) {
+    try {
+      const location = await placeManager.getPromptContext(conversationId);
+      return location ? [{ role: 'system', content: location }] : [];
+    } catch (error) {
+      console.error('Failed to build location context for prompt:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Build the items section from what the speaker and the user carry and what lies around
+   * @param {string} conversationId - Conversation ID
+   * @param {string} [userId] - User whose message is being answered
+   * @param {string} [agentId] - Agent the prompt is for
+   * @returns {Promise<Object[]>} Item messages
+   * @private
+   */
+  async _getInventoryItems(conversationId, userId, agentId) {
+    try {
+      const inventory = await itemManager.getPromptContext({ conversationId, userId, agentId });
+      return inventory ? [{ role: 'system', content: inventory }] : [];
+    } catch (error) {
+      console.error('Failed to build item context for prompt:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Build the entity section items: profiles of the people, places and things the query mentions
+   * @param {string} conversationId - Conversation ID
+   * @param {string} query - Message being answered
+   * @returns {Promise<Object[]>} Entity items
+   * @private
+   */
+  async _getEntityItems(conversationId, query) {
+    try {
+      return query ? await entityIndex.getPromptContext(conversationId, query) : [];
+    } catch (error) {
+      console.error('Failed to describe entities for prompt:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Build the memory section items: pinned memories, then the most relevant ones, then
+   * memories linked to the relevant ones while there's room. They aren't counted as recalled
+   * yet, since some may not fit in the prompt.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} query - Retrieval query
+   * @returns {Promise<Object[]>} Memory items, each with its `memory`
+   * @private
+   */
+  async _getMemoryItems(conversationId, query) {
+    try {
+      // Pinned memories come first, so they're the last to be dropped
+      const pinned = await memoryManager.getRelevantMemories({
+        conversationId,
+        tags: ['pinned'],
+        maxCount: this.maxMemories,
+        recordAccess: false
+      });
+      const relevant = query
+        ? await memoryManager.getRelevantMemories({ query, conversationId, maxCount: this.maxMemories, recordAccess: false })
+        : [];
+
+      const pinnedIds = new Set(pinned.map(memory => memory.id));
+      const recalled = [...pinned, ...relevant.filter(memory => !pinnedIds.has(memory.id))].slice(0, this.maxMemories);
+
+      // Contradicted facts aren't followed; they'd only muddle the prompt
+      if (this.memoryExpansionHops > 0 && relevant.length > 0 && recalled.length < this.maxMemories) {
+        const recalledIds = new Set(recalled.map(memory => memory.id));
+        const linked = await memoryManager.expandNeighborhood(relevant.map(memory => memory.id), {
+          hops: this.memoryExpansionHops,
+          types: RELATIONSHIP_TYPES.filter(type => type !== 'contradicts'),
+          maxCount: this.maxMemories
+        });
+        recalled.push(...linked.filter(memory => !recalledIds.has(memory.id)).slice(0, this.maxMemories - recalled.length));
+      }
+
+      return recalled.map(memory => ({ id: memory.id, content: memory.content, score: memory.score, memory }));
+    } catch (error) {
+      // A prompt without memories is better than no reply at all
+      console.error('Failed to retrieve memories for prompt:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Drop items from truncatable sections until the prompt fits the budget
+   * @param {Object[]} sections - Prompt sections (modified in place)
+   * @param {number} budget - Token budget
+   * @returns {number} Total tokens after truncation
+   * @private
+   */
+  _fitToBudget(sections, budget) {
+    let total = sections.reduce((sum, section) => sum + this._measureSection(section), 0);
+
+    const truncatable = sections
+      .filter(section => !section.pinned)
+      .sort((a, b) => a.priority - b.priority);
+
+    for (const section of truncatable) {
+      while (total > budget && section.items.length > 0) {
+        const before = this._measureSection(section);
+        if (section.dropFrom === 'start') {
+          section.items.shift();
+        } else {
+          section.items.pop();
+        }
+        section.dropped = (section.dropped || 0) + 1;
+        total -= before - this._measureSection(section);
+      }
+    }
+
+    if (total > budget) {
+      console.warn(`Prompt exceeds token budget even after truncation: ${total}/${budget} tokens`);
+    }
+    return total;
+  }
+
+  /**
+   * Render a section to model-format messages
+   * @param {Object} section - Prompt section
+   * @returns {Object[]} Messages
+   * @private
+   */
+  _renderSection(section) {
+    if (section.items.length === 0) {
+      return [];
+    }
+    if (section.render) {
+      return [section.render(section.items)];
+    }
+    return section.toMessage ? section.items.map(section.toMessage) : section.items;
+  }
+
+  /**
+   * Measure the tokens a section takes up once rendered
+   * @param {Object} section - Prompt section
+   * @returns {number} Estimated token count
+   * @private
+   */
+  _measureSection(section) {
+    // Items that know their own token count (history messages) don't need measuring again
+    if (!section.render && section.items.every(item => item.tokens !== undefined)) {
+      return section.items.reduce((sum, item) => sum + item.tokens, 0);
+    }
+    return this._renderSection(section).reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+  }
+}
+
+// Create and export a singleton instance
+const promptBuilder = new PromptBuilder();
+export default promptBuilder;
+
+export { PromptBuilder, estimateTokens, estimateMessageTokens };
@@ -0,0 +1,197 @@
+import Database from 'sqlite3';
+import { AsyncLocalStorage } from 'async_hooks';
+import { dirname } from 'path';
+import { mkdir } from 'fs/promises';
+
+/**
+ * Promise-based wrapper around a sqlite3 connection
+ */
+class DatabaseConnection {
+  /**
+   * Create a database connection
+   * @param {string} path - Path to the SQLite database file
+   */
+  constructor(path) {
+    this.path = path;
+    this.db = null;
+    this.queue = Promise.resolve(); // Serializes statements and transactions on this connection
+    this.transactionContext = new AsyncLocalStorage(); // Open transaction of the current async call chain
+  }
+
+  /**
+   * Open the database and apply connection pragmas
+   * @returns {Promise<DatabaseConnection>} This connection
+   */
+  async open() {
+    // Create data directory if it doesn't exist
+    await mkdir(dirname(this.path), { recursive: true });
+
+    await new Promise((resolve, reject) => {
+      this.db = new Database.Database(this.path, (err) => err ? reject(err) : resolve());
+    });
+
+    await this.exec(`
+      PRAGMA journal_mode = WAL;
+      PRAGMA synchronous = NORMAL;
+      PRAGMA foreign_keys = ON;
+      PRAGMA busy_timeout = 5000;
+    `);
+
+    return this;
+  }
+
+  /**
+   * Run a statement that doesn't return rows
+   * @param {string} sql - SQL statement
+   * @param {Array} [params] - Bound parameters
+   * @returns {Promise<{lastID: number, changes: number}>} Statement result
+   */
+  run(sql, params = []) {
+    return this._schedule(() => new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (err) {
+        if (err) return reject(err);
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }));
+  }
+
+  /**
+   * Get the first row of a query
+   * @param {string} sql - SQL query
+   * @param {Array} [params] - Bound parameters
+   * @returns {Promise<Object|undefined>} First row, if any
+   */
+  get(sql, params = []) {
+    return this._schedule(() => new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    }));
+  }
+
+  /**
+   * Get all rows of a query
+   * @param {string} sql - SQL query
+   * @param {Array} [params] - Bound parameters
+   * @returns {Promise<Object[]>} Matching rows
+   */
+  all(sql, params = []) {
+    return this._schedule(() => new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    }));
+  }
+
+  /**
+   * Execute one or more statements without parameters
+   * @param {string} sql - SQL statements
+   * @returns {Promise<void>}
+   */
+  exec(sql) {
+    return this._schedule(() => new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => err ? reject(err) : resolve());
+    }));
+  }
+
+  /**
+   * Run a unit of work inside a transaction, rolling back if it throws. Statements issued
+   * elsewhere on this connection wait until the transaction is over instead of joining it, and
+   * a transaction started from within the work joins the open one.
+   * @param {Function} work - Async function performing the statements
+   * @returns {Promise<*>} Result of the work function
+   */
+  transaction(work) {
+    if (this.transactionContext.getStore()?.active) {
+      return work();
+    }
+
+    return this._enqueue(() => {
+      const transaction = { active: true };
+      return this.transactionContext.run(transaction, async () => {
+        try {
+          await this.exec('BEGIN IMMEDIATE TRANSACTION');
+          try {
+            const value = await work();
+            await this.exec('COMMIT');
+            return value;
+          } catch (error) {
+            try {
+              await this.exec('ROLLBACK');
+            } catch (rollbackError) {
+              console.error('Failed to roll back transaction:', rollbackError);
+            }
+            throw error;
+          }
+        } finally {
+          transaction.active = false;
+        }
+      });
+    });
+  }
+
+  /**
+   * Run a statement right away if it belongs to the open transaction, otherwise queue it
+   * @param {Function} task - Function issuing the statement
+   * @returns {Promise<*>} Result of the statement
+   * @private
+   */
+  _schedule(task) {
+    if (this.transactionContext.getStore()?.active) {
+      return task();
+    }
+    return this._enqueue(task);
+  }
+
+  /**
+   * Queue a task behind every statement and transaction already issued on this connection
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Result of the task
+   * @private
+   */
+  _enqueue(task) {
+    const result = this.queue.then(task);
+
+    // Keep the queue alive even if this task fails
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Add columns that are missing from an existing table, for databases created by older versions
+   * @param {string} table - Table name
+   * @param {Object<string, string>} columns - Map of column name to column type
+   * @returns {Promise<void>}
+   */
+  async addMissingColumns(table, columns) {
+    const existing = new Set((await this.all(`PRAGMA table_info(${table})`)).map(column => column.name));
+    for (const [name, type] of Object.entries(columns)) {
+      if (!existing.has(name)) {
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+      }
+    }
+  }
+
+  /**
+   * Close the database connection
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      if (!this.db) return resolve();
+      this.db.close((err) => {
+        if (err) return reject(err);
+        this.db = null;
+        resolve();
+      });
+    });
+  }
+}
+
+/**
+ * Open a database connection
+ * @param {string} path - Path to the SQLite database file
+ * @returns {Promise<DatabaseConnection>} Open connection
+ */
+async function openDatabase(path) {
+  const connection = new DatabaseConnection(path);
+  return connection.open();
+}
+
+export { DatabaseConnection, openDatabase };
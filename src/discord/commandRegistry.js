@@ -0,0 +1,273 @@
+import { SlashCommandBuilder, Collection } from 'discord.js';
+
+// Discord's limits for slash command data
+const MAX_DESCRIPTION_LENGTH = 100;
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+/**
+ * Split a text into command arguments the way prefix commands are split
+ * @param {string|null} text - Text to split
+ * @returns {string[]} Arguments
+ */
+function splitArgs(text) {
+  return text ? text.trim().split(/ +/).filter(Boolean) : [];
+}
+
+/**
+ * Shorten a description to what Discord accepts
+ * @param {string} text - Description
+ * @returns {string} Description of at most 100 characters
+ */
+function truncateDescription(text) {
+  return text.length > MAX_DESCRIPTION_LENGTH ? `${text.slice(0, MAX_DESCRIPTION_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Message-like wrapper around a slash command interaction, so command handlers written for
+ * messages (channel, author, guild, member, mentions, reply) work with slash commands too.
+ * The interaction is deferred when created; the first reply fills in the deferred reply and
+ * later replies are sent as follow-ups.
+ */
+class InteractionContext {
+  /**
+   * Create an interaction context
+   * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+   * @param {Object} options - Context options
+   * @param {boolean} options.ephemeral - Whether replies are only shown to the user
+   * @param {Collection} options.mentionedUsers - Users mentioned in the command's text options
+   */
+  constructor(interaction, { ephemeral, mentionedUsers }) {
+    this.interaction = interaction;
+    this.ephemeral = ephemeral;
+    this.channel = interaction.channel;
+    this.author = interaction.user;
+    this.guild = interaction.guild;
+    this.member = interaction.member;
+    this.mentions = { users: mentionedUsers };
+    this.answered = false;
+  }
+
+  /**
+   * Defer the interaction and resolve the users mentioned in its options
+   * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+   * @param {Object} options - Context options
+   * @param {boolean} [options.ephemeral=false] - Whether replies are only shown to the user
+   * @returns {Promise<InteractionContext>} Context
+   */
+  static async create(interaction, { ephemeral = false } = {}) {
+    // Handlers can take longer than the 3 seconds Discord waits for a first answer
+    await interaction.deferReply({ ephemeral });
+
+    const mentionedUsers = new Collection();
+    const text = interaction.options.data
+      .flatMap(option => option.options || [option])
+      .map(option => String(option.value ?? ''))
+      .join(' ');
+    for (const [, userId] of text.matchAll(/<@!?(\d+)>/g)) {
+      const user = await interaction.client.users.fetch(userId).catch(() => null);
+      if (user) {
+        mentionedUsers.set(user.id, user);
+      }
+    }
+
+    return new InteractionContext(interaction, { ephemeral, mentionedUsers });
+  }
+
+  /**
+   * Reply to the command
+   * @param {string|Object} content - Reply content or message options
+   * @returns {Promise<Message>} Sent message
+   */
+  async reply(content) {
+    const payload = typeof content === 'string' ? { content } : content;
+    if (!this.answered) {
+      this.answered = true;
+      return this.interaction.editReply(payload);
+    }
+    return this.interaction.followUp({ ...payload, ephemeral: this.ephemeral });
+  }
+
+  /**
+   * Remove the pending deferred reply if the handler never answered
+   */
+  async finish() {
+    if (!this.answered) {
+      await this.interaction.deleteReply().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Class holding the bot's commands, so prefix commands, slash commands and the help text
+ * all come from one definition per command.
+ *
+ * A command definition has:
+ * - `name` and `description`
+ * - `options`: positional arguments, each { name, description, required, choices, autocomplete },
+ *   where `autocomplete` is an async (query, interaction) => [{ name, value }] function
+ * - or `subcommands`: each { name, description, usage }, whose `usage` describes the free-text
+ *   arguments following the subcommand (prefix commands) or given as its `arguments` option
+ * - `ephemeral`: whether slash command replies are only shown to the user
+ * - `execute`: async (context, args) => void, where context is a Message or an
+ *   InteractionContext and args are the arguments as a prefix command would split them
+ */
+class CommandRegistry {
+  /**
+   * Create a command registry
+   */
+  constructor() {
+    this.commands = new Map(); // Map of command name to definition
+  }
+
+  /**
+   * Add a command
+   * @param {Object} definition - Command definition (see class description)
+   * @returns {CommandRegistry} This registry, for chaining
+   */
+  register(definition) {
+    if (!/^[a-z0-9_-]{1,32}$/.test(definition.name)) {
+      throw new Error(`Invalid command name: ${definition.name}`);
+    }
+    if (this.commands.has(definition.name)) {
+      throw new Error(`Command ${definition.name} is already registered`);
+    }
+    if (typeof definition.execute !== 'function') {
+      throw new Error(`Command ${definition.name} needs an execute function`);
+    }
+
+    this.commands.set(definition.name, {
+      options: [],
+      subcommands: null,
+      ephemeral: false,
+      ...definition
+    });
+    return this;
+  }
+
+  /**
+   * Get a command by name
+   * @param {string} name - Command name
+   * @returns {Object|null} Command definition or null if not found
+   */
+  get(name) {
+    return this.commands.get(name.toLowerCase()) || null;
+  }
+
+  /**
+   * List the commands in registration order
+   * @returns {Object[]} Command definitions
+   */
+  list() {
+    return [...this.commands.values()];
+  }
+
+  /**
+   * Get the arguments of a slash command, as a prefix command would have them
+   * @param {Object} command - Command definition
+   * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+   * @returns {string[]} Arguments
+   */
+  getInteractionArgs(command, interaction) {
+    if (command.subcommands) {
+      return [interaction.options.getSubcommand(), ...splitArgs(interaction.options.getString('arguments'))];
+    }
+    return command.options.flatMap(option => splitArgs(interaction.options.getString(option.name)));
+  }
+
+  /**
+   * Suggest values for the option being typed in a slash command
+   * @param {AutocompleteInteraction} interaction - Autocomplete interaction
+   * @returns {Promise<Object[]>} Choices as { name, value }
+   */
+  async autocomplete(interaction) {
+    const command = this.get(interaction.commandName);
+    const focused = interaction.options.getFocused(true);
+    const option = command?.options.find(candidate => candidate.name === focused.name);
+    if (!option?.autocomplete) {
+      return [];
+    }
+
+    const choices = await option.autocomplete(focused.value, interaction);
+    return choices.slice(0, MAX_AUTOCOMPLETE_CHOICES).map(choice => ({
+      name: truncateDescription(choice.name),
+      value: choice.value
+    }));
+  }
+
+  /**
+   * Build the slash command data to register with Discord
+   * @returns {Object[]} Slash command JSON
+   */
+  toSlashCommands() {
+    return this.list().map(command => {
+      const builder = new SlashCommandBuilder()
+        .setName(command.name)
+        .setDescription(truncateDescription(command.description));
+
+      if (command.subcommands) {
+        for (const subcommand of command.subcommands) {
+          builder.addSubcommand(sub => {
+            sub.setName(subcommand.name).setDescription(truncateDescription(subcommand.description));
+            if (subcommand.usage) {
+              sub.addStringOption(option => option
+                .setName('arguments')
+                .setDescription(truncateDescription(subcommand.usage))
+                .setRequired(subcommand.usage.startsWith('<')));
+            }
+            return sub;
+          });
+        }
+      } else {
+        for (const definition of command.options) {
+          builder.addStringOption(option => {
+            option
+              .setName(definition.name)
+              .setDescription(truncateDescription(definition.description))
+              .setRequired(Boolean(definition.required));
+            if (definition.choices) {
+              option.addChoices(...definition.choices.map(choice => ({ name: choice, value: choice })));
+            }
+            if (definition.autocomplete) {
+              option.setAutocomplete(true);
+            }
+            return option;
+          });
+        }
+      }
+
+      return builder.toJSON();
+    });
+  }
+
+  /**
+   * Describe how to call a command
+   * @param {Object} command - Command definition
+   * @param {string} prefix - Command prefix
+   * @returns {string[]} Help lines, one per subcommand for command families
+   */
+  getUsage(command, prefix) {
+    if (command.subcommands) {
+      return command.subcommands.map(subcommand =>
+        `\`${prefix}${command.name} ${subcommand.name}${subcommand.usage ? ` ${subcommand.usage}` : ''}\` - ${subcommand.description}`);
+    }
+
+    const options = command.options.map(option => {
+      const placeholder = option.choices ? option.choices.join('|') : option.name;
+      return option.required ? ` <${placeholder}>` : ` [${placeholder}]`;
+    }).join('');
+    return [`\`${prefix}${command.name}${options}\` - ${command.description}`];
+  }
+
+  /**
+   * Describe every command in one line each
+   * @param {string} prefix - Command prefix
+   * @returns {string[]} Help lines
+   */
+  getOverview(prefix) {
+    return this.list().map(command => command.subcommands
+      ? `\`${prefix}${command.name} <${command.subcommands.map(subcommand => subcommand.name).join('|')}>\` - ${command.description}`
+      : this.getUsage(command, prefix)[0]);
+  }
+}
+
+export { CommandRegistry, InteractionContext, splitArgs };
@@ -1,9 +1,37 @@
-import { Client, GatewayIntentBits, Partials } from 'discord.js';
-import { Groq } from 'groq-sdk';
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  Client,
+  GatewayIntentBits,
+  Partials,
+  PermissionFlagsBits,
+  PermissionsBitField,
+  REST,
+  Routes
+} from 'discord.js';
 import { v4 as uuidv4 } from 'uuid';
 import config from '../config.js';
 import memoryManager from '../memory/memoryManager.js';
-import contextManager, { ContextMessage } from '../context/contextManager.js';
+import memoryExtractor from '../memory/memoryExtractor.js';
+import memoryConsolidator from '../memory/memoryConsolidator.js';
+import entityIndex, { ENTITY_TYPES } from '../memory/entityIndex.js';
+import contextManager from '../context/contextManager.js';
+import promptBuilder from '../context/promptBuilder.js';
+import agentManager from '../agents/agentManager.js';
+import sceneOrchestrator from '../agents/sceneOrchestrator.js';
+import scenarioManager from '../scenario/scenarioManager.js';
+import placeManager from '../places/placeManager.js';
+import itemManager from '../items/itemManager.js';
+import timeManager from '../time/timeManager.js';
+import llmClient from '../llm/llmClient.js';
+import { CommandRegistry, InteractionContext } from './commandRegistry.js';
+import { MessageStream } from './messageStream.js';
+import { splitMessage, needsAttachment, buildAttachmentMessage } from './messageSplitter.js';
+import { RateLimiter } from './rateLimiter.js';
+
+// Memories shown per page of the memory list
+const MEMORY_PAGE_SIZE = 10;
 
 /**
  * Class managing the Discord interface
@@ -11,12 +39,14 @@ import contextManager, { ContextMessage } from '../context/contextManager.js';
 class DiscordInterface {
   constructor() {
     this.client = null;
-    this.groq = new Groq({ apiKey: config.api.groq.apiKey });
     this.messageQueue = [];
     this.processingQueue = false;
     this.activeCollectors = new Map(); // Map of channelId to collector
-    this.cooldowns = new Map(); // For rate limiting
+    this.cooldowns = new Map(); // Map of `${userId}:${type}` to when the user's cooldown notice expires
+    this.rateLimiter = new RateLimiter();
     this.channelConversations = new Map(); // Map of channelId to conversationId
+    this.webhooks = new Map(); // Map of channelId to the webhook agents speak through
+    this.commands = this._createCommandRegistry();
     this.initialized = false;
   }
 
@@ -57,34 +87,85 @@ class DiscordInterface {
    * @private
    */
   _setupEventHandlers() {
-    this.client.on('ready', () => {
+    this.client.on('ready', async () => {
       console.log(`Discord bot is ready! Logged in as ${this.client.user.tag}`);
+      await this._registerSlashCommands();
+    });
+
+    this.client.on('interactionCreate', async (interaction) => {
+      try {
+        if (interaction.isAutocomplete()) {
+          await interaction.respond(await this.commands.autocomplete(interaction));
+          return;
+        }
+
+        if (interaction.isChatInputCommand()) {
+          await this._handleSlashCommand(interaction);
+        } else if (interaction.isButton()) {
+          await this._handleButton(interaction);
+        }
+      } catch (error) {
+        console.error('Error handling interaction:', error);
+      }
     });
 
     this.client.on('messageCreate', async (message) => {
       try {
         if (message.author.bot) return;
 
+        let handler = null;
+        let type = 'ai';
         if (message.content.startsWith(config.discord.prefix)) {
-          await this._handleCommand(message);
-          return;
+          handler = () => this._handleCommand(message);
+          type = 'command';
+        } else if (this.activeCollectors.has(message.channelId)) {
+          handler = () => this._handleCollectedMessage(message);
+        } else if (message.mentions.has(this.client.user)) {
+          handler = () => this._handleMention(message);
         }
 
-        if (this.activeCollectors.has(message.channelId)) {
-          await this._handleCollectedMessage(message);
-          return;
-        }
+        if (!handler) return;
 
-        if (message.mentions.has(this.client.user)) {
-          await this._handleMention(message);
+        const limit = this._checkRateLimit(message, type);
+        if (!limit.allowed) {
+          await this._sendCooldownNotice(message, type, limit);
           return;
         }
+
+        await this.rateLimiter.runLimited(handler);
       } catch (error) {
         console.error('Error handling message:', error);
         await this._safeReply(message, 'Sorry, I encountered an error processing your message.');
       }
     });
 
+    // Keep the context in step with what users change after the fact
+    this.client.on('messageUpdate', async (oldMessage, newMessage) => {
+      try {
+        await this._handleMessageEdit(oldMessage, newMessage);
+      } catch (error) {
+        console.error('Error handling message edit:', error);
+      }
+    });
+
+    this.client.on('messageDelete', async (message) => {
+      try {
+        await this._handleMessageDelete(message);
+      } catch (error) {
+        console.error('Error handling message deletion:', error);
+      }
+    });
+
+    this.client.on('messageDeleteBulk', async (messages) => {
+      for (const message of messages.values()) {
+        try {
+          await this._handleMessageDelete(message);
+        } catch (error) {
+          console.error('Error handling message deletion:', error);
+        }
+      }
+    });
+
     this.client.on('error', (error) => {
       console.error('Discord client error:', error);
     });
@@ -97,53 +178,408 @@ class DiscordInterface {
    */
   async _handleCommand(message) {
     const args = message.content.slice(config.discord.prefix.length).trim().split(/ +/);
-    const command = args.shift().toLowerCase();
+    const name = args.shift().toLowerCase();
+    const command = this.commands.get(name);
 
-    switch (command) {
-      case 'help':
-        await this._showHelp(message);
-        break;
+    if (!command) {
+      await this._safeReply(message, `Unknown command: ${name}. Type \`${config.discord.prefix}help\` for a list of commands.`);
+      return;
+    }
 
-      case 'new':
-        await this._createNewConversation(message, args);
-        break;
+    await command.execute(message, args);
+  }
 
-      case 'switch':
-        await this._switchConversation(message, args);
-        break;
+  /**
+   * Handle a slash command, running the same command definition as the prefix command
+   * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+   * @private
+   */
+  async _handleSlashCommand(interaction) {
+    const command = this.commands.get(interaction.commandName);
+    if (!command) {
+      await interaction.reply({ content: `Unknown command: ${interaction.commandName}.`, ephemeral: true });
+      return;
+    }
 
-      case 'list':
-        await this._listConversations(message, args);
-        break;
+    const limit = this._checkRateLimit(interaction, 'command');
+    if (!limit.allowed) {
+      await interaction.reply({ content: this._describeCooldown(limit), ephemeral: true });
+      return;
+    }
 
-      case 'tag':
-        await this._tagConversation(message, args);
-        break;
+    const context = await InteractionContext.create(interaction, { ephemeral: command.ephemeral });
+    try {
+      await this.rateLimiter.runLimited(() =>
+        command.execute(context, this.commands.getInteractionArgs(command, interaction)));
+    } catch (error) {
+      console.error(`Error running slash command ${command.name}:`, error);
+      await this._safeReply(context, 'Sorry, I encountered an error processing your command.');
+    } finally {
+      await context.finish();
+    }
+  }
 
-      case 'status':
-        await this._showConversationStatus(message);
-        break;
 
+  /**
+   * Handle a button press on one of the bot's messages
+   * @param {ButtonInteraction} interaction - Button interaction
+   * @private
+   */
+  async _handleButton(interaction) {
+    const [family, action, value] = interaction.customId.split(':');
+    if (family !== 'memory' || action !== 'page') {
+      return;
+    }
+
+    const limit = this._checkRateLimit(interaction, 'command');
+    if (!limit.allowed) {
+      await interaction.reply({ content: this._describeCooldown(limit), ephemeral: true });
+      return;
+    }
+
+    const conversationId = await this._getConversationId(interaction.channelId);
+    await interaction.update(await this._renderMemoryPage(conversationId, Number(value)));
+  }
+  /**
+   * Count a request against the rate limits of its user, channel and guild
+   * @param {Message|ChatInputCommandInteraction} source - Message or interaction making the request
+   * @param {string} type - Request type ('ai' or 'command')
+   * @returns {Object} Result with `allowed`, and when not allowed the limited `scope` and `retryAfter` in ms
+   * @private
+   */
+  _checkRateLimit(source, type) {
+    if (this._bypassesRateLimits(source.member)) {
+      return { allowed: true };
+    }
+
+    return this.rateLimiter.consume({
+      type,
+      userId: (source.author || source.user).id,
+      channelId: source.channelId,
+      guildId: source.guildId
+    });
+  }
+
+  /**
+   * Check whether a guild member has the role that bypasses rate limits (RATE_LIMIT_ADMIN_ROLE)
+   * @param {GuildMember|Object|null} member - Guild member (null in DMs)
+   * @returns {boolean} Whether the member bypasses rate limits
+   * @private
+   */
+  _bypassesRateLimits(member) {
+    const adminRole = config.rateLimits.adminRole;
+    if (!adminRole || !member) {
+      return false;
+    }
+
+    // Members of guilds the bot hasn't cached only come with a list of role IDs
+    if (Array.isArray(member.roles)) {
+      return member.roles.includes(adminRole);
+    }
+    return member.roles.cache.some(role => role.id === adminRole || role.name === adminRole);
+  }
+
+  /**
+   * Tell a user they're rate limited, once per cooldown so repeated messages don't get a
+   * notice each
+   * @param {Message} message - Discord message that was limited
+   * @param {string} type - Request type ('ai' or 'command')
+   * @param {Object} limit - Result of the rate limit check
+   * @private
+   */
+  async _sendCooldownNotice(message, type, limit) {
+    const key = `${message.author.id}:${type}`;
+    const now = Date.now();
+    if ((this.cooldowns.get(key) || 0) > now) {
+      return;
+    }
+
+    for (const [otherKey, expiresAt] of this.cooldowns.entries()) {
+      if (expiresAt <= now) {
+        this.cooldowns.delete(otherKey);
+      }
+    }
+    this.cooldowns.set(key, now + limit.retryAfter);
+
+    await this._safeReply(message, this._describeCooldown(limit));
+  }
+
+  /**
+   * Describe a rate limit in a friendly way
+   * @param {Object} limit - Result of the rate limit check
+   * @returns {string} Cooldown message
+   * @private
+   */
+  _describeCooldown(limit) {
+    const seconds = Math.max(1, Math.ceil(limit.retryAfter / 1000));
+    const wait = seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)} min`;
+
+    switch (limit.scope) {
+      case 'channel':
+        return `⏳ This channel is keeping me busy right now. Please try again in ${wait}.`;
+      case 'guild':
+        return `⏳ This server is keeping me busy right now. Please try again in ${wait}.`;
       default:
-        await this._safeReply(message, `Unknown command: ${command}. Type \`${config.discord.prefix}help\` for a list of commands.`);
+        return `⏳ You're going a little fast! Please try again in ${wait}.`;
+    }
+  }
+
+  /**
+   * Register the slash commands with Discord, for one guild if DISCORD_GUILD_ID is set (which
+   * takes effect immediately) or globally otherwise
+   * @private
+   */
+  async _registerSlashCommands() {
+    if (!config.discord.clientId) {
+      console.warn('DISCORD_CLIENT_ID is not set; slash commands are not registered');
+      return;
+    }
+
+    try {
+      const rest = new REST({ version: '10' }).setToken(config.discord.token);
+      const route = config.discord.guildId
+        ? Routes.applicationGuildCommands(config.discord.clientId, config.discord.guildId)
+        : Routes.applicationCommands(config.discord.clientId);
+      const body = this.commands.toSlashCommands();
+
+      await rest.put(route, { body });
+      console.log(`Registered ${body.length} slash commands${config.discord.guildId ? ` in guild ${config.discord.guildId}` : ''}`);
+    } catch (error) {
+      console.error('Failed to register slash commands:', error);
     }
   }
 
+  /**
+   * Define the bot's commands. Each one is available as a prefix command and a slash command.
+   * @returns {CommandRegistry} Command registry
+   * @private
+   */
+  _createCommandRegistry() {
+    const tagOption = (name, description, required = false) => ({
+      name,
+      description,
+      required,
+      autocomplete: (query) => this._suggestTags(query)
+    });
+
+    return new CommandRegistry()
+      .register({
+        name: 'help',
+        description: 'Show the commands, or the details of one command',
+        options: [{
+          name: 'command',
+          description: 'Command to explain',
+          autocomplete: async (query) => this.commands.list()
+            .filter(command => command.name.startsWith(query.toLowerCase()))
+            .map(command => ({ name: command.name, value: command.name }))
+        }],
+        ephemeral: true,
+        execute: (message, args) => this._showHelp(message, args)
+      })
+      .register({
+        name: 'new',
+        description: 'Create a new conversation with optional tags',
+        options: [tagOption('tags', 'Tags, separated by spaces')],
+        execute: (message, args) => this._createNewConversation(message, args)
+      })
+      .register({
+        name: 'switch',
+        description: 'Switch to an existing conversation',
+        options: [{
+          name: 'conversation',
+          description: 'Conversation ID',
+          required: true,
+          autocomplete: (query) => this._suggestConversations(query)
+        }],
+        execute: (message, args) => this._switchConversation(message, args)
+      })
+      .register({
+        name: 'list',
+        description: 'List conversations (optionally filtered by tag)',
+        options: [tagOption('tag', 'Only list conversations with this tag')],
+        ephemeral: true,
+        execute: (message, args) => this._listConversations(message, args)
+      })
+      .register({
+        name: 'tag',
+        description: 'Add or remove tags from current conversation',
+        options: [
+          { name: 'action', description: 'Add or remove', required: true, choices: ['add', 'remove'] },
+          tagOption('tags', 'Tags, separated by spaces', true)
+        ],
+        execute: (message, args) => this._tagConversation(message, args)
+      })
+      .register({
+        name: 'status',
+        description: 'Show current conversation status',
+        ephemeral: true,
+        execute: (message) => this._showConversationStatus(message)
+      })
+      .register({
+        name: 'prompt',
+        description: 'Show how the last prompt was assembled',
+        ephemeral: true,
+        execute: (message) => this._showLastPrompt(message)
+      })
+      .register({
+        name: 'agent',
+        description: 'Create, change and assign agents',
+        subcommands: [
+          { name: 'list', description: 'List agents' },
+          { name: 'create', description: 'Create an agent', usage: '<name> | <persona> [| <traits> [| <style>]]' },
+          { name: 'set', description: 'Update an agent', usage: '<name> <prompt|traits|style|avatar> <value>' },
+          { name: 'assign', description: 'Add an agent to this channel\'s scene', usage: '<name>' },
+          { name: 'unassign', description: 'Remove agents from this channel\'s scene (all if no name)', usage: '[name]' },
+          { name: 'info', description: 'Show an agent', usage: '[name]' },
+          { name: 'delete', description: 'Delete an agent', usage: '<name>' }
+        ],
+        execute: (message, args) => this._handleAgentCommand(message, args)
+      })
+      .register({
+        name: 'scenario',
+        description: 'Play scenarios and change their world state',
+        subcommands: [
+          { name: 'list', description: 'List scenarios' },
+          { name: 'reload', description: 'Reload scenario files' },
+          { name: 'start', description: 'Play a scenario in this channel and bring in its agents', usage: '<id>' },
+          { name: 'info', description: 'Show the scenario' },
+          { name: 'state', description: 'Show the world state' },
+          { name: 'history', description: 'Show the changes to the world state' },
+          { name: 'set', description: 'Change the world state', usage: '<key> <value>' },
+          { name: 'unset', description: 'Remove a world state entry', usage: '<key>' },
+          { name: 'thread', description: 'Update a plot thread', usage: '<id> <active|dormant|resolved> [description]' }
+        ],
+        execute: (message, args) => this._handleScenarioCommand(message, args)
+      })
+      .register({
+        name: 'place',
+        description: 'Create, connect and move between places',
+        subcommands: [
+          { name: 'list', description: 'List places', usage: '[parent]' },
+          { name: 'info', description: 'Describe a place (default: the current scene)', usage: '[name]' },
+          { name: 'create', description: 'Create a place', usage: '<name> | <description> [| <parent> [| <x,y>]]' },
+          { name: 'delete', description: 'Delete a place', usage: '<name>' },
+          { name: 'connect', description: 'Connect two places', usage: '<a> | <b> [| <type> [| <cost>]]' },
+          { name: 'path', description: 'Find the cheapest route between two places', usage: '<a> | <b>' },
+          { name: 'go', description: 'Move the scene, you and this channel\'s agents to a place', usage: '<name>' }
+        ],
+        execute: (message, args) => this._handlePlaceCommand(message, args)
+      })
+      .register({
+        name: 'item',
+        description: 'Define, move and use items',
+        subcommands: [
+          { name: 'list', description: 'Show what you carry and what lies here' },
+          { name: 'blueprints', description: 'List item blueprints' },
+          { name: 'blueprint', description: 'Define an item blueprint', usage: '<name> | <description> [| <durability>]' },
+          { name: 'create', description: 'Make an item from a blueprint', usage: '<blueprint> [| here | <agent>]' },
+          { name: 'give', description: 'Give an item you carry away', usage: '<item> | <agent or @user>' },
+          { name: 'drop', description: 'Put down an item at the scene\'s place', usage: '<item>' },
+          { name: 'take', description: 'Pick up an item lying here', usage: '<item>' },
+          { name: 'use', description: 'Use an item', usage: '<item> [| <use>]' },
+          { name: 'info', description: 'Show an item', usage: '<item>' },
+          { name: 'history', description: 'Show who held an item', usage: '<item>' }
+        ],
+        execute: (message, args) => this._handleItemCommand(message, args)
+      })
+      .register({
+        name: 'memory',
+        description: 'See and correct what is remembered in this channel',
+        subcommands: [
+          { name: 'list', description: 'List memories, newest first', usage: '[page]' },
+          { name: 'search', description: 'Search memories', usage: '<query>' },
+          { name: 'show', description: 'Show a memory', usage: '<id>' },
+          { name: 'pin', description: 'Keep a memory in mind in every reply', usage: '<id>' },
+          { name: 'unpin', description: 'Stop keeping a memory in mind in every reply', usage: '<id>' },
+          { name: 'edit', description: 'Correct a memory', usage: '<id> <content>' },
+          { name: 'forget', description: 'Delete a memory', usage: '<id>' },
+          { name: 'tag', description: 'Add or remove tags of a memory', usage: '<id> <add|remove> <tags>' },
+          { name: 'consolidate', description: 'Merge near-duplicate memories (moderators)', usage: '[preview]' },
+          { name: 'contradictions', description: 'List memories that contradict earlier ones' }
+        ],
+        execute: (message, args) => this._handleMemoryCommand(message, args)
+      })
+      .register({
+        name: 'entity',
+        description: 'See who and what is remembered in this channel',
+        subcommands: [
+          { name: 'list', description: 'List entities', usage: `[${ENTITY_TYPES.join('|')}]` },
+          { name: 'show', description: 'Show what is known about an entity', usage: '<name>' },
+          { name: 'add', description: 'Add an entity', usage: '<type> | <name> [| <aliases> [| <description>]]' },
+          { name: 'alias', description: 'Give an entity other names', usage: '<name> | <aliases>' },
+          { name: 'unalias', description: 'Remove other names of an entity', usage: '<name> | <aliases>' },
+          { name: 'forget', description: 'Delete an entity, keeping its memories (moderators)', usage: '<name>' }
+        ],
+        execute: (message, args) => this._handleEntityCommand(message, args)
+      });
+  }
+
+  /**
+   * Suggest conversations for slash command autocomplete
+   * @param {string} query - Text typed so far
+   * @returns {Promise<Object[]>} Choices as { name, value }
+   * @private
+   */
+  async _suggestConversations(query) {
+    const conversations = await contextManager.searchConversations(query);
+    return conversations.map(conversation => ({
+      name: `${conversation.id}${conversation.tags.length > 0 ? ` (${conversation.tags.join(', ')})` : ''}`,
+      value: conversation.id
+    }));
+  }
+
+  /**
+   * Suggest tags for slash command autocomplete, completing the last of several typed tags
+   * @param {string} query - Text typed so far
+   * @returns {Promise<Object[]>} Choices as { name, value }
+   * @private
+   */
+  async _suggestTags(query) {
+    const words = query.split(/ +/);
+    const partial = words.pop();
+    const typed = words.join(' ');
+    const tags = await contextManager.listTags(partial);
+    return tags
+      .filter(({ tag }) => !words.includes(tag))
+      .map(({ tag, count }) => ({
+        name: `${typed ? `${typed} ` : ''}${tag} (${count})`,
+        value: `${typed ? `${typed} ` : ''}${tag}`
+      }));
+  }
+
   /**
    * Get or create conversation ID for a channel
    * @param {string} channelId - Discord channel ID
-   * @returns {string} Conversation ID
+   * @returns {Promise<string>} Conversation ID
    * @private
    */
-  _getConversationId(channelId) {
+  async _getConversationId(channelId) {
     if (!this.channelConversations.has(channelId)) {
-      const conversationId = `discord-${channelId}-${Date.now()}`;
-      this.channelConversations.set(channelId, conversationId);
-      contextManager.createOrSwitchConversation(conversationId, ['discord', 'auto-created']);
+      // Restore the binding from a previous run, if there is one
+      let conversationId = await contextManager.getChannelConversation(channelId);
+
+      if (conversationId && await contextManager.getConversation(conversationId)) {
+        this.channelConversations.set(channelId, conversationId);
+      } else {
+        conversationId = `discord-${channelId}-${Date.now()}`;
+        await contextManager.createOrSwitchConversation(conversationId, ['discord', 'auto-created']);
+        await this._bindChannel(channelId, conversationId);
+      }
     }
     return this.channelConversations.get(channelId);
   }
 
+  /**
+   * Bind a channel to a conversation and persist the binding
+   * @param {string} channelId - Discord channel ID
+   * @param {string} conversationId - Conversation ID
+   * @private
+   */
+  async _bindChannel(channelId, conversationId) {
+    this.channelConversations.set(channelId, conversationId);
+    await contextManager.bindChannel(channelId, conversationId);
+  }
+
   /**
    * Create a new conversation
    * @param {Message} message - Discord message
@@ -155,14 +591,14 @@ class DiscordInterface {
       const tags = args.length > 0 ? ['discord', ...args] : ['discord'];
       const conversationId = `discord-${message.channel.id}-${uuidv4()}`;
 
-      contextManager.createOrSwitchConversation(conversationId, tags, {
+      await contextManager.createOrSwitchConversation(conversationId, tags, {
         channelId: message.channel.id,
         channelName: message.channel.name,
         guildId: message.guild?.id,
         createdBy: message.author.id
       });
 
-      this.channelConversations.set(message.channel.id, conversationId);
+      await this._bindChannel(message.channel.id, conversationId);
 
       await this._safeReply(message, `✅ Created new conversation: \`${conversationId}\`\nTags: ${tags.join(', ')}`);
     } catch (error) {
@@ -185,15 +621,15 @@ class DiscordInterface {
       }
 
       const conversationId = args[0];
-      const conversation = contextManager.getConversation(conversationId);
+      const conversation = await contextManager.getConversation(conversationId);
 
       if (!conversation) {
         await this._safeReply(message, `Conversation \`${conversationId}\` not found.`);
         return;
       }
 
-      contextManager.createOrSwitchConversation(conversationId);
-      this.channelConversations.set(message.channel.id, conversationId);
+      await contextManager.createOrSwitchConversation(conversationId);
+      await this._bindChannel(message.channel.id, conversationId);
 
       await this._safeReply(message, `✅ Switched to conversation: \`${conversationId}\`\nTags: ${conversation.tags.join(', ')}\nMessages: ${conversation.messages.length}`);
     } catch (error) {
@@ -211,7 +647,7 @@ class DiscordInterface {
   async _listConversations(message, args) {
     try {
       const tagFilter = args.length > 0 ? [args[0]] : [];
-      const conversations = contextManager.listConversations(tagFilter, 10);
+      const conversations = await contextManager.listConversations(tagFilter, 10);
 
       if (conversations.length === 0) {
         await this._safeReply(message, 'No conversations found.');
@@ -248,13 +684,13 @@ class DiscordInterface {
 
       const action = args[0].toLowerCase();
       const tags = args.slice(1);
-      const conversationId = this._getConversationId(message.channel.id);
+      const conversationId = await this._getConversationId(message.channel.id);
 
       if (action === 'add') {
-        contextManager.addConversationTags(conversationId, tags);
+        await contextManager.addConversationTags(conversationId, tags);
         await this._safeReply(message, `✅ Added tags: ${tags.join(', ')}`);
       } else if (action === 'remove') {
-        contextManager.removeConversationTags(conversationId, tags);
+        await contextManager.removeConversationTags(conversationId, tags);
         await this._safeReply(message, `✅ Removed tags: ${tags.join(', ')}`);
       } else {
         await this._safeReply(message, 'Action must be either \'add\' or \'remove\'.');
@@ -272,8 +708,8 @@ class DiscordInterface {
    */
   async _showConversationStatus(message) {
     try {
-      const conversationId = this._getConversationId(message.channel.id);
-      const conversation = contextManager.getConversation(conversationId);
+      const conversationId = await this._getConversationId(message.channel.id);
+      const conversation = await contextManager.getConversation(conversationId);
 
       if (!conversation) {
         await this._safeReply(message, 'No active conversation found.');
@@ -281,13 +717,20 @@ class DiscordInterface {
       }
 
       const shortId = conversationId.split('-').pop().substring(0, 8);
-      const response = `**Current Conversation Status:**\n` +
+      let response = `**Current Conversation Status:**\n` +
         `ID: \`${shortId}\`\n` +
         `Tags: ${conversation.tags.join(', ')}\n` +
         `Messages: ${conversation.messages.length}\n` +
         `Created: ${conversation.createdAt.toLocaleString()}\n` +
         `Last Active: ${conversation.lastActiveAt.toLocaleString()}`;
 
+      const llmStatus = llmClient.getStatus();
+      response += `\nModel Requests: ${llmStatus.running} running, ${llmStatus.queued} queued`;
+      const unavailable = Object.entries(llmStatus.circuits).filter(([, state]) => state !== 'closed');
+      if (unavailable.length > 0) {
+        response += `\nUnavailable Models: ${unavailable.map(([model, state]) => `${model} (${state})`).join(', ')}`;
+      }
+
       await this._safeReply(message, response);
     } catch (error) {
       console.error('Error showing conversation status:', error);
@@ -295,22 +738,200 @@ class DiscordInterface {
     }
   }
 
+  /**
+   * Show how the last prompt for this channel's conversation was assembled
+   * @param {Message} message - Discord message
+   * @private
+   */
+  async _showLastPrompt(message) {
+    try {
+      const conversationId = await this._getConversationId(message.channel.id);
+      const prompt = promptBuilder.getLastPrompt(conversationId);
+
+      if (!prompt) {
+        await this._safeReply(message, 'No prompt has been assembled for this conversation yet.');
+        return;
+      }
+
+      let response = `**Last Prompt:** ${prompt.totalTokens}/${prompt.budget} tokens, ${prompt.messages.length} messages
+`;
+      response += `Model context: ${prompt.contextLength} tokens, ${config.api.groq.maxTokens} reserved for the reply
+`;
+      for (const section of prompt.sections) {
+        const dropped = section.dropped > 0 ? `, ${section.dropped} dropped` : '';
+        response += `• ${section.name} (priority ${section.priority}): ${section.tokens} tokens, ${section.included} items${dropped}
+`;
+      }
+
+      await this._safeReply(message, response);
+    } catch (error) {
+      console.error('Error showing last prompt:', error);
+      await this._safeReply(message, 'Failed to show the last prompt.');
+    }
+  }
+
+  /**
+   * Handle the agent command family
+   * @param {Message} message - Discord message
+   * @param {string[]} args - Command arguments (subcommand, ...)
+   * @private
+   */
+  async _handleAgentCommand(message, args) {
+    const subcommand = (args.shift() || 'list').toLowerCase();
+
+    try {
+      switch (subcommand) {
+        case 'list': {
+          const agents = agentManager.listAgents();
+          if (agents.length === 0) {
+            await this._safeReply(message, `No agents yet. Create one with \`${config.discord.prefix}agent create <name> | <persona>\`.`);
+            return;
+          }
+
+          const present = await agentManager.getChannelAgents(message.channel.id);
+          let response = '**Agents:**\n';
+          for (const agent of agents) {
+            const marker = present.some(presentAgent => presentAgent.id === agent.id) ? '🔸' : '🔹';
+            response += `${marker} **${agent.name}** - ${agent.traits.join(', ') || 'no traits'} (mood: ${agent.mood})\n`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'create': {
+          // <name> | <persona> [| <traits, comma separated> [| <speaking style>]]
+          const [name, systemPrompt = '', traits = '', speakingStyle = ''] = args.join(' ').split('|').map(part => part.trim());
+          if (!name) {
+            await this._safeReply(message, `Usage: \`${config.discord.prefix}agent create <name> | <persona> [| <traits> [| <speaking style>]]\``);
+            return;
+          }
+
+          const agent = await agentManager.createAgent({
+            name,
+            systemPrompt,
+            traits: traits ? traits.split(',').map(trait => trait.trim()).filter(Boolean) : [],
+            speakingStyle,
+            metadata: { createdBy: message.author.id }
+          });
+          await this._safeReply(message, `✅ Created agent **${agent.name}**. Use \`${config.discord.prefix}agent assign ${agent.name}\` to bring them into this channel's scene.`);
+          break;
+        }
+
+        case 'set': {
+          // <name> <prompt|traits|style|avatar> <value...>
+          const [name, field, ...valueParts] = args;
+          const agent = name ? agentManager.getAgentByName(name) : null;
+          const value = valueParts.join(' ');
+          const fields = {
+            prompt: { systemPrompt: value },
+            traits: { traits: value.split(',').map(trait => trait.trim()).filter(Boolean) },
+            style: { speakingStyle: value },
+            avatar: { avatarUrl: value || null }
+          };
+
+          if (!agent || !fields[field]) {
+            await this._safeReply(message, `Usage: \`${config.discord.prefix}agent set <name> <prompt|traits|style|avatar> <value>\``);
+            return;
+          }
+
+          await agentManager.updateAgent(agent.id, fields[field]);
+          await this._safeReply(message, `✅ Updated ${field} of **${agent.name}**.`);
+          break;
+        }
+
+        case 'assign': {
+          const agent = args.length > 0 ? agentManager.getAgentByName(args.join(' ')) : null;
+          if (!agent) {
+            await this._safeReply(message, `Agent not found. Usage: \`${config.discord.prefix}agent assign <name>\``);
+            return;
+          }
+
+          await agentManager.addAgentToChannel(message.channel.id, agent.id);
+          await this._safeReply(message, `✅ **${agent.name}** joined the scene in this channel.`);
+          break;
+        }
+
+        case 'unassign': {
+          if (args.length === 0) {
+            await agentManager.removeAgentFromChannel(message.channel.id);
+            await this._safeReply(message, '✅ All agents left the scene in this channel.');
+            return;
+          }
+
+          const agent = agentManager.getAgentByName(args.join(' '));
+          if (!agent) {
+            await this._safeReply(message, 'Agent not found.');
+            return;
+          }
+
+          await agentManager.removeAgentFromChannel(message.channel.id, agent.id);
+          await this._safeReply(message, `✅ **${agent.name}** left the scene in this channel.`);
+          break;
+        }
+
+        case 'info': {
+          const agent = args.length > 0
+            ? agentManager.getAgentByName(args.join(' '))
+            : (await agentManager.getChannelAgents(message.channel.id))[0];
+          if (!agent) {
+            await this._safeReply(message, 'Agent not found.');
+            return;
+          }
+
+          const relationship = await agentManager.getRelationship(agent.id, message.author.id);
+          const emotions = Object.entries(agent.emotions).map(([emotion, level]) => `${emotion} ${level.toFixed(2)}`).join(', ');
+          const response = `**${agent.name}**\n` +
+            `Persona: ${agent.systemPrompt || 'none'}\n` +
+            `Traits: ${agent.traits.join(', ') || 'none'}\n` +
+            `Speaking style: ${agent.speakingStyle || 'none'}\n` +
+            `Mood: ${agent.mood} (${emotions})\n` +
+            `Feelings towards you: ${relationship ? relationship.score.toFixed(2) : 'none yet'}`;
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'delete': {
+          const agent = args.length > 0 ? agentManager.getAgentByName(args.join(' ')) : null;
+          if (!agent) {
+            await this._safeReply(message, 'Agent not found.');
+            return;
+          }
+
+          await agentManager.deleteAgent(agent.id);
+          await this._safeReply(message, `✅ Deleted agent **${agent.name}**.`);
+          break;
+        }
+
+        default:
+          await this._safeReply(message, `Unknown agent command: ${subcommand}. Type \`${config.discord.prefix}help\` for a list of commands.`);
+      }
+    } catch (error) {
+      console.error('Error handling agent command:', error);
+      await this._safeReply(message, `Failed to run agent command: ${error.message}`);
+    }
+  }
+
   /**
    * Show help information
    * @param {Message} message - Discord message
+   * @param {string[]} args - Command arguments (optional command name)
    * @private
    */
-  async _showHelp(message) {
+  async _showHelp(message, args = []) {
+    const prefix = config.discord.prefix;
+    const command = args.length > 0 ? this.commands.get(args[0]) : null;
+
+    if (command) {
+      await this._safeReply(message, `**${command.name}** - ${command.description}\n${this.commands.getUsage(command, prefix).join('\n')}`);
+      return;
+    }
+
     const helpText = `
 **Available Commands:**
 
-\`${config.discord.prefix}help\` - Show this help message
-\`${config.discord.prefix}new [tags...]\` - Create a new conversation with optional tags
-\`${config.discord.prefix}switch <conversationId>\` - Switch to an existing conversation
-\`${config.discord.prefix}list [tag]\` - List conversations (optionally filtered by tag)
-\`${config.discord.prefix}tag <add|remove> <tags...>\` - Add or remove tags from current conversation
-\`${config.discord.prefix}status\` - Show current conversation status
+${this.commands.getOverview(prefix).join('\n')}
 
+Type \`${prefix}help <command>\` for the details of a command. Every command is also available as a slash command, e.g. \`/help\`.
 You can also mention me in any message to get a response.
 **Note:** Each Discord channel maintains its own conversation context.
 `;
@@ -319,76 +940,1295 @@ You can also mention me in any message to get a response.
   }
 
   /**
-   * Safely reply to a message
-   * @param {Message} message - Discord message
-   * @param {string} content - Reply content
-   * @returns {Promise<Message>} Sent message
+   * Safely reply to a message. Content too long for one message is split into several without
+   * breaking its markdown, or sent as a .md attachment if it would take too many messages.
+   * Replies never ping anyone: they often quote stored text (memories, entities, world state)
+   * that may contain mentions.
+   * @param {Message|InteractionContext} message - Discord message or slash command being answered
+   * @param {string|Object} reply - Reply content, or message options (e.g. with buttons) whose
+   *   `content` is split the same way. The options apply to every message sent, except
+   *   components, which stay on the first one.
+   * @returns {Promise<Message>} First sent message
    * @private
    */
-  async _safeReply(message, content) {
+  async _safeReply(message, reply) {
+    const { content = '', components, ...options } = typeof reply === 'string' ? { content: reply } : reply;
+    const parts = !content ? [{}]
+      : needsAttachment(content) ? [buildAttachmentMessage(content)] : splitMessage(content).map(chunk => ({ content: chunk }));
+    const [first, ...rest] = parts.map((part, index) => ({
+      allowedMentions: { parse: [] },
+      ...options,
+      ...part,
+      ...(index === 0 && components && { components })
+    }));
+    if (!first.content && !first.files && !first.embeds) {
+      return null;
+    }
+
+    let sent;
     try {
-      return await message.reply(content);
+      sent = await message.reply(first);
     } catch (error) {
       console.error('Error replying to message:', error);
       try {
-        return await message.channel.send(content);
+        sent = await message.channel.send(first);
       } catch (channelError) {
         console.error('Error sending to channel:', channelError);
         return null;
       }
     }
+
+    // Slash command replies continue as follow-ups, so ephemeral replies stay private
+    for (const chunk of rest) {
+      try {
+        await (message instanceof InteractionContext ? message.reply(chunk) : message.channel.send(chunk));
+      } catch (error) {
+        console.error('Error sending to channel:', error);
+        break;
+      }
+    }
+
+    return sent;
   }
 
   /**
-   * Handle a message directed at the bot via mention
+   * Handle the scenario command family
    * @param {Message} message - Discord message
+   * @param {string[]} args - Command arguments (subcommand, ...)
    * @private
    */
-  async _handleMention(message) {
+  async _handleScenarioCommand(message, args) {
+    const subcommand = (args.shift() || 'info').toLowerCase();
+
     try {
-      const userMessage = message.content.replace(/<@!?(\d+)>/, '').trim();
-      const conversationId = this._getConversationId(message.channel.id);
+      const conversationId = await this._getConversationId(message.channel.id);
+      const current = await scenarioManager.getConversationScenario(conversationId);
 
-      const contextMessage = new ContextMessage({
-        content: userMessage,
-        role: 'user',
-        userId: message.author.id,
-        conversationId: conversationId
-      });
-      contextManager.addContextMessage(contextMessage);
+      switch (subcommand) {
+        case 'list': {
+          const scenarios = scenarioManager.listScenarios();
+          if (scenarios.length === 0) {
+            await this._safeReply(message, `No scenarios found. Add scenario JSON files to \`${config.scenarios.path}\`.`);
+            return;
+          }
+
+          let response = '**Scenarios:**\n';
+          for (const scenario of scenarios) {
+            const marker = current && current.id === scenario.id ? '🔸' : '🔹';
+            response += `${marker} \`${scenario.id}\` - **${scenario.name}**\n`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
 
-      const aiResponse = await this._generateAIResponse(userMessage, conversationId);
+        case 'reload': {
+          const { loaded, errors } = await scenarioManager.loadScenarios();
+          let response = `✅ Loaded ${loaded.length} scenarios.`;
+          if (errors.length > 0) {
+            response += `\n⚠️ Skipped:\n${errors.map(error => `• ${error}`).join('\n')}`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
 
-      const aiContextMessage = new ContextMessage({
-        content: aiResponse,
-        role: 'assistant',
-        conversationId: conversationId
-      });
-      contextManager.addContextMessage(aiContextMessage);
+        case 'start': {
+          if (args.length === 0) {
+            await this._safeReply(message, `Usage: \`${config.discord.prefix}scenario start <id>\``);
+            return;
+          }
+
+          const { scenario, agents } = await scenarioManager.bindConversation(conversationId, args[0]);
+          for (const agent of agents) {
+            await agentManager.addAgentToChannel(message.channel.id, agent.id);
+          }
+
+          let response = `✅ Now playing **${scenario.name}** in this channel.`;
+          if (agents.length > 0) {
+            response += `\nIn the scene: ${agents.map(agent => `**${agent.name}**`).join(', ')}`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'info': {
+          if (!current) {
+            await this._safeReply(message, `No scenario in this channel. Start one with \`${config.discord.prefix}scenario start <id>\`.`);
+            return;
+          }
+
+          const state = scenarioManager.getWorldState(current.id);
+          const threads = state ? state.plotThreads : current.plotThreads;
+          let response = `**${current.name}** (\`${current.id}\`)\n${current.description}\n` +
+            `In-universe time: ${timeManager.formatDate(timeManager.now(current.id))}\n`;
+          if (threads.length > 0) {
+            response += `Plot threads:\n${threads.map(thread => `• ${thread.title} (${thread.status})`).join('\n')}`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'state': {
+          const state = current ? scenarioManager.getWorldState(current.id) : null;
+          if (!state) {
+            await this._safeReply(message, 'No world state in this channel yet.');
+            return;
+          }
+
+          const entries = Object.entries(state.worldState);
+          let response = `**World state of ${current.name}** (revision ${state.revision})\n`;
+          response += entries.length > 0
+            ? entries.map(([key, value]) => `• ${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`).join('\n')
+            : 'Empty.';
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'set':
+        case 'unset':
+        case 'thread': {
+          if (!current) {
+            await this._safeReply(message, 'No scenario in this channel.');
+            return;
+          }
+
+          let change;
+          if (subcommand === 'set' && args.length >= 2) {
+            // Values that parse as JSON (numbers, booleans, lists) keep their type
+            const raw = args.slice(1).join(' ');
+            let value = raw;
+            try {
+              value = JSON.parse(raw);
+            } catch {
+              // Plain text value
+            }
+            change = { op: 'set', key: args[0], value };
+          } else if (subcommand === 'unset' && args.length === 1) {
+            change = { op: 'unset', key: args[0] };
+          } else if (subcommand === 'thread' && args.length >= 2) {
+            change = { op: 'thread', id: args[0], status: args[1].toLowerCase() };
+            if (args.length > 2) {
+              change.description = args.slice(2).join(' ');
+            }
+          } else {
+            await this._safeReply(message, `Usage: \`${config.discord.prefix}scenario set <key> <value>\`, \`scenario unset <key>\` or \`scenario thread <id> <active|dormant|resolved> [description]\``);
+            return;
+          }
+
+          const revision = await scenarioManager.applyChanges(current.id, [change], {
+            source: 'manual',
+            reason: `Changed by ${message.author.username}`
+          });
+          await this._safeReply(message, `✅ World state updated (revision ${revision.revision}): ${this._describeWorldChange(change)}`);
+          break;
+        }
+
+        case 'history': {
+          const revisions = current ? await scenarioManager.getRevisions(current.id, 10) : [];
+          if (revisions.length === 0) {
+            await this._safeReply(message, 'No world state history in this channel yet.');
+            return;
+          }
+
+          let response = `**World state history of ${current.name}:**\n`;
+          for (const revision of revisions) {
+            const changes = revision.changes.map(change => this._describeWorldChange(change)).join(', ') || 'no changes';
+            response += `• r${revision.revision} [${revision.source}] ${changes}${revision.reason ? ` - ${revision.reason}` : ''}\n`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
 
-      await this._safeReply(message, aiResponse);
+        default:
+          await this._safeReply(message, `Unknown scenario command: ${subcommand}. Type \`${config.discord.prefix}help\` for a list of commands.`);
+      }
     } catch (error) {
-      console.error('Error handling mention:', error);
-      await this._safeReply(message, 'Sorry, I encountered an error processing your message.');
+      console.error('Error handling scenario command:', error);
+      await this._safeReply(message, `Failed to run scenario command: ${error.message}`);
     }
   }
 
   /**
-   * Generate AI response using Groq
-   * @param {string} userMessage - User's message
-   * @param {string} conversationId - Conversation ID
-   * @returns {Promise<string>} AI response
+   * Describe a world state change in a few words
+   * @param {Object} change - World state change
+   * @returns {string} Description
    * @private
    */
-  async _generateAIResponse(userMessage, conversationId) {
-    const groqResponse = await this.groq.chat.completions.create({
-      messages: contextManager.getFullContext(true, conversationId),
-      model: config.api.groq.model,
-      max_tokens: config.api.groq.maxTokens,
-      temperature: config.api.groq.temperature
-    });
+  _describeWorldChange(change) {
+    switch (change.op) {
+      case 'set':
+        return `${change.key} = ${typeof change.value === 'string' ? change.value : JSON.stringify(change.value)}`;
+      case 'unset':
+        return `${change.key} removed`;
+      default:
+        return `thread ${change.id}${change.status ? ` ${change.status}` : ''}`;
+    }
+  }
+
+  /**
+   * Handle the place command family
+   * @param {Message} message - Discord message
+   * @param {string[]} args - Command arguments (subcommand, ...)
+   * @private
+   */
+  async _handlePlaceCommand(message, args) {
+    const subcommand = (args.shift() || 'info').toLowerCase();
+
+    try {
+      const conversationId = await this._getConversationId(message.channel.id);
+      const scenarioId = await scenarioManager.getConversationScenarioId(conversationId);
+      // Most subcommands take place names separated by |
+      const parts = args.join(' ').split('|').map(part => part.trim());
+      const findPlace = (name) => {
+        const place = name ? placeManager.getPlaceByName(name, scenarioId) : null;
+        if (!place) {
+          throw new Error(`Place ${name || '(none)'} not found`);
+        }
+        return place;
+      };
+
+      switch (subcommand) {
+        case 'list': {
+          const parent = parts[0] ? findPlace(parts[0]) : null;
+          const places = placeManager.listPlaces(scenarioId, { parentId: parent ? parent.id : null });
+          if (places.length === 0) {
+            await this._safeReply(message, `No places here yet. Create one with \`${config.discord.prefix}place create <name> | <description>\`.`);
+            return;
+          }
+
+          const scene = await placeManager.getScenePlace(conversationId);
+          let response = parent ? `**Places in ${parent.name}:**\n` : '**Places:**\n';
+          for (const place of places) {
+            const marker = scene && scene.id === place.id ? '🔸' : '🔹';
+            const inside = placeManager.listPlaces(scenarioId, { parentId: place.id }).length;
+            response += `${marker} **${place.name}**${inside > 0 ? ` (${inside} inside)` : ''}\n`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'create': {
+          // <name> | <description> [| <parent> [| <x,y>]]
+          const [name, description = '', parentName = '', position = ''] = parts;
+          if (!name) {
+            await this._safeReply(message, `Usage: \`${config.discord.prefix}place create <name> | <description> [| <parent> [| <x,y>]]\``);
+            return;
+          }
+
+          let coordinates = null;
+          if (position) {
+            const [x, y] = position.split(',').map(Number);
+            coordinates = { x, y };
+          }
+
+          const place = await placeManager.createPlace({
+            scenarioId,
+            name,
+            description,
+            parentId: parentName ? findPlace(parentName).id : null,
+            coordinates,
+            metadata: { createdBy: message.author.id }
+          });
+          await this._safeReply(message, `✅ Created place **${place.name}**.`);
+          break;
+        }
+
+        case 'connect': {
+          // <a> | <b> [| <type> [| <cost>]]
+          const [fromName, toName, type = 'path', cost = ''] = parts;
+          if (!fromName || !toName) {
+            await this._safeReply(message, `Usage: \`${config.discord.prefix}place connect <a> | <b> [| <type> [| <cost>]]\``);
+            return;
+          }
+
+          const from = findPlace(fromName);
+          const to = findPlace(toName);
+          const connection = await placeManager.connectPlaces(from.id, to.id, {
+            type,
+            cost: cost ? Number(cost) : null
+          });
+          await this._safeReply(message, `✅ Connected **${from.name}** and **${to.name}** by ${connection.type} (cost ${connection.cost.toFixed(1)}).`);
+          break;
+        }
+
+        case 'path': {
+          const [fromName, toName] = parts;
+          if (!fromName || !toName) {
+            await this._safeReply(message, `Usage: \`${config.discord.prefix}place path <a> | <b>\``);
+            return;
+          }
+
+          const route = placeManager.findPath(findPlace(fromName).id, findPlace(toName).id);
+          if (!route) {
+            await this._safeReply(message, `There is no way from ${fromName} to ${toName}.`);
+            return;
+          }
+
+          const steps = route.connections.map((connection, index) => `${connection.type} to **${route.places[index + 1].name}**`);
+          await this._safeReply(message, `**${route.places[0].name}** → ${steps.join(' → ') || 'already there'} (cost ${route.cost.toFixed(1)})`);
+          break;
+        }
+
+        case 'go': {
+          if (!parts[0]) {
+            await this._safeReply(message, `Usage: \`${config.discord.prefix}place go <name>\``);
+            return;
+          }
+
+          const place = findPlace(parts[0]);
+          const agents = await agentManager.getChannelAgents(message.channel.id);
+          await placeManager.setScenePlace(conversationId, place.id);
+          await placeManager.moveOccupant({
+            occupantId: message.author.id,
+            occupantType: 'user',
+            placeId: place.id,
+            name: message.author.username
+          });
+          for (const agent of agents) {
+            await placeManager.moveOccupant({ occupantId: agent.id, occupantType: 'agent', placeId: place.id });
+          }
+          await this._safeReply(message, `✅ The scene moves to **${place.name}**.`);
+          break;
+        }
+
+        case 'info': {
+          const place = parts[0] ? findPlace(parts[0]) : await placeManager.getScenePlace(conversationId);
+          if (!place) {
+            await this._safeReply(message, `This scene has no place yet. Move it with \`${config.discord.prefix}place go <name>\`.`);
+            return;
+          }
+
+          const path = [...placeManager.getAncestors(place.id), place].map(ancestor => ancestor.name).join(' › ');
+          const exits = placeManager.getAdjacentPlaces(place.id)
+            .map(({ place: neighbour, connection }) => `${neighbour.name} (${connection.type}, cost ${connection.cost.toFixed(1)})`);
+          const present = placeManager.getOccupants(place.id)
+            .map(occupant => occupant.occupantType === 'agent' ? agentManager.getAgent(occupant.occupantId)?.name : occupant.name)
+            .filter(Boolean);
+
+          let response = `**${path}**\n${place.description || 'No description.'}\n`;
+          if (exits.length > 0) {
+            response += `Exits: ${exits.join(', ')}\n`;
+          }
+          if (present.length > 0) {
+            response += `Present: ${present.join(', ')}`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'delete': {
+          const place = findPlace(parts[0]);
+          await placeManager.deletePlace(place.id);
+          await this._safeReply(message, `✅ Deleted place **${place.name}**.`);
+          break;
+        }
+
+        default:
+          await this._safeReply(message, `Unknown place command: ${subcommand}. Type \`${config.discord.prefix}help\` for a list of commands.`);
+      }
+    } catch (error) {
+      console.error('Error handling place command:', error);
+      await this._safeReply(message, `Failed to run place command: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle the item command family
+   * @param {Message} message - Discord message
+   * @param {string[]} args - Command arguments (subcommand, ...)
+   * @private
+   */
+  async _handleItemCommand(message, args) {
+    const subcommand = (args.shift() || 'list').toLowerCase();
+
+    try {
+      const conversationId = await this._getConversationId(message.channel.id);
+      const scenarioId = await scenarioManager.getConversationScenarioId(conversationId);
+      const scene = await placeManager.getScenePlace(conversationId);
+      const parts = args.join(' ').split('|').map(part => part.trim());
+
+      const carried = itemManager.getInventory(scenarioId, 'user', message.author.id);
+      const here = scene ? itemManager.getInventory(scenarioId, 'place', scene.id) : [];
+      // Items are looked up in the author's inventory first, then around them
+      const findItem = (name, candidates = [...carried, ...here]) => {
+        const item = name ? itemManager.findItemByName(name, candidates) : null;
+        if (!item) {
+          throw new Error(`No item ${name || '(none)'} in reach`);
+        }
+        return item;
+      };
+
+      switch (subcommand) {
+        case 'list': {
+          const describe = (items) => items.map(item => {
+            const condition = itemManager.getCondition(item);
+            return `• **${item.name}**${condition ? ` (${condition})` : ''}`;
+          }).join('\n') || 'Nothing.';
+
+          let response = `**You carry:**\n${describe(carried)}`;
+          if (scene) {
+            response += `\n**Lying at ${scene.name}:**\n${describe(here)}`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'blueprints': {
+          const blueprints = itemManager.listBlueprints(scenarioId);
+          if (blueprints.length === 0) {
+            await this._safeReply(message, `No blueprints yet. Define one with \`${config.discord.prefix}item blueprint <name> | <description>\`.`);
+            return;
+          }
+
+          let response = '**Blueprints:**\n';
+          for (const blueprint of blueprints) {
+            const uses = Object.keys(blueprint.uses);
+            response += `🔹 **${blueprint.name}** - ${blueprint.description || 'no description'}${uses.length > 0 ? ` (uses: ${uses.join(', ')})` : ''}\n`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'blueprint': {
+          // <name> | <description> [| <max durability>]
+          const [name, description = '', maxDurability = ''] = parts;
+          if (!name) {
+            await this._safeReply(message, `Usage: \`${config.discord.prefix}item blueprint <name> | <description> [| <durability>]\``);
+            return;
+          }
+
+          const blueprint = await itemManager.createBlueprint({
+            scenarioId,
+            name,
+            description,
+            maxDurability: maxDurability ? Number(maxDurability) : null
+          });
+          await this._safeReply(message, `✅ Defined blueprint **${blueprint.name}**.`);
+          break;
+        }
+
+        case 'create': {
+          // <blueprint> [| here | <agent name>]
+          const [blueprintName, target = ''] = parts;
+          const blueprint = blueprintName ? itemManager.getBlueprintByName(blueprintName, scenarioId) : null;
+          if (!blueprint) {
+            await this._safeReply(message, `Usage: \`${config.discord.prefix}item create <blueprint> [| here | <agent>]\` with one of the blueprints from \`${config.discord.prefix}item blueprints\``);
+            return;
+          }
+
+          const holder = this._resolveItemHolder(message, target, scene);
+          const item = await itemManager.createItem({
+            blueprintId: blueprint.id,
+            ...holder,
+            reason: `created by ${message.author.username}`
+          });
+          await this._safeReply(message, `✅ Created **${item.name}** for ${this._describeItemHolder({ type: item.holderType, id: item.holderId })}.`);
+          break;
+        }
+
+        case 'give':
+        case 'drop':
+        case 'take': {
+          let item;
+          let holder;
+          if (subcommand === 'give' && parts.length >= 2 && parts[1]) {
+            item = findItem(parts[0], carried);
+            holder = this._resolveItemHolder(message, parts[1], scene);
+          } else if (subcommand === 'drop' && parts[0] && scene) {
+            item = findItem(parts[0], carried);
+            holder = { holderType: 'place', holderId: scene.id };
+          } else if (subcommand === 'take' && parts[0]) {
+            item = findItem(parts[0], here);
+            holder = { holderType: 'user', holderId: message.author.id, holderName: message.author.username };
+          } else {
+            await this._safeReply(message, `Usage: \`${config.discord.prefix}item give <item> | <agent or @user>\`, \`item drop <item>\` (the scene needs a place) or \`item take <item>\``);
+            return;
+          }
+
+          await itemManager.transferItem(item.id, {
+            type: holder.holderType,
+            id: holder.holderId,
+            name: holder.holderName
+          }, `${subcommand} by ${message.author.username}`);
+          await this._safeReply(message, `✅ **${item.name}** is now with ${this._describeItemHolder({ type: holder.holderType, id: holder.holderId })}.`);
+          break;
+        }
+
+        case 'use': {
+          const item = findItem(parts[0]);
+          const result = await itemManager.useItem(item.id, {
+            actorType: 'user',
+            actorId: message.author.id,
+            use: parts[1] || null
+          });
+
+          let response = `✅ ${message.author.username} used **${item.name}** (${result.use})${result.description ? `: ${result.description}` : '.'}`;
+          if (result.effects.length > 0) {
+            response += `\nEffects: ${result.effects.join(', ')}`;
+          }
+          if (result.consumed) {
+            response += `\n**${item.name}** was used up.`;
+          } else if (result.broken) {
+            response += `\n**${item.name}** broke.`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'info': {
+          const item = findItem(parts[0]);
+          const blueprint = itemManager.getBlueprint(item.blueprintId);
+          const properties = Object.entries(itemManager.getProperties(item));
+          const condition = itemManager.getCondition(item);
+
+          let response = `**${item.name}** (${blueprint.name})\n${blueprint.description || 'No description.'}\n` +
+            `Held by: ${this._describeItemHolder({ type: item.holderType, id: item.holderId })}\n`;
+          if (condition) {
+            response += `Condition: ${condition} (${item.durability}/${blueprint.maxDurability})\n`;
+          }
+          if (properties.length > 0) {
+            response += `Properties: ${properties.map(([key, value]) => `${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`).join(', ')}\n`;
+          }
+          if (Object.keys(blueprint.uses).length > 0) {
+            response += `Uses: ${Object.entries(blueprint.uses).map(([name, use]) => use.description ? `${name} (${use.description})` : name).join(', ')}`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'history': {
+          const item = findItem(parts[0]);
+          const transfers = await itemManager.getTransfers(item.id, 10);
+
+          let response = `**History of ${item.name}:**\n`;
+          for (const transfer of transfers) {
+            const from = transfer.from ? this._describeItemHolder(transfer.from) : 'nowhere';
+            const to = transfer.to ? this._describeItemHolder(transfer.to) : 'nowhere';
+            response += `• ${timeManager.formatDate(transfer.universeTime || transfer.createdAt)}: ${from} → ${to}${transfer.reason ? ` (${transfer.reason})` : ''}\n`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
+
+        default:
+          await this._safeReply(message, `Unknown item command: ${subcommand}. Type \`${config.discord.prefix}help\` for a list of commands.`);
+      }
+    } catch (error) {
+      console.error('Error handling item command:', error);
+      await this._safeReply(message, `Failed to run item command: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle the memory command family. Commands only see the memories of the channel's
+   * conversation, and only the user a memory came from or a moderator may change it.
+   * @param {Message} message - Discord message
+   * @param {string[]} args - Command arguments (subcommand, ...)
+   * @private
+   */
+  async _handleMemoryCommand(message, args) {
+    const subcommand = (args.shift() || 'list').toLowerCase();
+    const prefix = config.discord.prefix;
+
+    try {
+      const conversationId = await this._getConversationId(message.channel.id);
+      // Memories are named by the start of their ID, as the list shows them
+      const findMemory = async (id) => {
+        const memory = id ? await memoryManager.getMemoryByPrefix(id, conversationId) : null;
+        if (!memory) {
+          throw new Error(`No memory ${id || '(none)'} in this channel`);
+        }
+        return memory;
+      };
+      const findChangeableMemory = async (id) => {
+        const memory = await findMemory(id);
+        if (!this._canChangeMemory(message, memory)) {
+          throw new Error('Only the user this memory came from or a moderator can change it');
+        }
+        return memory;
+      };
+
+      switch (subcommand) {
+        case 'list': {
+          const page = Math.max(1, parseInt(args[0] || '1', 10) || 1);
+          await this._safeReply(message, await this._renderMemoryPage(conversationId, page));
+          break;
+        }
+
+        case 'search': {
+          const query = args.join(' ');
+          if (!query) {
+            await this._safeReply(message, `Usage: \`${prefix}memory search <query>\``);
+            return;
+          }
+
+          const memories = await memoryManager.searchMemories({ query, conversationId, limit: MEMORY_PAGE_SIZE });
+          if (memories.length === 0) {
+            await this._safeReply(message, `No memories match "${query}".`);
+            return;
+          }
+
+          let response = `**Memories matching "${query}":**\n`;
+          for (const memory of memories) {
+            response += `${this._describeMemory(memory)}\n`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'show': {
+          const memory = await findMemory(args[0]);
+          const userId = memory.metadata.userId;
+
+          let response = `**Memory \`${memory.id}\`**${memory.tags.includes('pinned') ? ' 📌' : ''}\n${memory.content}\n` +
+            `Remembered: ${timeManager.formatDate(memory.universeTime || memory.createdAt)}\n` +
+            `From: ${userId ? `<@${userId}>` : (memory.metadata.source || 'unknown')}\n` +
+            `Importance: ${memory.importance.toFixed(2)}, recalled ${memory.accessCount} times, retention score ${memory.getRetentionScore().toFixed(2)}\n`;
+          if (memory.tags.length > 0) {
+            response += `Tags: ${memory.tags.join(', ')}\n`;
+          }
+          if (memory.keywords.length > 0) {
+            response += `Keywords: ${memory.keywords.join(', ')}\n`;
+          }
+          const entities = await entityIndex.getMemoryEntities(memory.id);
+          if (entities.length > 0) {
+            response += `About: ${entities.map(entity => entity.name).join(', ')}\n`;
+          }
+          // Links from the memory read "→ type", links to it "← type"
+          const links = await memoryManager.getLinkedMemories(memory.id);
+          if (links.length > 0) {
+            response += `Links:\n${links.map(link => `${link.direction === 'out' ? '→' : '←'} ${link.type} ${this._describeMemory(link.memory)}`).join('\n')}`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'pin':
+        case 'unpin': {
+          const memory = await findChangeableMemory(args[0]);
+          const tags = memory.tags.filter(tag => tag !== 'pinned');
+          await memoryManager.updateMemory(memory.id, { tags: subcommand === 'pin' ? [...tags, 'pinned'] : tags });
+          await this._safeReply(message, subcommand === 'pin'
+            ? `📌 Pinned memory \`${memory.id.slice(0, 8)}\`; it's kept in mind in every reply.`
+            : `✅ Unpinned memory \`${memory.id.slice(0, 8)}\`.`);
+          break;
+        }
+
+        case 'edit': {
+          const [id, ...words] = args;
+          const content = words.join(' ');
+          if (!id || !content) {
+            await this._safeReply(message, `Usage: \`${prefix}memory edit <id> <content>\``);
+            return;
+          }
+
+          const memory = await findChangeableMemory(id);
+          await memoryManager.updateMemory(memory.id, {
+            content,
+            metadata: { editedBy: message.author.id, editedAt: new Date().toISOString() }
+          });
+          await this._safeReply(message, `✅ Updated memory \`${memory.id.slice(0, 8)}\`.`);
+          break;
+        }
+
+        case 'forget': {
+          const memory = await findChangeableMemory(args[0]);
+          await memoryManager.deleteMemory(memory.id);
+          await this._safeReply(message, `✅ Forgot memory \`${memory.id.slice(0, 8)}\`: ${memory.content}`);
+          break;
+        }
+
+        case 'tag': {
+          const [id, action, ...tags] = args;
+          if (!id || !['add', 'remove'].includes(action) || tags.length === 0) {
+            await this._safeReply(message, `Usage: \`${prefix}memory tag <id> <add|remove> <tags>\``);
+            return;
+          }
+
+          const memory = await findChangeableMemory(id);
+          const updated = action === 'add'
+            ? [...new Set([...memory.tags, ...tags])]
+            : memory.tags.filter(tag => !tags.includes(tag));
+          await memoryManager.updateMemory(memory.id, { tags: updated });
+          await this._safeReply(message, `✅ Tags of memory \`${memory.id.slice(0, 8)}\`: ${updated.join(', ') || 'none'}`);
+          break;
+        }
+
+        case 'contradictions': {
+          const pairs = await memoryManager.getContradictions(conversationId);
+          if (pairs.length === 0) {
+            await this._safeReply(message, 'No memories contradict each other.');
+            return;
+          }
+
+          let response = `**Memories contradicting earlier ones:**\n`;
+          for (const { memory, contradicted } of pairs) {
+            response += `\n${this._describeMemory(memory)}\n   contradicts ${this._describeMemory(contradicted)}\n`;
+          }
+          response += `\nUse \`${prefix}memory edit\` or \`${prefix}memory forget\` to settle them.`;
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'consolidate': {
+          if (!this._isModerator(message)) {
+            throw new Error('Only a moderator can consolidate memories');
+          }
+
+          const dryRun = (args[0] || '').toLowerCase() === 'preview';
+          const results = await memoryConsolidator.consolidate({ conversationId, dryRun });
+          if (results.length === 0) {
+            await this._safeReply(message, 'No near-duplicate memories to merge.');
+            return;
+          }
+
+          const merged = results.filter(result => result.merged);
+          let response = dryRun
+            ? `**${results.length} groups of memories would be merged:**\n`
+            : `**Merged ${merged.length} of ${results.length} groups of similar memories:**\n`;
+          for (const result of results) {
+            response += `\n${result.memories.map(memory => this._describeMemory(memory)).join('\n')}\n`;
+            if (!dryRun) {
+              response += result.merged
+                ? `→ \`${result.merged.id.slice(0, 8)}\` ${result.merged.content}\n`
+                : '→ kept apart\n';
+            }
+          }
+          await this._safeReply(message, response);
+          break;
+        }
+
+        default:
+          await this._safeReply(message, `Unknown memory command: ${subcommand}. Type \`${prefix}help memory\` for the memory commands.`);
+      }
+    } catch (error) {
+      console.error('Error handling memory command:', error);
+      await this._safeReply(message, `Failed to run memory command: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle the entity command family, over the entities of the channel's conversation
+   * @param {Message} message - Discord message
+   * @param {string[]} args - Command arguments (subcommand, ...)
+   * @private
+   */
+  async _handleEntityCommand(message, args) {
+    const subcommand = (args.shift() || 'list').toLowerCase();
+    const prefix = config.discord.prefix;
+
+    try {
+      const conversationId = await this._getConversationId(message.channel.id);
+      // Most subcommands take an entity name, then more values separated by |
+      const parts = args.join(' ').split('|').map(part => part.trim());
+      const splitNames = (text = '') => text.split(',').map(name => name.trim()).filter(Boolean);
+      const findEntity = (name) => {
+        const entity = name ? entityIndex.getEntityByName(name, conversationId) : null;
+        if (!entity) {
+          throw new Error(`Nothing called ${name || '(none)'} is known in this channel`);
+        }
+        return entity;
+      };
+
+      switch (subcommand) {
+        case 'list': {
+          const type = parts[0] ? parts[0].toLowerCase() : undefined;
+          if (type && !ENTITY_TYPES.includes(type)) {
+            await this._safeReply(message, `Usage: \`${prefix}entity list [${ENTITY_TYPES.join('|')}]\``);
+            return;
+          }
+
+          const entities = entityIndex.listEntities(conversationId, { type });
+          if (entities.length === 0) {
+            await this._safeReply(message, `No ${type ? `${type} ` : ''}entities known here yet. Add one with \`${prefix}entity add <type> | <name>\`.`);
+            return;
+          }
+
+          let response = `**Known entities${type ? ` (${type})` : ''}:**\n`;
+          for (const entity of entities) {
+            response += `• **${entity.name}** (${entity.type})${entity.aliases.length > 0 ? ` aka ${entity.aliases.join(', ')}` : ''}\n`;
+          }
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'show': {
+          const { entity, profile, memories } = await entityIndex.getEntityProfile(findEntity(parts[0]).id);
+
+          let response = `**${entity.name}** (${entity.type})${entity.aliases.length > 0 ? `, also known as ${entity.aliases.join(', ')}` : ''}\n`;
+          if (entity.description) {
+            response += `${entity.description}\n`;
+          }
+          response += `\n${profile || 'Nothing is remembered about them yet.'}\n`;
+          if (memories.length > 0) {
+            response += `\n**Memories (${memories.length}):**\n`;
+            for (const memory of memories.slice(0, MEMORY_PAGE_SIZE)) {
+              response += `${this._describeMemory(memory)}\n`;
+            }
+          }
+          await this._safeReply(message, response);
+          break;
+        }
+
+        case 'add': {
+          // <type> | <name> [| <aliases> [| <description>]]
+          const [type = '', name, aliases, description = ''] = parts;
+          if (!ENTITY_TYPES.includes(type.toLowerCase()) || !name) {
+            await this._safeReply(message, `Usage: \`${prefix}entity add <${ENTITY_TYPES.join('|')}> | <name> [| <aliases> [| <description>]]\``);
+            return;
+          }
+
+          const entity = await entityIndex.createEntity({
+            conversationId,
+            type: type.toLowerCase(),
+            name,
+            aliases: splitNames(aliases),
+            description,
+            metadata: { createdBy: message.author.id }
+          });
+          const memories = await entityIndex.getEntityMemories(entity.id);
+          await this._safeReply(message, `✅ Added **${entity.name}** (${entity.type})${memories.length > 0 ? `, mentioned in ${memories.length} memories` : ''}.`);
+          break;
+        }
+
+        case 'alias':
+        case 'unalias': {
+          const [name, aliases] = parts;
+          if (!name || splitNames(aliases).length === 0) {
+            await this._safeReply(message, `Usage: \`${prefix}entity ${subcommand} <name> | <aliases>\``);
+            return;
+          }
+
+          const entity = findEntity(name);
+          const changed = splitNames(aliases).map(alias => alias.toLowerCase());
+          const updated = await entityIndex.updateEntity(entity.id, {
+            aliases: subcommand === 'alias'
+              ? [...entity.aliases, ...splitNames(aliases)]
+              : entity.aliases.filter(alias => !changed.includes(alias.toLowerCase()))
+          });
+          await this._safeReply(message, `✅ **${updated.name}** also goes by: ${updated.aliases.join(', ') || 'nothing else'}`);
+          break;
+        }
+
+        case 'forget': {
+          if (!this._isModerator(message)) {
+            throw new Error('Only a moderator can forget entities');
+          }
+
+          const entity = findEntity(parts[0]);
+          await entityIndex.deleteEntity(entity.id);
+          await this._safeReply(message, `✅ Forgot **${entity.name}**; the memories about them stay.`);
+          break;
+        }
+
+        default:
+          await this._safeReply(message, `Unknown entity command: ${subcommand}. Type \`${prefix}help entity\` for the entity commands.`);
+      }
+    } catch (error) {
+      console.error('Error handling entity command:', error);
+      await this._safeReply(message, `Failed to run entity command: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a page of a conversation's memory list, with buttons to the neighbouring pages
+   * @param {string} conversationId - Conversation ID
+   * @param {number} page - Page number, from 1
+   * @returns {Promise<Object>} Message options with content and components, pinging no one
+   * @private
+   */
+  async _renderMemoryPage(conversationId, page) {
+    const total = await memoryManager.countMemories(conversationId);
+    if (total === 0) {
+      return { content: 'Nothing is remembered in this channel yet.', components: [] };
+    }
+
+    const pages = Math.ceil(total / MEMORY_PAGE_SIZE);
+    const current = Math.min(Math.max(1, page), pages);
+    const memories = await memoryManager.listAllMemories(conversationId, MEMORY_PAGE_SIZE, (current - 1) * MEMORY_PAGE_SIZE);
+
+    let content = `**Memories (page ${current}/${pages}, ${total} in all):**\n`;
+    for (const memory of memories) {
+      content += `${this._describeMemory(memory)}\n`;
+    }
+
+    const buttons = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`memory:page:${current - 1}`)
+        .setLabel('Previous')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(current <= 1),
+      new ButtonBuilder()
+        .setCustomId(`memory:page:${current + 1}`)
+        .setLabel('Next')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(current >= pages)
+    );
+    return { content, components: pages > 1 ? [buttons] : [] };
+  }
+
+  /**
+   * Describe a memory in one line of a list
+   * @param {Memory} memory - Memory
+   * @returns {string} Line with the short ID, a pin marker, the content and the tags
+   * @private
+   */
+  _describeMemory(memory) {
+    const content = memory.content.length > 150 ? `${memory.content.slice(0, 149)}…` : memory.content;
+    const tags = memory.tags.filter(tag => tag !== 'pinned');
+    return `${memory.tags.includes('pinned') ? '📌' : '•'} \`${memory.id.slice(0, 8)}\` ${content}${tags.length > 0 ? ` *(${tags.join(', ')})*` : ''}`;
+  }
+
+  /**
+   * Check whether the author of a command may change a memory: the user it came from, or a
+   * moderator (someone who can manage messages)
+   * @param {Message|InteractionContext} message - Command message
+   * @param {Memory} memory - Memory to change
+   * @returns {boolean} Whether the author may change it
+   * @private
+   */
+  _canChangeMemory(message, memory) {
+    if (memory.metadata.userId && memory.metadata.userId === message.author.id) {
+      return true;
+    }
+    return this._isModerator(message);
+  }
+
+  /**
+   * Check whether the author of a command is a moderator (someone who can manage messages)
+   * @param {Message|InteractionContext} message - Command message
+   * @returns {boolean} Whether the author is a moderator
+   * @private
+   */
+  _isModerator(message) {
+    // Members of guilds the bot hasn't cached come with their permissions as a bitfield string
+    const permissions = typeof message.member?.permissions === 'string'
+      ? new PermissionsBitField(BigInt(message.member.permissions))
+      : message.member?.permissions;
+    return !!permissions?.has(PermissionFlagsBits.ManageMessages);
+  }
+
+  /**
+   * Work out who an item command gives an item to
+   * @param {Message} message - Discord message
+   * @param {string} target - 'here', an agent name, a user mention, or empty for the author
+   * @param {Place|null} scene - Place the channel's scene is set in
+   * @returns {Object} Holder as { holderType, holderId, holderName }
+   * @private
+   */
+  _resolveItemHolder(message, target, scene) {
+    const mentioned = message.mentions.users.first();
+    if (mentioned) {
+      return { holderType: 'user', holderId: mentioned.id, holderName: mentioned.username };
+    }
+    if (!target) {
+      return { holderType: 'user', holderId: message.author.id, holderName: message.author.username };
+    }
+    if (target.toLowerCase() === 'here') {
+      if (!scene) {
+        throw new Error('This scene has no place');
+      }
+      return { holderType: 'place', holderId: scene.id };
+    }
+
+    const agent = agentManager.getAgentByName(target);
+    if (!agent) {
+      throw new Error(`Agent ${target} not found`);
+    }
+    return { holderType: 'agent', holderId: agent.id };
+  }
+
+  /**
+   * Describe who holds an item
+   * @param {Object} holder - Holder as { type, id }
+   * @returns {string} Description
+   * @private
+   */
+  _describeItemHolder(holder) {
+    switch (holder.type) {
+      case 'agent':
+        return `**${agentManager.getAgent(holder.id)?.name || 'a departed agent'}**`;
+      case 'place':
+        return `**${placeManager.getPlace(holder.id)?.name || 'a vanished place'}**`;
+      default:
+        return `<@${holder.id}>`;
+    }
+  }
+
+  /**
+   * Post a message as an agent, through a channel webhook so it shows the agent's name and avatar
+   * @param {Message} message - Discord message being answered
+   * @param {Agent} agent - Agent speaking
+   * @param {string} content - Message content
+   * @returns {Promise<Message>} Sent message
+   * @private
+   */
+  async _sendAsAgent(message, agent, content) {
+    try {
+      const webhook = await this._getWebhook(message.channel);
+      if (webhook) {
+        let first = null;
+        for (const chunk of splitMessage(content)) {
+          const sent = await webhook.send({
+            content: chunk,
+            username: agent.name,
+            avatarURL: agent.avatarUrl || undefined,
+            threadId: message.channel.isThread() ? message.channel.id : undefined
+          });
+          first = first || sent;
+        }
+        return first;
+      }
+    } catch (error) {
+      console.error(`Error sending as agent ${agent.name} via webhook:`, error);
+      this.webhooks.delete(message.channel.id);
+    }
+
+    // DMs, or no permission to manage webhooks: attribute the line in the text instead
+    return this._safeReply(message, `**${agent.name}:** ${content}`);
+  }
+
+  /**
+   * Get (or create) the webhook agents speak through in a channel
+   * @param {Channel} channel - Discord channel
+   * @returns {Promise<Webhook|null>} Webhook, or null if the channel doesn't support webhooks
+   * @private
+   */
+  async _getWebhook(channel) {
+    if (this.webhooks.has(channel.id)) {
+      return this.webhooks.get(channel.id);
+    }
+
+    // Threads post through their parent channel's webhooks
+    const target = channel.isThread() ? channel.parent : channel;
+    if (!target || typeof target.fetchWebhooks !== 'function') {
+      return null;
+    }
+
+    const existing = await target.fetchWebhooks();
+    let webhook = existing.find(hook => hook.owner?.id === this.client.user.id && hook.name === config.scenes.webhookName);
+    if (!webhook) {
+      webhook = await target.createWebhook({ name: config.scenes.webhookName });
+    }
+
+    this.webhooks.set(channel.id, webhook);
+    return webhook;
+  }
+
+  /**
+   * Handle a message directed at the bot via mention
+   * @param {Message} message - Discord message
+   * @private
+   */
+  async _handleMention(message) {
+    try {
+      const userMessage = message.content.replace(/<@!?(\d+)>/, '').trim();
+      const conversationId = await this._getConversationId(message.channel.id);
+      const agents = await agentManager.getChannelAgents(message.channel.id);
+
+      const userContextMessage = await contextManager.addContextMessage({
+        content: userMessage,
+        role: 'user',
+        userId: message.author.id,
+        metadata: { discordMessageId: message.id },
+        conversationId: conversationId
+      });
+
+      // With agents in the channel, they answer in their own voices
+      if (agents.length > 0) {
+        const stream = new MessageStream(message);
+        stream.startTyping();
+        const replies = await sceneOrchestrator.runTurn({
+          conversationId,
+          agents,
+          message: userMessage,
+          userId: message.author.id,
+          userName: message.author.username,
+          deliver: (agent, content) => this._sendAsAgent(message, agent, content)
+        }).finally(() => stream.stop());
+
+        // Remember durable facts and world changes from this exchange in the background
+        const exchange = [userContextMessage, ...replies.map(reply => reply.contextMessage)];
+        memoryExtractor.queueExchange(conversationId, exchange);
+        scenarioManager.queueExchange(conversationId, exchange);
+        return;
+      }
+
+      await this._sendAIReply(message, userContextMessage, conversationId);
+    } catch (error) {
+      console.error('Error handling mention:', error);
+      await this._safeReply(message, 'Sorry, I encountered an error processing your message.');
+    }
+  }
+
+  /**
+   * Generate the bot's reply to a message, show it as it is generated and record it
+   * @param {Message} message - Discord message being answered
+   * @param {ContextMessage} userContextMessage - The message as recorded in context
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<ContextMessage>} The recorded reply
+   * @private
+   */
+  async _sendAIReply(message, userContextMessage, conversationId) {
+    // Show the reply as it is generated
+    const stream = new MessageStream(message);
+    stream.startTyping();
+    let aiResponse;
+    try {
+      aiResponse = await this._generateAIResponse(userContextMessage.content, conversationId,
+        config.discord.streamResponses ? (text) => stream.update(text) : null);
+    } catch (error) {
+      stream.stop();
+      throw error;
+    }
+    const sent = await stream.finish(aiResponse);
+
+    const aiContextMessage = await contextManager.addContextMessage({
+      content: aiResponse,
+      role: 'assistant',
+      metadata: { discordMessageIds: sent.map(part => part.id), replyTo: userContextMessage.id },
+      conversationId: conversationId
+    });
+
+    // Remember durable facts and world changes from this exchange in the background
+    memoryExtractor.queueExchange(conversationId, [userContextMessage, aiContextMessage]);
+    scenarioManager.queueExchange(conversationId, [userContextMessage, aiContextMessage]);
+    return aiContextMessage;
+  }
+
+  /**
+   * Bring an edit of a Discord message into the conversation's context and the memories drawn
+   * from it, and answer the edited message again if the bot's reply to it is the latest message
+   * (config.discord.regenerateOnEdit)
+   * @param {Message} oldMessage - Message before the edit (may be partial)
+   * @param {Message} newMessage - Message after the edit (may be partial)
+   * @private
+   */
+  async _handleMessageEdit(oldMessage, newMessage) {
+    const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+    // Embeds being resolved also count as updates
+    if (message.author.bot || (!oldMessage.partial && oldMessage.content === message.content)) {
+      return;
+    }
+
+    const conversationId = await this._getBoundConversationId(message.channelId);
+    const contextMessage = conversationId ? await contextManager.findMessageByDiscordId(conversationId, message.id) : null;
+    if (!contextMessage) {
+      return;
+    }
+
+    const content = message.content.replace(/<@!?(\d+)>/, '').trim();
+    if (!content) {
+      await this._handleMessageDelete(message);
+      return;
+    }
+    if (content === contextMessage.content) {
+      return;
+    }
+
+    await contextManager.editContextMessage(conversationId, contextMessage.id, content);
+    const forgotten = await memoryExtractor.forgetMessage(conversationId, contextMessage.id);
+
+    // Answering again extracts memories from the edited exchange; otherwise they're extracted
+    // again from the exchange as it now reads
+    const regenerated = config.discord.regenerateOnEdit && await this._regenerateReply(message, contextMessage, conversationId);
+    if (!regenerated) {
+      await memoryExtractor.reextract(conversationId, forgotten);
+    }
+  }
+
+  /**
+   * Tombstone the context entry of a deleted Discord message, and extract the memories drawn
+   * from its exchange again without it
+   * @param {Message} message - Deleted message (usually partial: only its ID and channel)
+   * @private
+   */
+  async _handleMessageDelete(message) {
+    const conversationId = await this._getBoundConversationId(message.channelId);
+    const contextMessage = conversationId ? await contextManager.findMessageByDiscordId(conversationId, message.id) : null;
+    if (contextMessage) {
+      await contextManager.deleteContextMessage(conversationId, contextMessage.id);
+      await memoryExtractor.reextract(conversationId, await memoryExtractor.forgetMessage(conversationId, contextMessage.id));
+    }
+  }
+
+  /**
+   * Answer an edited message again, replacing the bot's earlier reply. Only done while that
+   * reply is the latest message; once the conversation has moved on, the edit just updates the
+   * context.
+   * @param {Message} message - Edited Discord message
+   * @param {ContextMessage} contextMessage - The edited message as recorded in context
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<boolean>} Whether the message was answered again
+   * @private
+   */
+  async _regenerateReply(message, contextMessage, conversationId) {
+    const reply = contextManager.getFullContext(false, conversationId).at(-1);
+    if (!reply || reply.role !== 'assistant' || reply.metadata.replyTo !== contextMessage.id) {
+      return false;
+    }
+
+    // Answering again costs a model request like any other
+    const limit = this._checkRateLimit(message, 'ai');
+    if (!limit.allowed) {
+      return false;
+    }
+
+    return this.rateLimiter.runLimited(async () => {
+      await contextManager.deleteContextMessage(conversationId, reply.id);
+      for (const id of reply.metadata.discordMessageIds || []) {
+        await message.channel.messages.delete(id)
+          .catch(error => console.error(`Failed to delete earlier reply ${id}:`, error));
+      }
+
+      await this._sendAIReply(message, contextMessage, conversationId);
+      return true;
+    });
+  }
+
+  /**
+   * Get the conversation a channel is bound to, without creating one
+   * @param {string} channelId - Discord channel ID
+   * @returns {Promise<string|null>} Conversation ID, or null if the channel is unbound
+   * @private
+   */
+  async _getBoundConversationId(channelId) {
+    return this.channelConversations.get(channelId) || contextManager.getChannelConversation(channelId);
+  }
+
+  /**
+   * Generate AI response using Groq
+   * @param {string} userMessage - User's message
+   * @param {string} conversationId - Conversation ID
+   * @param {Function} [onText] - Called with the text generated so far as it streams in;
+   *   without it the response is requested in one piece
+   * @returns {Promise<string>} AI response
+   * @private
+   */
+  async _generateAIResponse(userMessage, conversationId, onText = null) {
+    const prompt = await promptBuilder.build({ conversationId, query: userMessage });
+    const request = {
+      messages: prompt.messages,
+      model: config.api.groq.model,
+      max_tokens: config.api.groq.maxTokens,
+      temperature: config.api.groq.temperature
+    };
+
+    if (!onText) {
+      const groqResponse = await llmClient.createChatCompletion(request, { priority: 'reply' });
+      return groqResponse.choices[0].message.content.trim();
+    }
+
+    const stream = await llmClient.createChatCompletion({ ...request, stream: true }, { priority: 'reply' });
+    let content = '';
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onText(content);
+      }
+    }
 
-    return groqResponse.choices[0].message.content.trim();
+    return content.trim();
   }
 
   /**
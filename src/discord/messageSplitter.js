@@ -0,0 +1,209 @@
+import { AttachmentBuilder } from 'discord.js';
+import config from '../config.js';
+
+// Longest message content Discord accepts
+const DISCORD_MESSAGE_LIMIT = 2000;
+
+// Room kept free in each chunk for the markers that close an open fence or span
+const CLOSING_RESERVE = 16;
+
+// Inline markers that wrap spans of text, longest first so `**` wins over `*`
+const SPAN_MARKERS = ['**', '__', '~~', '*', '_'];
+
+/**
+ * Find the markdown state at the end of a text: the code fence still open, and the bold,
+ * italic and strikethrough spans still open outside of code.
+ * Spans never cross blank lines in markdown, so they are forgotten at each paragraph break.
+ * @param {string} text - Text to scan
+ * @returns {Object} State with `fence` ({ marker, language } or null), `spans` (open markers,
+ *   outermost first) and `inlineCodeStart` (index of an unclosed inline code span, or -1)
+ */
+function scanMarkdown(text) {
+  let fence = null;
+  let spans = [];
+  let inlineCodeStart = -1;
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})\s*(\S*)/);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1].startsWith(fence.marker) && !fenceMatch[2]) {
+        fence = null;
+      }
+    } else if (fenceMatch) {
+      fence = { marker: fenceMatch[1], language: fenceMatch[2] };
+      spans = [];
+      inlineCodeStart = -1;
+    } else if (!line.trim()) {
+      spans = [];
+      inlineCodeStart = -1;
+    } else {
+      for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '\\') {
+          i++;
+          continue;
+        }
+        if (char === '`') {
+          inlineCodeStart = inlineCodeStart === -1 ? offset + i : -1;
+          continue;
+        }
+        if (inlineCodeStart !== -1) {
+          continue;
+        }
+
+        const marker = SPAN_MARKERS.find(candidate => line.startsWith(candidate, i));
+        if (!marker) {
+          continue;
+        }
+        i += marker.length - 1;
+
+        const before = line[i - marker.length] || ' ';
+        const after = line[i + 1] || ' ';
+        // A `*` starting a line is a list bullet, and `_` inside a word is just a character
+        if (marker === '*' && i === line.search(/\S/) && after === ' ') {
+          continue;
+        }
+        if (marker.startsWith('_') && /[\p{L}\p{N}]/u.test(before) && /[\p{L}\p{N}]/u.test(after)) {
+          continue;
+        }
+
+        const index = spans.lastIndexOf(marker);
+        if (index === -1) {
+          spans.push(marker);
+        } else {
+          spans = spans.slice(0, index);
+        }
+      }
+    }
+    offset += line.length + 1;
+  }
+
+  return { fence, spans, inlineCodeStart };
+}
+
+/**
+ * Find a good place to end a chunk: after a paragraph, then a line, then a sentence, then a
+ * word, as long as that keeps at least half of the allowed length
+ * @param {string} text - Text to cut
+ * @param {number} maxLength - Maximum length of the chunk
+ * @returns {number} Index to cut at
+ */
+function findBreak(text, maxLength) {
+  const head = text.slice(0, maxLength);
+  const minimum = Math.floor(maxLength / 2);
+
+  const paragraph = head.lastIndexOf('\n\n');
+  if (paragraph >= minimum) {
+    return paragraph + 2;
+  }
+
+  const line = head.lastIndexOf('\n');
+  if (line >= minimum) {
+    return line + 1;
+  }
+
+  const sentences = [...head.matchAll(/[.!?…]["')\]*_]*\s/g)];
+  const sentence = sentences.length > 0 ? sentences[sentences.length - 1] : null;
+  if (sentence && sentence.index >= minimum) {
+    return sentence.index + sentence[0].length;
+  }
+
+  const word = head.lastIndexOf(' ');
+  if (word >= minimum) {
+    return word + 1;
+  }
+
+  return maxLength;
+}
+
+/**
+ * Take the first chunk of a text that fits in one message, keeping its markdown intact: a code
+ * fence open at the cut is closed and re-opened with the same language in the next chunk, and
+ * so are bold, italic and strikethrough spans.
+ * @param {string} text - Text to take a chunk from
+ * @param {number} [maxLength=2000] - Maximum length of the chunk
+ * @returns {Object} The `chunk`, how many characters of the text it `consumed`, and the `carry`
+ *   to put in front of the rest of the text
+ */
+function takeChunk(text, maxLength = DISCORD_MESSAGE_LIMIT) {
+  if (text.length <= maxLength) {
+    return { chunk: text, consumed: text.length, carry: '' };
+  }
+
+  let cut = findBreak(text, maxLength - CLOSING_RESERVE);
+  let state = scanMarkdown(text.slice(0, cut));
+
+  // Don't cut through `inline code`; end the chunk before it instead, unless that would leave
+  // little in the chunk (a stray backtick would otherwise shrink every chunk)
+  if (state.inlineCodeStart >= cut / 2) {
+    cut = state.inlineCodeStart;
+    state = scanMarkdown(text.slice(0, cut));
+  }
+
+  let chunk = text.slice(0, cut);
+  let carry = '';
+  let consumed = cut;
+
+  if (state.fence) {
+    chunk = `${chunk.replace(/\n$/, '')}\n${state.fence.marker}`;
+    carry = `${state.fence.marker}${state.fence.language}\n`;
+  } else {
+    chunk = `${chunk.trimEnd()}${[...state.spans].reverse().join('')}`;
+    carry = state.spans.join('');
+    // Whitespace between chunks is dropped (it isn't, inside code, where it's indentation)
+    consumed += text.slice(cut).length - text.slice(cut).trimStart().length;
+  }
+
+  return { chunk, consumed, carry };
+}
+
+/**
+ * Split a text into chunks that each fit in one Discord message
+ * @param {string} text - Text to split
+ * @param {number} [maxLength=2000] - Maximum length of a chunk
+ * @returns {string[]} Chunks
+ */
+function splitMessage(text, maxLength = DISCORD_MESSAGE_LIMIT) {
+  const chunks = [];
+  let rest = text.trim();
+
+  while (rest) {
+    const { chunk, consumed, carry } = takeChunk(rest, maxLength);
+    chunks.push(chunk);
+    rest = consumed < rest.length ? carry + rest.slice(consumed) : '';
+  }
+
+  return chunks;
+}
+
+/**
+ * Check whether a text is too long to send as messages (see config.discord.maxReplyMessages)
+ * @param {string} text - Text to check
+ * @returns {boolean} Whether it should be sent as an attachment
+ */
+function needsAttachment(text) {
+  return splitMessage(text).length > config.discord.maxReplyMessages;
+}
+
+/**
+ * Build a message carrying a text as a markdown file, with its beginning as a preview
+ * @param {string} text - Text to attach
+ * @returns {Object} Message options with `content` and `files`
+ */
+function buildAttachmentMessage(text) {
+  const note = `\n\n📄 *The full response (${text.length} characters) is attached.*`;
+  const { chunk } = takeChunk(text.trim(), DISCORD_MESSAGE_LIMIT - note.length);
+  return {
+    content: `${chunk}${note}`,
+    files: [new AttachmentBuilder(Buffer.from(text, 'utf8'), { name: 'response.md' })]
+  };
+}
+
+export {
+  splitMessage,
+  takeChunk,
+  needsAttachment,
+  buildAttachmentMessage,
+  DISCORD_MESSAGE_LIMIT
+};
@@ -0,0 +1,219 @@
+import config from '../config.js';
+import { takeChunk, needsAttachment, buildAttachmentMessage, DISCORD_MESSAGE_LIMIT } from './messageSplitter.js';
+
+// Discord shows the typing indicator for about 10 seconds per request
+const TYPING_REFRESH_INTERVAL = 8000;
+
+/**
+ * Class showing a reply while it is being generated: a typing indicator until the first text
+ * arrives, then a reply that is edited at a throttled rate as the text grows. Text beyond
+ * Discord's message limit rolls over into new messages (split without breaking its markdown),
+ * and a reply too long for config.discord.maxReplyMessages messages ends up as an attachment.
+ */
+class MessageStream {
+  /**
+   * Create a message stream
+   * @param {Message} message - Discord message being answered
+   * @param {Object} [options] - Stream options
+   * @param {number} [options.editInterval] - Minimum time between edits in ms
+   *   (defaults to config.discord.streamEditInterval)
+   * @param {number} [options.maxLength=2000] - Maximum length of one message
+   */
+  constructor(message, { editInterval = config.discord.streamEditInterval, maxLength = DISCORD_MESSAGE_LIMIT } = {}) {
+    this.message = message;
+    this.editInterval = editInterval;
+    this.maxLength = maxLength;
+
+    this.text = ''; // Full text received so far
+    this.sentLength = 0; // Length of the text already in completed messages
+    this.carry = ''; // Markdown re-opened at the start of the current message
+    this.messages = []; // Discord messages sent, in order
+    this.current = null; // Message still being edited
+    this.currentContent = '';
+    this.lastFlushAt = 0;
+    this.flushTimer = null;
+    this.typingTimer = null;
+    this.flushing = Promise.resolve();
+  }
+
+  /**
+   * Show the typing indicator until the first text is sent
+   */
+  startTyping() {
+    const sendTyping = () => this.message.channel.sendTyping().catch(() => {});
+    sendTyping();
+    this.typingTimer = setInterval(sendTyping, TYPING_REFRESH_INTERVAL);
+  }
+
+  /**
+   * Stop showing the typing indicator
+   */
+  stopTyping() {
+    if (this.typingTimer) {
+      clearInterval(this.typingTimer);
+      this.typingTimer = null;
+    }
+  }
+
+  /**
+   * Set the text generated so far. Discord is updated at most once per edit interval.
+   * @param {string} text - Full text so far
+   */
+  update(text) {
+    this.text = text.trimStart();
+    if (this.flushTimer) {
+      return;
+    }
+
+    const wait = Math.max(0, this.lastFlushAt + this.editInterval - Date.now());
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this._queueFlush();
+    }, wait);
+  }
+
+  /**
+   * Send the complete text and wait until Discord shows it
+   * @param {string} text - Complete text
+   * @returns {Promise<Message[]>} Messages the text was sent in
+   */
+  async finish(text) {
+    this.text = text.trimStart();
+    this.stop();
+
+    if (needsAttachment(this.text)) {
+      await this.flushing;
+      await this._sendAsAttachment();
+      return this.messages;
+    }
+
+    this._queueFlush();
+    await this.flushing;
+    return this.messages;
+  }
+
+  /**
+   * Stop the typing indicator and any scheduled edit, e.g. when generation failed
+   */
+  stop() {
+    this.stopTyping();
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  /**
+   * Run a flush after the ones already running, so edits never overtake each other
+   * @private
+   */
+  _queueFlush() {
+    this.flushing = this.flushing
+      .then(() => this._flush())
+      .catch(error => console.error('Error updating streamed message:', error));
+  }
+
+  /**
+   * Bring the Discord messages up to date with the text
+   * @private
+   */
+  async _flush() {
+    let pending = this.carry + this.text.slice(this.sentLength);
+
+    // Complete messages until what's left fits in one
+    while (pending.length > this.maxLength) {
+      const { chunk, consumed, carry } = takeChunk(pending, this.maxLength);
+      await this._write(chunk);
+      this.current = null;
+      this.currentContent = '';
+      this.sentLength += consumed - this.carry.length;
+      this.carry = carry;
+      pending = carry + this.text.slice(this.sentLength);
+    }
+
+    await this._write(pending);
+    this.lastFlushAt = Date.now();
+  }
+
+  /**
+   * Replace what was streamed with a preview of the text and the full text as a file
+   * @private
+   */
+  async _sendAsAttachment() {
+    const payload = buildAttachmentMessage(this.text);
+    const [first, ...rest] = this.messages;
+
+    if (first) {
+      try {
+        await first.edit(payload);
+        for (const message of rest) {
+          await message.delete().catch(error => console.error('Error deleting streamed message:', error));
+        }
+        this.messages = [first];
+        return;
+      } catch (error) {
+        console.error('Error editing streamed message:', error);
+      }
+    }
+
+    const sent = await this._send(payload);
+    this.messages = sent ? [sent] : [];
+  }
+
+  /**
+   * Show content in the message being edited, sending it first if needed
+   * @param {string} content - Content of the message
+   * @private
+   */
+  async _write(content) {
+    const text = content.trim();
+    if (!text || text === this.currentContent) {
+      return;
+    }
+
+    this.stopTyping();
+
+    if (this.current) {
+      try {
+        await this.current.edit(text);
+        this.currentContent = text;
+        return;
+      } catch (error) {
+        // The message may have been deleted meanwhile; carry on in a new one
+        console.error('Error editing streamed message:', error);
+        this.messages = this.messages.filter(sent => sent !== this.current);
+      }
+    }
+
+    this.current = await this._send(text);
+    this.currentContent = text;
+    if (this.current) {
+      this.messages.push(this.current);
+    }
+  }
+
+  /**
+   * Send a new message: the first as a reply, the rest into the channel
+   * @param {string|Object} content - Message content or options
+   * @returns {Promise<Message|null>} Sent message
+   * @private
+   */
+  async _send(content) {
+    if (this.messages.length === 0) {
+      try {
+        return await this.message.reply(content);
+      } catch (error) {
+        console.error('Error replying to message:', error);
+      }
+    }
+
+    try {
+      return await this.message.channel.send(content);
+    } catch (error) {
+      console.error('Error sending to channel:', error);
+      return null;
+    }
+  }
+}
+
+export { MessageStream };
@@ -0,0 +1,213 @@
+import config from '../config.js';
+
+// Scopes every request is counted in, from the narrowest to the widest
+const SCOPES = ['user', 'channel', 'guild'];
+
+// Full buckets are forgotten every this many checks, to keep memory bounded
+const PRUNE_EVERY = 1000;
+
+/**
+ * Parse a limit written as "<requests>/<seconds>"
+ * @param {string} limit - Limit, e.g. "5/60" (empty or "0" for no limit)
+ * @returns {Object|null} Limit as { capacity, windowMs }, or null for no limit
+ */
+function parseLimit(limit) {
+  if (!limit || limit === '0') {
+    return null;
+  }
+
+  const match = String(limit).trim().match(/^(\d+)\s*\/\s*(\d+(?:\.\d+)?)$/);
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+    throw new Error(`Invalid rate limit "${limit}", expected "<requests>/<seconds>"`);
+  }
+  return { capacity: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+}
+
+/**
+ * Class representing a token bucket: it holds up to `capacity` tokens, refilled evenly over
+ * `windowMs`, and each request takes one
+ */
+class TokenBucket {
+  /**
+   * Create a full token bucket
+   * @param {number} capacity - Maximum number of tokens (the burst size)
+   * @param {number} windowMs - Time to refill an empty bucket in ms
+   */
+  constructor(capacity, windowMs) {
+    this.capacity = capacity;
+    this.refillRate = capacity / windowMs; // Tokens per ms
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Add the tokens refilled since the last update
+   * @param {number} now - Current time in ms
+   */
+  refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillRate);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Time until a token is available
+   * @param {number} now - Current time in ms
+   * @returns {number} Wait in ms (0 if a token is available now)
+   */
+  getWait(now) {
+    this.refill(now);
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillRate);
+  }
+
+  /**
+   * Take a token (check getWait first)
+   */
+  take() {
+    this.tokens -= 1;
+  }
+
+  /**
+   * Check whether the bucket has refilled completely
+   * @param {number} now - Current time in ms
+   * @returns {boolean} Whether it's full
+   */
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+}
+
+/**
+ * Class limiting how often users, channels and guilds can make requests, per request type,
+ * and how many requests run at the same time.
+ *
+ * Limits come from config.rateLimits: for each request type ('ai' for messages the model
+ * answers, 'command' for commands) a "<requests>/<seconds>" token bucket per user, per channel
+ * and per guild. A request is only counted if every bucket it falls in has a token left, and
+ * if the user's previous request of the same type was at least config.discord.messageRateLimit ago.
+ */
+class RateLimiter {
+  /**
+   * Create a rate limiter
+   * @param {Object} [options] - Limiter options
+   * @param {Object} [options.limits] - Map of request type to { user, channel, guild } limits
+   *   (defaults to config.rateLimits.types)
+   * @param {number} [options.minInterval] - Minimum time between two requests of a user, per type, in ms
+   *   (defaults to config.discord.messageRateLimit)
+   * @param {number} [options.maxConcurrent] - Requests allowed to run at the same time
+   *   (defaults to config.system.maxAsyncOperations)
+   */
+  constructor({
+    limits = config.rateLimits.types,
+    minInterval = config.discord.messageRateLimit,
+    maxConcurrent = config.system.maxAsyncOperations
+  } = {}) {
+    this.limits = {};
+    for (const [type, scopes] of Object.entries(limits)) {
+      this.limits[type] = Object.fromEntries(SCOPES.map(scope => [scope, parseLimit(scopes[scope])]));
+    }
+
+    this.minInterval = minInterval;
+    this.lastRequestAt = new Map(); // Map of `${type}:${userId}` to time of the user's last counted request
+
+    this.maxConcurrent = maxConcurrent;
+    this.running = 0;
+    this.waiting = []; // Resolvers of requests waiting for a free slot
+
+    this.buckets = new Map(); // Map of `${type}:${scope}:${id}` to TokenBucket
+    this.checks = 0;
+  }
+
+  /**
+   * Count a request if its user, channel and guild are all within their limits
+   * @param {Object} params - Request parameters
+   * @param {string} params.type - Request type ('ai' or 'command')
+   * @param {string} params.userId - User making the request
+   * @param {string} [params.channelId] - Channel it was made in
+   * @param {string} [params.guildId] - Guild it was made in (none in DMs)
+   * @returns {Object} Result with `allowed`, and when not allowed the `scope` that is limited
+   *   and `retryAfter` in ms
+   */
+  consume({ type, userId, channelId = null, guildId = null }) {
+    const now = Date.now();
+    this._maybePrune(now);
+
+    const sinceLast = now - (this.lastRequestAt.get(`${type}:${userId}`) ?? -Infinity);
+    if (sinceLast < this.minInterval) {
+      return { allowed: false, scope: 'user', retryAfter: this.minInterval - sinceLast };
+    }
+
+    const ids = { user: userId, channel: channelId, guild: guildId };
+    const buckets = [];
+    for (const scope of SCOPES) {
+      const limit = this.limits[type]?.[scope];
+      if (!limit || !ids[scope]) {
+        continue;
+      }
+
+      const key = `${type}:${scope}:${ids[scope]}`;
+      if (!this.buckets.has(key)) {
+        this.buckets.set(key, new TokenBucket(limit.capacity, limit.windowMs));
+      }
+
+      const bucket = this.buckets.get(key);
+      const wait = bucket.getWait(now);
+      if (wait > 0) {
+        return { allowed: false, scope, retryAfter: wait };
+      }
+      buckets.push(bucket);
+    }
+
+    for (const bucket of buckets) {
+      bucket.take();
+    }
+    this.lastRequestAt.set(`${type}:${userId}`, now);
+    return { allowed: true };
+  }
+
+  /**
+   * Run a task once fewer than the maximum number of tasks are running
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Result of the task
+   */
+  async runLimited(task) {
+    if (this.running >= this.maxConcurrent) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    this.running++;
+    try {
+      return await task();
+    } finally {
+      this.running--;
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      }
+    }
+  }
+
+  /**
+   * Forget buckets that have refilled completely, now and then
+   * @param {number} now - Current time in ms
+   * @private
+   */
+  _maybePrune(now) {
+    if (++this.checks % PRUNE_EVERY !== 0) {
+      return;
+    }
+
+    for (const [key, bucket] of this.buckets.entries()) {
+      if (bucket.isFull(now)) {
+        this.buckets.delete(key);
+      }
+    }
+    for (const [key, time] of this.lastRequestAt.entries()) {
+      if (now - time >= this.minInterval) {
+        this.lastRequestAt.delete(key);
+      }
+    }
+  }
+}
+
+export { RateLimiter, TokenBucket, parseLimit };
@@ -3,8 +3,6 @@
  * A clean, simple AI system with memory and context management
  */
 
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
 import dotenv from 'dotenv';
 import process from 'process';
 
@@ -12,15 +10,31 @@ import process from 'process';
 dotenv.config();
 
 // Import core components
+import timeManager from './time/timeManager.js';
 import memoryManager from './memory/memoryManager.js';
 import contextManager from './context/contextManager.js';
+import memoryExtractor from './memory/memoryExtractor.js';
+import entityIndex from './memory/entityIndex.js';
+import memoryConsolidator from './memory/memoryConsolidator.js';
+import agentManager from './agents/agentManager.js';
+import placeManager from './places/placeManager.js';
+import itemManager from './items/itemManager.js';
+import scenarioManager from './scenario/scenarioManager.js';
 import discordInterface from './discord/discordInterface.js';
-import config from './config.js';
+import llmClient from './llm/llmClient.js';
 
 // Track initialization state
 const initState = {
+  time: false,
   memory: false,
   context: false,
+  agents: false,
+  places: false,
+  items: false,
+  scenarios: false,
+  entities: false,
+  extractor: false,
+  consolidator: false,
   discord: false
 };
 
@@ -31,19 +45,67 @@ async function initSystem() {
   console.log('🚀 Starting Simple Roleplaying AI System...');
   
   try {
-    // 1. Initialize Memory Manager
+    // 1. Initialize Time Manager (first, so messages and memories get in-universe timestamps)
+    console.log('⏰ Initializing Time Manager...');
+    await timeManager.initialize();
+    initState.time = true;
+    console.log('✅ Time Manager initialized');
+    
+    // 2. Initialize Memory Manager
     console.log('📝 Initializing Memory Manager...');
     await memoryManager.initialize();
     initState.memory = true;
     console.log('✅ Memory Manager initialized');
     
-    // 2. Initialize Context Manager
+    // 3. Initialize Context Manager
     console.log('🧠 Initializing Context Manager...');
     await contextManager.initialize();
     initState.context = true;
     console.log('✅ Context Manager initialized');
     
-    // 3. Initialize Discord Interface
+    // 4. Initialize Agent Manager
+    console.log('🎭 Initializing Agent Manager...');
+    await agentManager.initialize();
+    initState.agents = true;
+    console.log('✅ Agent Manager initialized');
+    
+    // 5. Initialize Place Manager (before scenarios, so it builds the places of the ones they start)
+    console.log('🗺️ Initializing Place Manager...');
+    await placeManager.initialize();
+    initState.places = true;
+    console.log('✅ Place Manager initialized');
+    
+    // 6. Initialize Item Manager (before scenarios too, so it creates the items of the ones they start)
+    console.log('🎒 Initializing Item Manager...');
+    await itemManager.initialize();
+    initState.items = true;
+    console.log('✅ Item Manager initialized');
+    
+    // 7. Initialize Scenario Manager (after agents and time, which scenarios set up)
+    console.log('🌍 Initializing Scenario Manager...');
+    await scenarioManager.initialize();
+    initState.scenarios = true;
+    console.log('✅ Scenario Manager initialized');
+    
+    // 8. Initialize Entity Index (after the agents, places and items it turns into entities)
+    console.log('🔖 Initializing Entity Index...');
+    await entityIndex.initialize();
+    initState.entities = true;
+    console.log('✅ Entity Index initialized');
+    
+    // 9. Initialize Memory Extractor
+    console.log('🔍 Initializing Memory Extractor...');
+    await memoryExtractor.initialize();
+    initState.extractor = true;
+    console.log('✅ Memory Extractor initialized');
+    
+    // 10. Initialize Memory Consolidator
+    console.log('🧹 Initializing Memory Consolidator...');
+    await memoryConsolidator.initialize();
+    initState.consolidator = true;
+    console.log('✅ Memory Consolidator initialized');
+    
+    // 11. Initialize Discord Interface
     console.log('🤖 Initializing Discord Interface...');
     await discordInterface.initialize();
     initState.discord = true;
@@ -73,20 +135,81 @@ async function shutdownSystem() {
       console.log('✅ Discord Interface shut down');
     }
     
+    // LLM Client
+    console.log('💭 Shutting down LLM Client...');
+    llmClient.cleanup();
+    console.log('✅ LLM Client shut down');
+    
+    // Memory Consolidator
+    if (initState.consolidator) {
+      console.log('🧹 Shutting down Memory Consolidator...');
+      memoryConsolidator.cleanup();
+      console.log('✅ Memory Consolidator shut down');
+    }
+    
+    // Memory Extractor
+    if (initState.extractor) {
+      console.log('🔍 Shutting down Memory Extractor...');
+      memoryExtractor.cleanup();
+      console.log('✅ Memory Extractor shut down');
+    }
+    
+    // Entity Index
+    if (initState.entities) {
+      console.log('🔖 Shutting down Entity Index...');
+      await entityIndex.close();
+      console.log('✅ Entity Index shut down');
+    }
+    
+    // Scenario Manager
+    if (initState.scenarios) {
+      console.log('🌍 Shutting down Scenario Manager...');
+      await scenarioManager.close();
+      console.log('✅ Scenario Manager shut down');
+    }
+    
+    // Item Manager
+    if (initState.items) {
+      console.log('🎒 Shutting down Item Manager...');
+      await itemManager.close();
+      console.log('✅ Item Manager shut down');
+    }
+    
+    // Place Manager
+    if (initState.places) {
+      console.log('🗺️ Shutting down Place Manager...');
+      await placeManager.close();
+      console.log('✅ Place Manager shut down');
+    }
+    
+    // Agent Manager
+    if (initState.agents) {
+      console.log('🎭 Shutting down Agent Manager...');
+      await agentManager.close();
+      console.log('✅ Agent Manager shut down');
+    }
+    
     // Context Manager
     if (initState.context) {
       console.log('🧠 Shutting down Context Manager...');
-      contextManager.cleanup();
+      await contextManager.cleanup();
       console.log('✅ Context Manager shut down');
     }
     
     // Memory Manager
     if (initState.memory) {
       console.log('📝 Shutting down Memory Manager...');
-      memoryManager.close();
+      await memoryManager.close();
       console.log('✅ Memory Manager shut down');
     }
     
+    // Time Manager
+    if (initState.time) {
+      console.log('⏰ Shutting down Time Manager...');
+      await timeManager.close();
+      console.log('✅ Time Manager shut down');
+    }
+    
     console.log('✨ System shutdown complete');
   } catch (error) {
     console.error('❌ Error during system shutdown:', error);
@@ -0,0 +1,1087 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config.js';
+import { openDatabase } from '../database/database.js';
+import agentManager from '../agents/agentManager.js';
+import placeManager from '../places/placeManager.js';
+import scenarioManager, { validateChanges } from '../scenario/scenarioManager.js';
+import timeManager from '../time/timeManager.js';
+
+// Who or what can hold an item
+const HOLDER_TYPES = ['agent', 'user', 'place'];
+
+// Effects a blueprint use can have, and what each needs
+const EFFECT_TYPES = ['property', 'durability', 'spawn', 'world'];
+
+// Condition names by the share of durability left, best first
+const CONDITIONS = [
+  { name: 'pristine', minRatio: 0.9 },
+  { name: 'worn', minRatio: 0.5 },
+  { name: 'damaged', minRatio: Number.MIN_VALUE },
+  { name: 'broken', minRatio: 0 }
+];
+
+/**
+ * Validate the uses of a blueprint
+ * @param {Object} uses - Map of use name to { description, durabilityCost, consumes, effects }
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateUses(uses) {
+  const problems = [];
+  if (uses === null || typeof uses !== 'object' || Array.isArray(uses)) {
+    return ['uses must be an object of use name to use definition'];
+  }
+
+  for (const [useName, use] of Object.entries(uses)) {
+    if (use.durabilityCost !== undefined && !Number.isFinite(use.durabilityCost)) {
+      problems.push(`use ${useName}: durabilityCost must be a number`);
+    }
+
+    (use.effects || []).forEach((effect, index) => {
+      const where = `use ${useName}, effect ${index}`;
+      if (!EFFECT_TYPES.includes(effect?.type)) {
+        problems.push(`${where}: type must be one of ${EFFECT_TYPES.join(', ')}`);
+      } else if (effect.type === 'property' && typeof effect.key !== 'string') {
+        problems.push(`${where}: property effects need a key`);
+      } else if (effect.type === 'durability' && !Number.isFinite(effect.amount)) {
+        problems.push(`${where}: durability effects need a numeric amount`);
+      } else if (effect.type === 'spawn' && typeof effect.blueprint !== 'string') {
+        problems.push(`${where}: spawn effects need a blueprint name`);
+      } else if (effect.type === 'world') {
+        try {
+          validateChanges(effect.changes);
+        } catch (error) {
+          problems.push(`${where}: ${error.message}`);
+        }
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Class representing an item blueprint: what every item made from it has in common
+ */
+class Blueprint {
+  /**
+   * Create a blueprint
+   * @param {Object} params - Blueprint parameters
+   * @param {string} params.id - Unique identifier
+   * @param {string} params.scenarioId - Scenario the blueprint belongs to
+   * @param {string} params.name - Name (unique within the scenario)
+   * @param {string} [params.description] - What items of this kind are like
+   * @param {Object} [params.properties] - Default properties of its items
+   * @param {number|null} [params.maxDurability] - Durability of a new item (null for items that don't wear out)
+   * @param {Object} [params.uses] - Map of use name to { description, durabilityCost, consumes, effects }
+   * @param {Date} [params.createdAt] - Creation timestamp
+   */
+  constructor({
+    id = uuidv4(),
+    scenarioId,
+    name,
+    description = '',
+    properties = {},
+    maxDurability = null,
+    uses = {},
+    createdAt = new Date()
+  }) {
+    this.id = id;
+    this.scenarioId = scenarioId;
+    this.name = name;
+    this.description = description;
+    this.properties = properties;
+    this.maxDurability = maxDurability;
+    this.uses = uses;
+    this.createdAt = createdAt;
+  }
+
+  /**
+   * Convert blueprint to JSON
+   * @returns {Object} JSON representation of blueprint
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      scenarioId: this.scenarioId,
+      name: this.name,
+      description: this.description,
+      properties: this.properties,
+      maxDurability: this.maxDurability,
+      uses: this.uses,
+      createdAt: this.createdAt.toISOString()
+    };
+  }
+}
+
+/**
+ * Class representing an item
+ */
+class Item {
+  /**
+   * Create an item
+   * @param {Object} params - Item parameters
+   * @param {string} params.id - Unique identifier
+   * @param {string} params.blueprintId - Blueprint the item was made from
+   * @param {string} params.scenarioId - Scenario the item belongs to
+   * @param {string} params.name - Display name
+   * @param {string} params.holderType - 'agent', 'user' or 'place'
+   * @param {string} params.holderId - ID of whoever carries it, or of the place it lies at
+   * @param {string} [params.holderName] - Display name of the holder (kept for users)
+   * @param {number|null} [params.durability] - Durability left (null if it doesn't wear out)
+   * @param {Object} [params.properties] - Properties overriding the blueprint's
+   * @param {Object} [params.metadata] - Additional metadata
+   * @param {Date} [params.createdAt] - Creation timestamp
+   * @param {Date} [params.updatedAt] - Last update timestamp
+   */
+  constructor({
+    id = uuidv4(),
+    blueprintId,
+    scenarioId,
+    name,
+    holderType,
+    holderId,
+    holderName = null,
+    durability = null,
+    properties = {},
+    metadata = {},
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.blueprintId = blueprintId;
+    this.scenarioId = scenarioId;
+    this.name = name;
+    this.holderType = holderType;
+    this.holderId = holderId;
+    this.holderName = holderName;
+    this.durability = durability;
+    this.properties = properties;
+    this.metadata = metadata;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Convert item to JSON
+   * @returns {Object} JSON representation of item
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      blueprintId: this.blueprintId,
+      scenarioId: this.scenarioId,
+      name: this.name,
+      holderType: this.holderType,
+      holderId: this.holderId,
+      holderName: this.holderName,
+      durability: this.durability,
+      properties: this.properties,
+      metadata: this.metadata,
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString()
+    };
+  }
+}
+
+/**
+ * Class managing item blueprints, the items made from them, who holds them, and their use.
+ * Every change of holder (including creation and destruction) is recorded as a transfer.
+ * Emits:
+ * - `itemTransferred` ({ item, from, to, reason }) whenever an item changes hands
+ * - `itemUsed` ({ item, use, actorType, actorId, result }) after an item is used
+ */
+class ItemManager extends EventEmitter {
+  /**
+   * Create an item manager
+   */
+  constructor() {
+    super();
+    this.dbPath = config.database.path;
+    this.maxItems = config.items.maxItems;
+
+    this.blueprints = new Map(); // Map of blueprintId to Blueprint
+    this.items = new Map(); // Map of itemId to Item
+    this.onPlacesCreated = (event) => this._setUpScenarioItems(event);
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the item manager
+   */
+  async initialize() {
+    try {
+      // Open database connection
+      this.db = await openDatabase(this.dbPath);
+
+      // Create tables if they don't exist
+      await this._createTables();
+
+      // Item counts are bounded by config.items.maxItems, so keep them in memory
+      for (const row of await this.db.all(`SELECT * FROM item_blueprints`)) {
+        const blueprint = this._rowToBlueprint(row);
+        this.blueprints.set(blueprint.id, blueprint);
+      }
+
+      for (const row of await this.db.all(`SELECT * FROM items`)) {
+        const item = this._rowToItem(row);
+        this.items.set(item.id, item);
+      }
+
+      // Scenario items are created once the scenario's places exist, so they can lie there
+      placeManager.on('scenarioPlacesCreated', this.onPlacesCreated);
+
+      this.initialized = true;
+      console.log(`Item Manager initialized with ${this.blueprints.size} blueprints and ${this.items.size} items`);
+    } catch (error) {
+      console.error('Failed to initialize Item Manager:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create database tables
+   * @private
+   */
+  async _createTables() {
+    // Create blueprints table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS item_blueprints (
+        id TEXT PRIMARY KEY,
+        scenario_id TEXT NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        description TEXT NOT NULL DEFAULT '',
+        properties TEXT,
+        max_durability REAL,
+        uses TEXT,
+        created_at TEXT NOT NULL,
+        UNIQUE (scenario_id, name)
+      )
+    `);
+
+    // Create items table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS items (
+        id TEXT PRIMARY KEY,
+        blueprint_id TEXT NOT NULL,
+        scenario_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        holder_type TEXT NOT NULL,
+        holder_id TEXT NOT NULL,
+        holder_name TEXT,
+        durability REAL,
+        properties TEXT,
+        metadata TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (blueprint_id) REFERENCES item_blueprints(id)
+      )
+    `);
+
+    // Create transfers table (kept after an item is destroyed, so no foreign key)
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS item_transfers (
+        id TEXT PRIMARY KEY,
+        item_id TEXT NOT NULL,
+        item_name TEXT NOT NULL,
+        scenario_id TEXT NOT NULL,
+        from_type TEXT,
+        from_id TEXT,
+        to_type TEXT,
+        to_id TEXT,
+        reason TEXT,
+        universe_time TEXT,
+        created_at TEXT NOT NULL
+      )
+    `);
+
+    // Create indexes for performance
+    await this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_items_holder ON items(holder_type, holder_id);
+      CREATE INDEX IF NOT EXISTS idx_item_transfers_item_id ON item_transfers(item_id);
+    `);
+  }
+
+  /**
+   * Create a blueprint
+   * @param {Object} blueprintData - Blueprint data (see Blueprint constructor)
+   * @returns {Promise<Blueprint>} The newly created blueprint
+   */
+  async createBlueprint(blueprintData) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      if (!blueprintData.name || !blueprintData.scenarioId) {
+        throw new Error('Blueprint name and scenarioId are required');
+      }
+
+      if (this.getBlueprintByName(blueprintData.name, blueprintData.scenarioId)) {
+        throw new Error(`A blueprint named ${blueprintData.name} already exists`);
+      }
+
+      const maxDurability = blueprintData.maxDurability ?? null;
+      if (maxDurability !== null && (!Number.isFinite(maxDurability) || maxDurability <= 0)) {
+        throw new Error('maxDurability must be a positive number');
+      }
+
+      const problems = validateUses(blueprintData.uses || {});
+      if (problems.length > 0) {
+        throw new Error(`Invalid blueprint ${blueprintData.name}: ${problems.join('; ')}`);
+      }
+
+      const blueprint = new Blueprint(blueprintData);
+      await this.db.run(`
+        INSERT INTO item_blueprints (id, scenario_id, name, description, properties, max_durability, uses, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        blueprint.id,
+        blueprint.scenarioId,
+        blueprint.name,
+        blueprint.description,
+        JSON.stringify(blueprint.properties),
+        blueprint.maxDurability,
+        JSON.stringify(blueprint.uses),
+        blueprint.createdAt.toISOString()
+      ]);
+
+      this.blueprints.set(blueprint.id, blueprint);
+      console.log(`Blueprint created: ${blueprint.name} (${blueprint.id})`);
+      return blueprint;
+    } catch (error) {
+      console.error('Failed to create blueprint:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a blueprint by ID
+   * @param {string} id - Blueprint ID
+   * @returns {Blueprint|null} Blueprint or null if not found
+   */
+  getBlueprint(id) {
+    return this.blueprints.get(id) || null;
+  }
+
+  /**
+   * Get a blueprint by name (case-insensitive)
+   * @param {string} name - Blueprint name
+   * @param {string} scenarioId - Scenario ID
+   * @returns {Blueprint|null} Blueprint or null if not found
+   */
+  getBlueprintByName(name, scenarioId) {
+    const lowerName = name.toLowerCase();
+    for (const blueprint of this.blueprints.values()) {
+      if (blueprint.scenarioId === scenarioId && blueprint.name.toLowerCase() === lowerName) {
+        return blueprint;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List the blueprints of a scenario
+   * @param {string} scenarioId - Scenario ID
+   * @returns {Blueprint[]} Blueprints, sorted by name
+   */
+  listBlueprints(scenarioId) {
+    return [...this.blueprints.values()]
+      .filter(blueprint => blueprint.scenarioId === scenarioId)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create an item from a blueprint
+   * @param {Object} params - Item parameters
+   * @param {string} params.blueprintId - Blueprint ID
+   * @param {string} params.holderType - 'agent', 'user' or 'place'
+   * @param {string} params.holderId - Holder ID
+   * @param {string} [params.holderName] - Display name of the holder
+   * @param {string} [params.name] - Display name (defaults to the blueprint name)
+   * @param {number} [params.durability] - Starting durability (defaults to the blueprint's maximum)
+   * @param {Object} [params.properties] - Properties overriding the blueprint's
+   * @param {Object} [params.metadata] - Additional metadata
+   * @param {string} [params.reason='created'] - Reason recorded in the transfer history
+   * @returns {Promise<Item>} The newly created item
+   */
+  async createItem({
+    blueprintId,
+    holderType,
+    holderId,
+    holderName = null,
+    name = null,
+    durability = null,
+    properties = {},
+    metadata = {},
+    reason = 'created'
+  }) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const blueprint = this.getBlueprint(blueprintId);
+      if (!blueprint) {
+        throw new Error(`Blueprint ${blueprintId} not found`);
+      }
+
+      if (this.items.size >= this.maxItems) {
+        throw new Error(`The world already has the maximum of ${this.maxItems} items`);
+      }
+
+      this._validateHolder(blueprint.scenarioId, holderType, holderId);
+
+      const item = new Item({
+        blueprintId,
+        scenarioId: blueprint.scenarioId,
+        name: name || blueprint.name,
+        holderType,
+        holderId,
+        holderName,
+        durability: blueprint.maxDurability === null ? null : Math.min(durability ?? blueprint.maxDurability, blueprint.maxDurability),
+        properties,
+        metadata
+      });
+
+      await this.db.transaction(async () => {
+        await this._saveItem(item);
+        await this._recordTransfer(item, null, { type: holderType, id: holderId }, reason);
+      });
+
+      this.items.set(item.id, item);
+      this.emit('itemTransferred', { item, from: null, to: { type: holderType, id: holderId }, reason });
+      return item;
+    } catch (error) {
+      console.error('Failed to create item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an item by ID
+   * @param {string} id - Item ID
+   * @returns {Item|null} Item or null if not found
+   */
+  getItem(id) {
+    return this.items.get(id) || null;
+  }
+
+  /**
+   * List the items held by someone or lying at a place
+   * @param {string} scenarioId - Scenario ID
+   * @param {string} holderType - 'agent', 'user' or 'place'
+   * @param {string} holderId - Holder ID
+   * @returns {Item[]} Items, sorted by name
+   */
+  getInventory(scenarioId, holderType, holderId) {
+    return [...this.items.values()]
+      .filter(item => item.scenarioId === scenarioId && item.holderType === holderType && item.holderId === holderId)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Find an item by name (case-insensitive) among some items
+   * @param {string} name - Item name
+   * @param {Item[]} items - Items to search
+   * @returns {Item|null} First matching item, preferring exact names over prefixes
+   */
+  findItemByName(name, items) {
+    const lowerName = name.toLowerCase();
+    return items.find(item => item.name.toLowerCase() === lowerName) ||
+      items.find(item => item.name.toLowerCase().startsWith(lowerName)) ||
+      null;
+  }
+
+  /**
+   * Get the effective properties of an item: the blueprint's, overridden by the item's own
+   * @param {Item} item - Item
+   * @returns {Object} Properties
+   */
+  getProperties(item) {
+    return { ...this.getBlueprint(item.blueprintId)?.properties, ...item.properties };
+  }
+
+  /**
+   * Describe the condition of an item from its remaining durability
+   * @param {Item} item - Item
+   * @returns {string|null} Condition name, or null if the item doesn't wear out
+   */
+  getCondition(item) {
+    const maxDurability = this.getBlueprint(item.blueprintId)?.maxDurability;
+    if (item.durability === null || !maxDurability) {
+      return null;
+    }
+
+    const ratio = item.durability / maxDurability;
+    return CONDITIONS.find(condition => ratio >= condition.minRatio).name;
+  }
+
+  /**
+   * Update an item
+   * @param {string} id - Item ID
+   * @param {Object} updates - Fields to update (name, durability, properties, metadata)
+   * @returns {Promise<Item|null>} Updated item or null if not found
+   */
+  async updateItem(id, updates) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const item = this.getItem(id);
+      if (!item) {
+        return null;
+      }
+
+      if (updates.name !== undefined) item.name = updates.name;
+      if (updates.durability !== undefined && item.durability !== null) {
+        item.durability = this._clampDurability(item, updates.durability);
+      }
+      if (updates.properties) item.properties = { ...item.properties, ...updates.properties };
+      if (updates.metadata) item.metadata = { ...item.metadata, ...updates.metadata };
+      item.updatedAt = new Date();
+
+      await this._saveItem(item);
+      return item;
+    } catch (error) {
+      console.error(`Failed to update item with ID ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give an item to someone, or put it down at a place
+   * @param {string} id - Item ID
+   * @param {Object} to - New holder
+   * @param {string} to.type - 'agent', 'user' or 'place'
+   * @param {string} to.id - Holder ID
+   * @param {string} [to.name] - Display name of the holder
+   * @param {string} [reason] - Reason recorded in the transfer history
+   * @returns {Promise<Item>} The transferred item
+   */
+  async transferItem(id, to, reason = null) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const item = this.getItem(id);
+      if (!item) {
+        throw new Error(`Item ${id} not found`);
+      }
+
+      this._validateHolder(item.scenarioId, to.type, to.id);
+
+      const from = { type: item.holderType, id: item.holderId };
+      item.holderType = to.type;
+      item.holderId = to.id;
+      item.holderName = to.name || null;
+      item.updatedAt = new Date();
+
+      await this.db.transaction(async () => {
+        await this._saveItem(item);
+        await this._recordTransfer(item, from, to, reason);
+      });
+
+      this.emit('itemTransferred', { item, from, to, reason });
+      return item;
+    } catch (error) {
+      console.error(`Failed to transfer item with ID ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Destroy an item. Its transfer history is kept.
+   * @param {string} id - Item ID
+   * @param {string} [reason='destroyed'] - Reason recorded in the transfer history
+   * @returns {Promise<boolean>} Whether the item was destroyed
+   */
+  async destroyItem(id, reason = 'destroyed') {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const item = this.getItem(id);
+      if (!item) {
+        return false;
+      }
+
+      const from = { type: item.holderType, id: item.holderId };
+      await this.db.transaction(async () => {
+        await this.db.run(`DELETE FROM items WHERE id = ?`, [id]);
+        await this._recordTransfer(item, from, null, reason);
+      });
+
+      this.items.delete(id);
+      this.emit('itemTransferred', { item, from, to: null, reason });
+      return true;
+    } catch (error) {
+      console.error(`Failed to destroy item with ID ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the transfer history of an item, newest first
+   * @param {string} id - Item ID
+   * @param {number} [limit=20] - Maximum number of transfers
+   * @returns {Promise<Object[]>} Transfers with from, to, reason, universeTime and createdAt
+   */
+  async getTransfers(id, limit = 20) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const rows = await this.db.all(`
+      SELECT * FROM item_transfers
+      WHERE item_id = ?
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT ?
+    `, [id, limit]);
+
+    return rows.map(row => ({
+      id: row.id,
+      itemId: row.item_id,
+      itemName: row.item_name,
+      from: row.from_type ? { type: row.from_type, id: row.from_id } : null,
+      to: row.to_type ? { type: row.to_type, id: row.to_id } : null,
+      reason: row.reason,
+      universeTime: row.universe_time ? new Date(row.universe_time) : null,
+      createdAt: new Date(row.created_at)
+    }));
+  }
+
+  /**
+   * Use an item, running the effects its blueprint defines for that use
+   * @param {string} id - Item ID
+   * @param {Object} params - Use parameters
+   * @param {string} params.actorType - 'agent' or 'user'
+   * @param {string} params.actorId - Agent or user ID
+   * @param {string} [params.use] - Use name (defaults to the blueprint's only or first use)
+   * @returns {Promise<Object>} Result with the use name, its description, `effects` (descriptions
+   *   of what happened), `spawned` items, and whether the item was `consumed` or is `broken`
+   */
+  async useItem(id, { actorType, actorId, use = null }) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const item = this.getItem(id);
+      if (!item) {
+        throw new Error(`Item ${id} not found`);
+      }
+
+      const blueprint = this.getBlueprint(item.blueprintId);
+      const useName = use || Object.keys(blueprint.uses)[0];
+      const definition = useName ? blueprint.uses[useName] : null;
+      if (!definition) {
+        throw new Error(`${item.name} can't be used${use ? ` to ${use}` : ''}`);
+      }
+
+      if (!this._canReach(item, actorType, actorId)) {
+        throw new Error(`${item.name} is out of reach`);
+      }
+
+      if (this.getCondition(item) === 'broken') {
+        throw new Error(`${item.name} is broken`);
+      }
+
+      // Every effect is checked before any is applied, so a use that can't run changes nothing
+      const spawnBlueprints = this._checkEffects(item, definition.effects || []);
+
+      const result = {
+        use: useName,
+        description: definition.description || '',
+        effects: [],
+        spawned: [],
+        consumed: false,
+        broken: false
+      };
+
+      // Wear from the use itself comes first, then the blueprint's effects in order
+      let durability = item.durability;
+      if (durability !== null && definition.durabilityCost) {
+        durability = this._clampDurability(item, durability - definition.durabilityCost);
+      }
+
+      const properties = {};
+      for (const effect of definition.effects || []) {
+        switch (effect.type) {
+          case 'property':
+            properties[effect.key] = effect.value;
+            result.effects.push(`${effect.key} is now ${effect.value}`);
+            break;
+
+          case 'durability':
+            if (durability !== null) {
+              durability = this._clampDurability(item, durability + effect.amount);
+              result.effects.push(effect.amount >= 0 ? 'repaired' : 'damaged');
+            }
+            break;
+
+          case 'spawn': {
+            const spawnBlueprint = spawnBlueprints.get(effect.blueprint);
+            for (let count = 0; count < (effect.count || 1); count++) {
+              result.spawned.push(await this.createItem({
+                blueprintId: spawnBlueprint.id,
+                holderType: actorType,
+                holderId: actorId,
+                reason: `made by using ${item.name}`
+              }));
+            }
+            result.effects.push(`produced ${effect.count || 1} × ${spawnBlueprint.name}`);
+            break;
+          }
+
+          case 'world': {
+            const revision = await scenarioManager.applyChanges(item.scenarioId, effect.changes, {
+              source: 'item',
+              reason: `Used ${item.name} (${useName})`
+            });
+            result.effects.push(`world state changed (revision ${revision.revision})`);
+            break;
+          }
+        }
+      }
+
+      await this.updateItem(item.id, { durability, properties });
+      result.broken = this.getCondition(item) === 'broken';
+
+      if (definition.consumes) {
+        await this.destroyItem(item.id, `consumed (${useName})`);
+        result.consumed = true;
+      }
+
+      this.emit('itemUsed', { item, use: useName, actorType, actorId, result });
+      return result;
+    } catch (error) {
+      console.error(`Failed to use item with ID ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that the effects of a use can all be applied: the blueprints to spawn exist, there is
+   * room for the spawned items, and the scenario whose world state changes has started
+   * @param {Item} item - Item being used
+   * @param {Object[]} effects - Effects of the use
+   * @returns {Map<string, Blueprint>} Map of spawned blueprint name to blueprint
+   * @throws {Error} If an effect can't be applied
+   * @private
+   */
+  _checkEffects(item, effects) {
+    const spawnBlueprints = new Map();
+    let spawnCount = 0;
+
+    for (const effect of effects) {
+      if (effect.type === 'spawn') {
+        const blueprint = this.getBlueprintByName(effect.blueprint, item.scenarioId);
+        if (!blueprint) {
+          throw new Error(`Blueprint ${effect.blueprint} not found`);
+        }
+        spawnBlueprints.set(effect.blueprint, blueprint);
+        spawnCount += effect.count || 1;
+      } else if (effect.type === 'world' && !scenarioManager.getWorldState(item.scenarioId)) {
+        throw new Error(`Scenario ${item.scenarioId} has not been started`);
+      }
+    }
+
+    if (this.items.size + spawnCount > this.maxItems) {
+      throw new Error(`The world already has the maximum of ${this.maxItems} items`);
+    }
+    return spawnBlueprints;
+  }
+
+  /**
+   * Describe what the speaker carries, and what lies at the scene's place, for the prompt
+   * @param {Object} params - Context parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} [params.userId] - User whose message is being answered
+   * @param {string} [params.agentId] - Agent the prompt is for
+   * @returns {Promise<string|null>} Description or null if there's nothing to tell
+   */
+  async getPromptContext({ conversationId, userId = null, agentId = null }) {
+    const scenarioId = await scenarioManager.getConversationScenarioId(conversationId);
+    const place = await placeManager.getScenePlace(conversationId);
+    const lines = [];
+
+    if (agentId) {
+      lines.push(`You carry: ${this._describeItems(this.getInventory(scenarioId, 'agent', agentId))}`);
+    }
+    if (userId) {
+      lines.push(`The user carries: ${this._describeItems(this.getInventory(scenarioId, 'user', userId))}`);
+    }
+    if (place) {
+      const here = this.getInventory(scenarioId, 'place', place.id);
+      if (here.length > 0) {
+        lines.push(`Lying at ${place.name}: ${this._describeItems(here)}`);
+      }
+    }
+
+    return lines.length > 0 ? `Items (only these exist; don't invent others):\n${lines.join('\n')}` : null;
+  }
+
+  /**
+   * Create a scenario's blueprints and starting items once its places exist
+   * @param {Object} event - `scenarioPlacesCreated` event from the place manager
+   * @private
+   */
+  async _setUpScenarioItems({ scenarioId, scenario }) {
+    try {
+      for (const blueprintData of scenario.blueprints) {
+        if (!this.getBlueprintByName(blueprintData.name, scenarioId)) {
+          await this.createBlueprint({ ...blueprintData, id: undefined, scenarioId });
+        }
+      }
+
+      for (const itemData of scenario.items) {
+        // Items without a blueprint describe their own kind
+        const blueprintName = itemData.blueprint || itemData.name;
+        let blueprint = this.getBlueprintByName(blueprintName, scenarioId);
+        if (!blueprint && !itemData.blueprint) {
+          blueprint = await this.createBlueprint({
+            scenarioId,
+            name: itemData.name,
+            description: itemData.description,
+            properties: itemData.properties,
+            maxDurability: itemData.maxDurability,
+            uses: itemData.uses
+          });
+        }
+        if (!blueprint) {
+          console.warn(`Scenario ${scenarioId}: unknown blueprint ${blueprintName} of item ${itemData.name}`);
+          continue;
+        }
+
+        const holder = this._resolveScenarioHolder(scenarioId, itemData);
+        if (!holder) {
+          console.warn(`Scenario ${scenarioId}: item ${itemData.name} needs an existing owner (agent name) or place`);
+          continue;
+        }
+
+        for (let count = 0; count < (itemData.count || 1); count++) {
+          await this.createItem({
+            blueprintId: blueprint.id,
+            holderType: holder.type,
+            holderId: holder.id,
+            name: itemData.name,
+            reason: 'scenario start'
+          });
+        }
+      }
+    } catch (error) {
+      console.error(`Error setting up items for scenario ${scenarioId}:`, error);
+    }
+  }
+
+  /**
+   * Find the holder a scenario file gives an item
+   * @param {string} scenarioId - Scenario ID
+   * @param {Object} itemData - Item entry with `owner` (agent name) or `place` (place name)
+   * @returns {Object|null} Holder as { type, id }, or null if it doesn't exist
+   * @private
+   */
+  _resolveScenarioHolder(scenarioId, itemData) {
+    if (itemData.owner) {
+      const agent = agentManager.getAgentByName(itemData.owner);
+      return agent ? { type: 'agent', id: agent.id } : null;
+    }
+    if (itemData.place) {
+      const place = placeManager.getPlaceByName(itemData.place, scenarioId);
+      return place ? { type: 'place', id: place.id } : null;
+    }
+    return null;
+  }
+
+  /**
+   * Check that a holder exists
+   * @param {string} scenarioId - Scenario of the item
+   * @param {string} holderType - 'agent', 'user' or 'place'
+   * @param {string} holderId - Holder ID
+   * @throws {Error} If the holder is invalid
+   * @private
+   */
+  _validateHolder(scenarioId, holderType, holderId) {
+    if (!HOLDER_TYPES.includes(holderType) || !holderId) {
+      throw new Error(`Items must be held by one of ${HOLDER_TYPES.join(', ')}`);
+    }
+    if (holderType === 'agent' && !agentManager.getAgent(holderId)) {
+      throw new Error(`Agent ${holderId} not found`);
+    }
+    if (holderType === 'place' && placeManager.getPlace(holderId)?.scenarioId !== scenarioId) {
+      throw new Error(`Place ${holderId} not found`);
+    }
+  }
+
+  /**
+   * Check whether someone can use an item: they carry it, or it lies where they are
+   * @param {Item} item - Item
+   * @param {string} actorType - 'agent' or 'user'
+   * @param {string} actorId - Agent or user ID
+   * @returns {boolean} Whether the item is in reach
+   * @private
+   */
+  _canReach(item, actorType, actorId) {
+    if (item.holderType === actorType && item.holderId === actorId) {
+      return true;
+    }
+    return item.holderType === 'place' && placeManager.getLocation(item.scenarioId, actorType, actorId)?.id === item.holderId;
+  }
+
+  /**
+   * Keep a durability between 0 and the blueprint's maximum
+   * @param {Item} item - Item
+   * @param {number} durability - Durability
+   * @returns {number} Clamped durability
+   * @private
+   */
+  _clampDurability(item, durability) {
+    const maxDurability = this.getBlueprint(item.blueprintId).maxDurability ?? durability;
+    return Math.max(0, Math.min(maxDurability, durability));
+  }
+
+  /**
+   * Describe a list of items in a few words
+   * @param {Item[]} items - Items
+   * @returns {string} Description
+   * @private
+   */
+  _describeItems(items) {
+    if (items.length === 0) {
+      return 'nothing';
+    }
+    return items.map(item => {
+      const condition = this.getCondition(item);
+      return condition && condition !== 'pristine' ? `${item.name} (${condition})` : item.name;
+    }).join(', ');
+  }
+
+  /**
+   * Record a change of holder
+   * @param {Item} item - Item
+   * @param {Object|null} from - Previous holder as { type, id } (null when created)
+   * @param {Object|null} to - New holder as { type, id } (null when destroyed)
+   * @param {string} [reason] - Reason for the transfer
+   * @private
+   */
+  async _recordTransfer(item, from, to, reason) {
+    await this.db.run(`
+      INSERT INTO item_transfers (id, item_id, item_name, scenario_id, from_type, from_id, to_type, to_id, reason, universe_time, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      uuidv4(),
+      item.id,
+      item.name,
+      item.scenarioId,
+      from ? from.type : null,
+      from ? from.id : null,
+      to ? to.type : null,
+      to ? to.id : null,
+      reason,
+      timeManager.now(item.scenarioId).toISOString(),
+      new Date().toISOString()
+    ]);
+  }
+
+  /**
+   * Write an item to the database
+   * @param {Item} item - Item to save
+   * @private
+   */
+  async _saveItem(item) {
+    await this.db.run(`
+      INSERT INTO items (id, blueprint_id, scenario_id, name, holder_type, holder_id, holder_name, durability, properties, metadata, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        holder_type = excluded.holder_type,
+        holder_id = excluded.holder_id,
+        holder_name = excluded.holder_name,
+        durability = excluded.durability,
+        properties = excluded.properties,
+        metadata = excluded.metadata,
+        updated_at = excluded.updated_at
+    `, [
+      item.id,
+      item.blueprintId,
+      item.scenarioId,
+      item.name,
+      item.holderType,
+      item.holderId,
+      item.holderName,
+      item.durability,
+      JSON.stringify(item.properties),
+      JSON.stringify(item.metadata),
+      item.createdAt.toISOString(),
+      item.updatedAt.toISOString()
+    ]);
+  }
+
+  /**
+   * Convert a database row to a blueprint
+   * @param {Object} row - Database row
+   * @returns {Blueprint} Blueprint instance
+   * @private
+   */
+  _rowToBlueprint(row) {
+    return new Blueprint({
+      id: row.id,
+      scenarioId: row.scenario_id,
+      name: row.name,
+      description: row.description,
+      properties: JSON.parse(row.properties || '{}'),
+      maxDurability: row.max_durability,
+      uses: JSON.parse(row.uses || '{}'),
+      createdAt: new Date(row.created_at)
+    });
+  }
+
+  /**
+   * Convert a database row to an item
+   * @param {Object} row - Database row
+   * @returns {Item} Item instance
+   * @private
+   */
+  _rowToItem(row) {
+    return new Item({
+      id: row.id,
+      blueprintId: row.blueprint_id,
+      scenarioId: row.scenario_id,
+      name: row.name,
+      holderType: row.holder_type,
+      holderId: row.holder_id,
+      holderName: row.holder_name,
+      durability: row.durability,
+      properties: JSON.parse(row.properties || '{}'),
+      metadata: JSON.parse(row.metadata || '{}'),
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    });
+  }
+
+  /**
+   * Stop listening for scenarios and close the database connection
+   */
+  async close() {
+    placeManager.off('scenarioPlacesCreated', this.onPlacesCreated);
+
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+      console.log('Item Manager database connection closed');
+    }
+
+    this.initialized = false;
+  }
+}
+
+// Create and export a singleton instance
+const itemManager = new ItemManager();
+export default itemManager;
+
+export { Blueprint, Item, HOLDER_TYPES, EFFECT_TYPES };
@@ -0,0 +1,465 @@
+import { EventEmitter } from 'events';
+import config from '../config.js';
+import { createLLMProvider } from './providers.js';
+
+// Request priorities, most urgent first: replies users are waiting for go before background work
+const PRIORITIES = {
+  reply: 0,
+  normal: 1,
+  background: 2
+};
+
+// Context windows of known models in tokens
+const MODEL_CONTEXT_LENGTHS = {
+  'meta-llama/llama-4-maverick-17b-128e-instruct': 131072,
+  'meta-llama/llama-4-scout-17b-16e-instruct': 131072,
+  'llama-3.3-70b-versatile': 131072,
+  'llama-3.1-8b-instant': 131072,
+  'deepseek-r1-distill-llama-70b': 131072,
+  'qwen/qwen3-32b': 131072,
+  'gemma2-9b-it': 8192
+};
+
+// Context window assumed for models not listed above
+const DEFAULT_CONTEXT_LENGTH = 8192;
+
+// HTTP statuses worth retrying: timeouts, conflicts, rate limits and server errors
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+
+/**
+ * Error thrown when a model is skipped because its circuit is open
+ */
+class CircuitOpenError extends Error {
+  /**
+   * Create a circuit open error
+   * @param {string} model - Model whose circuit is open
+   * @param {number} retryAfter - Time until the circuit lets a request through in ms
+   */
+  constructor(model, retryAfter) {
+    super(`Model ${model} is unavailable, retry in ${Math.ceil(retryAfter / 1000)}s`);
+    this.name = 'CircuitOpenError';
+    this.model = model;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Class representing a circuit breaker for one model: after `threshold` failures in a row it
+ * opens and turns requests away for `cooldown` ms, then lets one trial request through
+ * (half-open). The trial succeeding closes the circuit, failing opens it again.
+ */
+class CircuitBreaker {
+  /**
+   * Create a closed circuit breaker
+   * @param {number} threshold - Failures in a row that open the circuit
+   * @param {number} cooldown - Time the circuit stays open in ms
+   */
+  constructor(threshold, cooldown) {
+    this.threshold = threshold;
+    this.cooldown = cooldown;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Get the circuit's state
+   * @returns {string} 'closed', 'open' or 'half-open'
+   */
+  get state() {
+    if (this.openedAt === null) {
+      return 'closed';
+    }
+    return Date.now() - this.openedAt >= this.cooldown ? 'half-open' : 'open';
+  }
+
+  /**
+   * Time until the circuit lets a request through
+   * @returns {number} Wait in ms (0 if a request may be made now)
+   */
+  getWait() {
+    const state = this.state;
+    if (state === 'closed' || (state === 'half-open' && !this.trialInFlight)) {
+      return 0;
+    }
+    return state === 'open' ? this.openedAt + this.cooldown - Date.now() : this.cooldown;
+  }
+
+  /**
+   * Take the permission to make a request (check getWait first)
+   */
+  acquire() {
+    if (this.state === 'half-open') {
+      this.trialInFlight = true;
+    }
+  }
+
+  /**
+   * Give back the permission to make a request, without judging the model
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a successful request, closing the circuit
+   * @returns {boolean} Whether the circuit was not closed before
+   */
+  recordSuccess() {
+    const wasOpen = this.openedAt !== null;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    return wasOpen;
+  }
+
+  /**
+   * Record a failed request
+   * @returns {boolean} Whether this failure opened the circuit
+   */
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.openedAt !== null || this.failures >= this.threshold) {
+      this.openedAt = Date.now();
+      return true;
+    }
+    return false;
+  }
+}
+
+/**
+ * Class making the chat completion requests of every module through the provider selected in
+ * config.llm.provider, so they share one queue:
+ * - requests wait in a queue ordered by priority, with at most config.llm.maxConcurrent running
+ * - failures worth retrying (rate limits, server and network errors) are retried with
+ *   exponential backoff and jitter, waiting as long as a `retry-after` header asks; a request
+ *   waiting to be retried leaves its slot to others
+ * - each model has a circuit breaker, so a model that keeps failing is skipped for a while
+ * - when a model fails or is skipped, the request moves on to the next model of
+ *   config.llm.fallbackModels
+ *
+ * Streamed requests are retried until the stream starts; a stream failing midway is not.
+ */
+class LLMClient extends EventEmitter {
+  /**
+   * Create an LLM client
+   */
+  constructor() {
+    super();
+
+    this.maxConcurrent = config.llm.maxConcurrent;
+    this.maxRetries = config.llm.maxRetries;
+    this.retryBaseDelay = config.llm.retryBaseDelay;
+    this.retryMaxDelay = config.llm.retryMaxDelay;
+    this.fallbackModels = config.llm.fallbackModels;
+
+    this.provider = createLLMProvider();
+
+    this.queue = []; // Waiting requests, ordered by priority, then by arrival
+    this.running = 0;
+    this.retrying = new Map(); // Map of backoff timer to the request waiting to be retried
+    this.breakers = new Map(); // Map of model to CircuitBreaker
+  }
+
+  /**
+   * Create a chat completion once the request's turn in the queue comes
+   * @param {Object} request - Chat completion request, in the OpenAI chat completions format
+   * @param {Object} [options] - Request options
+   * @param {string} [options.priority='normal'] - Priority: 'reply', 'normal' or 'background'
+   * @returns {Promise<Object>} Chat completion, or a stream of chunks if `request.stream` is set
+   */
+  createChatCompletion(request, { priority = 'normal' } = {}) {
+    if (!(priority in PRIORITIES)) {
+      return Promise.reject(new Error(`Invalid priority: ${priority}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this._enqueue({ request, priority: PRIORITIES[priority], resolve, reject, modelIndex: 0, attempt: 0, lastError: null });
+    });
+  }
+
+  /**
+   * Estimate the number of tokens in a text, as the provider's models count them
+   * @param {string} text - Text to measure
+   * @returns {number} Estimated token count
+   */
+  countTokens(text) {
+    return this.provider.countTokens(text);
+  }
+
+  /**
+   * Get the context window of a model: config.llm.contextLength if set, or else the known
+   * window of the model
+   * @param {string} model - Model
+   * @returns {number} Context length in tokens
+   */
+  getContextLength(model) {
+    return config.llm.contextLength || MODEL_CONTEXT_LENGTHS[model] || DEFAULT_CONTEXT_LENGTH;
+  }
+
+  /**
+   * Get the state of the queue and of the models' circuits
+   * @returns {Object} Status with `provider`, `queued`, `running` and `circuits` (model to state)
+   */
+  getStatus() {
+    return {
+      provider: this.provider.id,
+      queued: this.queue.length,
+      running: this.running,
+      circuits: Object.fromEntries([...this.breakers.entries()].map(([model, breaker]) => [model, breaker.state]))
+    };
+  }
+
+  /**
+   * Reject the requests still waiting in the queue or for a retry
+   */
+  cleanup() {
+    for (const timer of this.retrying.keys()) {
+      clearTimeout(timer);
+    }
+    const waiting = [...this.queue.splice(0), ...this.retrying.values()];
+    this.retrying.clear();
+    for (const entry of waiting) {
+      entry.reject(new Error('LLM client is shutting down'));
+    }
+  }
+
+  /**
+   * Start queued requests while there are free slots
+   * @private
+   */
+  _drain() {
+    while (this.running < this.maxConcurrent && this.queue.length > 0) {
+      const entry = this.queue.shift();
+      this.running++;
+      this._execute(entry)
+        .then(({ response, retryDelay }) => {
+          if (retryDelay === undefined) {
+            entry.resolve(response);
+          } else {
+            this._scheduleRetry(entry, retryDelay);
+          }
+        }, entry.reject)
+        .finally(() => {
+          this.running--;
+          this._drain();
+        });
+    }
+  }
+
+  /**
+   * Add a request to the queue, behind the requests of the same or a more urgent priority
+   * @param {Object} entry - Queue entry
+   * @private
+   */
+  _enqueue(entry) {
+    const index = this.queue.findIndex(queued => queued.priority > entry.priority);
+    this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+    this._drain();
+  }
+
+  /**
+   * Queue a request again once its backoff is over. It gives up its slot while it waits, so
+   * other requests can run in the meantime.
+   * @param {Object} entry - Queue entry
+   * @param {number} delay - Backoff in ms
+   * @private
+   */
+  _scheduleRetry(entry, delay) {
+    const timer = setTimeout(() => {
+      this.retrying.delete(timer);
+      this._enqueue(entry);
+    }, delay);
+    this.retrying.set(timer, entry);
+  }
+
+  /**
+   * Make one attempt at a request with its current model, moving on to the next models in the
+   * chain when a model fails or is skipped
+   * @param {Object} entry - Queue entry, tracking the request's model and attempt
+   * @returns {Promise<Object>} `response` (chat completion or stream), or `retryDelay` if the
+   *   attempt failed and should be retried after that many ms
+   * @private
+   */
+  async _execute(entry) {
+    const { request } = entry;
+    const models = this._getModelChain(request.model);
+
+    // A retry resumes with the model it failed on; the circuit is checked again, as it may
+    // have opened during the backoff
+    for (; entry.modelIndex < models.length; entry.modelIndex++, entry.attempt = 0) {
+      const model = models[entry.modelIndex];
+      const breaker = this._getBreaker(model);
+      const wait = breaker.getWait();
+      if (wait > 0) {
+        entry.lastError = new CircuitOpenError(model, wait);
+        continue;
+      }
+
+      try {
+        const result = await this._attempt({ ...request, model }, breaker, entry.attempt);
+        if (result.retryDelay !== undefined) {
+          entry.attempt++;
+          return result;
+        }
+        if (model !== request.model) {
+          this.emit('modelFallback', { requested: request.model, used: model });
+        }
+        return result;
+      } catch (error) {
+        entry.lastError = error;
+        if (!this._shouldFallBack(error)) {
+          throw error;
+        }
+        console.warn(`Model ${model} failed (${error.message}), trying the next model`);
+      }
+    }
+
+    throw entry.lastError;
+  }
+
+  /**
+   * Make one attempt at a request with one model
+   * @param {Object} request - Chat completion request
+   * @param {CircuitBreaker} breaker - Circuit breaker of the request's model
+   * @param {number} attempt - Retries made so far with this model
+   * @returns {Promise<Object>} `response` (chat completion or stream), or `retryDelay` if the
+   *   failure is worth retrying after that many ms
+   * @throws {Error} If the request failed and isn't to be retried with this model
+   * @private
+   */
+  async _attempt(request, breaker, attempt) {
+    breaker.acquire();
+    try {
+      const response = request.stream ? await this.provider.stream(request) : await this.provider.chat(request);
+      if (breaker.recordSuccess()) {
+        this.emit('circuitClosed', { model: request.model });
+      }
+      return { response };
+    } catch (error) {
+      if (!this._isRetryable(error)) {
+        // The request itself is at fault, not the model; let a half-open circuit try again
+        breaker.release();
+        throw error;
+      }
+
+      if (breaker.recordFailure()) {
+        this.emit('circuitOpened', { model: request.model, error });
+        throw error;
+      }
+
+      const delay = this._getRetryDelay(error, attempt);
+      if (attempt >= this.maxRetries || delay === null) {
+        throw error;
+      }
+
+      this.emit('retry', { model: request.model, attempt: attempt + 1, delay, error });
+      return { retryDelay: delay };
+    }
+  }
+
+  /**
+   * Get the models to try for a request: its own, then the fallback models
+   * @param {string} model - Requested model
+   * @returns {string[]} Models in the order to try them
+   * @private
+   */
+  _getModelChain(model) {
+    return [model, ...this.fallbackModels.filter(fallback => fallback !== model)];
+  }
+
+  /**
+   * Get the circuit breaker of a model, creating it if needed
+   * @param {string} model - Model
+   * @returns {CircuitBreaker} Circuit breaker
+   * @private
+   */
+  _getBreaker(model) {
+    if (!this.breakers.has(model)) {
+      this.breakers.set(model, new CircuitBreaker(config.llm.circuitThreshold, config.llm.circuitCooldown));
+    }
+    return this.breakers.get(model);
+  }
+
+  /**
+   * Check whether a failed request may succeed if made again
+   * @param {Error} error - Request error
+   * @returns {boolean} Whether to retry
+   * @private
+   */
+  _isRetryable(error) {
+    // Network errors and timeouts come without a status
+    if (error.status === undefined) {
+      return error.name !== 'APIUserAbortError';
+    }
+    return RETRYABLE_STATUSES.includes(error.status);
+  }
+
+  /**
+   * Check whether a request that failed with one model may succeed with another
+   * @param {Error} error - Request error
+   * @returns {boolean} Whether to try the next model
+   * @private
+   */
+  _shouldFallBack(error) {
+    return error instanceof CircuitOpenError || this._isRetryable(error) || error.status === 404;
+  }
+
+  /**
+   * Get how long to wait before retrying: what the `retry-after` header asks, or else an
+   * exponential backoff with jitter
+   * @param {Error} error - Request error
+   * @param {number} attempt - Number of the failed attempt, from 0
+   * @returns {number|null} Delay in ms, or null if the server asks to wait longer than
+   *   config.llm.retryMaxDelay (better to try another model)
+   * @private
+   */
+  _getRetryDelay(error, attempt) {
+    const retryAfter = this._parseRetryAfter(error.headers);
+    if (retryAfter !== null) {
+      return retryAfter <= this.retryMaxDelay ? retryAfter : null;
+    }
+
+    // Half the backoff is fixed and half is random, so clients that failed together spread out
+    const backoff = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** attempt);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * Read how long a response asks to wait before retrying
+   * @param {Object} [headers] - Response headers
+   * @returns {number|null} Wait in ms, or null if the response doesn't say
+   * @private
+   */
+  _parseRetryAfter(headers) {
+    if (!headers) {
+      return null;
+    }
+
+    const milliseconds = parseFloat(headers['retry-after-ms']);
+    if (!Number.isNaN(milliseconds)) {
+      return Math.max(0, milliseconds);
+    }
+
+    const value = headers['retry-after'];
+    if (!value) {
+      return null;
+    }
+
+    // Either a number of seconds or an HTTP date
+    const seconds = parseFloat(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+// Create and export a singleton instance
+const llmClient = new LLMClient();
+export default llmClient;
+
+export { LLMClient, CircuitBreaker, CircuitOpenError, PRIORITIES };
@@ -0,0 +1,353 @@
+import fetch from 'node-fetch';
+import { Groq } from 'groq-sdk';
+import config from '../config.js';
+
+// Starting estimate of characters per token, refined from the token counts servers report
+const DEFAULT_CHARS_PER_TOKEN = 4;
+
+/**
+ * Error returned by a provider's server, with the status and headers the retry logic looks at
+ */
+class ProviderError extends Error {
+  /**
+   * Create a provider error
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message
+   * @param {Object} [headers] - Response headers, with lowercase names
+   */
+  constructor(status, message, headers = {}) {
+    super(`${status} ${message}`);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Base class for LLM providers.
+ * Providers take chat completion requests and return responses in the OpenAI chat completions
+ * format ({ choices: [{ message: { content } }], usage }), streamed as chunks of
+ * { choices: [{ delta: { content } }] }.
+ */
+class LLMProvider {
+  /**
+   * Create a provider
+   */
+  constructor() {
+    this.charsPerToken = DEFAULT_CHARS_PER_TOKEN;
+  }
+
+  /**
+   * Identifier of the provider and where it sends requests
+   * @returns {string} Provider identifier
+   */
+  get id() {
+    throw new Error('LLM provider must implement id');
+  }
+
+  /**
+   * Create a chat completion
+   * @param {Object} request - Chat completion request
+   * @returns {Promise<Object>} Chat completion
+   */
+  async chat(request) {
+    throw new Error('LLM provider must implement chat()');
+  }
+
+  /**
+   * Start a streamed chat completion. Resolves once the server accepted the request, so
+   * failures to start can be retried.
+   * @param {Object} request - Chat completion request
+   * @returns {Promise<AsyncIterable<Object>>} Completion chunks
+   */
+  async stream(request) {
+    throw new Error('LLM provider must implement stream()');
+  }
+
+  /**
+   * Estimate the number of tokens in a text
+   * @param {string} text - Text to measure
+   * @returns {number} Estimated token count
+   */
+  countTokens(text) {
+    return Math.ceil((text || '').length / this.charsPerToken);
+  }
+
+  /**
+   * Refine the characters-per-token estimate from the prompt tokens a server counted
+   * @param {Object} request - Chat completion request
+   * @param {Object} [usage] - Usage reported with the completion
+   * @private
+   */
+  _calibrate(request, usage) {
+    const characters = request.messages.reduce((sum, message) => sum + (message.content || '').length, 0);
+    if (!usage?.prompt_tokens || characters < 200) {
+      return;
+    }
+
+    // Chat formatting adds a few tokens per message that aren't in the text
+    const textTokens = Math.max(1, usage.prompt_tokens - request.messages.length * 4);
+    const observed = Math.min(8, Math.max(1, characters / textTokens));
+    this.charsPerToken = this.charsPerToken * 0.9 + observed * 0.1;
+  }
+}
+
+/**
+ * Provider using the Groq API
+ */
+class GroqProvider extends LLMProvider {
+  /**
+   * Create a Groq provider
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Groq API key
+   * @param {number} [options.timeout] - Request timeout in ms
+   */
+  constructor({ apiKey, timeout }) {
+    super();
+    // The SDK's own retries are turned off, they'd bypass the client's queue and circuit breakers
+    this.groq = new Groq({ apiKey, timeout, maxRetries: 0 });
+  }
+
+  get id() {
+    return 'groq';
+  }
+
+  async chat(request) {
+    const response = await this.groq.chat.completions.create(request);
+    this._calibrate(request, response.usage);
+    return response;
+  }
+
+  async stream(request) {
+    return this.groq.chat.completions.create({ ...request, stream: true });
+  }
+}
+
+/**
+ * Provider calling an OpenAI-compatible `/chat/completions` endpoint, such as a local
+ * llama.cpp, Ollama or vLLM server
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * Create an OpenAI-compatible provider
+   * @param {Object} options - Provider options
+   * @param {string} options.apiUrl - Base URL of the API (e.g. http://localhost:11434/v1)
+   * @param {string} [options.apiKey] - Bearer token, if the endpoint requires one
+   * @param {number} [options.timeout=60000] - Time to wait for the server to answer in ms
+   */
+  constructor({ apiUrl, apiKey, timeout = 60000 }) {
+    super();
+    if (!apiUrl) {
+      throw new Error('An API URL is required for the OpenAI-compatible LLM provider');
+    }
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+  }
+
+  get id() {
+    return `openai-compatible (${this.apiUrl})`;
+  }
+
+  async chat(request) {
+    const completion = await this._withTimeout(async signal => {
+      const response = await this._post({ ...request, stream: false }, signal);
+      return response.json();
+    });
+    this._calibrate(request, completion.usage);
+    return completion;
+  }
+
+  async stream(request) {
+    // The timeout only covers the server starting to answer; generation may take longer
+    const response = await this._withTimeout(signal => this._post({ ...request, stream: true }, signal));
+    return this._readEvents(response.body);
+  }
+
+  /**
+   * Run a task that's aborted if it takes longer than the timeout
+   * @param {Function} task - Async function taking an AbortSignal
+   * @returns {Promise<*>} Result of the task
+   * @private
+   */
+  async _withTimeout(task) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    try {
+      return await task(controller.signal);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Send a request to the chat completions endpoint
+   * @param {Object} body - Request body
+   * @param {AbortSignal} signal - Signal aborting the request
+   * @returns {Promise<Response>} Successful response
+   * @private
+   */
+  async _post(body, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.apiUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new ProviderError(response.status, await response.text(), Object.fromEntries(response.headers.entries()));
+    }
+    return response;
+  }
+
+  /**
+   * Read the server-sent events of a streamed completion
+   * @param {ReadableStream} body - Response body
+   * @returns {AsyncGenerator<Object>} Completion chunks
+   * @private
+   */
+  async *_readEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      // Servers may end lines with \r\n as well as \n
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.match(/^data:\s*(.*)$/)?.[1].trim();
+        if (!data) {
+          continue;
+        }
+        if (data === '[DONE]') {
+          return;
+        }
+        yield JSON.parse(data);
+      }
+    }
+  }
+}
+
+/**
+ * Deterministic provider for tests and offline runs. Answers with queued responses first,
+ * then with `response` if set, or else by echoing the last user message ("{}" when JSON is
+ * requested). Requests are kept in `requests` for inspection.
+ */
+class MockProvider extends LLMProvider {
+  /**
+   * Create a mock provider
+   * @param {Object} [options] - Provider options
+   * @param {string} [options.response] - Fixed response text
+   * @param {number} [options.latency=0] - Delay before answering in ms
+   */
+  constructor({ response, latency = 0 } = {}) {
+    super();
+    this.response = response || null;
+    this.latency = latency;
+    this.responses = []; // Queued response texts or errors
+    this.requests = [];
+  }
+
+  get id() {
+    return 'mock';
+  }
+
+  /**
+   * Queue responses for the next requests
+   * @param {...(string|Error)} responses - Response texts, or errors to fail with
+   */
+  enqueue(...responses) {
+    this.responses.push(...responses);
+  }
+
+  async chat(request) {
+    const content = await this._respond(request);
+    const promptTokens = request.messages.reduce((sum, message) => sum + this.countTokens(message.content), 0);
+    const completionTokens = this.countTokens(content);
+
+    return {
+      id: `mock-${this.requests.length}`,
+      object: 'chat.completion',
+      model: request.model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+    };
+  }
+
+  async stream(request) {
+    const content = await this._respond(request);
+    const pieces = content.match(/\S+\s*|\s+/g) || [];
+
+    return (async function* () {
+      for (const piece of pieces) {
+        yield { choices: [{ index: 0, delta: { content: piece } }] };
+      }
+    })();
+  }
+
+  /**
+   * Record a request and pick its response
+   * @param {Object} request - Chat completion request
+   * @returns {Promise<string>} Response text
+   * @private
+   */
+  async _respond(request) {
+    this.requests.push(request);
+    if (this.latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latency));
+    }
+
+    if (this.responses.length > 0) {
+      const next = this.responses.shift();
+      if (next instanceof Error) {
+        throw next;
+      }
+      return next;
+    }
+
+    if (request.response_format?.type === 'json_object') {
+      return '{}';
+    }
+    if (this.response) {
+      return this.response;
+    }
+
+    const lastUserMessage = [...request.messages].reverse().find(message => message.role === 'user');
+    return `Mock reply to: ${lastUserMessage?.content || ''}`;
+  }
+}
+
+/**
+ * Create the LLM provider selected in the configuration
+ * @param {Object} [options] - Provider options (defaults to config.llm)
+ * @returns {LLMProvider} LLM provider
+ */
+function createLLMProvider(options = config.llm) {
+  switch (options.provider) {
+    case 'groq':
+      return new GroqProvider({ apiKey: config.api.groq.apiKey, timeout: options.requestTimeout });
+    case 'openai':
+      return new OpenAICompatibleProvider({ apiUrl: options.apiUrl, apiKey: options.apiKey, timeout: options.requestTimeout });
+    case 'mock':
+      return new MockProvider({ response: options.mockResponse, latency: options.mockLatency });
+    default:
+      throw new Error(`Unknown LLM provider: ${options.provider}`);
+  }
+}
+
+export {
+  LLMProvider,
+  GroqProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+  ProviderError,
+  createLLMProvider
+};
@@ -0,0 +1,260 @@
+import fetch from 'node-fetch';
+import config from '../config.js';
+
+/**
+ * Base class for embedding providers.
+ * Providers turn text into fixed-length vectors whose cosine similarity reflects semantic similarity.
+ */
+class EmbeddingProvider {
+  /**
+   * Identifier stored alongside each vector, so vectors from a different provider or
+   * configuration are recognised as stale and recomputed
+   * @returns {string} Provider identifier
+   */
+  get id() {
+    throw new Error('Embedding provider must implement id');
+  }
+
+  /**
+   * Similarity thresholds suited to the scores this provider gives
+   * @returns {Object} Thresholds with `relevance`, the similarity at which a memory is recalled
+   *   for a query, `duplicate`, at which a fact counts as already remembered, `related`, at
+   *   which a fact is linked to a memory, `consolidation`, at which memories are grouped to be
+   *   merged, and `responder`, at which an agent's persona is relevant enough to a message for
+   *   the agent to answer it
+   */
+  get thresholds() {
+    return { relevance: 0.7, duplicate: 0.85, related: 0.5, consolidation: 0.8, responder: 0.5 };
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>} One vector per text
+   */
+  async embed(texts) {
+    throw new Error('Embedding provider must implement embed()');
+  }
+}
+
+/**
+ * Deterministic local provider using hashed word and character n-grams.
+ * Needs no network access; catches shared vocabulary, word forms and spelling variants.
+ */
+class HashedNgramEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * Create a hashed n-gram provider
+   * @param {Object} [options] - Provider options
+   * @param {number} [options.dimensions=512] - Vector length
+   */
+  constructor({ dimensions = 512 } = {}) {
+    super();
+    this.dimensions = dimensions;
+  }
+
+  get id() {
+    return `hashed-ngram-${this.dimensions}`;
+  }
+
+  // Only shared words and word forms count, so scores run far lower than with a neural model: a
+  // question about a memory scores around 0.2-0.3 (unrelated memories below 0.2). A fact (with
+  // its keywords) scores around 0.6-0.75 against the stored memory saying the same thing, 0.3-0.5
+  // against one about the same subject and at most about 0.25 against unrelated ones. Reworded
+  // memories without shared tags or keywords score 0.55-0.65, so consolidation groups from 0.55
+  // and leaves the summary model to keep apart memories that state different facts. A message
+  // rarely shares more than a word or two with an agent's persona, hence the low responder one.
+  get thresholds() {
+    return { relevance: 0.2, duplicate: 0.6, related: 0.3, consolidation: 0.55, responder: 0.15 };
+  }
+
+  async embed(texts) {
+    return texts.map(text => this._embedText(text));
+  }
+
+  /**
+   * Embed a single text
+   * @param {string} text - Text to embed
+   * @returns {number[]} Normalized vector
+   * @private
+   */
+  _embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i];
+
+      // Whole words carry the most weight
+      this._addFeature(vector, `w:${word}`, 1.0);
+
+      // Adjacent word pairs capture short phrases
+      if (i + 1 < words.length) {
+        this._addFeature(vector, `b:${word} ${words[i + 1]}`, 0.5);
+      }
+
+      // Character trigrams make related word forms overlap ("likes" / "liked")
+      const padded = ` ${word} `;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        this._addFeature(vector, `c:${padded.slice(j, j + 3)}`, 0.3);
+      }
+    }
+
+    return normalizeVector(vector);
+  }
+
+  /**
+   * Add a hashed feature to a vector
+   * @param {number[]} vector - Vector to update
+   * @param {string} feature - Feature string
+   * @param {number} weight - Feature weight
+   * @private
+   */
+  _addFeature(vector, feature, weight) {
+    const hash = fnv1a(feature);
+    // Signed hashing keeps collisions from biasing similarity upwards
+    const sign = (hash & 0x80000000) ? -1 : 1;
+    vector[hash % this.dimensions] += sign * weight;
+  }
+}
+
+/**
+ * Provider calling an OpenAI-compatible `/embeddings` endpoint
+ */
+class HttpEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * Create an HTTP embedding provider
+   * @param {Object} options - Provider options
+   * @param {string} options.apiUrl - Base URL of the API (e.g. http://localhost:11434/v1)
+   * @param {string} options.model - Embedding model name
+   * @param {string} [options.apiKey] - Bearer token, if the endpoint requires one
+   */
+  constructor({ apiUrl, model, apiKey }) {
+    super();
+    if (!apiUrl) {
+      throw new Error('An API URL is required for the HTTP embedding provider');
+    }
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.model = model;
+    this.apiKey = apiKey;
+  }
+
+  get id() {
+    return `http-${this.model}`;
+  }
+
+  async embed(texts) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.apiUrl}/embeddings`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: this.model, input: texts })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Embedding request failed with status ${response.status}: ${await response.text()}`);
+    }
+
+    const body = await response.json();
+    return body.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => normalizeVector(item.embedding));
+  }
+}
+
+/**
+ * Create the embedding provider selected in the configuration
+ * @param {Object} [options] - Provider options (defaults to config.memory.embeddings)
+ * @returns {EmbeddingProvider} Embedding provider
+ */
+function createEmbeddingProvider(options = config.memory.embeddings) {
+  switch (options.provider) {
+    case 'local':
+      return new HashedNgramEmbeddingProvider(options);
+    case 'http':
+      return new HttpEmbeddingProvider(options);
+    default:
+      throw new Error(`Unknown embedding provider: ${options.provider}`);
+  }
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {ArrayLike<number>} a - First vector
+ * @param {ArrayLike<number>} b - Second vector
+ * @returns {number} Similarity between -1 and 1 (0 if either vector is empty)
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {number[]} vector - Vector to normalize
+ * @returns {number[]} Normalized vector
+ */
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+/**
+ * Serialize a vector for storage in a BLOB column
+ * @param {number[]} vector - Vector
+ * @returns {Buffer} Float32 buffer
+ */
+function serializeVector(vector) {
+  return Buffer.from(new Float32Array(vector).buffer);
+}
+
+/**
+ * Deserialize a vector stored by serializeVector
+ * @param {Buffer} buffer - Float32 buffer
+ * @returns {Float32Array} Vector
+ */
+function deserializeVector(buffer) {
+  return new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / Float32Array.BYTES_PER_ELEMENT);
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} str - String to hash
+ * @returns {number} Unsigned hash
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export {
+  EmbeddingProvider,
+  HashedNgramEmbeddingProvider,
+  HttpEmbeddingProvider,
+  createEmbeddingProvider,
+  cosineSimilarity,
+  serializeVector,
+  deserializeVector
+};
@@ -0,0 +1,868 @@
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config.js';
+import { openDatabase } from '../database/database.js';
+import memoryManager from './memoryManager.js';
+import agentManager from '../agents/agentManager.js';
+import placeManager from '../places/placeManager.js';
+import itemManager from '../items/itemManager.js';
+import scenarioManager from '../scenario/scenarioManager.js';
+import llmClient from '../llm/llmClient.js';
+
+// Kinds of subjects memories can be about
+const ENTITY_TYPES = ['person', 'agent', 'place', 'item', 'faction'];
+
+// Most memories a profile is written from, the most important first
+const PROFILE_MAX_MEMORIES = 30;
+
+// Memories standing in for a profile that hasn't been written yet
+const PROFILE_FALLBACK_MEMORIES = 3;
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a case-insensitive pattern matching any of some names as whole words
+ * @param {string[]} names - Names and aliases
+ * @returns {RegExp|null} Pattern, or null if no name is long enough to match safely
+ */
+function buildMatcher(names) {
+  const alternatives = names
+    .map(name => name.trim())
+    .filter(name => name.length >= 2)
+    .map(name => escapeRegExp(name).replace(/\s+/g, '\\s+'));
+  return alternatives.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'iu')
+    : null;
+}
+
+/**
+ * Class representing an entity: a person, agent, place, item or faction memories are about
+ */
+class Entity {
+  /**
+   * Create an entity
+   * @param {Object} params - Entity parameters
+   * @param {string} params.id - Unique identifier
+   * @param {string} params.conversationId - Conversation the entity is known in
+   * @param {string} params.type - One of ENTITY_TYPES
+   * @param {string} params.name - Display name (unique within the conversation, like its aliases)
+   * @param {string[]} [params.aliases] - Other names the entity goes by
+   * @param {string} [params.description] - Short description
+   * @param {string} [params.sourceType] - 'agent', 'place' or 'blueprint' for entities standing
+   *   for an agent, place or item blueprint
+   * @param {string} [params.sourceId] - ID of the agent, place or blueprint
+   * @param {Object} [params.metadata] - Additional metadata
+   * @param {Date} [params.createdAt] - Creation timestamp
+   * @param {Date} [params.updatedAt] - Last update timestamp
+   */
+  constructor({
+    id = uuidv4(),
+    conversationId,
+    type,
+    name,
+    aliases = [],
+    description = '',
+    sourceType = null,
+    sourceId = null,
+    metadata = {},
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.conversationId = conversationId;
+    this.type = type;
+    this.name = name;
+    this.aliases = aliases;
+    this.description = description;
+    this.sourceType = sourceType;
+    this.sourceId = sourceId;
+    this.metadata = metadata;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * The name and aliases of the entity
+   * @type {string[]}
+   */
+  get names() {
+    return [this.name, ...this.aliases];
+  }
+
+  /**
+   * Convert entity to JSON
+   * @returns {Object} JSON representation of entity
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      conversationId: this.conversationId,
+      type: this.type,
+      name: this.name,
+      aliases: this.aliases,
+      description: this.description,
+      sourceType: this.sourceType,
+      sourceId: this.sourceId,
+      metadata: this.metadata,
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Create entity from JSON
+   * @param {Object} json - JSON representation of entity
+   * @returns {Entity} Entity instance
+   */
+  static fromJSON(json) {
+    return new Entity({
+      ...json,
+      createdAt: new Date(json.createdAt),
+      updatedAt: new Date(json.updatedAt)
+    });
+  }
+}
+
+/**
+ * Class indexing memories by the entities they mention. Memories are linked to the entities
+ * whose name or alias they mention as they're stored, and agents, places and item blueprints
+ * of the conversation's scenario become entities the first time a memory mentions them.
+ */
+class EntityIndex {
+  /**
+   * Create an entity index
+   */
+  constructor() {
+    this.dbPath = config.database.path;
+    this.maxEntities = config.entities.maxEntities;
+
+    this.entities = new Map(); // Map of entityId to Entity
+    this.matchers = new Map(); // Map of entityId to the pattern matching its names
+    this.refreshQueue = [];
+    this.isRefreshing = false;
+    this.onMemoryAdded = ({ memory }) => {
+      this.linkMemory(memory).catch(error => console.error(`Failed to link memory ${memory.id} to entities:`, error));
+    };
+    this.onMemoryUpdated = ({ memory }) => {
+      this._relinkMemory(memory).catch(error => console.error(`Failed to relink memory ${memory.id} to entities:`, error));
+    };
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the entity index
+   */
+  async initialize() {
+    try {
+      // Links reference the memories table, so it must exist first
+      if (!memoryManager.initialized) {
+        await memoryManager.initialize();
+      }
+
+      // Open database connection
+      this.db = await openDatabase(this.dbPath);
+
+      // Create tables if they don't exist
+      await this._createTables();
+
+      // Entities are bounded by config.entities.maxEntities, so keep them in memory
+      const aliases = new Map();
+      for (const row of await this.db.all(`SELECT entity_id, alias FROM entity_aliases ORDER BY rowid`)) {
+        aliases.set(row.entity_id, [...(aliases.get(row.entity_id) || []), row.alias]);
+      }
+      for (const row of await this.db.all(`SELECT * FROM entities`)) {
+        this._cache(this._rowToEntity(row, aliases.get(row.id) || []));
+      }
+
+      memoryManager.on('memoryAdded', this.onMemoryAdded);
+      memoryManager.on('memoryUpdated', this.onMemoryUpdated);
+
+      this.initialized = true;
+      console.log(`Entity Index initialized with ${this.entities.size} entities`);
+    } catch (error) {
+      console.error('Failed to initialize Entity Index:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create database tables
+   * @private
+   */
+  async _createTables() {
+    // Create entities table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS entities (
+        id TEXT PRIMARY KEY,
+        conversation_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        source_type TEXT,
+        source_id TEXT,
+        profile TEXT,
+        profile_sources TEXT,
+        profile_updated_at TEXT,
+        metadata TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Create aliases table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS entity_aliases (
+        entity_id TEXT,
+        alias TEXT,
+        PRIMARY KEY (entity_id, alias),
+        FOREIGN KEY (entity_id) REFERENCES entities(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create memory links table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS memory_entities (
+        memory_id TEXT,
+        entity_id TEXT,
+        PRIMARY KEY (memory_id, entity_id),
+        FOREIGN KEY (memory_id) REFERENCES memories(id) ON DELETE CASCADE,
+        FOREIGN KEY (entity_id) REFERENCES entities(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create indexes for performance
+    await this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_entities_conversation_id ON entities(conversation_id);
+      CREATE INDEX IF NOT EXISTS idx_memory_entities_entity_id ON memory_entities(entity_id);
+    `);
+  }
+
+  /**
+   * Create an entity, and link it to the conversation's memories that already mention it
+   * @param {Object} entityData - Entity data (see Entity constructor)
+   * @returns {Promise<Entity>} The newly created entity
+   */
+  async createEntity(entityData) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      if (!entityData.name || !entityData.conversationId) {
+        throw new Error('Entity name and conversationId are required');
+      }
+
+      if (!ENTITY_TYPES.includes(entityData.type)) {
+        throw new Error(`Unknown entity type: ${entityData.type} (expected one of ${ENTITY_TYPES.join(', ')})`);
+      }
+
+      if (this.entities.size >= this.maxEntities) {
+        throw new Error(`The index already has the maximum of ${this.maxEntities} entities`);
+      }
+
+      const entity = new Entity({
+        ...entityData,
+        name: entityData.name.trim(),
+        aliases: this._normalizeAliases(entityData.aliases || [], entityData.name)
+      });
+      this._assertNamesFree(entity.names, entity.conversationId);
+
+      await this._saveEntity(entity);
+      this._cache(entity);
+      console.log(`Entity created: ${entity.name} (${entity.id})`);
+
+      await this._linkConversationMemories(entity);
+      return entity;
+    } catch (error) {
+      console.error('Failed to create entity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the entity going by a name in a conversation, creating it if there's none
+   * @param {Object} entityData - Entity data (see Entity constructor)
+   * @returns {Promise<Entity>} Existing or new entity
+   */
+  async ensureEntity(entityData) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.getEntityByName(entityData.name, entityData.conversationId) || this.createEntity(entityData);
+  }
+
+  /**
+   * Get an entity by ID
+   * @param {string} id - Entity ID
+   * @returns {Entity|null} Entity or null if not found
+   */
+  getEntity(id) {
+    return this.entities.get(id) || null;
+  }
+
+  /**
+   * Get an entity by its name or one of its aliases (case-insensitive)
+   * @param {string} name - Name or alias
+   * @param {string} conversationId - Conversation ID
+   * @returns {Entity|null} Entity or null if not found
+   */
+  getEntityByName(name, conversationId) {
+    const lowerName = name.trim().toLowerCase();
+    for (const entity of this.entities.values()) {
+      if (entity.conversationId === conversationId && entity.names.some(other => other.toLowerCase() === lowerName)) {
+        return entity;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List the entities of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} [options] - Filter options
+   * @param {string} [options.type] - Only list entities of this type
+   * @returns {Entity[]} Entities, sorted by name
+   */
+  listEntities(conversationId, { type } = {}) {
+    return [...this.entities.values()]
+      .filter(entity => entity.conversationId === conversationId)
+      .filter(entity => !type || entity.type === type)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Update an entity. New names are linked to the memories already mentioning them; links
+   * made under names the entity no longer has stay.
+   * @param {string} id - Entity ID
+   * @param {Object} updates - Fields to update (name, type, aliases, description, metadata)
+   * @returns {Promise<Entity|null>} Updated entity or null if not found
+   */
+  async updateEntity(id, updates) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const entity = this.getEntity(id);
+      if (!entity) {
+        return null;
+      }
+
+      if (updates.type && !ENTITY_TYPES.includes(updates.type)) {
+        throw new Error(`Unknown entity type: ${updates.type} (expected one of ${ENTITY_TYPES.join(', ')})`);
+      }
+
+      const name = updates.name ? updates.name.trim() : entity.name;
+      const aliases = this._normalizeAliases(updates.aliases || entity.aliases, name);
+      this._assertNamesFree([name, ...aliases], entity.conversationId, id);
+
+      const renamed = name !== entity.name || aliases.some(alias => !entity.aliases.includes(alias));
+      entity.name = name;
+      entity.aliases = aliases;
+      if (updates.type) entity.type = updates.type;
+      if (updates.description !== undefined) entity.description = updates.description;
+      if (updates.metadata) entity.metadata = { ...entity.metadata, ...updates.metadata };
+      entity.updatedAt = new Date();
+
+      await this._saveEntity(entity);
+      this._cache(entity);
+
+      if (renamed) {
+        await this._linkConversationMemories(entity);
+      }
+      return entity;
+    } catch (error) {
+      console.error(`Failed to update entity with ID ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an entity and its links to memories (the memories stay)
+   * @param {string} id - Entity ID
+   * @returns {Promise<boolean>} Whether the entity was deleted
+   */
+  async deleteEntity(id) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      if (!this.entities.has(id)) {
+        return false;
+      }
+
+      // Aliases and links go with it through ON DELETE CASCADE
+      await this.db.run(`DELETE FROM entities WHERE id = ?`, [id]);
+      this.entities.delete(id);
+      this.matchers.delete(id);
+      return true;
+    } catch (error) {
+      console.error(`Failed to delete entity with ID ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the entities of a conversation a text mentions by name or alias
+   * @param {string} conversationId - Conversation ID
+   * @param {string} text - Text to search
+   * @returns {Entity[]} Entities mentioned, in the order they're first mentioned
+   */
+  findMentionedEntities(conversationId, text) {
+    if (!text) {
+      return [];
+    }
+
+    const mentions = [];
+    for (const entity of this.listEntities(conversationId)) {
+      const match = this.matchers.get(entity.id)?.exec(text);
+      if (match) {
+        mentions.push({ entity, index: match.index });
+      }
+    }
+    return mentions.sort((a, b) => a.index - b.index).map(mention => mention.entity);
+  }
+
+  /**
+   * Link a memory to the entities it mentions. Agents, places and item blueprints of the
+   * conversation's scenario it mentions become entities first.
+   * @param {Memory} memory - Memory to link
+   * @returns {Promise<Entity[]>} Entities the memory mentions
+   */
+  async linkMemory(memory) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const text = [memory.content, ...memory.keywords].join('\n');
+    await this._addMentionedWorldEntities(memory.conversationId, text);
+
+    const entities = this.findMentionedEntities(memory.conversationId, text);
+    await this.linkMemoryToEntities(memory.id, entities.map(entity => entity.id));
+    return entities;
+  }
+
+  /**
+   * Link a memory to entities it's about, whether or not it names them
+   * @param {string} memoryId - Memory ID
+   * @param {string[]} entityIds - Entity IDs
+   */
+  async linkMemoryToEntities(memoryId, entityIds) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      for (const entityId of entityIds) {
+        await this.db.run(`INSERT OR IGNORE INTO memory_entities (memory_id, entity_id) VALUES (?, ?)`, [memoryId, entityId]);
+      }
+    } catch (error) {
+      console.error(`Failed to link memory ${memoryId} to entities:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the entities a memory is linked to
+   * @param {string} memoryId - Memory ID
+   * @returns {Promise<Entity[]>} Entities, sorted by name
+   */
+  async getMemoryEntities(memoryId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const rows = await this.db.all(`SELECT entity_id FROM memory_entities WHERE memory_id = ?`, [memoryId]);
+    return rows
+      .map(row => this.getEntity(row.entity_id))
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get the memories linked to an entity
+   * @param {string} entityId - Entity ID
+   * @param {number} [limit=PROFILE_MAX_MEMORIES] - Maximum number of memories to return
+   * @returns {Promise<Memory[]>} Memories, the most important first
+   */
+  async getEntityMemories(entityId, limit = PROFILE_MAX_MEMORIES) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const rows = await this.db.all(`
+      SELECT m.id
+      FROM memory_entities me
+      JOIN memories m ON m.id = me.memory_id
+      WHERE me.entity_id = ?
+      ORDER BY m.importance DESC, m.created_at DESC
+      LIMIT ?
+    `, [entityId, limit]);
+
+    const memories = [];
+    for (const row of rows) {
+      const memory = await memoryManager.getMemory(row.id);
+      if (memory) {
+        memories.push(memory);
+      }
+    }
+    return memories;
+  }
+
+  /**
+   * Get everything known about an entity: a profile the summary model writes from its
+   * memories, and the memories themselves. The profile is rewritten whenever the entity's
+   * memories have changed since it was written.
+   * @param {string} entityId - Entity ID
+   * @param {Object} [options] - Profile options
+   * @param {boolean} [options.refresh=true] - Rewrite an outdated profile before returning
+   *   (otherwise it's returned as it is, with `stale` set)
+   * @returns {Promise<Object|null>} { entity, profile (null until written), updatedAt, stale,
+   *   memories }, or null if the entity doesn't exist
+   */
+  async getEntityProfile(entityId, { refresh = true } = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const entity = this.getEntity(entityId);
+      if (!entity) {
+        return null;
+      }
+
+      const memories = await this.getEntityMemories(entityId);
+      const row = await this.db.get(`SELECT profile, profile_sources, profile_updated_at FROM entities WHERE id = ?`, [entityId]);
+      let profile = row.profile;
+      let updatedAt = row.profile_updated_at ? new Date(row.profile_updated_at) : null;
+
+      const sources = JSON.parse(row.profile_sources || 'null');
+      let stale = memories.length > 0 && !(
+        sources && sources.length === memories.length && memories.every(memory => sources.includes(memory.id))
+      );
+
+      if (stale && refresh) {
+        profile = await this._writeProfile(entity, memories);
+        updatedAt = new Date();
+        stale = false;
+        await this.db.run(`
+          UPDATE entities
+          SET profile = ?, profile_sources = ?, profile_updated_at = ?
+          WHERE id = ?
+        `, [profile, JSON.stringify(memories.map(memory => memory.id)), updatedAt.toISOString(), entityId]);
+      }
+
+      return { entity, profile, updatedAt, stale, memories };
+    } catch (error) {
+      console.error(`Failed to get profile of entity ${entityId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue an entity's profile to be rewritten in the background
+   * @param {string} entityId - Entity ID
+   */
+  queueProfileRefresh(entityId) {
+    if (this.refreshQueue.includes(entityId)) {
+      return;
+    }
+    this.refreshQueue.push(entityId);
+
+    // If we're not already refreshing, start the process
+    if (!this.isRefreshing) {
+      this._processRefreshQueue();
+    }
+  }
+
+  /**
+   * Describe the entities a text mentions, for prompts
+   * @param {string} conversationId - Conversation ID
+   * @param {string} text - Text mentioning entities (usually the message being answered)
+   * @param {number} [maxEntities=config.context.promptMaxEntities] - Maximum number of entities
+   * @returns {Promise<Object[]>} Items with the entity `id` and a `content` line, in the order
+   *   the entities are mentioned
+   */
+  async getPromptContext(conversationId, text, maxEntities = config.context.promptMaxEntities) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const items = [];
+    for (const entity of this.findMentionedEntities(conversationId, text).slice(0, maxEntities)) {
+      // Replies don't wait for profiles; outdated ones are rewritten for the next prompt
+      const { profile, stale, memories } = await this.getEntityProfile(entity.id, { refresh: false });
+      if (stale) {
+        this.queueProfileRefresh(entity.id);
+      }
+
+      const description = profile ||
+        [entity.description, ...memories.slice(0, PROFILE_FALLBACK_MEMORIES).map(memory => memory.content)].filter(Boolean).join(' ');
+      if (description) {
+        items.push({ id: entity.id, content: `${entity.name} (${entity.type}): ${description}` });
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Ask the summary model for a profile of an entity from its memories
+   * @param {Entity} entity - Entity
+   * @param {Memory[]} memories - Its memories
+   * @returns {Promise<string>} Profile
+   * @private
+   */
+  async _writeProfile(entity, memories) {
+    const chronological = [...memories].sort((a, b) => (a.universeTime || a.createdAt) - (b.universeTime || b.createdAt));
+    const aliases = entity.aliases.length > 0 ? `, also known as ${entity.aliases.join(', ')}` : '';
+
+    const response = await llmClient.createChatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: `You keep track of who and what appears in a roleplay. Write a short profile of ${entity.name} (${entity.type}${aliases}) from the memories below, oldest first: who or what they are, their traits, relationships, and what happened to them. State only what the memories say. Where memories disagree, go with the most recent one. Answer with the profile only, in at most 120 words.`
+        },
+        {
+          role: 'user',
+          content: [
+            entity.description ? `Description: ${entity.description}` : null,
+            ...chronological.map(memory => `- ${memory.content}`)
+          ].filter(Boolean).join('\n')
+        }
+      ],
+      model: config.api.groq.summaryModel,
+      temperature: 0.3
+    }, { priority: 'background' });
+
+    return response.choices[0].message.content.trim();
+  }
+
+  /**
+   * Process the profile refresh queue
+   * @private
+   */
+  async _processRefreshQueue() {
+    // If there's nothing to refresh, return
+    if (this.refreshQueue.length === 0) {
+      this.isRefreshing = false;
+      return;
+    }
+
+    this.isRefreshing = true;
+
+    try {
+      await this.getEntityProfile(this.refreshQueue[0]);
+    } catch (error) {
+      console.error('Error processing entity profile queue:', error);
+    }
+    this.refreshQueue.shift();
+
+    // Continue processing the queue
+    this._processRefreshQueue();
+  }
+
+  /**
+   * Link a changed memory to the entities it now mentions, and have the profiles of the
+   * entities it's linked to rewritten
+   * @param {Memory} memory - Updated memory
+   * @private
+   */
+  async _relinkMemory(memory) {
+    await this.linkMemory(memory);
+    await this.db.run(`
+      UPDATE entities
+      SET profile_sources = NULL
+      WHERE id IN (SELECT entity_id FROM memory_entities WHERE memory_id = ?)
+    `, [memory.id]);
+  }
+
+  /**
+   * Link an entity to the memories of its conversation that mention it
+   * @param {Entity} entity - Entity
+   * @private
+   */
+  async _linkConversationMemories(entity) {
+    const matcher = this.matchers.get(entity.id);
+    if (!matcher) {
+      return;
+    }
+
+    const memories = await memoryManager.listAllMemories(entity.conversationId, config.memory.maxMemoriesPerConversation);
+    const mentioning = memories.filter(memory => matcher.test([memory.content, ...memory.keywords].join('\n')));
+    for (const memory of mentioning) {
+      await this.linkMemoryToEntities(memory.id, [entity.id]);
+    }
+    if (mentioning.length > 0) {
+      console.log(`Linked entity ${entity.name} to ${mentioning.length} memories`);
+    }
+  }
+
+  /**
+   * Turn the agents, places and item blueprints a text mentions into entities of the
+   * conversation, if they aren't yet
+   * @param {string} conversationId - Conversation ID
+   * @param {string} text - Text to search
+   * @private
+   */
+  async _addMentionedWorldEntities(conversationId, text) {
+    const scenarioId = await scenarioManager.getConversationScenarioId(conversationId);
+    const candidates = [
+      ...agentManager.listAgents().map(agent => ({
+        type: 'agent', name: agent.name, sourceType: 'agent', sourceId: agent.id
+      })),
+      ...placeManager.listPlaces(scenarioId).map(place => ({
+        type: 'place', name: place.name, description: place.description, sourceType: 'place', sourceId: place.id
+      })),
+      ...itemManager.listBlueprints(scenarioId).map(blueprint => ({
+        type: 'item', name: blueprint.name, description: blueprint.description, sourceType: 'blueprint', sourceId: blueprint.id
+      }))
+    ];
+
+    const known = this.listEntities(conversationId);
+    for (const candidate of candidates) {
+      if (known.some(entity => entity.sourceId === candidate.sourceId) || this.getEntityByName(candidate.name, conversationId)) {
+        continue;
+      }
+      if (buildMatcher([candidate.name])?.test(text) && this.entities.size < this.maxEntities) {
+        await this.createEntity({ ...candidate, conversationId });
+      }
+    }
+  }
+
+  /**
+   * Clean up aliases: trimmed, unique, and not repeating the name
+   * @param {string[]} aliases - Aliases
+   * @param {string} name - Entity name
+   * @returns {string[]} Aliases to keep
+   * @private
+   */
+  _normalizeAliases(aliases, name) {
+    const seen = new Set([name.trim().toLowerCase()]);
+    const kept = [];
+    for (const alias of aliases.map(alias => alias.trim()).filter(Boolean)) {
+      if (!seen.has(alias.toLowerCase())) {
+        seen.add(alias.toLowerCase());
+        kept.push(alias);
+      }
+    }
+    return kept;
+  }
+
+  /**
+   * Make sure no other entity of a conversation goes by any of some names
+   * @param {string[]} names - Names and aliases
+   * @param {string} conversationId - Conversation ID
+   * @param {string} [exceptId] - Entity allowed to have them
+   * @throws {Error} If a name is taken
+   * @private
+   */
+  _assertNamesFree(names, conversationId, exceptId = null) {
+    for (const name of names) {
+      const owner = this.getEntityByName(name, conversationId);
+      if (owner && owner.id !== exceptId) {
+        throw new Error(`${owner.name} already goes by ${name}`);
+      }
+    }
+  }
+
+  /**
+   * Keep an entity and the pattern matching its names in memory
+   * @param {Entity} entity - Entity
+   * @private
+   */
+  _cache(entity) {
+    this.entities.set(entity.id, entity);
+    this.matchers.set(entity.id, buildMatcher(entity.names));
+  }
+
+  /**
+   * Save an entity with its aliases
+   * @param {Entity} entity - Entity
+   * @private
+   */
+  async _saveEntity(entity) {
+    await this.db.transaction(async () => {
+      await this.db.run(`
+        INSERT INTO entities (id, conversation_id, type, name, description, source_type, source_id, metadata, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          type = excluded.type,
+          name = excluded.name,
+          description = excluded.description,
+          metadata = excluded.metadata,
+          updated_at = excluded.updated_at
+      `, [
+        entity.id,
+        entity.conversationId,
+        entity.type,
+        entity.name,
+        entity.description,
+        entity.sourceType,
+        entity.sourceId,
+        JSON.stringify(entity.metadata),
+        entity.createdAt.toISOString(),
+        entity.updatedAt.toISOString()
+      ]);
+
+      await this.db.run(`DELETE FROM entity_aliases WHERE entity_id = ?`, [entity.id]);
+      for (const alias of entity.aliases) {
+        await this.db.run(`INSERT INTO entity_aliases (entity_id, alias) VALUES (?, ?)`, [entity.id, alias]);
+      }
+    });
+  }
+
+  /**
+   * Convert a database row to an entity
+   * @param {Object} row - Database row
+   * @param {string[]} aliases - Aliases of the entity
+   * @returns {Entity} Entity instance
+   * @private
+   */
+  _rowToEntity(row, aliases) {
+    return new Entity({
+      id: row.id,
+      conversationId: row.conversation_id,
+      type: row.type,
+      name: row.name,
+      aliases,
+      description: row.description || '',
+      sourceType: row.source_type,
+      sourceId: row.source_id,
+      metadata: JSON.parse(row.metadata || '{}'),
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    });
+  }
+
+  /**
+   * Stop listening for memories and close the database connection
+   */
+  async close() {
+    memoryManager.off('memoryAdded', this.onMemoryAdded);
+    memoryManager.off('memoryUpdated', this.onMemoryUpdated);
+    this.refreshQueue = [];
+
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+      console.log('Entity Index database connection closed');
+    }
+
+    this.initialized = false;
+  }
+}
+
+// Create and export a singleton instance
+const entityIndex = new EntityIndex();
+export default entityIndex;
+
+export { Entity, ENTITY_TYPES };
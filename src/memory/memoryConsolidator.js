@@ -0,0 +1,194 @@
+import config from '../config.js';
+import memoryManager from './memoryManager.js';
+import llmClient from '../llm/llmClient.js';
+
+/**
+ * Class merging near-duplicate memories into canonical ones
+ */
+class MemoryConsolidator {
+  /**
+   * Create a memory consolidator
+   */
+  constructor() {
+    this.enabled = config.memory.consolidation.enabled;
+    this.interval = config.memory.consolidation.interval;
+    this.threshold = config.memory.consolidation.threshold; // null for the embedding provider's
+    this.maxClusterSize = config.memory.consolidation.maxClusterSize;
+
+    this.consolidationInterval = null;
+    this.isConsolidating = false;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the memory consolidator
+   */
+  async initialize() {
+    try {
+      // Schedule consolidation if enabled
+      if (this.enabled && this.interval > 0) {
+        this.consolidationInterval = setInterval(() => {
+          this.consolidate().catch(error => console.error('Error consolidating memories:', error));
+        }, this.interval);
+      }
+
+      this.initialized = true;
+      console.log(`Memory Consolidator initialized (enabled: ${this.enabled}, threshold: ${this.threshold ?? 'provider default'})`);
+    } catch (error) {
+      console.error('Failed to initialize Memory Consolidator:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge each group of near-duplicate memories into one canonical memory written by the
+   * summary model. A dry run only finds the groups: it neither asks the model nor changes
+   * anything.
+   * @param {Object} [options] - Consolidation options
+   * @param {string} [options.conversationId] - Only consolidate this conversation (defaults to all)
+   * @param {boolean} [options.dryRun=false] - Preview the groups without merging them
+   * @returns {Promise<Object[]>} One entry per group: conversationId, the memories, and the
+   *   canonical memory that replaced them (null in a dry run, if the model kept them apart, or
+   *   if merging them failed)
+   * @throws {Error} If a consolidation is already running
+   */
+  async consolidate({ conversationId, dryRun = false } = {}) {
+    if (this.isConsolidating) {
+      throw new Error('A memory consolidation is already running');
+    }
+
+    this.isConsolidating = true;
+    try {
+      const conversationIds = conversationId ? [conversationId] : await memoryManager.listConversationIds();
+      const threshold = this.threshold ?? memoryManager.embeddingProvider.thresholds.consolidation;
+      const results = [];
+
+      for (const id of conversationIds) {
+        const clusters = await memoryManager.findSimilarClusters(id, {
+          threshold,
+          maxClusterSize: this.maxClusterSize
+        });
+
+        for (const memories of clusters) {
+          // Memories flagged as contradicting each other say different things, however alike
+          if (this._hasContradiction(memories)) {
+            continue;
+          }
+
+          const result = { conversationId: id, memories, merged: null };
+          results.push(result);
+          if (dryRun) {
+            continue;
+          }
+
+          // A group that fails to merge stays as it is until the next run
+          try {
+            const merge = await this._writeCanonicalMemory(memories);
+            if (!merge) {
+              console.log(`Kept ${memories.length} similar memories apart: ${memories.map(memory => memory.id).join(', ')}`);
+              continue;
+            }
+            result.merged = await memoryManager.mergeMemories(memories.map(memory => memory.id), merge);
+          } catch (error) {
+            console.error(`Failed to merge memories ${memories.map(memory => memory.id).join(', ')}:`, error);
+          }
+        }
+      }
+
+      const merged = results.filter(result => result.merged);
+      console.log(dryRun
+        ? `Memory consolidation preview: ${results.length} groups of similar memories`
+        : `Consolidated ${merged.reduce((sum, result) => sum + result.memories.length, 0)} memories into ${merged.length}`);
+      return results;
+    } finally {
+      this.isConsolidating = false;
+    }
+  }
+
+  /**
+   * Check whether any memory of a group is linked to another one as contradicting it
+   * @param {Memory[]} memories - Group of memories
+   * @returns {boolean} Whether the group holds a contradiction
+   * @private
+   */
+  _hasContradiction(memories) {
+    const ids = new Set(memories.map(memory => memory.id));
+    return memories.some(memory => memory.relationships.some(link => link.type === 'contradicts' && ids.has(link.id)));
+  }
+
+  /**
+   * Ask the summary model to write one memory saying what a group of memories says
+   * @param {Memory[]} memories - Near-duplicate memories
+   * @returns {Promise<Object|null>} Content and importance of the canonical memory, or null if
+   *   the model found the memories state different facts
+   * @private
+   */
+  async _writeCanonicalMemory(memories) {
+    const response = await llmClient.createChatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: `You maintain the long-term memory of a roleplay. The numbered memories below were found to be near-duplicates. Merge them into one self-contained sentence naming its subject, keeping every detail any of them adds. If they state different or contradicting facts that shouldn't be merged, say so.
+
+Respond with JSON only, in this shape:
+{"merge": true, "content": "...", "importance": 0.5}
+or {"merge": false} to keep them apart.
+Rate the importance from 0 (trivia) to 1 (central to who someone is or to the story).`
+        },
+        {
+          role: 'user',
+          content: memories.map((memory, index) => `${index + 1}. ${memory.content}`).join('\n')
+        }
+      ],
+      model: config.api.groq.summaryModel,
+      temperature: 0.2,
+      response_format: { type: 'json_object' }
+    }, { priority: 'background' });
+
+    return this._parseMerge(response.choices[0].message.content);
+  }
+
+  /**
+   * Parse the model's merge decision
+   * @param {string} raw - Raw model output
+   * @returns {Object|null} Content and importance, or null if the memories stay apart
+   * @private
+   */
+  _parseMerge(raw) {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      // Some models wrap the JSON in prose or code fences
+      const match = raw.match(/\{[\s\S]*\}/);
+      if (!match) {
+        console.warn('Memory consolidation returned no JSON');
+        return null;
+      }
+      parsed = JSON.parse(match[0]);
+    }
+
+    if (!parsed.merge || typeof parsed.content !== 'string' || !parsed.content.trim()) {
+      return null;
+    }
+    return {
+      content: parsed.content.trim(),
+      importance: typeof parsed.importance === 'number' ? parsed.importance : undefined
+    };
+  }
+
+  /**
+   * Stop scheduled consolidation
+   */
+  cleanup() {
+    clearInterval(this.consolidationInterval);
+    this.consolidationInterval = null;
+    this.initialized = false;
+  }
+}
+
+// Create and export a singleton instance
+const memoryConsolidator = new MemoryConsolidator();
+export default memoryConsolidator;
+
+export { MemoryConsolidator };
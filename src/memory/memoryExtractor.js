@@ -0,0 +1,430 @@
+import config from '../config.js';
+import memoryManager, { RELATIONSHIP_TYPES } from './memoryManager.js';
+import entityIndex, { ENTITY_TYPES } from './entityIndex.js';
+import contextManager from '../context/contextManager.js';
+import llmClient from '../llm/llmClient.js';
+
+// Categories of durable facts the extractor asks for
+const FACT_CATEGORIES = ['person', 'event', 'preference', 'promise', 'world'];
+
+// Tag flagging a memory that contradicts one remembered before it
+const CONTRADICTION_TAG = 'contradiction';
+
+/**
+ * Class extracting long-term memories from conversations
+ */
+class MemoryExtractor {
+  /**
+   * Create a memory extractor
+   */
+  constructor() {
+    this.enabled = config.memory.extraction.enabled;
+    this.trigger = config.memory.extraction.trigger;
+    this.duplicateThreshold = config.memory.extraction.duplicateThreshold; // null for the embedding provider's
+    this.relatedThreshold = config.memory.extraction.relatedThreshold; // null for the embedding provider's
+    this.maxFactsPerRun = config.memory.extraction.maxFactsPerRun;
+    this.classifyLinks = config.memory.graph.classifyLinks;
+
+    this.extractionQueue = [];
+    this.isExtracting = false;
+    this.onSummaryCreated = (event) => this.queueSummary(event);
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the memory extractor
+   */
+  async initialize() {
+    try {
+      if (this.trigger === 'summary') {
+        contextManager.on('summaryCreated', this.onSummaryCreated);
+      }
+
+      this.initialized = true;
+      console.log(`Memory Extractor initialized (enabled: ${this.enabled}, trigger: ${this.trigger})`);
+    } catch (error) {
+      console.error('Failed to initialize Memory Extractor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue extraction for a user/assistant exchange.
+   * Ignored unless the extractor is triggered per exchange.
+   * @param {string} conversationId - Conversation ID
+   * @param {ContextMessage[]} messages - Messages of the exchange
+   */
+  queueExchange(conversationId, messages) {
+    if (!this.enabled || this.trigger !== 'exchange') {
+      return;
+    }
+
+    this._queueExtraction({
+      conversationId,
+      source: 'exchange',
+      text: messages.map(msg => `${msg.role}: ${msg.content}`).join('\n'),
+      messages
+    });
+  }
+
+  /**
+   * Queue extraction for a newly produced context summary
+   * @param {Object} event - Summary event from the context manager
+   * @param {string} event.conversationId - Conversation ID
+   * @param {ContextSummary} event.summary - The summary
+   * @param {ContextMessage[]} event.messages - Messages the summary covers
+   */
+  queueSummary({ conversationId, summary, messages }) {
+    if (!this.enabled) {
+      return;
+    }
+
+    this._queueExtraction({
+      conversationId,
+      source: 'summary',
+      text: summary.content,
+      messages,
+      summaryId: summary.id,
+      universeTime: summary.universeTime
+    });
+  }
+
+  /**
+   * Forget the memories extracted from a message that was edited or deleted, as they may no
+   * longer hold
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Context message ID
+   * @returns {Promise<Memory[]>} The forgotten memories
+   */
+  async forgetMessage(conversationId, messageId) {
+    const forgotten = await memoryManager.deleteMessageMemories(conversationId, [messageId]);
+    if (forgotten.length > 0) {
+      console.log(`Forgot ${forgotten.length} memories extracted from message ${messageId}`);
+    }
+    return forgotten;
+  }
+
+  /**
+   * Queue extraction again for the exchanges forgotten memories came from, as they now read.
+   * Messages deleted or gone from context since are left out.
+   * @param {string} conversationId - Conversation ID
+   * @param {Memory[]} memories - Memories returned by forgetMessage
+   */
+  async reextract(conversationId, memories) {
+    const exchanges = new Map(memories
+      .filter(memory => memory.metadata.extractedFrom === 'exchange')
+      .map(memory => [memory.metadata.messageIds.join(), memory.metadata.messageIds]));
+    if (exchanges.size === 0) {
+      return;
+    }
+
+    const conversation = await contextManager.getConversation(conversationId);
+    for (const messageIds of exchanges.values()) {
+      const messages = (conversation?.messages || []).filter(msg => messageIds.includes(msg.id) && !msg.metadata.deleted);
+      if (messages.length > 0) {
+        this.queueExchange(conversationId, messages);
+      }
+    }
+  }
+
+  /**
+   * Extract durable facts from text and store the new ones as memories
+   * @param {Object} task - Extraction task
+   * @param {string} task.conversationId - Conversation ID
+   * @param {string} task.source - What the text came from ('exchange' or 'summary')
+   * @param {string} task.text - Text to extract facts from
+   * @param {ContextMessage[]} [task.messages] - Messages the text was built from
+   * @param {string} [task.summaryId] - ID of the summary the text came from
+   * @param {Date} [task.universeTime] - In-universe time of the text (defaults to that of its last message)
+   * @returns {Promise<Memory[]>} Memories that were created
+   */
+  async extract({ conversationId, source, text, messages = [], summaryId = null, universeTime = null }) {
+    const facts = await this._extractFacts(text);
+    const created = [];
+
+    // Facts are remembered as of the moment in the story they came up
+    const factTime = universeTime || messages[messages.length - 1]?.universeTime || null;
+
+    // The user who spoke in the exchange owns the memories extracted from it
+    const userId = messages.find(msg => msg.userId)?.userId || null;
+
+    const { thresholds } = memoryManager.embeddingProvider;
+    const duplicateThreshold = this.duplicateThreshold ?? thresholds.duplicate;
+    const relatedThreshold = this.relatedThreshold ?? thresholds.related;
+
+    for (const fact of facts.slice(0, this.maxFactsPerRun)) {
+      const tags = [...new Set(['extracted', fact.category, ...fact.tags])];
+
+      // Compare against what we already know, facts stored earlier in this run included. Tags
+      // are left out: every extracted memory shares some, which would make anything look alike.
+      const similar = await memoryManager.getRelevantMemories({
+        query: [fact.content, ...fact.keywords].join(' '),
+        conversationId,
+        maxCount: 5,
+        threshold: relatedThreshold,
+        recordAccess: false
+      });
+
+      // Ask how the fact relates to what we know before judging it a duplicate: a fact
+      // contradicting a memory can look as much alike as the same fact reworded
+      const links = this.classifyLinks && similar.length > 0 ? await this._classifyLinks(fact.content, similar) : new Map();
+
+      // A fact that comes up again reinforces what we remember
+      if (similar.length > 0 && similar[0].score >= duplicateThreshold && links.get(similar[0].id) !== 'contradicts') {
+        await memoryManager.reinforceMemories([similar[0]]);
+        console.log(`Skipped duplicate fact (matches memory ${similar[0].id}): ${fact.content}`);
+        continue;
+      }
+
+      const memory = await memoryManager.addMemory({
+        content: fact.content,
+        conversationId,
+        universeTime: factTime,
+        tags,
+        keywords: fact.keywords,
+        importance: fact.importance,
+        relatedTo: similar.map(memory => memory.id),
+        metadata: {
+          source: 'extraction',
+          extractedFrom: source,
+          category: fact.category,
+          userId,
+          messageIds: messages.map(msg => msg.id),
+          summaryId
+        }
+      });
+      created.push(memory);
+      await this._linkSubjects(memory, fact.subjects);
+      await this._typeLinks(memory, links);
+    }
+
+    if (created.length > 0) {
+      console.log(`Extracted ${created.length} memories from ${source} in conversation ${conversationId}`);
+    }
+    return created;
+  }
+
+  /**
+   * Ask the summary model for durable facts in a text
+   * @param {string} text - Text to extract facts from
+   * @returns {Promise<Object[]>} Facts with content, category, importance, tags, keywords and subjects
+   * @private
+   */
+  async _extractFacts(text) {
+    const response = await llmClient.createChatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: `You extract long-term memories from a roleplay conversation. List only durable facts worth remembering in later sessions: who characters and users are, what happened, preferences, promises or plans, and facts about the world. Skip greetings, small talk and anything only relevant to the current moment. Write each fact as one self-contained sentence naming its subject.
+
+Respond with JSON only, in this shape:
+{"facts": [{"content": "...", "category": "${FACT_CATEGORIES.join('|')}", "importance": 0.5, "tags": ["..."], "keywords": ["..."], "subjects": [{"name": "...", "type": "${ENTITY_TYPES.join('|')}"}]}]}
+Rate each fact's importance from 0 (trivia) to 1 (central to who someone is or to the story).
+List as subjects the people, characters, places, items and factions the fact is about, by their proper name.
+Return {"facts": []} if there is nothing worth remembering.`
+        },
+        {
+          role: 'user',
+          content: text
+        }
+      ],
+      model: config.api.groq.summaryModel,
+      temperature: 0.2,
+      response_format: { type: 'json_object' }
+    }, { priority: 'background' });
+
+    return this._parseFacts(response.choices[0].message.content);
+  }
+
+  /**
+   * Link a new memory to the entities it's about, creating the ones not known yet.
+   * Entities it names are linked as it's stored; subjects matter for those it doesn't name
+   * the way the index knows them.
+   * @param {Memory} memory - New memory
+   * @param {Object[]} subjects - Subjects as { name, type }
+   * @private
+   */
+  async _linkSubjects(memory, subjects) {
+    const entityIds = [];
+    for (const subject of subjects) {
+      try {
+        const entity = await entityIndex.ensureEntity({ ...subject, conversationId: memory.conversationId });
+        entityIds.push(entity.id);
+      } catch (error) {
+        console.error(`Failed to index subject ${subject.name} of memory ${memory.id}:`, error);
+      }
+    }
+    await entityIndex.linkMemoryToEntities(memory.id, entityIds);
+  }
+
+  /**
+   * Ask the summary model how a new fact relates to the earlier memories like it
+   * @param {string} content - The fact
+   * @param {Memory[]} related - Earlier memories like it
+   * @returns {Promise<Map<string, string>>} Map of memory ID to link type, for the memories
+   *   linked by more than 'related' (empty if the model gave no answer)
+   * @private
+   */
+  async _classifyLinks(content, related) {
+    const types = new Map();
+    try {
+      const response = await llmClient.createChatCompletion({
+        messages: [
+          {
+            role: 'system',
+            content: `You maintain the long-term memory of a roleplay. Say how a new memory relates to each of the numbered earlier memories:
+- contradicts: both can't be true (a fact changed, or one of them is wrong)
+- causes: the new memory is a cause of the earlier one
+- elaborates: the new memory adds detail to the earlier one
+- about-entity: the earlier memory describes a person, place or thing the new memory is about
+- related: none of these
+
+Respond with JSON only, in this shape:
+{"links": [{"memory": 1, "type": "related"}]}`
+          },
+          {
+            role: 'user',
+            content: `New memory: ${content}\n\nEarlier memories:\n${related.map((other, index) => `${index + 1}. ${other.content}`).join('\n')}`
+          }
+        ],
+        model: config.api.groq.summaryModel,
+        temperature: 0.1,
+        response_format: { type: 'json_object' }
+      }, { priority: 'background' });
+
+      const raw = response.choices[0].message.content;
+      const match = raw.match(/\{[\s\S]*\}/);
+      const links = match ? JSON.parse(match[0]).links : null;
+      if (!Array.isArray(links)) {
+        console.warn('Memory link classification returned no links');
+        return types;
+      }
+
+      for (const link of links) {
+        const other = related[link?.memory - 1];
+        if (other && RELATIONSHIP_TYPES.includes(link.type) && link.type !== 'related') {
+          types.set(other.id, link.type);
+        }
+      }
+    } catch (error) {
+      // The fact's links stay untyped
+      console.error(`Failed to classify links of fact "${content}":`, error);
+    }
+    return types;
+  }
+
+  /**
+   * Type the links of a new memory as classified. A memory contradicting an earlier one is
+   * tagged CONTRADICTION_TAG.
+   * @param {Memory} memory - New memory
+   * @param {Map<string, string>} links - Map of linked memory ID to link type
+   * @private
+   */
+  async _typeLinks(memory, links) {
+    const contradicted = [];
+    for (const [id, type] of links) {
+      await memoryManager.linkMemories(memory.id, id, type);
+      if (type === 'contradicts') {
+        contradicted.push(id);
+      }
+    }
+
+    if (contradicted.length > 0) {
+      await memoryManager.updateMemory(memory.id, { tags: [...new Set([...memory.tags, CONTRADICTION_TAG])] });
+      console.warn(`Memory ${memory.id} contradicts ${contradicted.join(', ')}: ${memory.content}`);
+    }
+  }
+
+  /**
+   * Parse and normalize the model's fact list
+   * @param {string} raw - Raw model output
+   * @returns {Object[]} Valid facts
+   * @private
+   */
+  _parseFacts(raw) {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      // Some models wrap the JSON in prose or code fences
+      const match = raw.match(/\{[\s\S]*\}/);
+      if (!match) {
+        console.warn('Memory extraction returned no JSON');
+        return [];
+      }
+      parsed = JSON.parse(match[0]);
+    }
+
+    const normalizeList = (list) => Array.isArray(list)
+      ? [...new Set(list.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim().toLowerCase()))]
+      : [];
+
+    return (Array.isArray(parsed.facts) ? parsed.facts : [])
+      .filter(fact => fact && typeof fact.content === 'string' && fact.content.trim())
+      .map(fact => ({
+        content: fact.content.trim(),
+        category: FACT_CATEGORIES.includes(fact.category) ? fact.category : 'world',
+        importance: typeof fact.importance === 'number' ? Math.min(1, Math.max(0, fact.importance)) : config.memory.defaultImportance,
+        tags: normalizeList(fact.tags),
+        keywords: normalizeList(fact.keywords),
+        subjects: (Array.isArray(fact.subjects) ? fact.subjects : [])
+          .filter(subject => subject && typeof subject.name === 'string' && subject.name.trim())
+          .map(subject => ({
+            name: subject.name.trim(),
+            type: ENTITY_TYPES.includes(subject.type) ? subject.type : 'person'
+          }))
+      }));
+  }
+
+  /**
+   * Queue an extraction task
+   * @param {Object} task - Extraction task
+   * @private
+   */
+  _queueExtraction(task) {
+    this.extractionQueue.push(task);
+
+    // If we're not already extracting, start the process
+    if (!this.isExtracting) {
+      this._processExtractionQueue();
+    }
+  }
+
+  /**
+   * Process the extraction queue
+   * @private
+   */
+  async _processExtractionQueue() {
+    // If there's nothing to extract, return
+    if (this.extractionQueue.length === 0) {
+      this.isExtracting = false;
+      return;
+    }
+
+    this.isExtracting = true;
+
+    try {
+      await this.extract(this.extractionQueue.shift());
+    } catch (error) {
+      console.error('Error processing memory extraction queue:', error);
+    }
+
+    // Continue processing the queue
+    this._processExtractionQueue();
+  }
+
+  /**
+   * Stop listening for summaries and drop pending work
+   */
+  cleanup() {
+    contextManager.off('summaryCreated', this.onSummaryCreated);
+    this.extractionQueue = [];
+    this.initialized = false;
+  }
+}
+
+// Create and export a singleton instance
+const memoryExtractor = new MemoryExtractor();
+export default memoryExtractor;
+
+export { MemoryExtractor, CONTRADICTION_TAG };
@@ -1,13 +1,39 @@
-import Database from 'sqlite3';
+import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
-import { dirname, join } from 'path';
-import { fileURLToPath } from 'url';
-import { mkdir } from 'fs/promises';
 import config from '../config.js';
-import util from 'util';
+import { openDatabase } from '../database/database.js';
+import timeManager from '../time/timeManager.js';
+import scenarioManager from '../scenario/scenarioManager.js';
+import {
+  createEmbeddingProvider,
+  cosineSimilarity,
+  serializeVector,
+  deserializeVector
+} from './embeddings.js';
 
-// Get the directory name
-const __dirname = dirname(fileURLToPath(import.meta.url));
+// How much each part of a memory's retention score counts
+const RETENTION_WEIGHTS = { recency: 0.4, importance: 0.4, reinforcement: 0.2 };
+
+// Number of recalls at which reinforcement reaches half its maximum
+const REINFORCEMENT_HALF_COUNT = 5;
+
+// Memories with this tag are never pruned or evicted
+const PINNED_TAG = 'pinned';
+
+// Kinds of links between memories ('related' is a link of no particular kind)
+const RELATIONSHIP_TYPES = ['related', 'causes', 'contradicts', 'elaborates', 'about-entity'];
+
+/**
+ * Normalize links between memories, treating links of unknown or missing type as 'related'
+ * @param {Array<{id: string, type: string}>} links - Links to normalize
+ * @returns {Array<{id: string, type: string}>} Links with only an ID and a known type
+ */
+function normalizeRelationships(links) {
+  return links.map(link => ({
+    id: link.id,
+    type: RELATIONSHIP_TYPES.includes(link.type) ? link.type : 'related'
+  }));
+}
 
 /**
  * Class representing a memory
@@ -20,29 +46,81 @@ class Memory {
    * @param {string} params.content - Memory content
    * @param {string} params.conversationId - ID of the conversation this memory belongs to
    * @param {Date} params.createdAt - Real-world creation timestamp
+   * @param {Date} [params.universeTime] - In-universe time the memory was formed at
    * @param {string[]} params.tags - Array of tags
    * @param {string[]} params.keywords - Array of keywords
-   * @param {string[]} params.relatedTo - Array of related memory IDs
+   * @param {string[]} params.relatedTo - Array of related memory IDs (linked as 'related'
+   *   unless listed in relationships)
+   * @param {Object[]} [params.relationships] - Typed links to other memories, as { id, type }
+   *   with a type from RELATIONSHIP_TYPES
    * @param {Object} params.metadata - Additional metadata
+   * @param {number} [params.importance] - How much the memory matters, from 0 to 1
+   * @param {number} [params.accessCount=0] - Number of times the memory was recalled
+   * @param {Date} [params.lastAccessedAt] - When the memory was last recalled
    */
   constructor({
     id = uuidv4(),
     content,
     conversationId,
     createdAt = new Date(),
+    universeTime = null,
     tags = [],
     keywords = [],
     relatedTo = [],
-    metadata = {}
+    relationships = [],
+    metadata = {},
+    importance = config.memory.defaultImportance,
+    accessCount = 0,
+    lastAccessedAt = null
   }) {
     this.id = id;
     this.content = content;
     this.conversationId = conversationId;
     this.createdAt = createdAt;
+    this.universeTime = universeTime;
     this.tags = tags;
     this.keywords = keywords;
-    this.relatedTo = relatedTo;
+    this.relationships = normalizeRelationships(relationships);
+    this.relatedTo = [...this.relatedTo, ...relatedTo];
     this.metadata = metadata;
+    this.importance = importance;
+    this.accessCount = accessCount;
+    this.lastAccessedAt = lastAccessedAt;
+  }
+
+  /**
+   * IDs of the memories this memory links to, of any type
+   * @type {string[]}
+   */
+  get relatedTo() {
+    return this.relationships.map(link => link.id);
+  }
+
+  /**
+   * Replace the links of the memory, keeping the type of those that remain; new ones are
+   * linked as 'related'
+   * @param {string[]} ids - Related memory IDs
+   */
+  set relatedTo(ids) {
+    const types = new Map(this.relationships.map(link => [link.id, link.type]));
+    this.relationships = [...new Set(ids)].map(id => ({ id, type: types.get(id) || 'related' }));
+  }
+
+  /**
+   * Score how much the memory is worth keeping, from 0 to 1: its importance, how recently it
+   * was formed or recalled (halving every config.memory.decayHalfLife ms), and how often it
+   * was recalled
+   * @param {number} [now=Date.now()] - Time to score at, in ms
+   * @returns {number} Retention score
+   */
+  getRetentionScore(now = Date.now()) {
+    const lastUsed = (this.lastAccessedAt || this.createdAt).getTime();
+    const recency = Math.pow(0.5, Math.max(0, now - lastUsed) / config.memory.decayHalfLife);
+    const reinforcement = this.accessCount / (this.accessCount + REINFORCEMENT_HALF_COUNT);
+
+    return RETENTION_WEIGHTS.recency * recency +
+      RETENTION_WEIGHTS.importance * this.importance +
+      RETENTION_WEIGHTS.reinforcement * reinforcement;
   }
 
   /**
@@ -55,10 +133,15 @@ class Memory {
       content: this.content,
       conversationId: this.conversationId,
       createdAt: this.createdAt.toISOString(),
+      universeTime: this.universeTime ? this.universeTime.toISOString() : null,
       tags: this.tags,
       keywords: this.keywords,
       relatedTo: this.relatedTo,
-      metadata: this.metadata
+      relationships: this.relationships,
+      metadata: this.metadata,
+      importance: this.importance,
+      accessCount: this.accessCount,
+      lastAccessedAt: this.lastAccessedAt ? this.lastAccessedAt.toISOString() : null
     };
   }
 
@@ -73,26 +156,37 @@ class Memory {
       content: json.content,
       conversationId: json.conversationId,
       createdAt: new Date(json.createdAt),
+      universeTime: json.universeTime ? new Date(json.universeTime) : null,
       tags: json.tags,
       keywords: json.keywords,
       relatedTo: json.relatedTo,
-      metadata: json.metadata
+      relationships: json.relationships,
+      metadata: json.metadata,
+      importance: json.importance ?? config.memory.defaultImportance,
+      accessCount: json.accessCount || 0,
+      lastAccessedAt: json.lastAccessedAt ? new Date(json.lastAccessedAt) : null
     });
   }
 }
 
 /**
- * Class for managing memories
+ * Class for managing memories.
+ * Emits `memoryAdded` ({ memory }) once a memory is stored, the canonical memory of a merge
+ * included, and `memoryUpdated` ({ memory }) once a memory has changed.
  */
-class MemoryManager {
+class MemoryManager extends EventEmitter {
   /**
    * Create a memory manager
    */
   constructor() {
+    super();
     this.dbPath = config.database.path;
     this.maxMemoriesPerConversation = config.memory.maxMemoriesPerConversation;
     this.maxGlobalMemories = config.memory.maxGlobalMemories;
+    this.pruneThreshold = config.memory.pruneThreshold;
     this.relevanceThreshold = config.memory.relevanceThreshold;
+    this.embeddingProvider = createEmbeddingProvider();
+    this.pruneInterval = null;
     this.db = null;
     this.initialized = false;
   }
@@ -102,26 +196,18 @@ class MemoryManager {
    */
   async initialize() {
     try {
-      // Create data directory if it doesn't exist
-      const dataDir = dirname(this.dbPath);
-      await mkdir(dataDir, { recursive: true });
-      
       // Open database connection
-      this.db = new Database.Database(this.dbPath);
+      this.db = await openDatabase(this.dbPath);
       
       // Create tables if they don't exist
-      this._createTables();
-      
-      // Set pragmas for performance
-      this.db.exec('PRAGMA journal_mode = WAL');      // Enables WAL mode
-      this.db.exec('PRAGMA synchronous = NORMAL');    // Sets sync behavior to NORMAL
+      await this._createTables();
       
       this.initialized = true;
       console.log(`Memory Manager initialized with database at ${this.dbPath}`);
       
       // Schedule memory pruning if enabled
       if (config.memory.pruneInterval > 0) {
-        setInterval(() => this.pruneOldMemories(), config.memory.pruneInterval);
+        this.pruneInterval = setInterval(() => this.pruneOldMemories(), config.memory.pruneInterval);
       }
     } catch (error) {
       console.error('Failed to initialize Memory Manager:', error);
@@ -129,24 +215,50 @@ class MemoryManager {
     }
   }
 
+  /**
+   * Replace the embedding provider used for semantic recall.
+   * Stored vectors from the previous provider are recomputed lazily.
+   * @param {EmbeddingProvider} provider - Embedding provider
+   */
+  setEmbeddingProvider(provider) {
+    this.embeddingProvider = provider;
+  }
+
   /**
    * Create database tables
    * @private
    */
-  _createTables() {
+  async _createTables() {
     // Create memories table
-    this.db.exec(`
+    await this.db.exec(`
       CREATE TABLE IF NOT EXISTS memories (
         id TEXT PRIMARY KEY,
         content TEXT NOT NULL,
         conversation_id TEXT NOT NULL,
         created_at TEXT NOT NULL,
-        metadata TEXT
+        universe_time TEXT,
+        metadata TEXT,
+        embedding BLOB,
+        embedding_model TEXT,
+        importance REAL NOT NULL DEFAULT ${config.memory.defaultImportance},
+        access_count INTEGER NOT NULL DEFAULT 0,
+        last_accessed_at TEXT
       )
     `);
 
+    // Databases created before embeddings, in-universe times and retention scores were stored
+    // need the new columns
+    await this.db.addMissingColumns('memories', {
+      embedding: 'BLOB',
+      embedding_model: 'TEXT',
+      universe_time: 'TEXT',
+      importance: `REAL NOT NULL DEFAULT ${config.memory.defaultImportance}`,
+      access_count: 'INTEGER NOT NULL DEFAULT 0',
+      last_accessed_at: 'TEXT'
+    });
+
     // Create tags table
-    this.db.exec(`
+    await this.db.exec(`
       CREATE TABLE IF NOT EXISTS memory_tags (
         memory_id TEXT,
         tag TEXT,
@@ -156,7 +268,7 @@ class MemoryManager {
     `);
 
     // Create keywords table
-    this.db.exec(`
+    await this.db.exec(`
       CREATE TABLE IF NOT EXISTS memory_keywords (
         memory_id TEXT,
         keyword TEXT,
@@ -166,22 +278,65 @@ class MemoryManager {
     `);
 
     // Create relationships table
-    this.db.exec(`
+    await this.db.exec(`
       CREATE TABLE IF NOT EXISTS memory_relationships (
         memory_id TEXT,
         related_memory_id TEXT,
+        type TEXT NOT NULL DEFAULT 'related',
         PRIMARY KEY (memory_id, related_memory_id),
         FOREIGN KEY (memory_id) REFERENCES memories(id) ON DELETE CASCADE,
         FOREIGN KEY (related_memory_id) REFERENCES memories(id) ON DELETE CASCADE
       )
     `);
 
+    // Links stored before they had types are plain 'related' links
+    await this.db.addMissingColumns('memory_relationships', {
+      type: `TEXT NOT NULL DEFAULT 'related'`
+    });
+
     // Create indexes for performance
-    this.db.exec(`
+    await this.db.exec(`
       CREATE INDEX IF NOT EXISTS idx_memories_conversation_id ON memories(conversation_id);
       CREATE INDEX IF NOT EXISTS idx_memories_created_at ON memories(created_at);
+      CREATE INDEX IF NOT EXISTS idx_memories_universe_time ON memories(universe_time);
       CREATE INDEX IF NOT EXISTS idx_memory_tags_tag ON memory_tags(tag);
       CREATE INDEX IF NOT EXISTS idx_memory_keywords_keyword ON memory_keywords(keyword);
+      CREATE INDEX IF NOT EXISTS idx_memory_relationships_related ON memory_relationships(related_memory_id);
+    `);
+
+    // Create full-text index (porter stemming so "rode" and "riding" style forms match). Each
+    // entry has the rowid of its memory, so it's found without scanning the index
+    await this.db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
+        memory_id UNINDEXED,
+        conversation_id UNINDEXED,
+        content,
+        keywords,
+        tags,
+        tokenize = 'porter unicode61'
+      )
+    `);
+
+    // Rebuild the index if its entries don't line up with the memories' rowids: an index from a
+    // version that didn't key entries by rowid, or rowids renumbered by VACUUM
+    const { mismatched } = await this.db.get(`
+      SELECT COUNT(*) AS mismatched
+      FROM memories_fts f
+      LEFT JOIN memories m ON m.rowid = f.rowid
+      WHERE m.id IS NOT f.memory_id
+    `);
+    if (mismatched > 0) {
+      await this.db.run(`DELETE FROM memories_fts`);
+    }
+
+    // Index memories written before the full-text index existed
+    await this.db.run(`
+      INSERT INTO memories_fts (rowid, memory_id, conversation_id, content, keywords, tags)
+      SELECT m.rowid, m.id, m.conversation_id, m.content,
+        COALESCE((SELECT group_concat(keyword, ' ') FROM memory_keywords WHERE memory_id = m.id), ''),
+        COALESCE((SELECT group_concat(tag, ' ') FROM memory_tags WHERE memory_id = m.id), '')
+      FROM memories m
+      WHERE m.rowid NOT IN (SELECT rowid FROM memories_fts)
     `);
   }
 
@@ -193,16 +348,25 @@ class MemoryManager {
    * @param {string[]} [memoryData.tags] - Array of tags
    * @param {string[]} [memoryData.keywords] - Array of keywords
    * @param {string[]} [memoryData.relatedTo] - Array of related memory IDs
+   * @param {Object[]} [memoryData.relationships] - Typed links to other memories, as { id, type }
    * @param {Object} [memoryData.metadata] - Additional metadata
+   * @param {Date} [memoryData.universeTime] - In-universe time the memory was formed at
+   *   (defaults to the current time of the scenario in metadata.scenarioId, or else of the
+   *   conversation's scenario)
+   * @param {number} [memoryData.importance] - How much the memory matters, from 0 to 1
+   *   (defaults to config.memory.defaultImportance)
    * @returns {Memory} The newly created memory
    */
   async addMemory({
     content,
     conversationId,
+    universeTime = null,
     tags = [],
     keywords = [],
     relatedTo = [],
-    metadata = {}
+    relationships = [],
+    metadata = {},
+    importance = config.memory.defaultImportance
   }) {
     try {
       if (!this.initialized) {
@@ -217,58 +381,26 @@ class MemoryManager {
       const memory = new Memory({
         content,
         conversationId,
+        universeTime: universeTime || timeManager.now(metadata.scenarioId || await scenarioManager.getConversationScenarioId(conversationId)),
         tags,
         keywords,
         relatedTo,
-        metadata
+        relationships,
+        metadata,
+        importance: Math.min(1, Math.max(0, importance))
       });
 
-      // Begin transaction
-      const insertMemory = this.db.prepare(`
-        INSERT INTO memories (id, content, conversation_id, created_at, metadata)
-        VALUES (?, ?, ?, ?, ?)
-      `);
-
-      const insertTag = this.db.prepare(`
-        INSERT INTO memory_tags (memory_id, tag)
-        VALUES (?, ?)
-      `);
-
-      const insertKeyword = this.db.prepare(`
-        INSERT INTO memory_keywords (memory_id, keyword)
-        VALUES (?, ?)
-      `);
-
-      const insertRelationship = this.db.prepare(`
-        INSERT INTO memory_relationships (memory_id, related_memory_id)
-        VALUES (?, ?)
-      `);
+      // Compute the embedding before opening the transaction
+      const [embedding] = await this.embeddingProvider.embed([this._getEmbeddingText(memory)]);
 
       // Execute transaction
-      this.db.exec("BEGIN TRANSACTION", () => {
-        insertMemory.run(
-          memory.id,
-          memory.content,
-          memory.conversationId,
-          memory.createdAt.toISOString(),
-          JSON.stringify(memory.metadata)
-        );
+      await this.db.transaction(() => this._insertMemory(memory, embedding));
 
-        for (const tag of memory.tags) {
-          insertTag.run(memory.id, tag);
-        }
-
-        for (const keyword of memory.keywords) {
-          insertKeyword.run(memory.id, keyword);
-        }
-
-        for (const relatedId of memory.relatedTo) {
-          insertRelationship.run(memory.id, relatedId);
-        }
-      });
-
-      this.db.exec("COMMIT");
       console.log(`Memory created with ID: ${memory.id}`);
+      this.emit('memoryAdded', { memory });
+
+      // Make room if the new memory takes the conversation or the store over its cap
+      await this._enforceCaps(conversationId, memory.id);
       return memory;
     } catch (error) {
       console.error('Failed to add memory:', error);
@@ -276,6 +408,46 @@ class MemoryManager {
     }
   }
 
+  /**
+   * Insert a memory with its tags, keywords, relationships and full-text entry.
+   * Runs inside the caller's transaction.
+   * @param {Memory} memory - Memory to insert
+   * @param {ArrayLike<number>} embedding - Embedding of the memory
+   * @private
+   */
+  async _insertMemory(memory, embedding) {
+    await this.db.run(`
+      INSERT INTO memories (id, content, conversation_id, created_at, universe_time, metadata, embedding, embedding_model, importance, access_count, last_accessed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      memory.id,
+      memory.content,
+      memory.conversationId,
+      memory.createdAt.toISOString(),
+      memory.universeTime.toISOString(),
+      JSON.stringify(memory.metadata),
+      serializeVector(embedding),
+      this.embeddingProvider.id,
+      memory.importance,
+      memory.accessCount,
+      memory.lastAccessedAt ? memory.lastAccessedAt.toISOString() : null
+    ]);
+
+    for (const tag of memory.tags) {
+      await this.db.run(`INSERT INTO memory_tags (memory_id, tag) VALUES (?, ?)`, [memory.id, tag]);
+    }
+
+    for (const keyword of memory.keywords) {
+      await this.db.run(`INSERT INTO memory_keywords (memory_id, keyword) VALUES (?, ?)`, [memory.id, keyword]);
+    }
+
+    for (const link of memory.relationships) {
+      await this.db.run(`INSERT INTO memory_relationships (memory_id, related_memory_id, type) VALUES (?, ?, ?)`, [memory.id, link.id, link.type]);
+    }
+
+    await this._indexMemory(memory);
+  }
+
   /**
    * Get a memory by ID
    * @param {string} id - Memory ID
@@ -287,13 +459,10 @@ class MemoryManager {
         await this.initialize();
       }
 
-      // Promisify the db methods for convenience
-      const dbGet = util.promisify(this.db.get.bind(this.db));
-      const dbAll = util.promisify(this.db.all.bind(this.db));
-
       // Get memory row
-      const memoryRow = await dbGet(`
-        SELECT id, content, conversation_id, created_at, metadata
+      const memoryRow = await this.db.get(`
+        SELECT id, content, conversation_id, created_at, universe_time, metadata,
+          importance, access_count, last_accessed_at
         FROM memories
         WHERE id = ?
       `, [id]);
@@ -303,16 +472,16 @@ class MemoryManager {
       }
 
       // Get tags
-      const tagRows = await dbAll(`SELECT tag FROM memory_tags WHERE memory_id = ?`, [id]);
+      const tagRows = await this.db.all(`SELECT tag FROM memory_tags WHERE memory_id = ?`, [id]);
       const tags = tagRows.map(row => row.tag);
 
       // Get keywords
-      const keywordRows = await dbAll(`SELECT keyword FROM memory_keywords WHERE memory_id = ?`, [id]);
+      const keywordRows = await this.db.all(`SELECT keyword FROM memory_keywords WHERE memory_id = ?`, [id]);
       const keywords = keywordRows.map(row => row.keyword);
 
-      // Get related memory IDs
-      const relatedRows = await dbAll(`SELECT related_memory_id FROM memory_relationships WHERE memory_id = ?`, [id]);
-      const relatedTo = relatedRows.map(row => row.related_memory_id);
+      // Get links to related memories
+      const relatedRows = await this.db.all(`SELECT related_memory_id, type FROM memory_relationships WHERE memory_id = ?`, [id]);
+      const relationships = relatedRows.map(row => ({ id: row.related_memory_id, type: row.type }));
 
       // Create memory instance
       const memory = new Memory({
@@ -320,10 +489,14 @@ class MemoryManager {
         content: memoryRow.content,
         conversationId: memoryRow.conversation_id,
         createdAt: new Date(memoryRow.created_at),
+        universeTime: memoryRow.universe_time ? new Date(memoryRow.universe_time) : null,
         tags,
         keywords,
-        relatedTo,
-        metadata: JSON.parse(memoryRow.metadata)
+        relationships,
+        metadata: JSON.parse(memoryRow.metadata),
+        importance: memoryRow.importance,
+        accessCount: memoryRow.access_count,
+        lastAccessedAt: memoryRow.last_accessed_at ? new Date(memoryRow.last_accessed_at) : null
       });
 
       return memory;
@@ -335,21 +508,33 @@ class MemoryManager {
   }
 
   /**
-   * Get relevant memories based on a query
+   * Get relevant memories based on a query.
+   * With a query, every memory matching the filters is ranked by cosine similarity between
+   * its embedding and the query's, and only those at or above the relevance threshold are
+   * returned. Without a query, the newest memories are returned. Date filters compare the
+   * in-universe time memories were formed at; memories without one are left out when filtering.
    * @param {Object} params - Query parameters
-   * @param {string} params.query - Search query
-   * @param {string} [params.agentId] - Filter by agent ID
+   * @param {string} [params.query] - Search query
+   * @param {string} [params.conversationId] - Filter by conversation ID
    * @param {number} [params.maxCount=10] - Maximum number of memories to return
    * @param {string[]} [params.tags] - Filter by tags
+   * @param {number} [params.threshold] - Minimum similarity (defaults to config.memory.relevanceThreshold,
+   *   or else to the embedding provider's relevance threshold)
    * @param {Date} [params.fromDate] - Filter by in-universe date (from)
    * @param {Date} [params.toDate] - Filter by in-universe date (to)
-   * @returns {Memory[]} Array of relevant memories
+   * @param {boolean} [params.recordAccess=true] - Count the returned memories as recalled, which
+   *   reinforces them against pruning (turn off for lookups that don't use the memories)
+   * @returns {Memory[]} Array of relevant memories, each with a `score` when a query was given
    */
-async getRelevantMemories({
+  async getRelevantMemories({
     query,
     conversationId,
     maxCount = 10,
-    tags = []
+    tags = [],
+    threshold = this.relevanceThreshold ?? this.embeddingProvider.thresholds.relevance,
+    fromDate = null,
+    toDate = null,
+    recordAccess = true
   }) {
     try {
       if (!this.initialized) {
@@ -359,20 +544,9 @@ async getRelevantMemories({
       let whereConditions = [];
       let params = [];
 
-      // Add conversation filter if provided
-      if (conversationId) {
-        whereConditions.push('m.conversation_id = ?');
-        params.push(conversationId);
-      }
-
-      // Construct WHERE clause
-      const whereClause = whereConditions.length > 0
-        ? `WHERE ${whereConditions.join(' AND ')}`
-        : '';
-
       // Query base: get all memories that match the filters
       let sql = `
-        SELECT DISTINCT m.id, m.content, m.conversation_id, m.created_at, m.metadata
+        SELECT DISTINCT m.id, m.content, m.created_at, m.embedding, m.embedding_model
         FROM memories m
       `;
 
@@ -390,46 +564,64 @@ async getRelevantMemories({
         params.push(...tags, tags.length);
       }
 
+      // Add conversation filter if provided
+      if (conversationId) {
+        whereConditions.push('m.conversation_id = ?');
+        params.push(conversationId);
+      }
+
+      // Add in-universe date filters if provided (ISO strings sort chronologically)
+      if (fromDate) {
+        whereConditions.push('m.universe_time >= ?');
+        params.push(new Date(fromDate).toISOString());
+      }
+      if (toDate) {
+        whereConditions.push('m.universe_time <= ?');
+        params.push(new Date(toDate).toISOString());
+      }
+
       // Add the WHERE clause
-      sql += whereClause;
+      if (whereConditions.length > 0) {
+        sql += ` WHERE ${whereConditions.join(' AND ')}`;
+      }
 
-      // Add ordering and limit
-      sql += `
-        ORDER BY m.created_at DESC
-        LIMIT ?
-      `;
-      params.push(maxCount);
+      sql += ` ORDER BY m.created_at DESC`;
 
-      // Execute query
-      return new Promise((resolve, reject) => {
-        this.db.all(sql, params, async (err, memoryRows) => {
-          if (err) return reject(err);
-          try {
-            // Fetch full memory details for each result
-            const memories = [];
-            for (const row of memoryRows) {
-              const memory = await this.getMemory(row.id);
-              memories.push(memory);
-            }
+      // Without a query there is nothing to rank by, so return the newest memories
+      if (!query) {
+        sql += ` LIMIT ?`;
+        params.push(maxCount);
+        const memoryRows = await this.db.all(sql, params);
+        const memories = await this._loadMemories(memoryRows.map(row => row.id));
+        if (recordAccess) {
+          await this.reinforceMemories(memories);
+        }
+        return memories;
+      }
 
-            // If query is provided, we'll need to sort by relevance
-            // This is a simplistic approach - for a real system, you might use 
-            // embedding similarity or an AI model to determine relevance
-            if (query) {
-              // Simple relevance scoring based on content matching
-              const queryTerms = query.toLowerCase().split(/\s+/);
-              memories.sort((a, b) => {
-                const scoreA = this._calculateRelevanceScore(a, queryTerms);
-                const scoreB = this._calculateRelevanceScore(b, queryTerms);
-                return scoreB - scoreA; // Sort descending by score
-              });
-            }
-            resolve(memories);
-          } catch (e) {
-            reject(e);
-          }
-        });
-      });
+      // Rank every candidate, not just the newest ones
+      const memoryRows = await this.db.all(sql, params);
+      if (memoryRows.length === 0) {
+        return [];
+      }
+
+      const [queryVector] = await this.embeddingProvider.embed([query]);
+      const vectors = await this._getEmbeddings(memoryRows);
+
+      const scored = memoryRows
+        .map(row => ({ id: row.id, score: cosineSimilarity(queryVector, vectors.get(row.id)) }))
+        .filter(entry => entry.score >= threshold)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxCount);
+
+      const memories = await this._loadMemories(scored.map(entry => entry.id));
+      for (const [index, memory] of memories.entries()) {
+        memory.score = scored[index].score;
+      }
+      if (recordAccess) {
+        await this.reinforceMemories(memories);
+      }
+      return memories;
     } catch (error) {
       console.error('Failed to get relevant memories:', error);
       throw error;
@@ -437,55 +629,259 @@ async getRelevantMemories({
   }
 
   /**
-   * Calculate a simple relevance score for a memory
-   * @param {Memory} memory - Memory to score
-   * @param {string[]} queryTerms - Search query terms
-   * @returns {number} Relevance score
+   * Count memories as recalled, reinforcing them against pruning: bump their access count and
+   * last access time
+   * @param {Memory[]} memories - Recalled memories (updated in place)
+   */
+  async reinforceMemories(memories) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    if (memories.length === 0) {
+      return;
+    }
+
+    const now = new Date();
+    await this.db.transaction(async () => {
+      for (const memory of memories) {
+        await this.db.run(`
+          UPDATE memories
+          SET access_count = access_count + 1, last_accessed_at = ?
+          WHERE id = ?
+        `, [now.toISOString(), memory.id]);
+        memory.accessCount++;
+        memory.lastAccessedAt = now;
+      }
+    });
+  }
+
+  /**
+   * Get embeddings for memory rows, computing and storing any that are missing or were
+   * produced by a different provider
+   * @param {Object[]} rows - Rows with id, content, embedding and embedding_model
+   * @returns {Promise<Map<string, ArrayLike<number>>>} Map of memory ID to vector
    * @private
    */
-  _calculateRelevanceScore(memory, queryTerms) {
-    let score = 0;
-    
-    // Check content for query terms
-    const content = memory.content.toLowerCase();
-    for (const term of queryTerms) {
-      if (content.includes(term)) {
-        score += 1;
+  async _getEmbeddings(rows) {
+    const vectors = new Map();
+    const stale = [];
+
+    for (const row of rows) {
+      if (row.embedding && row.embedding_model === this.embeddingProvider.id) {
+        vectors.set(row.id, deserializeVector(row.embedding));
+      } else {
+        stale.push(row);
       }
     }
-    
-    // Check keywords for exact matches
-    for (const keyword of memory.keywords) {
-      if (queryTerms.includes(keyword.toLowerCase())) {
-        score += 2; // Keywords are more important than content matches
+
+    if (stale.length > 0) {
+      // Tags and keywords are part of the embedded text, so load the full memories
+      const memories = await this._loadMemories(stale.map(row => row.id));
+      const fresh = await this.embeddingProvider.embed(memories.map(memory => this._getEmbeddingText(memory)));
+
+      await this.db.transaction(async () => {
+        for (const [index, memory] of memories.entries()) {
+          vectors.set(memory.id, fresh[index]);
+          await this.db.run(`
+            UPDATE memories
+            SET embedding = ?, embedding_model = ?
+            WHERE id = ?
+          `, [serializeVector(fresh[index]), this.embeddingProvider.id, memory.id]);
+        }
+      });
+
+      console.log(`Computed embeddings for ${stale.length} memories`);
+    }
+
+    return vectors;
+  }
+
+  /**
+   * Build the text that represents a memory in embedding space
+   * @param {Memory} memory - Memory to embed
+   * @returns {string} Text to embed
+   * @private
+   */
+  _getEmbeddingText(memory) {
+    return [memory.content, ...memory.keywords, ...memory.tags].join(' ');
+  }
+
+  /**
+   * Load full memories by ID, preserving the order of the IDs
+   * @param {string[]} ids - Memory IDs
+   * @returns {Promise<Memory[]>} Memories that still exist
+   * @private
+   */
+  async _loadMemories(ids) {
+    const memories = [];
+    for (const id of ids) {
+      const memory = await this.getMemory(id);
+      if (memory) {
+        memories.push(memory);
       }
     }
-    
-    // Check tags for exact matches
-    for (const tag of memory.tags) {
-      if (queryTerms.includes(tag.toLowerCase())) {
-        score += 3; // Tags are more important than keywords
+    return memories;
+  }
+
+  /**
+   * Full-text search over memory content, keywords and tags, ordered by BM25 relevance.
+   * Query syntax: plain words must all match (stemmed), "quoted phrases" match in order,
+   * a trailing * matches a prefix (e.g. `drag*`), and OR between terms matches either.
+   * @param {Object} params - Search parameters
+   * @param {string} params.query - Search query
+   * @param {string} [params.conversationId] - Filter by conversation ID
+   * @param {string[]} [params.tags] - Filter by tags (all must be present)
+   * @param {number} [params.limit=20] - Maximum number of memories to return
+   * @param {string[]} [params.highlight] - Markers placed around matched terms in snippets
+   * @returns {Promise<Memory[]>} Matching memories, each with `snippet` and `rank` (lower is better)
+   */
+  async searchMemories({
+    query,
+    conversationId,
+    tags = [],
+    limit = 20,
+    highlight = ['**', '**']
+  }) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
       }
+
+      const matchExpression = this._buildMatchExpression(query);
+      if (!matchExpression) {
+        return [];
+      }
+
+      const whereConditions = ['memories_fts MATCH ?'];
+      const params = [highlight[0], highlight[1], matchExpression];
+
+      // Add conversation filter if provided
+      if (conversationId) {
+        whereConditions.push('f.conversation_id = ?');
+        params.push(conversationId);
+      }
+
+      // Add tag filtering if needed
+      if (tags.length > 0) {
+        whereConditions.push(`f.memory_id IN (
+          SELECT memory_id
+          FROM memory_tags
+          WHERE tag IN (${tags.map(() => '?').join(',')})
+          GROUP BY memory_id
+          HAVING COUNT(DISTINCT tag) = ?
+        )`);
+        params.push(...tags, tags.length);
+      }
+
+      // Tags and keywords weigh more than body text, as in the original relevance scoring
+      const sql = `
+        SELECT f.memory_id,
+          snippet(memories_fts, 2, ?, ?, '…', 12) AS snippet,
+          bm25(memories_fts, 0, 0, 1.0, 2.0, 3.0) AS rank
+        FROM memories_fts f
+        WHERE ${whereConditions.join(' AND ')}
+        ORDER BY rank
+        LIMIT ?
+      `;
+      params.push(limit);
+
+      const rows = await this.db.all(sql, params);
+
+      const memories = await this._loadMemories(rows.map(row => row.memory_id));
+      const rowsById = new Map(rows.map(row => [row.memory_id, row]));
+      for (const memory of memories) {
+        memory.snippet = rowsById.get(memory.id).snippet;
+        memory.rank = rowsById.get(memory.id).rank;
+      }
+      return memories;
+    } catch (error) {
+      console.error(`Failed to search memories for "${query}":`, error);
+      throw error;
     }
-    
-    // Recency bonus (memories from the last day get a small boost)
-    const oneDayAgo = new Date();
-    oneDayAgo.setDate(oneDayAgo.getDate() - 1);
-    if (memory.createdAt > oneDayAgo) {
-      score += 0.5;
+  }
+
+  /**
+   * Turn a user query into a safe FTS5 MATCH expression.
+   * Every term is quoted so FTS5 operators and punctuation in user input can't cause syntax errors.
+   * @param {string} query - User query
+   * @returns {string} MATCH expression, or an empty string if the query has no terms
+   * @private
+   */
+  _buildMatchExpression(query) {
+    const terms = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query || '')) !== null) {
+      if (match[1] !== undefined) {
+        // Quoted phrase
+        const phrase = match[1].replace(/[^\p{L}\p{N}\s']/gu, ' ').trim();
+        if (phrase) {
+          terms.push(`"${phrase}"`);
+        }
+        continue;
+      }
+
+      // Keep OR as an operator, but only between two terms
+      if (match[2] === 'OR') {
+        if (terms.length > 0 && terms[terms.length - 1] !== 'OR') {
+          terms.push('OR');
+        }
+        continue;
+      }
+
+      const isPrefix = match[2].endsWith('*');
+      const word = match[2].replace(/[^\p{L}\p{N}']/gu, '');
+      if (word) {
+        terms.push(isPrefix ? `"${word}"*` : `"${word}"`);
+      }
+    }
+
+    if (terms[terms.length - 1] === 'OR') {
+      terms.pop();
     }
-    
-    return score;
+    return terms.join(' ');
+  }
+
+  /**
+   * Write a memory's entry in the full-text index (once the memory is stored)
+   * @param {Memory} memory - Memory to index
+   * @private
+   */
+  async _indexMemory(memory) {
+    await this._unindexMemory(memory.id);
+    await this.db.run(`
+      INSERT INTO memories_fts (rowid, memory_id, conversation_id, content, keywords, tags)
+      SELECT rowid, ?, ?, ?, ?, ?
+      FROM memories
+      WHERE id = ?
+    `, [
+      memory.id,
+      memory.conversationId,
+      memory.content,
+      memory.keywords.join(' '),
+      memory.tags.join(' '),
+      memory.id
+    ]);
+  }
+
+  /**
+   * Remove a memory's entry from the full-text index (before the memory is deleted)
+   * @param {string} id - Memory ID
+   * @private
+   */
+  async _unindexMemory(id) {
+    await this.db.run(`DELETE FROM memories_fts WHERE rowid = (SELECT rowid FROM memories WHERE id = ?)`, [id]);
   }
 
   /**
    * Search memories by keyword
    * @param {string} keyword - Keyword to search for
-   * @param {string} [agentId] - Filter by agent ID
+   * @param {string} [conversationId] - Filter by conversation ID
    * @param {number} [maxCount=50] - Maximum number of memories to return
    * @returns {Memory[]} Array of matching memories
    */
-async searchMemoriesByKeyword(keyword, conversationId, maxCount = 50) {
+  async searchMemoriesByKeyword(keyword, conversationId, maxCount = 50) {
     try {
       if (!this.initialized) {
         await this.initialize();
@@ -505,7 +901,7 @@ async searchMemoriesByKeyword(keyword, conversationId, maxCount = 50) {
 
       // Query to get memories with the specific keyword
       const sql = `
-        SELECT DISTINCT m.id, m.content, m.conversation_id, m.created_at, m.metadata
+        SELECT DISTINCT m.id, m.created_at
         FROM memories m
         INNER JOIN memory_keywords k ON m.id = k.memory_id
         ${whereClause}
@@ -515,16 +911,10 @@ async searchMemoriesByKeyword(keyword, conversationId, maxCount = 50) {
       params.push(maxCount);
 
       // Execute query
-      const memoryRows = this.db.prepare(sql).all(...params);
+      const memoryRows = await this.db.all(sql, params);
 
       // Fetch full memory details for each result
-      const memories = [];
-      for (const row of memoryRows) {
-        const memory = await this.getMemory(row.id);
-        memories.push(memory);
-      }
-
-      return memories;
+      return this._loadMemories(memoryRows.map(row => row.id));
     } catch (error) {
       console.error(`Failed to search memories by keyword ${keyword}:`, error);
       throw error;
@@ -532,13 +922,13 @@ async searchMemoriesByKeyword(keyword, conversationId, maxCount = 50) {
   }
 
   /**
-   * List all memories for an agent
-   * @param {string} [agentId] - Filter by agent ID (optional)
+   * List all memories for a conversation
+   * @param {string} [conversationId] - Filter by conversation ID (optional)
    * @param {number} [limit=100] - Maximum number of memories to return
    * @param {number} [offset=0] - Offset for pagination
    * @returns {Memory[]} Array of memories
    */
-async listAllMemories(conversationId, limit = 100, offset = 0) {
+  async listAllMemories(conversationId, limit = 100, offset = 0) {
     try {
       if (!this.initialized) {
         await this.initialize();
@@ -555,7 +945,7 @@ async listAllMemories(conversationId, limit = 100, offset = 0) {
 
       // Query to get all memories with pagination
       const sql = `
-        SELECT id, content, conversation_id, created_at, metadata
+        SELECT id
         FROM memories
         ${whereClause}
         ORDER BY created_at DESC
@@ -564,16 +954,10 @@ async listAllMemories(conversationId, limit = 100, offset = 0) {
       params.push(limit, offset);
 
       // Execute query
-      const memoryRows = this.db.prepare(sql).all(...params);
+      const memoryRows = await this.db.all(sql, params);
 
       // Fetch full memory details for each result
-      const memories = [];
-      for (const row of memoryRows) {
-        const memory = await this.getMemory(row.id);
-        memories.push(memory);
-      }
-
-      return memories;
+      return this._loadMemories(memoryRows.map(row => row.id));
     } catch (error) {
       console.error('Failed to list all memories:', error);
       throw error;
@@ -581,52 +965,525 @@ async listAllMemories(conversationId, limit = 100, offset = 0) {
   }
 
   /**
-   * Prune old memories based on retention settings
-   * @param {string} [agentId] - Only prune memories for this agent (optional)
-   * @returns {number} Number of memories pruned
+   * Count the memories of a conversation
+   * @param {string} [conversationId] - Filter by conversation ID (optional)
+   * @returns {Promise<number>} Number of memories
    */
-async pruneOldMemories(conversationId) {
+  async countMemories(conversationId) {
     try {
       if (!this.initialized) {
         await this.initialize();
       }
 
-      const retention = config.memory.defaultMemoryRetention;
-      const cutoffDate = new Date(Date.now() - retention);
-      
-      let whereConditions = ['created_at = ?'];
-      const params = [cutoffDate.toISOString()];
+      const { count } = conversationId
+        ? await this.db.get(`SELECT COUNT(*) AS count FROM memories WHERE conversation_id = ?`, [conversationId])
+        : await this.db.get(`SELECT COUNT(*) AS count FROM memories`);
+      return count;
+    } catch (error) {
+      console.error('Failed to count memories:', error);
+      throw error;
+    }
+  }
 
-      // Add conversation filter if provided
+  /**
+   * Get a memory by its ID or the start of it, as shown in short form to users
+   * @param {string} prefix - Memory ID or its first characters
+   * @param {string} [conversationId] - Only look among this conversation's memories
+   * @returns {Promise<Memory|null>} Memory, or null if none matches
+   * @throws {Error} If several memories start with the prefix
+   */
+  async getMemoryByPrefix(prefix, conversationId) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const params = [`${prefix.replace(/[%_]/g, '')}%`];
+      let sql = `SELECT id FROM memories WHERE id LIKE ?`;
       if (conversationId) {
-        whereConditions.push('conversation_id = ?');
+        sql += ` AND conversation_id = ?`;
         params.push(conversationId);
       }
 
-      // Construct WHERE clause
-      const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
+      const rows = await this.db.all(`${sql} LIMIT 2`, params);
+      if (rows.length > 1) {
+        throw new Error(`Several memories start with ${prefix}; give more of the ID`);
+      }
+      return rows.length === 1 ? this.getMemory(rows[0].id) : null;
+    } catch (error) {
+      console.error(`Failed to get memory starting with ${prefix}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the conversations that have memories
+   * @returns {Promise<string[]>} Conversation IDs
+   */
+  async listConversationIds() {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
 
-      // Get count of memories to be deleted
-      const countSql = `
-        SELECT COUNT(*) as count
+      const rows = await this.db.all(`SELECT DISTINCT conversation_id FROM memories`);
+      return rows.map(row => row.conversation_id);
+    } catch (error) {
+      console.error('Failed to list conversations with memories:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link a memory to another one, or change the type of their link
+   * @param {string} memoryId - Memory the link starts from
+   * @param {string} relatedId - Memory it links to
+   * @param {string} [type='related'] - One of RELATIONSHIP_TYPES; 'causes', 'contradicts' and
+   *   'elaborates' read from the first memory to the second, and 'about-entity' says the
+   *   first memory is about the person, place or thing the second one describes
+   */
+  async linkMemories(memoryId, relatedId, type = 'related') {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      if (!RELATIONSHIP_TYPES.includes(type)) {
+        throw new Error(`Unknown relationship type: ${type} (expected one of ${RELATIONSHIP_TYPES.join(', ')})`);
+      }
+      if (memoryId === relatedId) {
+        throw new Error('A memory cannot be linked to itself');
+      }
+
+      await this.db.run(`
+        INSERT INTO memory_relationships (memory_id, related_memory_id, type)
+        VALUES (?, ?, ?)
+        ON CONFLICT (memory_id, related_memory_id) DO UPDATE SET type = excluded.type
+      `, [memoryId, relatedId, type]);
+    } catch (error) {
+      console.error(`Failed to link memory ${memoryId} to ${relatedId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the link between two memories, whichever way it points
+   * @param {string} memoryId - One memory
+   * @param {string} relatedId - The other memory
+   * @returns {Promise<boolean>} Whether a link was removed
+   */
+  async unlinkMemories(memoryId, relatedId) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const result = await this.db.run(`
+        DELETE FROM memory_relationships
+        WHERE (memory_id = ? AND related_memory_id = ?) OR (memory_id = ? AND related_memory_id = ?)
+      `, [memoryId, relatedId, relatedId, memoryId]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error(`Failed to unlink memory ${memoryId} from ${relatedId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the memories linked to a memory, following links either way
+   * @param {string} id - Memory ID
+   * @param {Object} [options] - Query options
+   * @param {string} [options.direction='both'] - 'out' for links from the memory, 'in' for
+   *   links to it, or 'both'
+   * @param {string[]} [options.types] - Only follow links of these types
+   * @returns {Promise<Object[]>} Linked memories as { memory, type, direction }
+   */
+  async getLinkedMemories(id, { direction = 'both', types } = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const links = (await this._getLinks([id], types))
+        .map(link => link.memory_id === id
+          ? { id: link.related_memory_id, type: link.type, direction: 'out' }
+          : { id: link.memory_id, type: link.type, direction: 'in' })
+        .filter(link => direction === 'both' || link.direction === direction);
+
+      const memoriesById = new Map(
+        (await this._loadMemories(links.map(link => link.id))).map(memory => [memory.id, memory])
+      );
+      return links
+        .filter(link => memoriesById.has(link.id))
+        .map(link => ({ memory: memoriesById.get(link.id), type: link.type, direction: link.direction }));
+    } catch (error) {
+      console.error(`Failed to get memories linked to ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Collect the memories within a number of links of some memories, following links either
+   * way, nearest first
+   * @param {string[]} ids - Memories to start from (not part of the result)
+   * @param {Object} [options] - Expansion options
+   * @param {number} [options.hops=config.memory.graph.expansionHops] - Links to follow at most
+   * @param {string[]} [options.types] - Only follow links of these types
+   * @param {number} [options.maxCount=Infinity] - Maximum number of memories to collect
+   * @returns {Promise<Memory[]>} Memories found, each with `hop` (links away from the start) and
+   *   `via` ({ id, type, direction } of the link it was reached through)
+   */
+  async expandNeighborhood(ids, {
+    hops = config.memory.graph.expansionHops,
+    types,
+    maxCount = Infinity
+  } = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const seen = new Set(ids);
+      const found = [];
+      let frontier = [...ids];
+
+      for (let hop = 1; hop <= hops && frontier.length > 0 && found.length < maxCount; hop++) {
+        const frontierIds = new Set(frontier);
+        const next = [];
+
+        for (const link of await this._getLinks(frontier, types)) {
+          // A link between two frontier memories leads somewhere new from either end
+          const steps = [
+            frontierIds.has(link.memory_id) && { from: link.memory_id, to: link.related_memory_id, direction: 'out' },
+            frontierIds.has(link.related_memory_id) && { from: link.related_memory_id, to: link.memory_id, direction: 'in' }
+          ].filter(Boolean);
+
+          for (const step of steps) {
+            if (seen.has(step.to) || found.length >= maxCount) {
+              continue;
+            }
+            seen.add(step.to);
+            next.push(step.to);
+            found.push({ id: step.to, hop, via: { id: step.from, type: link.type, direction: step.direction } });
+          }
+        }
+        frontier = next;
+      }
+
+      const memoriesById = new Map(
+        (await this._loadMemories(found.map(entry => entry.id))).map(memory => [memory.id, memory])
+      );
+      return found
+        .filter(entry => memoriesById.has(entry.id))
+        .map(entry => Object.assign(memoriesById.get(entry.id), { hop: entry.hop, via: entry.via }));
+    } catch (error) {
+      console.error('Failed to expand memory neighborhood:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the memories of a conversation flagged as contradicting an earlier one
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object[]>} Pairs as { memory, contradicted }
+   */
+  async getContradictions(conversationId) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const rows = await this.db.all(`
+        SELECT r.memory_id, r.related_memory_id
+        FROM memory_relationships r
+        JOIN memories m ON m.id = r.memory_id
+        WHERE r.type = 'contradicts' AND m.conversation_id = ?
+        ORDER BY m.created_at DESC
+      `, [conversationId]);
+
+      const pairs = [];
+      for (const row of rows) {
+        const [memory, contradicted] = await this._loadMemories([row.memory_id, row.related_memory_id]);
+        if (memory && contradicted) {
+          pairs.push({ memory, contradicted });
+        }
+      }
+      return pairs;
+    } catch (error) {
+      console.error(`Failed to get contradictions of conversation ${conversationId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the links from or to any of some memories
+   * @param {string[]} ids - Memory IDs
+   * @param {string[]} [types] - Only links of these types
+   * @returns {Promise<Object[]>} Rows with memory_id, related_memory_id and type
+   * @private
+   */
+  async _getLinks(ids, types) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const placeholders = ids.map(() => '?').join(', ');
+    const params = [...ids, ...ids];
+    let sql = `
+      SELECT memory_id, related_memory_id, type
+      FROM memory_relationships
+      WHERE (memory_id IN (${placeholders}) OR related_memory_id IN (${placeholders}))
+    `;
+    if (types && types.length > 0) {
+      sql += ` AND type IN (${types.map(() => '?').join(', ')})`;
+      params.push(...types);
+    }
+    return this.db.all(sql, params);
+  }
+
+  /**
+   * Group a conversation's memories that say nearly the same thing. Every memory in a group
+   * is at least `threshold` similar to every other one, so a chain of loosely related
+   * memories doesn't end up in one group.
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} [options] - Clustering options
+   * @param {number} [options.threshold] - Minimum cosine similarity (defaults to
+   *   config.memory.consolidation.threshold, or else to the embedding provider's consolidation threshold)
+   * @param {number} [options.maxClusterSize=config.memory.consolidation.maxClusterSize] - Largest group
+   * @returns {Promise<Memory[][]>} Groups of two or more memories, most important memory first
+   */
+  async findSimilarClusters(conversationId, {
+    threshold = config.memory.consolidation.threshold ?? this.embeddingProvider.thresholds.consolidation,
+    maxClusterSize = config.memory.consolidation.maxClusterSize
+  } = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      // Seed groups with the most important memories, the oldest first on ties
+      const rows = await this.db.all(`
+        SELECT id, content, embedding, embedding_model
         FROM memories
-        ${whereClause}
-      `;
-      const { count } = this.db.prepare(countSql).get(...params);
+        WHERE conversation_id = ?
+        ORDER BY importance DESC, created_at ASC
+      `, [conversationId]);
+      if (rows.length < 2) {
+        return [];
+      }
+
+      const vectors = await this._getEmbeddings(rows);
+      const clustered = new Set();
+      const clusters = [];
+
+      for (const [index, seed] of rows.entries()) {
+        if (clustered.has(seed.id)) {
+          continue;
+        }
+
+        const members = [seed.id];
+        for (const candidate of rows.slice(index + 1)) {
+          if (members.length >= maxClusterSize) {
+            break;
+          }
+          if (clustered.has(candidate.id)) {
+            continue;
+          }
+          const vector = vectors.get(candidate.id);
+          if (members.every(id => cosineSimilarity(vectors.get(id), vector) >= threshold)) {
+            members.push(candidate.id);
+          }
+        }
+
+        if (members.length > 1) {
+          members.forEach(id => clustered.add(id));
+          clusters.push(members);
+        }
+      }
+
+      const memoriesById = new Map(
+        (await this._loadMemories(clusters.flat())).map(memory => [memory.id, memory])
+      );
+      return clusters.map(ids => ids.map(id => memoriesById.get(id)).filter(Boolean));
+    } catch (error) {
+      console.error(`Failed to cluster memories of conversation ${conversationId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge memories of one conversation into a single canonical memory, replacing them.
+   * It keeps the union of their tags, keywords and links to other memories, their highest importance
+   * and their combined recall count, and lists the merged IDs (with those of earlier merges)
+   * in metadata.mergedFrom. Memories that pointed at a merged one point at the new one instead.
+   * @param {string[]} ids - IDs of the memories to merge
+   * @param {Object} merge - The canonical memory
+   * @param {string} merge.content - Content of the canonical memory
+   * @param {number} [merge.importance] - Importance (defaults to the highest of the merged memories)
+   * @returns {Promise<Memory|null>} The canonical memory, or null if a memory to merge no
+   *   longer exists (nothing is changed then)
+   */
+  async mergeMemories(ids, { content, importance }) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      if (!content || ids.length < 2) {
+        throw new Error('Merging needs content and at least two memories');
+      }
+
+      const memories = await this._loadMemories(ids);
+      if (memories.length !== ids.length) {
+        return null;
+      }
+
+      const conversationId = memories[0].conversationId;
+      if (memories.some(memory => memory.conversationId !== conversationId)) {
+        throw new Error('Only memories of the same conversation can be merged');
+      }
+
+      const union = (lists) => [...new Set(lists.flat())];
+      const latest = (dates) => dates.filter(Boolean).reduce((a, b) => (b > a ? b : a), null);
+      const shared = (key) => memories.every(memory => memory.metadata[key] === memories[0].metadata[key])
+        ? memories[0].metadata[key]
+        : undefined;
+
+      const merged = new Memory({
+        content,
+        conversationId,
+        // The fact was last formed when the newest of its copies was
+        createdAt: latest(memories.map(memory => memory.createdAt)),
+        universeTime: memories
+          .map(memory => memory.universeTime)
+          .filter(Boolean)
+          .reduce((a, b) => (b < a ? b : a), memories[0].universeTime || memories[0].createdAt),
+        tags: union(memories.map(memory => memory.tags)),
+        keywords: union(memories.map(memory => memory.keywords)),
+        relationships: this._mergeRelationships(memories, ids),
+        metadata: {
+          source: 'consolidation',
+          category: shared('category'),
+          userId: shared('userId') || null,
+          scenarioId: shared('scenarioId'),
+          mergedFrom: union(memories.map(memory => [memory.id, ...(memory.metadata.mergedFrom || [])])),
+          mergedAt: new Date().toISOString()
+        },
+        importance: Math.min(1, Math.max(0, importance ?? Math.max(...memories.map(memory => memory.importance)))),
+        accessCount: memories.reduce((sum, memory) => sum + memory.accessCount, 0),
+        lastAccessedAt: latest(memories.map(memory => memory.lastAccessedAt))
+      });
+
+      const [embedding] = await this.embeddingProvider.embed([this._getEmbeddingText(merged)]);
+      const placeholders = ids.map(() => '?').join(', ');
+
+      const result = await this.db.transaction(async () => {
+        // A memory may have been forgotten while the merge was being written
+        const { count } = await this.db.get(`SELECT COUNT(*) AS count FROM memories WHERE id IN (${placeholders})`, ids);
+        if (count !== ids.length) {
+          return null;
+        }
+
+        await this._insertMemory(merged, embedding);
 
+        await this.db.run(`
+          INSERT OR IGNORE INTO memory_relationships (memory_id, related_memory_id, type)
+          SELECT memory_id, ?, type
+          FROM memory_relationships
+          WHERE related_memory_id IN (${placeholders}) AND memory_id NOT IN (${placeholders})
+        `, [merged.id, ...ids, ...ids]);
+
+        for (const id of ids) {
+          await this._unindexMemory(id);
+          await this.db.run(`DELETE FROM memories WHERE id = ?`, [id]);
+        }
+        return merged;
+      });
+
+      if (result) {
+        console.log(`Merged ${ids.length} memories into ${merged.id}`);
+        this.emit('memoryAdded', { memory: merged });
+      }
+      return result;
+    } catch (error) {
+      console.error(`Failed to merge memories ${ids.join(', ')}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Combine the links of memories being merged, leaving out links between them. A pair linked
+   * with a type and as plain 'related' keeps the type.
+   * @param {Memory[]} memories - Memories being merged
+   * @param {string[]} ids - Their IDs
+   * @returns {Object[]} Links of the merged memory, as { id, type }
+   * @private
+   */
+  _mergeRelationships(memories, ids) {
+    const types = new Map();
+    for (const link of memories.flatMap(memory => memory.relationships)) {
+      if (!ids.includes(link.id) && (!types.has(link.id) || types.get(link.id) === 'related')) {
+        types.set(link.id, link.type);
+      }
+    }
+    return [...types].map(([id, type]) => ({ id, type }));
+  }
+
+  /**
+   * Prune memories: those whose retention score (see Memory#getRetentionScore) has fallen below
+   * config.memory.pruneThreshold, then the lowest-scoring ones of any conversation over
+   * config.memory.maxMemoriesPerConversation and of the whole store over
+   * config.memory.maxGlobalMemories. Pinned memories are never pruned.
+   * @param {string} [conversationId] - Only prune memories for this conversation (optional;
+   *   the global cap is then not enforced)
+   * @returns {number} Number of memories pruned
+   */
+  async pruneOldMemories(conversationId) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      let expired = [];
+      if (this.pruneThreshold > 0) {
+        const score = this._getRetentionScoreSql(Date.now());
+        const params = [...score.params, this.pruneThreshold, PINNED_TAG];
+        let sql = `
+          SELECT m.id
+          FROM memories m
+          WHERE ${score.sql} < ?
+            AND NOT EXISTS (SELECT 1 FROM memory_tags t WHERE t.memory_id = m.id AND t.tag = ?)
+        `;
+
+        // Add conversation filter if provided
+        if (conversationId) {
+          sql += ` AND m.conversation_id = ?`;
+          params.push(conversationId);
+        }
+
+        expired = await this.db.all(sql, params);
+        await this._deleteMemories(expired.map(row => row.id));
+      }
+
+      // Then bring every conversation (or the one given) and the whole store under their caps
+      const conversationRows = conversationId
+        ? [{ conversation_id: conversationId }]
+        : await this.db.all(`SELECT DISTINCT conversation_id FROM memories`);
+      let evicted = 0;
+      for (const row of conversationRows) {
+        evicted += await this._evictLowestScoring(this.maxMemoriesPerConversation, row.conversation_id);
+      }
+      if (!conversationId) {
+        evicted += await this._evictLowestScoring(this.maxGlobalMemories);
+      }
+
+      const count = expired.length + evicted;
       if (count === 0) {
         console.log('No memories to prune');
         return 0;
       }
 
-      // Delete old memories
-      const deleteSql = `
-        DELETE FROM memories
-        ${whereClause}
-      `;
-      this.db.prepare(deleteSql).run(...params);
-
-      console.log(`Pruned ${count} old memories`);
+      console.log(`Pruned ${count} memories (${expired.length} below the retention threshold, ${evicted} over the caps)`);
       return count;
     } catch (error) {
       console.error('Failed to prune old memories:', error);
@@ -634,6 +1491,93 @@ async pruneOldMemories(conversationId) {
     }
   }
 
+  /**
+   * Evict memories over the caps after a memory was added
+   * @param {string} conversationId - Conversation the memory was added to
+   * @param {string} memoryId - The new memory, which isn't evicted right away
+   * @private
+   */
+  async _enforceCaps(conversationId, memoryId) {
+    const evicted = await this._evictLowestScoring(this.maxMemoriesPerConversation, conversationId, memoryId) +
+      await this._evictLowestScoring(this.maxGlobalMemories, null, memoryId);
+    if (evicted > 0) {
+      console.log(`Evicted ${evicted} memories over the memory caps`);
+    }
+  }
+
+  /**
+   * Evict the lowest-scoring unpinned memories until at most `cap` memories remain
+   * @param {number} cap - Maximum number of memories (0 or less for no cap)
+   * @param {string} [conversationId] - Only count and evict this conversation's memories
+   * @param {string} [keepId] - Memory never to evict
+   * @returns {Promise<number>} Number of memories evicted
+   * @private
+   */
+  async _evictLowestScoring(cap, conversationId = null, keepId = null) {
+    if (cap <= 0) {
+      return 0;
+    }
+
+    const filter = conversationId ? 'WHERE m.conversation_id = ?' : '';
+    const filterParams = conversationId ? [conversationId] : [];
+    const { count } = await this.db.get(`SELECT COUNT(*) AS count FROM memories m ${filter}`, filterParams);
+    if (count <= cap) {
+      return 0;
+    }
+
+    // Only the victims leave the database
+    const score = this._getRetentionScoreSql(Date.now());
+    const victims = await this.db.all(`
+      SELECT m.id
+      FROM memories m
+      ${filter}${filter ? ' AND' : 'WHERE'} m.id IS NOT ?
+        AND NOT EXISTS (SELECT 1 FROM memory_tags t WHERE t.memory_id = m.id AND t.tag = ?)
+      ORDER BY ${score.sql}
+      LIMIT ?
+    `, [...filterParams, keepId, PINNED_TAG, ...score.params, count - cap]);
+
+    await this._deleteMemories(victims.map(victim => victim.id));
+    return victims.length;
+  }
+
+  /**
+   * Build the SQL computing Memory#getRetentionScore for the rows of `memories m`
+   * @param {number} now - Time to score at, in ms
+   * @returns {Object} Expression as `sql`, with its `params`
+   * @private
+   */
+  _getRetentionScoreSql(now) {
+    return {
+      sql: `(? * pow(0.5, max(0, ? - (julianday(COALESCE(m.last_accessed_at, m.created_at)) - 2440587.5) * 86400000) / ?)
+        + ? * m.importance
+        + ? * m.access_count / (m.access_count + ?))`,
+      params: [
+        RETENTION_WEIGHTS.recency, now, config.memory.decayHalfLife,
+        RETENTION_WEIGHTS.importance,
+        RETENTION_WEIGHTS.reinforcement, REINFORCEMENT_HALF_COUNT
+      ]
+    };
+  }
+
+  /**
+   * Delete memories with their full-text entries (tags, keywords and relationships go with
+   * them through ON DELETE CASCADE)
+   * @param {string[]} ids - Memory IDs
+   * @private
+   */
+  async _deleteMemories(ids) {
+    if (ids.length === 0) {
+      return;
+    }
+
+    await this.db.transaction(async () => {
+      for (const id of ids) {
+        await this._unindexMemory(id);
+        await this.db.run(`DELETE FROM memories WHERE id = ?`, [id]);
+      }
+    });
+  }
+
   /**
    * Delete a memory by ID
    * @param {string} id - Memory ID
@@ -646,10 +1590,14 @@ async pruneOldMemories(conversationId) {
       }
 
       // Delete memory
-      const result = this.db.prepare(`
-        DELETE FROM memories
-        WHERE id = ?
-      `).run(id);
+      const result = await this.db.transaction(async () => {
+        await this._unindexMemory(id);
+
+        return this.db.run(`
+          DELETE FROM memories
+          WHERE id = ?
+        `, [id]);
+      });
 
       // The related tables (tags, keywords, relationships) will be deleted automatically
       // due to the ON DELETE CASCADE constraints
@@ -661,6 +1609,37 @@ async pruneOldMemories(conversationId) {
     }
   }
 
+  /**
+   * Delete the memories extracted from any of some context messages (see metadata.messageIds)
+   * @param {string} conversationId - Conversation ID
+   * @param {string[]} messageIds - Context message IDs
+   * @returns {Promise<Memory[]>} The deleted memories
+   */
+  async deleteMessageMemories(conversationId, messageIds) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      if (messageIds.length === 0) {
+        return [];
+      }
+
+      const rows = await this.db.all(`
+        SELECT DISTINCT m.id
+        FROM memories m, json_each(m.metadata, '$.messageIds') message
+        WHERE m.conversation_id = ? AND message.value IN (${messageIds.map(() => '?').join(', ')})
+      `, [conversationId, ...messageIds]);
+
+      const memories = await this._loadMemories(rows.map(row => row.id));
+      await this._deleteMemories(memories.map(memory => memory.id));
+      return memories;
+    } catch (error) {
+      console.error('Failed to delete the memories of messages:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update a memory
    * @param {string} id - Memory ID
@@ -679,87 +1658,66 @@ async pruneOldMemories(conversationId) {
         return null;
       }
 
-// Update memory fields
+      // Update memory fields
       if (updates.content) memory.content = updates.content;
       if (updates.conversationId) memory.conversationId = updates.conversationId;
+      if (updates.universeTime) memory.universeTime = new Date(updates.universeTime);
       if (updates.tags) memory.tags = updates.tags;
       if (updates.keywords) memory.keywords = updates.keywords;
       if (updates.relatedTo) memory.relatedTo = updates.relatedTo;
+      if (updates.relationships) memory.relationships = normalizeRelationships(updates.relationships);
       if (updates.metadata) memory.metadata = { ...memory.metadata, ...updates.metadata };
+      if (updates.importance !== undefined) memory.importance = Math.min(1, Math.max(0, updates.importance));
 
-      // Begin transaction
-      const updateMemory = this.db.prepare(`
-        UPDATE memories
-        SET content = ?, conversation_id = ?, metadata = ?
-        WHERE id = ?
-      `);
-
-      const deleteTagsForMemory = this.db.prepare(`
-        DELETE FROM memory_tags
-        WHERE memory_id = ?
-      `);
-
-      const deleteKeywordsForMemory = this.db.prepare(`
-        DELETE FROM memory_keywords
-        WHERE memory_id = ?
-      `);
-
-      const deleteRelationshipsForMemory = this.db.prepare(`
-        DELETE FROM memory_relationships
-        WHERE memory_id = ?
-      `);
-
-      const insertTag = this.db.prepare(`
-        INSERT INTO memory_tags (memory_id, tag)
-        VALUES (?, ?)
-      `);
-
-      const insertKeyword = this.db.prepare(`
-        INSERT INTO memory_keywords (memory_id, keyword)
-        VALUES (?, ?)
-      `);
-
-      const insertRelationship = this.db.prepare(`
-        INSERT INTO memory_relationships (memory_id, related_memory_id)
-        VALUES (?, ?)
-      `);
+      // Content, tags and keywords all feed the embedding
+      const [embedding] = await this.embeddingProvider.embed([this._getEmbeddingText(memory)]);
 
       // Execute transaction
-      this.db.exec("BEGIN TRANSACTION", () => {
-        updateMemory.run(
+      await this.db.transaction(async () => {
+        await this.db.run(`
+          UPDATE memories
+          SET content = ?, conversation_id = ?, universe_time = ?, metadata = ?, embedding = ?, embedding_model = ?, importance = ?
+          WHERE id = ?
+        `, [
           memory.content,
           memory.conversationId,
+          memory.universeTime ? memory.universeTime.toISOString() : null,
           JSON.stringify(memory.metadata),
+          serializeVector(embedding),
+          this.embeddingProvider.id,
+          memory.importance,
           memory.id
-        );
+        ]);
 
         // Update tags
         if (updates.tags) {
-          deleteTagsForMemory.run(memory.id);
+          await this.db.run(`DELETE FROM memory_tags WHERE memory_id = ?`, [memory.id]);
           for (const tag of memory.tags) {
-            insertTag.run(memory.id, tag);
+            await this.db.run(`INSERT INTO memory_tags (memory_id, tag) VALUES (?, ?)`, [memory.id, tag]);
           }
         }
 
         // Update keywords
         if (updates.keywords) {
-          deleteKeywordsForMemory.run(memory.id);
+          await this.db.run(`DELETE FROM memory_keywords WHERE memory_id = ?`, [memory.id]);
           for (const keyword of memory.keywords) {
-            insertKeyword.run(memory.id, keyword);
+            await this.db.run(`INSERT INTO memory_keywords (memory_id, keyword) VALUES (?, ?)`, [memory.id, keyword]);
           }
         }
 
         // Update relationships
-        if (updates.relatedTo) {
-          deleteRelationshipsForMemory.run(memory.id);
-          for (const relatedId of memory.relatedTo) {
-            insertRelationship.run(memory.id, relatedId);
+        if (updates.relatedTo || updates.relationships) {
+          await this.db.run(`DELETE FROM memory_relationships WHERE memory_id = ?`, [memory.id]);
+          for (const link of memory.relationships) {
+            await this.db.run(`INSERT INTO memory_relationships (memory_id, related_memory_id, type) VALUES (?, ?, ?)`, [memory.id, link.id, link.type]);
           }
         }
+
+        await this._indexMemory(memory);
       });
 
-      this.db.exec("COMMIT");
       console.log(`Memory updated with ID: ${memory.id}`);
+      this.emit('memoryUpdated', { memory });
       return memory;
     } catch (error) {
       console.error(`Failed to update memory with ID ${id}:`, error);
@@ -770,9 +1728,11 @@ async pruneOldMemories(conversationId) {
   /**
    * Close database connection
    */
-  close() {
+  async close() {
+    clearInterval(this.pruneInterval);
     if (this.db) {
-      this.db.close();
+      await this.db.close();
+      this.db = null;
       this.initialized = false;
       console.log('Memory Manager database connection closed');
     }
@@ -783,6 +1743,6 @@ async pruneOldMemories(conversationId) {
 const memoryManager = new MemoryManager();
 export default memoryManager;
 
-// Also export the Memory class for direct use
-export { Memory };
+// Also export the Memory class and the relationship types for direct use
+export { Memory, RELATIONSHIP_TYPES };
 
@@ -0,0 +1,1007 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config.js';
+import { openDatabase } from '../database/database.js';
+import contextManager from '../context/contextManager.js';
+import agentManager from '../agents/agentManager.js';
+import scenarioManager from '../scenario/scenarioManager.js';
+
+// Kinds of things that can be at a place
+const OCCUPANT_TYPES = ['agent', 'user'];
+
+/**
+ * Class representing a place
+ */
+class Place {
+  /**
+   * Create a place
+   * @param {Object} params - Place parameters
+   * @param {string} params.id - Unique identifier
+   * @param {string} params.scenarioId - Scenario the place belongs to
+   * @param {string} params.name - Display name (unique within the scenario)
+   * @param {string} [params.description] - What the place is like
+   * @param {string} [params.parentId] - ID of the place containing this one
+   * @param {Object} [params.coordinates] - Position as { x, y }, used for distances and pathfinding
+   * @param {Object} [params.metadata] - Additional metadata
+   * @param {Date} [params.createdAt] - Creation timestamp
+   * @param {Date} [params.updatedAt] - Last update timestamp
+   */
+  constructor({
+    id = uuidv4(),
+    scenarioId,
+    name,
+    description = '',
+    parentId = null,
+    coordinates = null,
+    metadata = {},
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.scenarioId = scenarioId;
+    this.name = name;
+    this.description = description;
+    this.parentId = parentId;
+    this.coordinates = coordinates;
+    this.metadata = metadata;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Convert place to JSON
+   * @returns {Object} JSON representation of place
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      scenarioId: this.scenarioId,
+      name: this.name,
+      description: this.description,
+      parentId: this.parentId,
+      coordinates: this.coordinates,
+      metadata: this.metadata,
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Create place from JSON
+   * @param {Object} json - JSON representation of place
+   * @returns {Place} Place instance
+   */
+  static fromJSON(json) {
+    return new Place({
+      ...json,
+      createdAt: new Date(json.createdAt),
+      updatedAt: new Date(json.updatedAt)
+    });
+  }
+}
+
+/**
+ * Class managing places, the connections between them, and who is where.
+ * Emits `occupantMoved` ({ scenarioId, occupantId, occupantType, fromPlaceId, toPlaceId }), and
+ * `scenarioPlacesCreated` ({ scenarioId, scenario }) once the places of a starting scenario exist.
+ */
+class PlaceManager extends EventEmitter {
+  /**
+   * Create a place manager
+   */
+  constructor() {
+    super();
+    this.dbPath = config.database.path;
+    this.maxPlaces = config.places.maxPlaces;
+
+    this.places = new Map(); // Map of placeId to Place
+    this.connections = new Map(); // Map of connectionId to connection
+    this.occupants = new Map(); // Map of `${scenarioId}:${type}:${id}` to occupant location
+    this.onScenarioStarted = (event) => this._setUpScenarioPlaces(event);
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the place manager
+   */
+  async initialize() {
+    try {
+      // Open database connection
+      this.db = await openDatabase(this.dbPath);
+
+      // Create tables if they don't exist
+      await this._createTables();
+
+      // Worlds are bounded by config.places.maxPlaces, so keep them in memory
+      for (const row of await this.db.all(`SELECT * FROM places`)) {
+        const place = this._rowToPlace(row);
+        this.places.set(place.id, place);
+      }
+
+      for (const row of await this.db.all(`SELECT * FROM place_connections`)) {
+        this.connections.set(row.id, this._rowToConnection(row));
+      }
+
+      for (const row of await this.db.all(`SELECT * FROM place_occupants`)) {
+        const occupant = {
+          scenarioId: row.scenario_id,
+          occupantId: row.occupant_id,
+          occupantType: row.occupant_type,
+          name: row.name,
+          placeId: row.place_id,
+          arrivedAt: new Date(row.arrived_at)
+        };
+        this.occupants.set(this._occupantKey(occupant.scenarioId, occupant.occupantType, occupant.occupantId), occupant);
+      }
+
+      // Scenario files can describe their places
+      scenarioManager.on('scenarioStarted', this.onScenarioStarted);
+
+      this.initialized = true;
+      console.log(`Place Manager initialized with ${this.places.size} places and ${this.connections.size} connections`);
+    } catch (error) {
+      console.error('Failed to initialize Place Manager:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create database tables
+   * @private
+   */
+  async _createTables() {
+    // Create places table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS places (
+        id TEXT PRIMARY KEY,
+        scenario_id TEXT NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        description TEXT NOT NULL DEFAULT '',
+        parent_id TEXT,
+        x REAL,
+        y REAL,
+        metadata TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (scenario_id, name),
+        FOREIGN KEY (parent_id) REFERENCES places(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create connections table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS place_connections (
+        id TEXT PRIMARY KEY,
+        from_id TEXT NOT NULL,
+        to_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        cost REAL NOT NULL,
+        bidirectional INTEGER NOT NULL DEFAULT 1,
+        description TEXT NOT NULL DEFAULT '',
+        FOREIGN KEY (from_id) REFERENCES places(id) ON DELETE CASCADE,
+        FOREIGN KEY (to_id) REFERENCES places(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create occupants table (where each agent and user is, per scenario)
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS place_occupants (
+        scenario_id TEXT NOT NULL,
+        occupant_type TEXT NOT NULL,
+        occupant_id TEXT NOT NULL,
+        name TEXT,
+        place_id TEXT NOT NULL,
+        arrived_at TEXT NOT NULL,
+        PRIMARY KEY (scenario_id, occupant_type, occupant_id),
+        FOREIGN KEY (place_id) REFERENCES places(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create indexes for performance
+    await this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_places_parent_id ON places(parent_id);
+      CREATE INDEX IF NOT EXISTS idx_place_connections_from_id ON place_connections(from_id);
+      CREATE INDEX IF NOT EXISTS idx_place_connections_to_id ON place_connections(to_id);
+      CREATE INDEX IF NOT EXISTS idx_place_occupants_place_id ON place_occupants(place_id);
+    `);
+  }
+
+  /**
+   * Create a place
+   * @param {Object} placeData - Place data (see Place constructor)
+   * @returns {Promise<Place>} The newly created place
+   */
+  async createPlace(placeData) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      if (!placeData.name || !placeData.scenarioId) {
+        throw new Error('Place name and scenarioId are required');
+      }
+
+      if (this.places.size >= this.maxPlaces) {
+        throw new Error(`The world already has the maximum of ${this.maxPlaces} places`);
+      }
+
+      if (this.getPlaceByName(placeData.name, placeData.scenarioId)) {
+        throw new Error(`A place named ${placeData.name} already exists`);
+      }
+
+      if (placeData.parentId && !this._isInScenario(placeData.parentId, placeData.scenarioId)) {
+        throw new Error(`Parent place ${placeData.parentId} not found`);
+      }
+
+      const place = new Place({ ...placeData, coordinates: this._normalizeCoordinates(placeData.coordinates) });
+      await this._savePlace(place);
+      this.places.set(place.id, place);
+
+      console.log(`Place created: ${place.name} (${place.id})`);
+      return place;
+    } catch (error) {
+      console.error('Failed to create place:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a place by ID
+   * @param {string} id - Place ID
+   * @returns {Place|null} Place or null if not found
+   */
+  getPlace(id) {
+    return this.places.get(id) || null;
+  }
+
+  /**
+   * Get a place by name (case-insensitive)
+   * @param {string} name - Place name
+   * @param {string} scenarioId - Scenario ID
+   * @returns {Place|null} Place or null if not found
+   */
+  getPlaceByName(name, scenarioId) {
+    const lowerName = name.toLowerCase();
+    for (const place of this.places.values()) {
+      if (place.scenarioId === scenarioId && place.name.toLowerCase() === lowerName) {
+        return place;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List the places of a scenario
+   * @param {string} scenarioId - Scenario ID
+   * @param {Object} [options] - Filter options
+   * @param {string|null} [options.parentId] - Only list places directly inside this place
+   *   (null for top-level places; omit to list every place)
+   * @returns {Place[]} Places, sorted by name
+   */
+  listPlaces(scenarioId, { parentId } = {}) {
+    return [...this.places.values()]
+      .filter(place => place.scenarioId === scenarioId)
+      .filter(place => parentId === undefined || place.parentId === parentId)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get the places containing a place, outermost first
+   * @param {string} placeId - Place ID
+   * @returns {Place[]} Ancestors
+   */
+  getAncestors(placeId) {
+    const ancestors = [];
+    let place = this.getPlace(placeId);
+    while (place && place.parentId) {
+      place = this.getPlace(place.parentId);
+      if (place) {
+        ancestors.unshift(place);
+      }
+    }
+    return ancestors;
+  }
+
+  /**
+   * Get every place inside a place, at any depth
+   * @param {string} placeId - Place ID
+   * @returns {Place[]} Descendants
+   */
+  getDescendants(placeId) {
+    const descendants = [];
+    const queue = [placeId];
+    while (queue.length > 0) {
+      const parentId = queue.shift();
+      for (const place of this.places.values()) {
+        if (place.parentId === parentId) {
+          descendants.push(place);
+          queue.push(place.id);
+        }
+      }
+    }
+    return descendants;
+  }
+
+  /**
+   * Update a place
+   * @param {string} id - Place ID
+   * @param {Object} updates - Fields to update (name, description, parentId, coordinates, metadata)
+   * @returns {Promise<Place|null>} Updated place or null if not found
+   */
+  async updatePlace(id, updates) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const place = this.getPlace(id);
+      if (!place) {
+        return null;
+      }
+
+      if (updates.name && updates.name.toLowerCase() !== place.name.toLowerCase() &&
+        this.getPlaceByName(updates.name, place.scenarioId)) {
+        throw new Error(`A place named ${updates.name} already exists`);
+      }
+
+      if (updates.parentId) {
+        if (!this._isInScenario(updates.parentId, place.scenarioId)) {
+          throw new Error(`Parent place ${updates.parentId} not found`);
+        }
+        // A place can't end up inside itself
+        if (updates.parentId === id || this.getDescendants(id).some(descendant => descendant.id === updates.parentId)) {
+          throw new Error(`${place.name} can't be placed inside itself`);
+        }
+      }
+
+      if (updates.name !== undefined) place.name = updates.name;
+      if (updates.description !== undefined) place.description = updates.description;
+      if (updates.parentId !== undefined) place.parentId = updates.parentId;
+      if (updates.coordinates !== undefined) place.coordinates = this._normalizeCoordinates(updates.coordinates);
+      if (updates.metadata) place.metadata = { ...place.metadata, ...updates.metadata };
+      place.updatedAt = new Date();
+
+      await this._savePlace(place);
+      return place;
+    } catch (error) {
+      console.error(`Failed to update place with ID ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a place. Places inside it move up to its parent, and whoever was there moves
+   * along with them (or is removed from the map at top level).
+   * @param {string} id - Place ID
+   * @returns {Promise<boolean>} Whether the place was deleted
+   */
+  async deletePlace(id) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const place = this.getPlace(id);
+      if (!place) {
+        return false;
+      }
+
+      const children = this.listPlaces(place.scenarioId, { parentId: id });
+      const occupants = this.getOccupants(id);
+
+      await this.db.transaction(async () => {
+        await this.db.run(`UPDATE places SET parent_id = ? WHERE parent_id = ?`, [place.parentId, id]);
+        if (place.parentId) {
+          await this.db.run(`UPDATE place_occupants SET place_id = ? WHERE place_id = ?`, [place.parentId, id]);
+        }
+        await this.db.run(`DELETE FROM places WHERE id = ?`, [id]);
+      });
+
+      for (const child of children) {
+        child.parentId = place.parentId;
+      }
+      for (const occupant of occupants) {
+        const key = this._occupantKey(occupant.scenarioId, occupant.occupantType, occupant.occupantId);
+        if (place.parentId) {
+          occupant.placeId = place.parentId;
+        } else {
+          this.occupants.delete(key);
+        }
+      }
+      for (const [connectionId, connection] of this.connections.entries()) {
+        if (connection.fromId === id || connection.toId === id) {
+          this.connections.delete(connectionId);
+        }
+      }
+      this.places.delete(id);
+
+      console.log(`Place deleted: ${place.name} (${id})`);
+      return true;
+    } catch (error) {
+      console.error(`Failed to delete place with ID ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Connect two places
+   * @param {string} fromId - Place the connection starts at
+   * @param {string} toId - Place the connection leads to
+   * @param {Object} [options] - Connection options
+   * @param {string} [options.type='path'] - Kind of connection (door, road, stairs, ...)
+   * @param {number} [options.cost] - Travel cost (defaults to the distance between the places, or 1)
+   * @param {boolean} [options.bidirectional=true] - Whether it can be travelled both ways
+   * @param {string} [options.description] - Description of the connection
+   * @returns {Promise<Object>} The connection
+   */
+  async connectPlaces(fromId, toId, { type = 'path', cost = null, bidirectional = true, description = '' } = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const from = this.getPlace(fromId);
+      const to = this.getPlace(toId);
+      if (!from || !to || from.scenarioId !== to.scenarioId || fromId === toId) {
+        throw new Error('Connections need two different places of the same scenario');
+      }
+
+      const travelCost = cost ?? this.getDistance(fromId, toId) ?? 1;
+      if (!Number.isFinite(travelCost) || travelCost < 0) {
+        throw new Error('Travel cost must be a non-negative number');
+      }
+
+      const connection = {
+        id: uuidv4(),
+        fromId,
+        toId,
+        type,
+        cost: travelCost,
+        bidirectional,
+        description
+      };
+
+      await this.db.run(`
+        INSERT INTO place_connections (id, from_id, to_id, type, cost, bidirectional, description)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        connection.id,
+        connection.fromId,
+        connection.toId,
+        connection.type,
+        connection.cost,
+        connection.bidirectional ? 1 : 0,
+        connection.description
+      ]);
+
+      this.connections.set(connection.id, connection);
+      return connection;
+    } catch (error) {
+      console.error(`Failed to connect places ${fromId} and ${toId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove every connection between two places
+   * @param {string} fromId - First place ID
+   * @param {string} toId - Second place ID
+   * @returns {Promise<number>} Number of connections removed
+   */
+  async disconnectPlaces(fromId, toId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const matching = [...this.connections.values()].filter(connection =>
+      (connection.fromId === fromId && connection.toId === toId) ||
+      (connection.fromId === toId && connection.toId === fromId));
+
+    for (const connection of matching) {
+      await this.db.run(`DELETE FROM place_connections WHERE id = ?`, [connection.id]);
+      this.connections.delete(connection.id);
+    }
+    return matching.length;
+  }
+
+  /**
+   * Get the places reachable in one step from a place
+   * @param {string} placeId - Place ID
+   * @returns {Object[]} Neighbours as { place, connection }
+   */
+  getAdjacentPlaces(placeId) {
+    const adjacent = [];
+    for (const connection of this.connections.values()) {
+      if (connection.fromId === placeId) {
+        adjacent.push({ place: this.getPlace(connection.toId), connection });
+      } else if (connection.bidirectional && connection.toId === placeId) {
+        adjacent.push({ place: this.getPlace(connection.fromId), connection });
+      }
+    }
+    return adjacent.filter(neighbour => neighbour.place);
+  }
+
+  /**
+   * Straight-line distance between two places
+   * @param {string} fromId - First place ID
+   * @param {string} toId - Second place ID
+   * @returns {number|null} Distance, or null if either place has no coordinates
+   */
+  getDistance(fromId, toId) {
+    const from = this.getPlace(fromId);
+    const to = this.getPlace(toId);
+    if (!from?.coordinates || !to?.coordinates) {
+      return null;
+    }
+    return Math.hypot(to.coordinates.x - from.coordinates.x, to.coordinates.y - from.coordinates.y);
+  }
+
+  /**
+   * Find the cheapest route between two places along their connections.
+   *
+   * Uses A*, estimating the remaining cost from straight-line distance. The estimate is scaled
+   * by the lowest cost-per-distance of any connection of the scenario, so it never
+   * overestimates and the route found is always the cheapest. If a connection of the scenario
+   * leads to a place without coordinates the search is plain Dijkstra: a route through such a
+   * place can cost less than the distance it covers suggests.
+   *
+   * @param {string} fromId - Start place ID
+   * @param {string} toId - Destination place ID
+   * @returns {Object|null} Route with `places` (start to destination), `connections` and total
+   *   `cost`, or null if the destination can't be reached
+   */
+  findPath(fromId, toId) {
+    if (!this.getPlace(fromId) || !this.getPlace(toId)) {
+      return null;
+    }
+
+    const costPerDistance = this._getMinimumCostPerDistance(this.getPlace(fromId).scenarioId);
+    const estimate = (placeId) => {
+      const distance = this.getDistance(placeId, toId);
+      return distance === null ? 0 : distance * costPerDistance;
+    };
+
+    const bestCost = new Map([[fromId, 0]]);
+    const previous = new Map(); // Map of placeId to { placeId, connection } it was reached from
+    const open = new Map([[fromId, estimate(fromId)]]); // Map of placeId to estimated total cost
+    const closed = new Set();
+
+    while (open.size > 0) {
+      // Worlds are small, so a linear scan for the best open place is fine
+      let currentId = null;
+      for (const [placeId, total] of open.entries()) {
+        if (currentId === null || total < open.get(currentId)) {
+          currentId = placeId;
+        }
+      }
+
+      if (currentId === toId) {
+        return this._buildRoute(fromId, toId, previous, bestCost.get(toId));
+      }
+
+      open.delete(currentId);
+      closed.add(currentId);
+
+      for (const { place, connection } of this.getAdjacentPlaces(currentId)) {
+        if (closed.has(place.id)) {
+          continue;
+        }
+
+        const cost = bestCost.get(currentId) + connection.cost;
+        if (!bestCost.has(place.id) || cost < bestCost.get(place.id)) {
+          bestCost.set(place.id, cost);
+          previous.set(place.id, { placeId: currentId, connection });
+          open.set(place.id, cost + estimate(place.id));
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Move an agent or user to a place
+   * @param {Object} params - Move parameters
+   * @param {string} params.occupantId - Agent or user ID
+   * @param {string} params.occupantType - 'agent' or 'user'
+   * @param {string} params.placeId - Destination place ID
+   * @param {string} [params.name] - Display name (kept for users, who aren't stored elsewhere)
+   * @returns {Promise<Object>} The occupant's new location
+   */
+  async moveOccupant({ occupantId, occupantType, placeId, name = null }) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      if (!OCCUPANT_TYPES.includes(occupantType)) {
+        throw new Error(`Occupant type must be one of ${OCCUPANT_TYPES.join(', ')}`);
+      }
+
+      const place = this.getPlace(placeId);
+      if (!place) {
+        throw new Error(`Place ${placeId} not found`);
+      }
+
+      const key = this._occupantKey(place.scenarioId, occupantType, occupantId);
+      const fromPlaceId = this.occupants.get(key)?.placeId || null;
+      const occupant = {
+        scenarioId: place.scenarioId,
+        occupantId,
+        occupantType,
+        name: name || this.occupants.get(key)?.name || null,
+        placeId,
+        arrivedAt: new Date()
+      };
+
+      await this.db.run(`
+        INSERT INTO place_occupants (scenario_id, occupant_type, occupant_id, name, place_id, arrived_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(scenario_id, occupant_type, occupant_id) DO UPDATE SET
+          name = excluded.name,
+          place_id = excluded.place_id,
+          arrived_at = excluded.arrived_at
+      `, [
+        occupant.scenarioId,
+        occupant.occupantType,
+        occupant.occupantId,
+        occupant.name,
+        occupant.placeId,
+        occupant.arrivedAt.toISOString()
+      ]);
+
+      this.occupants.set(key, occupant);
+      this.emit('occupantMoved', { scenarioId: place.scenarioId, occupantId, occupantType, fromPlaceId, toPlaceId: placeId });
+      return occupant;
+    } catch (error) {
+      console.error(`Failed to move ${occupantType} ${occupantId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get where an agent or user is in a scenario
+   * @param {string} scenarioId - Scenario ID
+   * @param {string} occupantType - 'agent' or 'user'
+   * @param {string} occupantId - Agent or user ID
+   * @returns {Place|null} Current place or null if they're nowhere yet
+   */
+  getLocation(scenarioId, occupantType, occupantId) {
+    const occupant = this.occupants.get(this._occupantKey(scenarioId, occupantType, occupantId));
+    return occupant ? this.getPlace(occupant.placeId) : null;
+  }
+
+  /**
+   * Get the agents and users at a place
+   * @param {string} placeId - Place ID
+   * @param {Object} [options] - Query options
+   * @param {boolean} [options.includeInside=false] - Also include those in places inside it
+   * @returns {Object[]} Occupants with occupantId, occupantType, name, placeId and arrivedAt
+   */
+  getOccupants(placeId, { includeInside = false } = {}) {
+    const placeIds = new Set([placeId]);
+    if (includeInside) {
+      for (const place of this.getDescendants(placeId)) {
+        placeIds.add(place.id);
+      }
+    }
+    return [...this.occupants.values()].filter(occupant => placeIds.has(occupant.placeId));
+  }
+
+  /**
+   * Get the place a conversation's scene is set in
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Place|null>} Scene place or null if none is set
+   */
+  async getScenePlace(conversationId) {
+    const conversation = await contextManager.getConversation(conversationId);
+    return conversation?.metadata.placeId ? this.getPlace(conversation.metadata.placeId) : null;
+  }
+
+  /**
+   * Set the place a conversation's scene is set in
+   * @param {string} conversationId - Conversation ID
+   * @param {string} placeId - Place ID
+   * @returns {Promise<Place>} Scene place
+   */
+  async setScenePlace(conversationId, placeId) {
+    const place = this.getPlace(placeId);
+    if (!place) {
+      throw new Error(`Place ${placeId} not found`);
+    }
+
+    await contextManager.updateConversationMetadata(conversationId, { placeId });
+    return place;
+  }
+
+  /**
+   * Describe a conversation's scene place for the prompt: where it is, what's there, who's
+   * there and where one can go from it
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<string|null>} Description or null if the scene has no place
+   */
+  async getPromptContext(conversationId) {
+    const place = await this.getScenePlace(conversationId);
+    if (!place) {
+      return null;
+    }
+
+    const ancestors = this.getAncestors(place.id);
+    let context = `Current location: ${place.name}`;
+    if (ancestors.length > 0) {
+      context += ` (in ${ancestors.map(ancestor => ancestor.name).reverse().join(', ')})`;
+    }
+    if (place.description) {
+      context += `\n${place.description}`;
+    }
+
+    const present = this.getOccupants(place.id).map(occupant => this._getOccupantName(occupant));
+    if (present.length > 0) {
+      context += `\nPresent: ${present.join(', ')}`;
+    }
+
+    const exits = this.getAdjacentPlaces(place.id).map(({ place: neighbour, connection }) => `${neighbour.name} (${connection.type})`);
+    const inside = this.listPlaces(place.scenarioId, { parentId: place.id }).map(child => child.name);
+    if (exits.length > 0) {
+      context += `\nExits: ${exits.join(', ')}`;
+    }
+    if (inside.length > 0) {
+      context += `\nPlaces inside: ${inside.join(', ')}`;
+    }
+
+    return context;
+  }
+
+  /**
+   * Create the places described in a scenario file when the scenario starts, connect them,
+   * and put its agents where the file says they start
+   * @param {Object} event - `scenarioStarted` event from the scenario manager
+   * @private
+   */
+  async _setUpScenarioPlaces({ scenarioId, scenario }) {
+    try {
+      // Create every place first, so parents and connections can refer to places listed later
+      for (const placeData of scenario.places) {
+        if (!this.getPlaceByName(placeData.name, scenarioId)) {
+          await this.createPlace({
+            scenarioId,
+            name: placeData.name,
+            description: placeData.description || '',
+            coordinates: placeData.coordinates || null,
+            metadata: { source: 'scenario' }
+          });
+        }
+      }
+
+      for (const placeData of scenario.places) {
+        const place = this.getPlaceByName(placeData.name, scenarioId);
+
+        if (placeData.parent) {
+          const parent = this.getPlaceByName(placeData.parent, scenarioId);
+          if (parent) {
+            await this.updatePlace(place.id, { parentId: parent.id });
+          } else {
+            console.warn(`Scenario ${scenarioId}: unknown parent place ${placeData.parent} of ${placeData.name}`);
+          }
+        }
+
+        for (const connectionData of placeData.connections || []) {
+          const target = this.getPlaceByName(connectionData.to || '', scenarioId);
+          if (!target) {
+            console.warn(`Scenario ${scenarioId}: unknown place ${connectionData.to} connected to ${placeData.name}`);
+            continue;
+          }
+          await this.connectPlaces(place.id, target.id, {
+            type: connectionData.type,
+            cost: connectionData.cost ?? null,
+            bidirectional: connectionData.bidirectional ?? true,
+            description: connectionData.description
+          });
+        }
+      }
+
+      for (const agentData of scenario.agents) {
+        const agent = agentManager.getAgentByName(agentData.name);
+        const place = agentData.place ? this.getPlaceByName(agentData.place, scenarioId) : null;
+        if (agent && place) {
+          await this.moveOccupant({ occupantId: agent.id, occupantType: 'agent', placeId: place.id });
+        }
+      }
+    } catch (error) {
+      console.error(`Error setting up places for scenario ${scenarioId}:`, error);
+    }
+
+    this.emit('scenarioPlacesCreated', { scenarioId, scenario });
+  }
+
+  /**
+   * Lowest travel cost per unit of distance over a scenario's connections, used to keep the A*
+   * estimate from overestimating
+   * @param {string} scenarioId - Scenario ID
+   * @returns {number} Cost per distance (0 if unknown or if a connected place has no
+   *   coordinates, which turns A* into Dijkstra)
+   * @private
+   */
+  _getMinimumCostPerDistance(scenarioId) {
+    let minimum = Infinity;
+    for (const connection of this.connections.values()) {
+      if (this.getPlace(connection.fromId)?.scenarioId !== scenarioId) {
+        continue;
+      }
+
+      const distance = this.getDistance(connection.fromId, connection.toId);
+      if (distance === null) {
+        return 0;
+      }
+      if (distance) {
+        minimum = Math.min(minimum, connection.cost / distance);
+      }
+    }
+    return Number.isFinite(minimum) ? minimum : 0;
+  }
+
+  /**
+   * Build a route by walking back from the destination
+   * @param {string} fromId - Start place ID
+   * @param {string} toId - Destination place ID
+   * @param {Map} previous - Map of placeId to the step it was reached from
+   * @param {number} cost - Total cost
+   * @returns {Object} Route
+   * @private
+   */
+  _buildRoute(fromId, toId, previous, cost) {
+    const places = [this.getPlace(toId)];
+    const connections = [];
+    let currentId = toId;
+    while (currentId !== fromId) {
+      const step = previous.get(currentId);
+      connections.unshift(step.connection);
+      places.unshift(this.getPlace(step.placeId));
+      currentId = step.placeId;
+    }
+    return { places, connections, cost };
+  }
+
+  /**
+   * Get the display name of an occupant
+   * @param {Object} occupant - Occupant location
+   * @returns {string} Name
+   * @private
+   */
+  _getOccupantName(occupant) {
+    if (occupant.occupantType === 'agent') {
+      return agentManager.getAgent(occupant.occupantId)?.name || occupant.name || 'someone';
+    }
+    return occupant.name || `user ${occupant.occupantId}`;
+  }
+
+  /**
+   * Check that a place exists in a scenario
+   * @param {string} placeId - Place ID
+   * @param {string} scenarioId - Scenario ID
+   * @returns {boolean} Whether it does
+   * @private
+   */
+  _isInScenario(placeId, scenarioId) {
+    return this.getPlace(placeId)?.scenarioId === scenarioId;
+  }
+
+  /**
+   * Validate coordinates
+   * @param {Object|null} coordinates - Coordinates as { x, y }
+   * @returns {Object|null} Coordinates or null if none were given
+   * @private
+   */
+  _normalizeCoordinates(coordinates) {
+    if (!coordinates) {
+      return null;
+    }
+    if (!Number.isFinite(coordinates.x) || !Number.isFinite(coordinates.y)) {
+      throw new Error('Coordinates need numeric x and y');
+    }
+    return { x: coordinates.x, y: coordinates.y };
+  }
+
+  /**
+   * Key of an occupant in the occupants map
+   * @param {string} scenarioId - Scenario ID
+   * @param {string} occupantType - 'agent' or 'user'
+   * @param {string} occupantId - Agent or user ID
+   * @returns {string} Map key
+   * @private
+   */
+  _occupantKey(scenarioId, occupantType, occupantId) {
+    return `${scenarioId}:${occupantType}:${occupantId}`;
+  }
+
+  /**
+   * Write a place to the database
+   * @param {Place} place - Place to save
+   * @private
+   */
+  async _savePlace(place) {
+    await this.db.run(`
+      INSERT INTO places (id, scenario_id, name, description, parent_id, x, y, metadata, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        description = excluded.description,
+        parent_id = excluded.parent_id,
+        x = excluded.x,
+        y = excluded.y,
+        metadata = excluded.metadata,
+        updated_at = excluded.updated_at
+    `, [
+      place.id,
+      place.scenarioId,
+      place.name,
+      place.description,
+      place.parentId,
+      place.coordinates ? place.coordinates.x : null,
+      place.coordinates ? place.coordinates.y : null,
+      JSON.stringify(place.metadata),
+      place.createdAt.toISOString(),
+      place.updatedAt.toISOString()
+    ]);
+  }
+
+  /**
+   * Convert a database row to a place
+   * @param {Object} row - Database row
+   * @returns {Place} Place instance
+   * @private
+   */
+  _rowToPlace(row) {
+    return new Place({
+      id: row.id,
+      scenarioId: row.scenario_id,
+      name: row.name,
+      description: row.description,
+      parentId: row.parent_id,
+      coordinates: row.x !== null && row.y !== null ? { x: row.x, y: row.y } : null,
+      metadata: JSON.parse(row.metadata || '{}'),
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    });
+  }
+
+  /**
+   * Convert a database row to a connection
+   * @param {Object} row - Database row
+   * @returns {Object} Connection
+   * @private
+   */
+  _rowToConnection(row) {
+    return {
+      id: row.id,
+      fromId: row.from_id,
+      toId: row.to_id,
+      type: row.type,
+      cost: row.cost,
+      bidirectional: row.bidirectional === 1,
+      description: row.description
+    };
+  }
+
+  /**
+   * Stop listening for scenarios and close the database connection
+   */
+  async close() {
+    scenarioManager.off('scenarioStarted', this.onScenarioStarted);
+
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+      console.log('Place Manager database connection closed');
+    }
+
+    this.initialized = false;
+  }
+}
+
+// Create and export a singleton instance
+const placeManager = new PlaceManager();
+export default placeManager;
+
+export { Place, OCCUPANT_TYPES };
@@ -0,0 +1,844 @@
+import { EventEmitter } from 'events';
+import { readdir, readFile, mkdir } from 'fs/promises';
+import { join, basename, extname } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config.js';
+import { openDatabase } from '../database/database.js';
+import contextManager from '../context/contextManager.js';
+import agentManager from '../agents/agentManager.js';
+import memoryManager from '../memory/memoryManager.js';
+import timeManager from '../time/timeManager.js';
+import { cosineSimilarity } from '../memory/embeddings.js';
+import llmClient from '../llm/llmClient.js';
+
+// Statuses a plot thread can be in
+const THREAD_STATUSES = ['active', 'dormant', 'resolved'];
+
+// Operations a world-state change can contain
+const CHANGE_OPS = ['set', 'unset', 'thread'];
+
+/**
+ * Check that a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a non-array object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate and normalize a list of world-state changes
+ * @param {Object[]} changes - Changes, each `{op: 'set', key, value}`, `{op: 'unset', key}`
+ *   or `{op: 'thread', id, title?, description?, status?}`
+ * @returns {Object[]} Normalized changes
+ * @throws {Error} If any change is malformed
+ */
+function validateChanges(changes) {
+  if (!Array.isArray(changes) || changes.length === 0) {
+    throw new Error('Changes must be a non-empty array');
+  }
+
+  return changes.map((change, index) => {
+    if (!isPlainObject(change) || !CHANGE_OPS.includes(change.op)) {
+      throw new Error(`Change ${index} must have an op of ${CHANGE_OPS.join(', ')}`);
+    }
+
+    if (change.op === 'thread') {
+      if (typeof change.id !== 'string' || !change.id.trim()) {
+        throw new Error(`Thread change ${index} needs an id`);
+      }
+      if (change.status !== undefined && !THREAD_STATUSES.includes(change.status)) {
+        throw new Error(`Thread change ${index} has an unknown status: ${change.status}`);
+      }
+      return {
+        op: 'thread',
+        id: change.id.trim(),
+        ...(change.title !== undefined && { title: String(change.title) }),
+        ...(change.description !== undefined && { description: String(change.description) }),
+        ...(change.status !== undefined && { status: change.status })
+      };
+    }
+
+    if (typeof change.key !== 'string' || !change.key.trim()) {
+      throw new Error(`Change ${index} needs a key`);
+    }
+    if (change.op === 'set' && change.value === undefined) {
+      throw new Error(`Set change ${index} needs a value`);
+    }
+    return change.op === 'set'
+      ? { op: 'set', key: change.key.trim(), value: change.value }
+      : { op: 'unset', key: change.key.trim() };
+  });
+}
+
+/**
+ * Class representing a scenario definition loaded from a JSON file
+ */
+class Scenario {
+  /**
+   * Create a scenario
+   * @param {Object} params - Scenario parameters
+   * @param {string} params.id - Scenario ID (the file name without extension)
+   * @param {string} params.name - Display name
+   * @param {string} params.description - World description given to the model
+   * @param {Date} [params.startDate] - In-universe time the scenario starts at
+   * @param {number} [params.timeScale] - Clock speed for the scenario
+   * @param {Object[]} [params.plotThreads] - Plot threads with id, title, description and status
+   * @param {Object} [params.worldState] - Initial world-state variables
+   * @param {Object[]} [params.agents] - Agents that start in the scenario (agent data)
+   * @param {Object[]} [params.places] - Places that exist at the start
+   * @param {Object[]} [params.blueprints] - Item blueprints of the scenario
+   * @param {Object[]} [params.items] - Items that exist at the start
+   * @param {Object[]} [params.events] - Scheduled events with name, at and changes
+   */
+  constructor({
+    id,
+    name,
+    description,
+    startDate = null,
+    timeScale = null,
+    plotThreads = [],
+    worldState = {},
+    agents = [],
+    places = [],
+    blueprints = [],
+    items = [],
+    events = []
+  }) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+    this.startDate = startDate;
+    this.timeScale = timeScale;
+    this.plotThreads = plotThreads;
+    this.worldState = worldState;
+    this.agents = agents;
+    this.places = places;
+    this.blueprints = blueprints;
+    this.items = items;
+    this.events = events;
+  }
+
+  /**
+   * Create a scenario from parsed JSON, validating it
+   * @param {Object} json - Parsed scenario file
+   * @param {string} id - Scenario ID
+   * @returns {Scenario} Scenario instance
+   * @throws {Error} Listing every problem found in the definition
+   */
+  static fromJSON(json, id) {
+    const problems = [];
+    const requireList = (field) => {
+      if (json[field] !== undefined && !Array.isArray(json[field])) {
+        problems.push(`${field} must be an array`);
+        return [];
+      }
+      return json[field] || [];
+    };
+
+    if (!isPlainObject(json)) {
+      throw new Error(`Scenario ${id} must be a JSON object`);
+    }
+    if (typeof json.name !== 'string' || !json.name.trim()) {
+      problems.push('name is required');
+    }
+    if (typeof json.description !== 'string' || !json.description.trim()) {
+      problems.push('description is required');
+    }
+
+    const startDate = json.startDate ? new Date(json.startDate) : null;
+    if (startDate && isNaN(startDate.getTime())) {
+      problems.push(`startDate is not a valid date: ${json.startDate}`);
+    }
+    if (json.timeScale !== undefined && !(typeof json.timeScale === 'number' && json.timeScale >= 0)) {
+      problems.push('timeScale must be a non-negative number');
+    }
+    if (json.worldState !== undefined && !isPlainObject(json.worldState)) {
+      problems.push('worldState must be an object');
+    }
+
+    const plotThreads = requireList('plotThreads').map((thread, index) => {
+      if (!isPlainObject(thread) || typeof thread.id !== 'string' || typeof thread.title !== 'string') {
+        problems.push(`plotThreads[${index}] needs an id and a title`);
+        return null;
+      }
+      const status = thread.status || 'active';
+      if (!THREAD_STATUSES.includes(status)) {
+        problems.push(`plotThreads[${index}] has an unknown status: ${status}`);
+      }
+      return { id: thread.id, title: thread.title, description: thread.description || '', status };
+    });
+
+    const agents = requireList('agents');
+    agents.forEach((agent, index) => {
+      if (!isPlainObject(agent) || typeof agent.name !== 'string' || !agent.name.trim()) {
+        problems.push(`agents[${index}] needs a name`);
+      }
+    });
+
+    for (const field of ['places', 'blueprints', 'items']) {
+      requireList(field).forEach((entry, index) => {
+        if (!isPlainObject(entry) || typeof entry.name !== 'string' || !entry.name.trim()) {
+          problems.push(`${field}[${index}] needs a name`);
+        }
+      });
+    }
+
+    const events = requireList('events').map((event, index) => {
+      try {
+        if (!isPlainObject(event) || typeof event.name !== 'string' || isNaN(new Date(event.at).getTime())) {
+          throw new Error('needs a name and a valid at date');
+        }
+        return { name: event.name, at: new Date(event.at), changes: validateChanges(event.changes) };
+      } catch (error) {
+        problems.push(`events[${index}] ${error.message}`);
+        return null;
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid scenario ${id}: ${problems.join('; ')}`);
+    }
+
+    return new Scenario({
+      id,
+      name: json.name.trim(),
+      description: json.description.trim(),
+      startDate,
+      timeScale: json.timeScale ?? null,
+      plotThreads,
+      worldState: json.worldState || {},
+      agents,
+      places: json.places || [],
+      blueprints: json.blueprints || [],
+      items: json.items || [],
+      events
+    });
+  }
+}
+
+/**
+ * Class loading scenarios and tracking the world state of each one.
+ *
+ * Emits:
+ * - `scenarioStarted` ({ scenarioId, scenario }) the first time a scenario is played, once its
+ *   agents exist, so other managers can set up its places and items
+ * - `worldStateChanged` ({ scenarioId, revision, changes, source, reason }) after every change
+ */
+class ScenarioManager extends EventEmitter {
+  /**
+   * Create a scenario manager
+   */
+  constructor() {
+    super();
+    this.dbPath = config.database.path;
+    this.scenariosPath = config.scenarios.path;
+    this.defaultScenarioId = basename(config.scenarios.defaultScenario, extname(config.scenarios.defaultScenario));
+    this.autoUpdate = config.scenarios.autoUpdate;
+    this.promptMaxWorldState = config.scenarios.promptMaxWorldState;
+
+    this.scenarios = new Map(); // Map of scenarioId to Scenario
+    this.states = new Map(); // Map of scenarioId to { worldState, plotThreads, revision }
+    this.updateQueue = [];
+    this.isUpdating = false;
+    this.onTimeReached = (event) => this._handleTimeReached(event);
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the scenario manager
+   */
+  async initialize() {
+    try {
+      // Open database connection
+      this.db = await openDatabase(this.dbPath);
+
+      // Create tables if they don't exist
+      await this._createTables();
+
+      // Load scenario definitions and the world states of started scenarios
+      await this.loadScenarios();
+
+      const stateRows = await this.db.all(`SELECT scenario_id, world_state, plot_threads, revision FROM scenario_states`);
+      for (const row of stateRows) {
+        this.states.set(row.scenario_id, {
+          worldState: JSON.parse(row.world_state),
+          plotThreads: JSON.parse(row.plot_threads),
+          revision: row.revision
+        });
+      }
+
+      // Conversations without a scenario of their own play in the default one
+      const defaultScenario = this.getScenario(this.defaultScenarioId);
+      if (defaultScenario) {
+        await this._startScenario(defaultScenario);
+      }
+
+      // Scheduled scenario events change the world when their time comes
+      timeManager.on('timeReached', this.onTimeReached);
+
+      this.initialized = true;
+      console.log(`Scenario Manager initialized with ${this.scenarios.size} scenarios from ${this.scenariosPath}`);
+    } catch (error) {
+      console.error('Failed to initialize Scenario Manager:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create database tables
+   * @private
+   */
+  async _createTables() {
+    // Create world states table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS scenario_states (
+        scenario_id TEXT PRIMARY KEY,
+        world_state TEXT NOT NULL,
+        plot_threads TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        started_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Create world state revisions table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS scenario_revisions (
+        id TEXT PRIMARY KEY,
+        scenario_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        changes TEXT NOT NULL,
+        source TEXT NOT NULL,
+        reason TEXT,
+        universe_time TEXT,
+        created_at TEXT NOT NULL,
+        UNIQUE (scenario_id, revision),
+        FOREIGN KEY (scenario_id) REFERENCES scenario_states(scenario_id) ON DELETE CASCADE
+      )
+    `);
+  }
+
+  /**
+   * (Re)load every scenario file in config.scenarios.path.
+   * Invalid files are reported and skipped, so one broken file doesn't hide the others.
+   * @returns {Promise<Object>} `loaded` scenario IDs and `errors` messages
+   */
+  async loadScenarios() {
+    await mkdir(this.scenariosPath, { recursive: true });
+    const files = (await readdir(this.scenariosPath)).filter(file => extname(file) === '.json');
+
+    const loaded = [];
+    const errors = [];
+    this.scenarios.clear();
+
+    for (const file of files) {
+      const id = basename(file, '.json');
+      try {
+        const json = JSON.parse(await readFile(join(this.scenariosPath, file), 'utf8'));
+        this.scenarios.set(id, Scenario.fromJSON(json, id));
+        loaded.push(id);
+      } catch (error) {
+        console.error(`Failed to load scenario ${file}:`, error.message);
+        errors.push(`${file}: ${error.message}`);
+      }
+    }
+
+    return { loaded, errors };
+  }
+
+  /**
+   * Get a scenario definition
+   * @param {string} scenarioId - Scenario ID
+   * @returns {Scenario|null} Scenario or null if not loaded
+   */
+  getScenario(scenarioId) {
+    return this.scenarios.get(scenarioId) || null;
+  }
+
+  /**
+   * List loaded scenarios
+   * @returns {Scenario[]} Scenarios, sorted by name
+   */
+  listScenarios() {
+    return [...this.scenarios.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get the ID of the scenario a conversation plays in: the one bound to it, or the default
+   * scenario (whether or not a file for it exists)
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<string>} Scenario ID
+   */
+  async getConversationScenarioId(conversationId) {
+    const conversation = await contextManager.getConversation(conversationId);
+    return conversation?.metadata.scenarioId || this.defaultScenarioId;
+  }
+
+  /**
+   * Get the scenario a conversation plays in: the one bound to it, or the default scenario
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Scenario|null>} Scenario or null if none applies
+   */
+  async getConversationScenario(conversationId) {
+    return this.getScenario(await this.getConversationScenarioId(conversationId));
+  }
+
+  /**
+   * Bind a scenario to a conversation, starting the scenario if it hasn't been played yet
+   * @param {string} conversationId - Conversation ID
+   * @param {string} scenarioId - Scenario ID
+   * @returns {Promise<Object>} The `scenario`, its world `state` and its starting `agents`
+   */
+  async bindConversation(conversationId, scenarioId) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const scenario = this.getScenario(scenarioId);
+      if (!scenario) {
+        throw new Error(`Scenario ${scenarioId} not found`);
+      }
+
+      const state = await this._startScenario(scenario);
+      const agents = await this._ensureAgents(scenario);
+
+      if (!await contextManager.getConversation(conversationId)) {
+        await contextManager.createOrSwitchConversation(conversationId);
+      }
+      await contextManager.updateConversationMetadata(conversationId, { scenarioId });
+
+      console.log(`Bound scenario ${scenarioId} to conversation ${conversationId}`);
+      return { scenario, state, agents };
+    } catch (error) {
+      console.error(`Failed to bind scenario ${scenarioId} to conversation ${conversationId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current world state of a scenario
+   * @param {string} scenarioId - Scenario ID
+   * @returns {Object|null} `worldState`, `plotThreads` and `revision`, or null if not started
+   */
+  getWorldState(scenarioId) {
+    return this.states.get(scenarioId) || null;
+  }
+
+  /**
+   * Apply changes to a scenario's world state and record them as a new revision
+   * @param {string} scenarioId - Scenario ID
+   * @param {Object[]} changes - Changes (see validateChanges)
+   * @param {Object} [options] - Change options
+   * @param {string} [options.source='manual'] - Who made the change ('manual', 'event', 'ai' or 'item')
+   * @param {string} [options.reason] - Why the world changed
+   * @returns {Promise<Object>} The revision record
+   */
+  async applyChanges(scenarioId, changes, { source = 'manual', reason = null } = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const state = this.getWorldState(scenarioId);
+      if (!state) {
+        throw new Error(`Scenario ${scenarioId} has not been started`);
+      }
+
+      const normalized = validateChanges(changes);
+
+      // Work on copies so a failed write leaves the in-memory state untouched
+      const worldState = { ...state.worldState };
+      const plotThreads = state.plotThreads.map(thread => ({ ...thread }));
+      for (const change of normalized) {
+        if (change.op === 'set') {
+          worldState[change.key] = change.value;
+        } else if (change.op === 'unset') {
+          delete worldState[change.key];
+        } else {
+          let thread = plotThreads.find(existing => existing.id === change.id);
+          if (!thread) {
+            thread = { id: change.id, title: change.id, description: '', status: 'active' };
+            plotThreads.push(thread);
+          }
+          for (const field of ['title', 'description', 'status']) {
+            if (change[field] !== undefined) {
+              thread[field] = change[field];
+            }
+          }
+        }
+      }
+
+      const revision = {
+        id: uuidv4(),
+        scenarioId,
+        revision: state.revision + 1,
+        changes: normalized,
+        source,
+        reason,
+        universeTime: timeManager.now(scenarioId),
+        createdAt: new Date()
+      };
+
+      await this.db.transaction(async () => {
+        await this.db.run(`
+          UPDATE scenario_states
+          SET world_state = ?, plot_threads = ?, revision = ?, updated_at = ?
+          WHERE scenario_id = ?
+        `, [
+          JSON.stringify(worldState),
+          JSON.stringify(plotThreads),
+          revision.revision,
+          revision.createdAt.toISOString(),
+          scenarioId
+        ]);
+
+        await this._insertRevision(revision);
+      });
+
+      this.states.set(scenarioId, { worldState, plotThreads, revision: revision.revision });
+      this.emit('worldStateChanged', {
+        scenarioId,
+        revision: revision.revision,
+        changes: normalized,
+        source,
+        reason
+      });
+
+      console.log(`World state of ${scenarioId} updated to revision ${revision.revision} (${source})`);
+      return revision;
+    } catch (error) {
+      console.error(`Failed to apply world state changes to ${scenarioId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the revision history of a scenario's world state, newest first
+   * @param {string} scenarioId - Scenario ID
+   * @param {number} [limit=20] - Maximum number of revisions
+   * @returns {Promise<Object[]>} Revision records
+   */
+  async getRevisions(scenarioId, limit = 20) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const rows = await this.db.all(`
+      SELECT id, scenario_id, revision, changes, source, reason, universe_time, created_at
+      FROM scenario_revisions
+      WHERE scenario_id = ?
+      ORDER BY revision DESC
+      LIMIT ?
+    `, [scenarioId, limit]);
+
+    return rows.map(row => ({
+      id: row.id,
+      scenarioId: row.scenario_id,
+      revision: row.revision,
+      changes: JSON.parse(row.changes),
+      source: row.source,
+      reason: row.reason,
+      universeTime: row.universe_time ? new Date(row.universe_time) : null,
+      createdAt: new Date(row.created_at)
+    }));
+  }
+
+  /**
+   * Build the world context for a conversation's prompt
+   * @param {string} conversationId - Conversation ID
+   * @param {string} [query] - Text the world-state entries are ranked against
+   * @returns {Promise<Object|null>} `overview` text and world-state `entries` (most relevant
+   *   first, each with key, value and score), or null if the conversation has no scenario
+   */
+  async getPromptContext(conversationId, query = '') {
+    const scenario = await this.getConversationScenario(conversationId);
+    const state = scenario ? this.getWorldState(scenario.id) : null;
+    if (!state) {
+      return null;
+    }
+
+    const activeThreads = state.plotThreads.filter(thread => thread.status === 'active');
+    let overview = `Scenario: ${scenario.name}\n${scenario.description}\n` +
+      `Current in-universe time: ${timeManager.formatDate(timeManager.now(scenario.id))}`;
+    if (activeThreads.length > 0) {
+      overview += `\nActive plot threads:\n${activeThreads.map(thread => `- ${thread.title}${thread.description ? `: ${thread.description}` : ''}`).join('\n')}`;
+    }
+
+    const entries = Object.entries(state.worldState).map(([key, value]) => ({
+      key,
+      value: typeof value === 'string' ? value : JSON.stringify(value),
+      score: 0
+    }));
+
+    // Rank world-state entries by how much they have to do with the current message
+    if (query && entries.length > 0) {
+      const texts = entries.map(entry => `${entry.key.replace(/[._]/g, ' ')} ${entry.value}`);
+      const [queryVector, ...entryVectors] = await memoryManager.embeddingProvider.embed([query, ...texts]);
+      for (const [index, entry] of entries.entries()) {
+        entry.score = cosineSimilarity(queryVector, entryVectors[index]);
+      }
+      entries.sort((a, b) => b.score - a.score);
+    }
+
+    return { overview, entries: entries.slice(0, this.promptMaxWorldState) };
+  }
+
+  /**
+   * Queue an exchange for the model to propose world-state changes from.
+   * Ignored unless automatic updates are enabled and the conversation has a started scenario.
+   * @param {string} conversationId - Conversation ID
+   * @param {ContextMessage[]} messages - Messages of the exchange
+   */
+  queueExchange(conversationId, messages) {
+    if (!this.autoUpdate) {
+      return;
+    }
+
+    this._queueUpdate({ conversationId, messages });
+  }
+
+  /**
+   * Ask the model which world-state changes an exchange implies
+   * @param {string} scenarioId - Scenario ID
+   * @param {string} text - Exchange text
+   * @returns {Promise<Object>} Proposed valid `changes` and a `reason`
+   */
+  async proposeChanges(scenarioId, text) {
+    const state = this.getWorldState(scenarioId);
+
+    const response = await llmClient.createChatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: `You keep track of the world state of a roleplay scenario. Given the current state and the latest exchange, list only changes to the world that the exchange clearly establishes (a door opened, a character moved, a plot thread resolved). Don't record opinions, plans or anything that merely might happen.
+
+Current world state:
+${JSON.stringify(state.worldState, null, 2)}
+
+Plot threads:
+${JSON.stringify(state.plotThreads, null, 2)}
+
+Respond with JSON only, in this shape:
+{"changes": [{"op": "set", "key": "...", "value": ...} | {"op": "unset", "key": "..."} | {"op": "thread", "id": "...", "status": "${THREAD_STATUSES.join('|')}", "description": "..."}], "reason": "..."}
+Return {"changes": []} if nothing in the world changed.`
+        },
+        {
+          role: 'user',
+          content: text
+        }
+      ],
+      model: config.api.groq.summaryModel,
+      temperature: 0.2,
+      response_format: { type: 'json_object' }
+    }, { priority: 'background' });
+
+    const parsed = JSON.parse(response.choices[0].message.content);
+    const changes = [];
+
+    // Keep the well-formed changes, even if the model got some wrong
+    for (const change of Array.isArray(parsed.changes) ? parsed.changes : []) {
+      try {
+        changes.push(...validateChanges([change]));
+      } catch (error) {
+        console.warn(`Ignoring proposed world state change: ${error.message}`);
+      }
+    }
+
+    return { changes, reason: typeof parsed.reason === 'string' ? parsed.reason : null };
+  }
+
+  /**
+   * Create the scenario's world state the first time it is played
+   * @param {Scenario} scenario - Scenario
+   * @returns {Promise<Object>} World state
+   * @private
+   */
+  async _startScenario(scenario) {
+    if (this.states.has(scenario.id)) {
+      return this.states.get(scenario.id);
+    }
+
+    const state = {
+      worldState: { ...scenario.worldState },
+      plotThreads: scenario.plotThreads.map(thread => ({ ...thread })),
+      revision: 0
+    };
+    const now = new Date();
+
+    await this.db.transaction(async () => {
+      await this.db.run(`
+        INSERT INTO scenario_states (scenario_id, world_state, plot_threads, revision, started_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        scenario.id,
+        JSON.stringify(state.worldState),
+        JSON.stringify(state.plotThreads),
+        state.revision,
+        now.toISOString(),
+        now.toISOString()
+      ]);
+
+      await this._insertRevision({
+        id: uuidv4(),
+        scenarioId: scenario.id,
+        revision: 0,
+        changes: Object.entries(state.worldState).map(([key, value]) => ({ op: 'set', key, value })),
+        source: 'scenario',
+        reason: `Started scenario ${scenario.name}`,
+        universeTime: scenario.startDate,
+        createdAt: now
+      });
+    });
+    this.states.set(scenario.id, state);
+
+    // Set the scenario's clock, then schedule its events on it. The speed goes first, so the
+    // clock doesn't run at the old speed after being set to the start date.
+    if (scenario.timeScale !== null) {
+      await timeManager.setScale(scenario.timeScale, scenario.id);
+    }
+    if (scenario.startDate) {
+      await timeManager.setTime(scenario.startDate, scenario.id);
+    }
+    for (const event of scenario.events) {
+      await timeManager.schedule({
+        name: event.name,
+        at: event.at,
+        scenarioId: scenario.id,
+        payload: { source: 'scenario', changes: event.changes }
+      });
+    }
+
+    // Create the starting agents before announcing the scenario, so listeners can place them
+    await this._ensureAgents(scenario);
+
+    this.emit('scenarioStarted', { scenarioId: scenario.id, scenario });
+    console.log(`Started scenario ${scenario.id}`);
+    return state;
+  }
+
+  /**
+   * Create the scenario's starting agents that don't exist yet
+   * @param {Scenario} scenario - Scenario
+   * @returns {Promise<Agent[]>} The scenario's agents
+   * @private
+   */
+  async _ensureAgents(scenario) {
+    const agents = [];
+    for (const agentData of scenario.agents) {
+      const agent = agentManager.getAgentByName(agentData.name) || await agentManager.createAgent({
+        ...agentData,
+        metadata: { ...agentData.metadata, scenarioId: scenario.id }
+      });
+      agents.push(agent);
+    }
+    return agents;
+  }
+
+  /**
+   * Insert a world state revision
+   * @param {Object} revision - Revision record
+   * @private
+   */
+  async _insertRevision(revision) {
+    await this.db.run(`
+      INSERT INTO scenario_revisions (id, scenario_id, revision, changes, source, reason, universe_time, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      revision.id,
+      revision.scenarioId,
+      revision.revision,
+      JSON.stringify(revision.changes),
+      revision.source,
+      revision.reason,
+      revision.universeTime ? revision.universeTime.toISOString() : null,
+      revision.createdAt.toISOString()
+    ]);
+  }
+
+  /**
+   * Apply the world-state changes of a scheduled scenario event
+   * @param {Object} event - `timeReached` event from the time manager
+   * @private
+   */
+  async _handleTimeReached({ scenarioId, name, payload }) {
+    if (payload?.source !== 'scenario' || !this.states.has(scenarioId)) {
+      return;
+    }
+
+    try {
+      await this.applyChanges(scenarioId, payload.changes, { source: 'event', reason: `Scheduled event: ${name}` });
+    } catch (error) {
+      console.error(`Error applying scheduled event ${name}:`, error);
+    }
+  }
+
+  /**
+   * Queue an automatic world-state update
+   * @param {Object} task - Update task with conversationId and messages
+   * @private
+   */
+  _queueUpdate(task) {
+    this.updateQueue.push(task);
+
+    // If we're not already updating, start the process
+    if (!this.isUpdating) {
+      this._processUpdateQueue();
+    }
+  }
+
+  /**
+   * Process the automatic update queue
+   * @private
+   */
+  async _processUpdateQueue() {
+    // If there's nothing to update, return
+    if (this.updateQueue.length === 0) {
+      this.isUpdating = false;
+      return;
+    }
+
+    this.isUpdating = true;
+    const { conversationId, messages } = this.updateQueue.shift();
+
+    try {
+      const scenario = await this.getConversationScenario(conversationId);
+      if (scenario && this.states.has(scenario.id)) {
+        const text = messages.map(msg => `${msg.metadata.agentName || msg.role}: ${msg.content}`).join('\n');
+        const { changes, reason } = await this.proposeChanges(scenario.id, text);
+        if (changes.length > 0) {
+          await this.applyChanges(scenario.id, changes, { source: 'ai', reason });
+        }
+      }
+    } catch (error) {
+      console.error('Error processing world state update queue:', error);
+    }
+
+    // Continue processing the queue
+    this._processUpdateQueue();
+  }
+
+  /**
+   * Stop listening for events and close the database connection
+   */
+  async close() {
+    timeManager.off('timeReached', this.onTimeReached);
+    this.updateQueue = [];
+
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+      console.log('Scenario Manager database connection closed');
+    }
+
+    this.initialized = false;
+  }
+}
+
+// Create and export a singleton instance
+const scenarioManager = new ScenarioManager();
+export default scenarioManager;
+
+export { Scenario, validateChanges, THREAD_STATUSES };
@@ -0,0 +1,524 @@
+import { EventEmitter } from 'events';
+import { format } from 'date-fns';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config.js';
+import { openDatabase } from '../database/database.js';
+
+// Scenario whose clock is used when none is given
+const DEFAULT_SCENARIO_ID = 'default';
+
+/**
+ * Class representing the in-universe clock of one scenario.
+ * The clock is stored as an anchor: the in-universe time at a real-world instant, plus the
+ * rate at which it advances. Current in-universe time is derived from the anchor on demand.
+ */
+class UniverseClock {
+  /**
+   * Create a clock
+   * @param {Object} params - Clock parameters
+   * @param {string} params.scenarioId - Scenario the clock belongs to
+   * @param {Date} [params.anchorUniverseTime] - In-universe time at the anchor
+   * @param {Date} [params.anchorRealTime] - Real-world time of the anchor
+   * @param {number} [params.timeScale] - In-universe milliseconds per real millisecond
+   * @param {boolean} [params.paused] - Whether the clock is stopped
+   * @param {Date} [params.updatedAt] - Last time the clock was changed
+   */
+  constructor({
+    scenarioId,
+    anchorUniverseTime = new Date(config.time.initialDate),
+    anchorRealTime = new Date(),
+    timeScale = config.time.timeScale,
+    paused = false,
+    updatedAt = new Date()
+  }) {
+    this.scenarioId = scenarioId;
+    this.anchorUniverseTime = anchorUniverseTime;
+    this.anchorRealTime = anchorRealTime;
+    this.timeScale = timeScale;
+    this.paused = paused;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Get the in-universe time at a real-world instant
+   * @param {Date} [realTime] - Real-world time (defaults to now)
+   * @returns {Date} In-universe time
+   */
+  now(realTime = new Date()) {
+    if (this.paused) {
+      return new Date(this.anchorUniverseTime);
+    }
+
+    const elapsed = realTime.getTime() - this.anchorRealTime.getTime();
+    return new Date(this.anchorUniverseTime.getTime() + elapsed * this.timeScale);
+  }
+
+  /**
+   * Move the anchor to a new in-universe time at the current real-world instant
+   * @param {Date} universeTime - In-universe time from now on
+   */
+  reanchor(universeTime) {
+    this.anchorUniverseTime = universeTime;
+    this.anchorRealTime = new Date();
+    this.updatedAt = this.anchorRealTime;
+  }
+
+  /**
+   * Convert clock to JSON
+   * @returns {Object} JSON representation of the clock
+   */
+  toJSON() {
+    return {
+      scenarioId: this.scenarioId,
+      universeTime: this.now().toISOString(),
+      timeScale: this.timeScale,
+      paused: this.paused,
+      updatedAt: this.updatedAt.toISOString()
+    };
+  }
+}
+
+/**
+ * Class tracking real-world and in-universe time per scenario.
+ *
+ * Emits:
+ * - `tick` ({ scenarioId, universeTime, realTime }) for every clock on each real-time update
+ * - `clockChanged` ({ scenarioId, change, previousTime, universeTime }) after pause, resume,
+ *   jump, setTime or setScale
+ * - `timeReached` ({ id, scenarioId, name, fireAt, payload, universeTime }) when a clock passes
+ *   a scheduled in-universe time
+ */
+class TimeManager extends EventEmitter {
+  /**
+   * Create a time manager
+   */
+  constructor() {
+    super();
+    this.dbPath = config.database.path;
+    this.updateInterval = config.time.realTimeUpdateInterval;
+    this.dateFormat = config.time.dateFormat;
+
+    this.clocks = new Map(); // Map of scenarioId to UniverseClock
+    this.schedules = new Map(); // Map of schedule ID to pending schedule
+    this.tickInterval = null;
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the time manager
+   */
+  async initialize() {
+    try {
+      // Open database connection
+      this.db = await openDatabase(this.dbPath);
+
+      // Create tables if they don't exist
+      await this._createTables();
+
+      // Load persisted clocks and pending schedules
+      const clockRows = await this.db.all(`
+        SELECT scenario_id, anchor_universe_time, anchor_real_time, time_scale, paused, updated_at
+        FROM universe_clocks
+      `);
+      for (const row of clockRows) {
+        this.clocks.set(row.scenario_id, new UniverseClock({
+          scenarioId: row.scenario_id,
+          anchorUniverseTime: new Date(row.anchor_universe_time),
+          anchorRealTime: new Date(row.anchor_real_time),
+          timeScale: row.time_scale,
+          paused: row.paused === 1,
+          updatedAt: new Date(row.updated_at)
+        }));
+      }
+
+      const scheduleRows = await this.db.all(`
+        SELECT id, scenario_id, name, fire_at, payload, created_at
+        FROM universe_schedules
+        WHERE fired_at IS NULL
+      `);
+      for (const row of scheduleRows) {
+        this.schedules.set(row.id, {
+          id: row.id,
+          scenarioId: row.scenario_id,
+          name: row.name,
+          fireAt: new Date(row.fire_at),
+          payload: JSON.parse(row.payload || 'null'),
+          createdAt: new Date(row.created_at)
+        });
+      }
+
+      this.initialized = true;
+      console.log(`Time Manager initialized with ${this.clocks.size} clocks and ${this.schedules.size} pending schedules`);
+
+      // Set up the real-time update interval
+      if (this.updateInterval > 0) {
+        this.tickInterval = setInterval(() => this._tick(), this.updateInterval);
+      }
+    } catch (error) {
+      console.error('Failed to initialize Time Manager:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create database tables
+   * @private
+   */
+  async _createTables() {
+    // Create clocks table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS universe_clocks (
+        scenario_id TEXT PRIMARY KEY,
+        anchor_universe_time TEXT NOT NULL,
+        anchor_real_time TEXT NOT NULL,
+        time_scale REAL NOT NULL,
+        paused INTEGER NOT NULL DEFAULT 0,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Create schedules table
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS universe_schedules (
+        id TEXT PRIMARY KEY,
+        scenario_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        fire_at TEXT NOT NULL,
+        payload TEXT,
+        created_at TEXT NOT NULL,
+        fired_at TEXT
+      )
+    `);
+
+    // Create indexes for performance
+    await this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_universe_schedules_pending ON universe_schedules(fired_at, scenario_id);
+    `);
+  }
+
+  /**
+   * Get the current in-universe time of a scenario.
+   * A scenario without a clock gets one starting at config.time.initialDate.
+   * @param {string} [scenarioId] - Scenario ID (defaults to the default scenario)
+   * @returns {Date} In-universe time
+   */
+  now(scenarioId = DEFAULT_SCENARIO_ID) {
+    return this._getClock(scenarioId).now();
+  }
+
+  /**
+   * Get the state of a scenario's clock
+   * @param {string} [scenarioId] - Scenario ID (defaults to the default scenario)
+   * @returns {Object} Clock state with universeTime, timeScale, paused and updatedAt
+   */
+  getClock(scenarioId = DEFAULT_SCENARIO_ID) {
+    return this._getClock(scenarioId).toJSON();
+  }
+
+  /**
+   * List the state of every clock
+   * @returns {Object[]} Clock states
+   */
+  listClocks() {
+    return [...this.clocks.values()].map(clock => clock.toJSON());
+  }
+
+  /**
+   * Format an in-universe time with config.time.dateFormat
+   * @param {Date} date - Date to format
+   * @returns {string} Formatted date
+   */
+  formatDate(date) {
+    return format(date, this.dateFormat);
+  }
+
+  /**
+   * Stop a scenario's clock
+   * @param {string} [scenarioId] - Scenario ID (defaults to the default scenario)
+   * @returns {Promise<Object>} Clock state
+   */
+  async pause(scenarioId = DEFAULT_SCENARIO_ID) {
+    return this._changeClock(scenarioId, 'pause', (clock) => {
+      if (!clock.paused) {
+        clock.reanchor(clock.now());
+        clock.paused = true;
+      }
+    });
+  }
+
+  /**
+   * Restart a stopped scenario clock from where it was paused
+   * @param {string} [scenarioId] - Scenario ID (defaults to the default scenario)
+   * @returns {Promise<Object>} Clock state
+   */
+  async resume(scenarioId = DEFAULT_SCENARIO_ID) {
+    return this._changeClock(scenarioId, 'resume', (clock) => {
+      if (clock.paused) {
+        clock.reanchor(clock.now());
+        clock.paused = false;
+      }
+    });
+  }
+
+  /**
+   * Move a scenario's clock forwards (or backwards, with a negative duration)
+   * @param {number} milliseconds - In-universe milliseconds to jump
+   * @param {string} [scenarioId] - Scenario ID (defaults to the default scenario)
+   * @returns {Promise<Object>} Clock state
+   */
+  async jump(milliseconds, scenarioId = DEFAULT_SCENARIO_ID) {
+    if (!Number.isFinite(milliseconds)) {
+      throw new Error('Jump duration must be a number of milliseconds');
+    }
+
+    return this._changeClock(scenarioId, 'jump', (clock) => {
+      clock.reanchor(new Date(clock.now().getTime() + milliseconds));
+    });
+  }
+
+  /**
+   * Set a scenario's clock to a given in-universe time
+   * @param {Date|string} date - New in-universe time
+   * @param {string} [scenarioId] - Scenario ID (defaults to the default scenario)
+   * @returns {Promise<Object>} Clock state
+   */
+  async setTime(date, scenarioId = DEFAULT_SCENARIO_ID) {
+    const universeTime = new Date(date);
+    if (isNaN(universeTime.getTime())) {
+      throw new Error(`Invalid in-universe date: ${date}`);
+    }
+
+    return this._changeClock(scenarioId, 'setTime', (clock) => {
+      clock.reanchor(universeTime);
+    });
+  }
+
+  /**
+   * Change how fast a scenario's clock runs
+   * @param {number} timeScale - In-universe milliseconds per real millisecond (1.0 = real time)
+   * @param {string} [scenarioId] - Scenario ID (defaults to the default scenario)
+   * @returns {Promise<Object>} Clock state
+   */
+  async setScale(timeScale, scenarioId = DEFAULT_SCENARIO_ID) {
+    if (!Number.isFinite(timeScale) || timeScale < 0) {
+      throw new Error('Time scale must be a non-negative number');
+    }
+
+    return this._changeClock(scenarioId, 'setScale', (clock) => {
+      // Keep the time reached so far; only the rate from now on changes
+      clock.reanchor(clock.now());
+      clock.timeScale = timeScale;
+    });
+  }
+
+  /**
+   * Schedule an event for when a scenario's clock reaches an in-universe time.
+   * The `timeReached` event fires on the first tick or clock change at or after that time.
+   * @param {Object} params - Schedule parameters
+   * @param {string} params.name - Event name
+   * @param {Date|string} params.at - In-universe time to fire at
+   * @param {*} [params.payload] - Data passed along with the event
+   * @param {string} [params.scenarioId] - Scenario ID (defaults to the default scenario)
+   * @returns {Promise<Object>} The schedule
+   */
+  async schedule({ name, at, payload = null, scenarioId = DEFAULT_SCENARIO_ID }) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const fireAt = new Date(at);
+      if (!name || isNaN(fireAt.getTime())) {
+        throw new Error('A schedule needs a name and a valid in-universe time');
+      }
+
+      const schedule = {
+        id: uuidv4(),
+        scenarioId,
+        name,
+        fireAt,
+        payload,
+        createdAt: new Date()
+      };
+
+      await this.db.run(`
+        INSERT INTO universe_schedules (id, scenario_id, name, fire_at, payload, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        schedule.id,
+        schedule.scenarioId,
+        schedule.name,
+        schedule.fireAt.toISOString(),
+        JSON.stringify(schedule.payload),
+        schedule.createdAt.toISOString()
+      ]);
+
+      this.schedules.set(schedule.id, schedule);
+      return schedule;
+    } catch (error) {
+      console.error('Failed to schedule in-universe event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending schedule
+   * @param {string} id - Schedule ID
+   * @returns {Promise<boolean>} Whether a pending schedule was cancelled
+   */
+  async cancelSchedule(id) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!this.schedules.delete(id)) {
+      return false;
+    }
+
+    await this.db.run(`DELETE FROM universe_schedules WHERE id = ?`, [id]);
+    return true;
+  }
+
+  /**
+   * List pending schedules, soonest first
+   * @param {string} [scenarioId] - Only list schedules of this scenario
+   * @returns {Object[]} Pending schedules
+   */
+  listSchedules(scenarioId = null) {
+    return [...this.schedules.values()]
+      .filter(schedule => !scenarioId || schedule.scenarioId === scenarioId)
+      .sort((a, b) => a.fireAt - b.fireAt);
+  }
+
+  /**
+   * Get a scenario's clock, creating it if the scenario has none yet
+   * @param {string} scenarioId - Scenario ID
+   * @returns {UniverseClock} Clock
+   * @private
+   */
+  _getClock(scenarioId) {
+    let clock = this.clocks.get(scenarioId);
+    if (!clock) {
+      clock = new UniverseClock({ scenarioId });
+      this.clocks.set(scenarioId, clock);
+
+      // Persist right away, so the clock doesn't restart from the initial date after a restart
+      if (this.db) {
+        this._saveClock(clock).catch(error => console.error(`Failed to save clock for scenario ${scenarioId}:`, error));
+      }
+    }
+    return clock;
+  }
+
+  /**
+   * Apply a change to a clock, persist it, and fire any schedules it passed
+   * @param {string} scenarioId - Scenario ID
+   * @param {string} change - Name of the change, for the `clockChanged` event
+   * @param {Function} apply - Function mutating the clock
+   * @returns {Promise<Object>} Clock state
+   * @private
+   */
+  async _changeClock(scenarioId, change, apply) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const clock = this._getClock(scenarioId);
+      const previousTime = clock.now();
+      apply(clock);
+      await this._saveClock(clock);
+
+      this.emit('clockChanged', { scenarioId, change, previousTime, universeTime: clock.now() });
+      await this._fireDueSchedules(scenarioId);
+
+      return clock.toJSON();
+    } catch (error) {
+      console.error(`Failed to ${change} clock for scenario ${scenarioId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a clock to the database
+   * @param {UniverseClock} clock - Clock to save
+   * @private
+   */
+  async _saveClock(clock) {
+    await this.db.run(`
+      INSERT INTO universe_clocks (scenario_id, anchor_universe_time, anchor_real_time, time_scale, paused, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(scenario_id) DO UPDATE SET
+        anchor_universe_time = excluded.anchor_universe_time,
+        anchor_real_time = excluded.anchor_real_time,
+        time_scale = excluded.time_scale,
+        paused = excluded.paused,
+        updated_at = excluded.updated_at
+    `, [
+      clock.scenarioId,
+      clock.anchorUniverseTime.toISOString(),
+      clock.anchorRealTime.toISOString(),
+      clock.timeScale,
+      clock.paused ? 1 : 0,
+      clock.updatedAt.toISOString()
+    ]);
+  }
+
+  /**
+   * Emit `timeReached` for every pending schedule a scenario's clock has passed
+   * @param {string} scenarioId - Scenario ID
+   * @private
+   */
+  async _fireDueSchedules(scenarioId) {
+    const universeTime = this.now(scenarioId);
+    const due = this.listSchedules(scenarioId).filter(schedule => schedule.fireAt <= universeTime);
+
+    for (const schedule of due) {
+      // Mark it fired first, so a failing listener can't make it fire twice
+      this.schedules.delete(schedule.id);
+      await this.db.run(`UPDATE universe_schedules SET fired_at = ? WHERE id = ?`, [new Date().toISOString(), schedule.id]);
+
+      this.emit('timeReached', { ...schedule, universeTime });
+    }
+  }
+
+  /**
+   * Emit a tick for every clock and fire the schedules they passed
+   * @private
+   */
+  async _tick() {
+    const realTime = new Date();
+
+    for (const clock of this.clocks.values()) {
+      try {
+        this.emit('tick', { scenarioId: clock.scenarioId, universeTime: clock.now(realTime), realTime });
+        await this._fireDueSchedules(clock.scenarioId);
+      } catch (error) {
+        console.error(`Error updating clock for scenario ${clock.scenarioId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Stop the update interval and close the database connection
+   */
+  async close() {
+    clearInterval(this.tickInterval);
+    this.tickInterval = null;
+
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+      console.log('Time Manager database connection closed');
+    }
+
+    this.initialized = false;
+  }
+}
+
+// Create and export a singleton instance
+const timeManager = new TimeManager();
+export default timeManager;
+
+export { TimeManager, UniverseClock, DEFAULT_SCENARIO_ID };
@@ -0,0 +1,127 @@
+import agentManager from '../../src/agents/agentManager.js';
+import contextManager from '../../src/context/contextManager.js';
+import llmClient from '../../src/llm/llmClient.js';
+import { resetMockModel } from '../helpers.js';
+
+beforeAll(async () => {
+  await agentManager.initialize();
+});
+
+afterAll(async () => {
+  await agentManager.close();
+  await contextManager.cleanup();
+});
+
+beforeEach(resetMockModel);
+
+describe('agents', () => {
+  test('are found by name in any case, and names are unique', async () => {
+    const agent = await agentManager.createAgent({ name: 'Wren', traits: ['curious'] });
+
+    expect(agentManager.getAgentByName('WREN')).toBe(agent);
+    await expect(agentManager.createAgent({ name: 'wren' })).rejects.toThrow('already exists');
+  });
+
+  test('keep only known emotions, between 0 and 1', async () => {
+    const agent = await agentManager.createAgent({ name: 'Corvin' });
+
+    await agentManager.updateAgent(agent.id, { emotions: { joy: 1.4, anger: -0.2, boredom: 0.9 } });
+
+    expect(agent.emotions).toMatchObject({ joy: 1, anger: 0 });
+    expect(agent.emotions.boredom).toBeUndefined();
+    expect(agent.mood).toBe('joy');
+  });
+
+  test('take their relationships with them when deleted', async () => {
+    const kept = await agentManager.createAgent({ name: 'Sable' });
+    const deleted = await agentManager.createAgent({ name: 'Fen' });
+    await agentManager.adjustRelationship(kept.id, deleted.id, 0.1, 'agent');
+
+    expect(await agentManager.deleteAgent(deleted.id)).toBe(true);
+
+    expect(agentManager.getAgent(deleted.id)).toBeNull();
+    expect(await agentManager.listRelationships(kept.id)).toEqual([]);
+  });
+});
+
+describe('channels', () => {
+  test('list their agents in the order they joined', async () => {
+    const first = await agentManager.createAgent({ name: 'Ash' });
+    const second = await agentManager.createAgent({ name: 'Birch' });
+    await agentManager.addAgentToChannel('scene', second.id);
+    await agentManager.addAgentToChannel('scene', first.id);
+    await agentManager.addAgentToChannel('scene', second.id);
+
+    expect((await agentManager.getChannelAgents('scene')).map(agent => agent.name)).toEqual(['Birch', 'Ash']);
+
+    await agentManager.removeAgentFromChannel('scene', second.id);
+    expect((await agentManager.getChannelAgents('scene')).map(agent => agent.name)).toEqual(['Ash']);
+  });
+});
+
+describe('relationships', () => {
+  test('shift by at most the configured amount per interaction and stay within -1 and 1', async () => {
+    const agent = await agentManager.createAgent({ name: 'Moss' });
+
+    const first = await agentManager.adjustRelationship(agent.id, 'user-1', 5);
+    expect(first.score).toBeCloseTo(agentManager.maxRelationshipShift);
+    expect(first.interactions).toBe(1);
+
+    let relationship = first;
+    for (let i = 0; i < 30; i++) {
+      relationship = await agentManager.adjustRelationship(agent.id, 'user-1', 1);
+    }
+    expect(relationship.score).toBe(1);
+    expect(relationship.interactions).toBe(31);
+  });
+
+  test('are described in the system prompt', async () => {
+    const agent = await agentManager.createAgent({
+      name: 'Juniper',
+      systemPrompt: 'A retired lighthouse keeper.',
+      traits: ['gruff', 'kind'],
+      speakingStyle: 'Short sentences.'
+    });
+    for (let i = 0; i < 7; i++) {
+      await agentManager.adjustRelationship(agent.id, 'user-1', 0.1);
+    }
+
+    const prompt = await agentManager.buildSystemPrompt(agent, { userId: 'user-1', userName: 'Ana' });
+
+    expect(prompt).toContain('You are Juniper.');
+    expect(prompt).toContain('A retired lighthouse keeper.');
+    expect(prompt).toContain('Personality traits: gruff, kind.');
+    expect(prompt).toContain('Speaking style: Short sentences.');
+    expect(prompt).toContain('Current mood: trust (0.40).');
+    expect(prompt).toContain('How you feel about Ana: close and fond.');
+    expect(await agentManager.buildSystemPrompt(agent, { userId: 'user-2' })).not.toContain('How you feel');
+  });
+});
+
+describe('processInteraction', () => {
+  test("moves emotions back towards the baseline, then by the model's appraisal within the configured limits", async () => {
+    const agent = await agentManager.createAgent({ name: 'Rook' });
+    await agentManager.updateAgent(agent.id, { emotions: { joy: 0.3, anger: 0.85 } });
+    llmClient.provider.enqueue(JSON.stringify({ emotions: { joy: 0.9, fear: 0.1 }, relationship: -0.5 }));
+
+    await agentManager.processInteraction({ agentId: agent.id, targetId: 'user-1', message: 'Good news!', reply: 'Wonderful.' });
+
+    const { emotionDecay, maxEmotionShift, maxRelationshipShift } = agentManager;
+    const { baselineEmotions } = agent;
+    expect(agent.emotions.joy).toBeCloseTo(0.3 + maxEmotionShift);
+    expect(agent.emotions.anger).toBeCloseTo(0.85 + (baselineEmotions.anger - 0.85) * emotionDecay);
+    expect(agent.emotions.fear).toBeCloseTo(baselineEmotions.fear + 0.1);
+    expect((await agentManager.getRelationship(agent.id, 'user-1')).score).toBeCloseTo(-maxRelationshipShift);
+    expect(llmClient.provider.requests.at(-1).messages[1].content).toContain('Good news!');
+  });
+
+  test('leaves the relationship where it was when the appraisal cannot be read', async () => {
+    const agent = await agentManager.createAgent({ name: 'Thistle' });
+    llmClient.provider.enqueue('not json');
+
+    await agentManager.processInteraction({ agentId: agent.id, targetId: 'user-1', message: 'Hi', reply: 'Hello' });
+
+    expect(agent.emotions).toEqual(agent.baselineEmotions);
+    expect((await agentManager.getRelationship(agent.id, 'user-1'))).toMatchObject({ score: 0, interactions: 1 });
+  });
+});
@@ -0,0 +1,78 @@
+import { jest } from '@jest/globals';
+import sceneOrchestrator from '../../src/agents/sceneOrchestrator.js';
+import agentManager, { Agent } from '../../src/agents/agentManager.js';
+import memoryManager from '../../src/memory/memoryManager.js';
+import contextManager from '../../src/context/contextManager.js';
+import llmClient from '../../src/llm/llmClient.js';
+
+// Not registered with the agent manager, so replies don't ask the model to appraise them
+const tessa = new Agent({ id: 'tessa', name: 'Tessa Ironhand', systemPrompt: 'You are Tessa, the village blacksmith. You forge swords and repair armour.', traits: ['gruff'] });
+const mira = new Agent({ id: 'mira', name: 'Mira', systemPrompt: 'You are Mira, a herbalist who brews healing potions from river plants.', traits: ['gentle'] });
+const agents = [tessa, mira];
+
+/**
+ * Pick the agents answering a message in a new scene
+ * @param {string} message - Message
+ * @returns {Promise<string[]>} IDs of the responders
+ */
+async function responders(message) {
+  return (await sceneOrchestrator.selectResponders({ conversationId: 'scene', agents, message })).map(agent => agent.id);
+}
+
+beforeAll(async () => {
+  await agentManager.initialize();
+});
+
+afterAll(async () => {
+  await agentManager.close();
+  await memoryManager.close();
+  await contextManager.cleanup();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('selectResponders', () => {
+  test('picks the agents addressed by name, by full or first name', async () => {
+    expect(await responders('Mira, Tessa: what do you think?')).toEqual(['mira', 'tessa']);
+    expect(await responders('Hey tessa ironhand!')).toEqual(['tessa']);
+  });
+
+  test('picks the agent whose persona matches the message', async () => {
+    expect(await responders('I need a potion to heal this wound')).toEqual(['mira']);
+  });
+
+  test('takes turns when no persona matches well enough for the provider', async () => {
+    expect(await responders('Good morning everyone')).toEqual(['tessa']);
+
+    const { thresholds } = memoryManager.embeddingProvider;
+    jest.spyOn(memoryManager.embeddingProvider, 'thresholds', 'get').mockReturnValue({ ...thresholds, responder: 0.9 });
+    expect(await responders('I need a potion to heal this wound')).toEqual(['tessa']);
+  });
+});
+
+describe('runTurn', () => {
+  test('records each reply as its agent and lets named agents answer back up to the depth', async () => {
+    llmClient.provider.enqueue('Sure. Mira, have you got a salve for burns?', 'Of course, Tessa.', 'Thanks!');
+    const deliver = jest.fn(async (agent, content) => ({ id: `discord-${deliver.mock.calls.length}` }));
+
+    const replies = await sceneOrchestrator.runTurn({ conversationId: 'turn', agents, message: 'Tessa, can you fix my sword?', userId: 'u1', deliver });
+
+    expect(replies.map(reply => [reply.agent.id, reply.content])).toEqual([
+      ['tessa', 'Sure. Mira, have you got a salve for burns?'],
+      ['mira', 'Of course, Tessa.'],
+      ['tessa', 'Thanks!']
+    ]);
+    const recorded = contextManager.getFullContext(false, 'turn');
+    expect(recorded.map(message => [message.agentId, message.metadata.discordMessageIds])).toEqual([
+      ['tessa', ['discord-1']],
+      ['mira', ['discord-2']],
+      ['tessa', ['discord-3']]
+    ]);
+  });
+
+  test('continues the rotation after the agent that spoke last', async () => {
+    expect(await sceneOrchestrator.selectResponders({ conversationId: 'turn', agents, message: 'Good morning everyone' })).toEqual([mira]);
+  });
+});
@@ -0,0 +1,191 @@
+import { jest } from '@jest/globals';
+import contextManager from '../../src/context/contextManager.js';
+import llmClient from '../../src/llm/llmClient.js';
+import { resetMockModel } from '../helpers.js';
+
+/**
+ * Wait until the summarization queue is empty
+ */
+async function settle() {
+  while (contextManager.isSummarizing || contextManager.summarizationQueue.length > 0) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Add user messages to a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string[]} contents - Message contents
+ * @returns {Promise<ContextMessage[]>} Added messages
+ */
+async function addMessages(conversationId, contents) {
+  const messages = [];
+  for (const content of contents) {
+    messages.push(await contextManager.addContextMessage({ conversationId, content, role: 'user', userId: 'u1' }));
+  }
+  return messages;
+}
+
+beforeAll(async () => {
+  await contextManager.initialize();
+});
+
+afterAll(async () => {
+  await contextManager.cleanup();
+});
+
+beforeEach(() => {
+  contextManager.summarizationThreshold = 3;
+  contextManager.summaryLevels = 1;
+  contextManager.summaryFanIn = 4;
+  resetMockModel();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('summarization queue', () => {
+  test('condenses once after the last rewrite of a conversation, and only if the rewrites succeeded', async () => {
+    const revise = jest.spyOn(contextManager, '_reviseSummary').mockImplementation(async (conversationId) => {
+      if (conversationId === 'failing') {
+        throw new Error('Model unavailable');
+      }
+    });
+    const condense = jest.spyOn(contextManager, '_queueCondensing').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const rewrite = (conversationId, id) => ({ conversationId, summaries: [{ id }], change: { before: 'a', after: 'b' }, sources: null });
+    contextManager.summarizationQueue.push(
+      rewrite('edited', 's1'),
+      rewrite('failing', 's2'),
+      rewrite('edited', 's3'),
+      rewrite('failing', 's4')
+    );
+    await contextManager._processSummarizationQueue();
+
+    expect(revise).toHaveBeenCalledTimes(4);
+    expect(condense.mock.calls).toEqual([['edited']]);
+  });
+});
+
+describe('summary invalidation', () => {
+  test('rewrites the summary covering an edited message from its messages', async () => {
+    const conversationId = 'edit';
+    llmClient.provider.enqueue('Alice met Bob at the inn.');
+    const [, second] = await addMessages(conversationId, ['I walk into the inn', 'I greet Bob', 'I order a drink']);
+    await settle();
+
+    const [summary] = contextManager.getActiveSummaries(conversationId);
+    expect(summary.content).toBe('Alice met Bob at the inn.');
+
+    llmClient.provider.enqueue('Alice met Carol at the inn.');
+    await contextManager.editContextMessage(conversationId, second.id, 'I greet Carol');
+    await settle();
+
+    expect(summary.content).toBe('Alice met Carol at the inn.');
+    const rewrite = llmClient.provider.requests.at(-1);
+    expect(rewrite.messages.map(message => message.content)).toContain('I greet Carol');
+    expect(rewrite.messages.map(message => message.content)).not.toContain('I greet Bob');
+  });
+
+  test('leaves a deleted message out of the rewritten summary', async () => {
+    const conversationId = 'delete';
+    llmClient.provider.enqueue('Alice sang, danced and left.');
+    const [, second] = await addMessages(conversationId, ['I sing', 'I dance', 'I leave']);
+    await settle();
+
+    llmClient.provider.enqueue('Alice sang and left.');
+    await contextManager.deleteContextMessage(conversationId, second.id);
+    await settle();
+
+    const [summary] = contextManager.getActiveSummaries(conversationId);
+    expect(summary.content).toBe('Alice sang and left.');
+    const rewrite = llmClient.provider.requests.at(-1);
+    expect(rewrite.messages.map(message => message.content)).not.toContain('I dance');
+  });
+
+  test('drops arc summaries built on a rewritten summary', async () => {
+    const conversationId = 'arcs';
+    contextManager.summaryLevels = 2;
+    contextManager.summaryFanIn = 2;
+    const sent = [];
+    for (let i = 0; i < 3; i++) {
+      // The third summary of messages makes an arc summary of the first two
+      llmClient.provider.enqueue(`Part ${i}`, ...(i === 2 ? ['Arc'] : []));
+      sent.push(...await addMessages(conversationId, [`Message ${i}a`, `Message ${i}b`, `Message ${i}c`]));
+      await settle();
+    }
+
+    let summaries = contextManager.getActiveSummaries(conversationId);
+    expect(summaries.map(summary => summary.content)).toContain('Arc');
+
+    llmClient.provider.enqueue('Part 0, revised', 'Arc, revised');
+    await contextManager.editContextMessage(conversationId, sent[0].id, 'Message 0a, edited');
+    await settle();
+
+    summaries = contextManager.getActiveSummaries(conversationId);
+    expect(summaries.map(summary => summary.content)).toEqual(['Arc, revised', 'Part 2']);
+    const stored = contextManager.conversations.get(conversationId).summaries.map(summary => summary.content);
+    expect(stored).not.toContain('Arc');
+  });
+});
+
+describe('persistence', () => {
+  test('gives concurrent first accesses after a restart the same conversation', async () => {
+    await addMessages('shared', ['Hello']);
+    contextManager.conversations.clear();
+
+    const [first, second] = await Promise.all([contextManager.getConversation('shared'), contextManager.getConversation('shared')]);
+    expect(second).toBe(first);
+
+    await contextManager.addContextMessage({ conversationId: 'shared', content: 'Still here?', role: 'user' });
+    expect((await contextManager.getConversation('shared')).messages.map(message => message.content)).toEqual(['Hello', 'Still here?']);
+  });
+
+  test('deletes only the evicted messages and keeps the rest in order', async () => {
+    const { maxContextMessages } = contextManager;
+    contextManager.maxContextMessages = 3;
+    contextManager.summarizationThreshold = 100;
+    jest.spyOn(contextManager, '_queueSummarization').mockImplementation(() => {});
+    const replace = jest.spyOn(contextManager, '_replaceMessages');
+
+    try {
+      await addMessages('evicting', ['One', 'Two', 'Three', 'Four', 'Five']);
+      contextManager.conversations.clear();
+      await addMessages('evicting', ['Six']);
+      contextManager.conversations.clear();
+
+      const conversation = await contextManager.getConversation('evicting');
+      expect(conversation.messages.map(message => message.content)).toEqual(['Four', 'Five', 'Six']);
+      expect(replace).not.toHaveBeenCalled();
+    } finally {
+      contextManager.maxContextMessages = maxContextMessages;
+    }
+  });
+});
+
+describe('token window', () => {
+  test('keeps the newest messages that fit in the token limit, and every instruction', async () => {
+    const { maxContextTokens } = contextManager;
+    contextManager.summarizationThreshold = 100;
+    const summarize = jest.spyOn(contextManager, '_queueSummarization').mockImplementation(() => {});
+    const instruction = 'Speak like a pirate.';
+    const contents = ['First of four messages.', 'Second of four message', 'Third of four messages.', 'Fourth of four message'];
+    contextManager.maxContextTokens = llmClient.countTokens(instruction) + 2 * llmClient.countTokens(contents[0]);
+
+    try {
+      await contextManager.addContextMessage({ conversationId: 'window', content: instruction, role: 'system' });
+      const [first, second] = await addMessages('window', contents);
+
+      const conversation = await contextManager.getConversation('window');
+      expect(conversation.messages.map(message => message.content)).toEqual([instruction, ...contents.slice(2)]);
+      expect(summarize.mock.calls.flatMap(([, messages]) => messages.map(message => message.id))).toEqual([first.id, second.id]);
+
+      await addMessages('window', ['A message far longer than the whole limit. '.repeat(10)]);
+      expect(conversation.messages.map(message => message.role)).toEqual(['system', 'user']);
+    } finally {
+      contextManager.maxContextTokens = maxContextTokens;
+    }
+  });
+});
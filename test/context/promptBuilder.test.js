@@ -0,0 +1,119 @@
+import promptBuilder from '../../src/context/promptBuilder.js';
+import contextManager from '../../src/context/contextManager.js';
+import memoryManager from '../../src/memory/memoryManager.js';
+import entityIndex from '../../src/memory/entityIndex.js';
+import scenarioManager from '../../src/scenario/scenarioManager.js';
+import placeManager from '../../src/places/placeManager.js';
+import itemManager from '../../src/items/itemManager.js';
+import llmClient from '../../src/llm/llmClient.js';
+import config from '../../src/config.js';
+
+/**
+ * Start a conversation with memories and a user message to answer
+ * @param {string} conversationId - Conversation ID
+ * @param {string[]} memories - Contents of the memories
+ * @param {string} content - User message
+ * @returns {Promise<Memory[]>} Memories
+ */
+async function setUp(conversationId, memories, content) {
+  const created = [];
+  for (const memory of memories) {
+    created.push(await memoryManager.addMemory({ content: memory, conversationId, tags: ['preference'] }));
+  }
+  await contextManager.addContextMessage({ conversationId, content, role: 'user', userId: 'u1' });
+  return created;
+}
+
+/**
+ * Get how often each memory was recalled
+ * @param {Memory[]} memories - Memories
+ * @returns {Promise<number[]>} Access counts
+ */
+async function accessCounts(memories) {
+  return Promise.all(memories.map(async memory => (await memoryManager.getMemory(memory.id)).accessCount));
+}
+
+beforeAll(async () => {
+  await memoryManager.initialize();
+  await contextManager.initialize();
+});
+
+afterAll(async () => {
+  await entityIndex.close();
+  await itemManager.close();
+  await placeManager.close();
+  await scenarioManager.close();
+  await memoryManager.close();
+  await contextManager.cleanup();
+});
+
+describe('memories section', () => {
+  test('recalls memories for a paraphrased message and counts them as recalled', async () => {
+    const query = 'What does Alice like to drink?';
+    const memories = await setUp('recall', ['Alice likes tea', 'Bob is afraid of spiders'], query);
+
+    const prompt = await promptBuilder.build({ conversationId: 'recall', query });
+
+    const section = prompt.messages.find(message => message.content.startsWith('Things you remember'));
+    expect(section.content).toContain('Alice likes tea');
+    expect(section.content).not.toContain('spiders');
+    expect(await accessCounts(memories)).toEqual([1, 0]);
+  });
+
+  test("doesn't count memories dropped to fit the budget as recalled", async () => {
+    const query = 'Which tea does Alice like?';
+    const memories = await setUp('budget', ['Alice likes green tea', 'Alice likes black tea'], query);
+
+    const prompt = await promptBuilder.build({ conversationId: 'budget', query, tokenBudget: 1 });
+
+    const section = prompt.sections.find(stats => stats.name === 'memories');
+    expect(section).toMatchObject({ included: 0, dropped: 2 });
+    expect(await accessCounts(memories)).toEqual([0, 0]);
+  });
+});
+
+describe('token budget', () => {
+  test("is what the model's context leaves for the prompt, capped by the configured budget", () => {
+    const { tokenBudget } = promptBuilder;
+    const available = llmClient.getContextLength(config.api.groq.model) - config.api.groq.maxTokens;
+
+    try {
+      promptBuilder.tokenBudget = 0;
+      expect(promptBuilder.getTokenBudget()).toBe(available);
+      promptBuilder.tokenBudget = 500;
+      expect(promptBuilder.getTokenBudget()).toBe(500);
+      promptBuilder.tokenBudget = available + 500;
+      expect(promptBuilder.getTokenBudget()).toBe(available);
+    } finally {
+      promptBuilder.tokenBudget = tokenBudget;
+    }
+  });
+
+  test('drops memories before history, the oldest history first, and never the current message', async () => {
+    const query = 'Does Carla still collect stamps?';
+    await setUp('fitting', ['Carla collects stamps'], 'I met Carla at the market.');
+    await contextManager.addContextMessage({ conversationId: 'fitting', content: 'How is she doing?', role: 'assistant' });
+    await contextManager.addContextMessage({ conversationId: 'fitting', content: query, role: 'user', userId: 'u1' });
+    const sectionOf = (prompt, name) => prompt.sections.find(section => section.name === name);
+
+    const full = await promptBuilder.build({ conversationId: 'fitting', query, tokenBudget: 100000 });
+    expect(sectionOf(full, 'memories').included).toBe(1);
+    expect(sectionOf(full, 'history').included).toBe(2);
+
+    const withoutMemories = await promptBuilder.build({ conversationId: 'fitting', query, tokenBudget: full.totalTokens - 1 });
+    expect(sectionOf(withoutMemories, 'memories')).toMatchObject({ included: 0, dropped: 1 });
+    expect(sectionOf(withoutMemories, 'history')).toMatchObject({ included: 2, dropped: 0 });
+    expect(withoutMemories.totalTokens).toBe(full.totalTokens - sectionOf(full, 'memories').tokens);
+
+    const budget = withoutMemories.totalTokens - 1;
+    const withLessHistory = await promptBuilder.build({ conversationId: 'fitting', query, tokenBudget: budget });
+    expect(sectionOf(withLessHistory, 'history')).toMatchObject({ included: 1, dropped: 1 });
+    expect(withLessHistory.totalTokens).toBeLessThanOrEqual(budget);
+    expect(withLessHistory.messages.map(message => message.content).join('\n')).not.toContain('market');
+
+    const overBudget = await promptBuilder.build({ conversationId: 'fitting', query, tokenBudget: 1 });
+    expect(sectionOf(overBudget, 'history').included).toBe(0);
+    expect(overBudget.messages.at(-1).content).toContain(query);
+    expect(overBudget.totalTokens).toBeGreaterThan(1);
+  });
+});
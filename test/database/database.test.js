@@ -0,0 +1,83 @@
+import { join } from 'path';
+import { openDatabase } from '../../src/database/database.js';
+
+let db;
+
+beforeAll(async () => {
+  db = await openDatabase(join(process.env.DATA_DIR, 'database-test.db'));
+  await db.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY, text TEXT NOT NULL)');
+});
+
+afterAll(async () => {
+  await db.close();
+});
+
+beforeEach(async () => {
+  await db.run('DELETE FROM notes');
+});
+
+describe('transaction', () => {
+  test('commits the work', async () => {
+    const result = await db.transaction(async () => {
+      await db.run('INSERT INTO notes (text) VALUES (?)', ['one']);
+      await db.run('INSERT INTO notes (text) VALUES (?)', ['two']);
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect((await db.all('SELECT text FROM notes ORDER BY id')).map(row => row.text)).toEqual(['one', 'two']);
+  });
+
+  test('rolls back the work if it throws', async () => {
+    await expect(db.transaction(async () => {
+      await db.run('INSERT INTO notes (text) VALUES (?)', ['lost']);
+      throw new Error('Broken');
+    })).rejects.toThrow('Broken');
+
+    expect(await db.all('SELECT * FROM notes')).toEqual([]);
+  });
+
+  test('keeps statements made outside a transaction out of it', async () => {
+    let inserted;
+    let release;
+    const insertDone = new Promise(resolve => { inserted = resolve; });
+    const blocked = new Promise(resolve => { release = resolve; });
+
+    const failing = db.transaction(async () => {
+      await db.run('INSERT INTO notes (text) VALUES (?)', ['inside']);
+      inserted();
+      await blocked;
+      throw new Error('Broken');
+    });
+
+    // Issued while the transaction is open, so it must wait for it instead of joining it
+    await insertDone;
+    const outside = db.run('INSERT INTO notes (text) VALUES (?)', ['outside']);
+    release();
+
+    await expect(failing).rejects.toThrow('Broken');
+    await outside;
+    expect((await db.all('SELECT text FROM notes')).map(row => row.text)).toEqual(['outside']);
+  });
+
+  test('lets a transaction started within the work join the open one', async () => {
+    await expect(db.transaction(async () => {
+      await db.transaction(() => db.run('INSERT INTO notes (text) VALUES (?)', ['nested']));
+      throw new Error('Broken');
+    })).rejects.toThrow('Broken');
+
+    expect(await db.all('SELECT * FROM notes')).toEqual([]);
+  });
+
+  test('rethrows the original error if the rollback fails too', async () => {
+    await expect(db.transaction(async () => {
+      // Ending the transaction early makes the rollback fail
+      await db.exec('COMMIT');
+      throw new Error('Original');
+    })).rejects.toThrow('Original');
+
+    // The connection is still usable
+    await db.run('INSERT INTO notes (text) VALUES (?)', ['after']);
+    expect(await db.all('SELECT text FROM notes')).toEqual([{ text: 'after' }]);
+  });
+});
@@ -0,0 +1,154 @@
+import { jest } from '@jest/globals';
+import { CommandRegistry, InteractionContext, splitArgs } from '../../src/discord/commandRegistry.js';
+
+const execute = async () => {};
+
+/**
+ * Create a slash command interaction with the given option values
+ * @param {Object} [params] - Interaction parameters
+ * @param {string} [params.subcommand] - Subcommand chosen
+ * @param {Object} [params.values] - Map of option name to typed value
+ * @returns {Object} Interaction recording how it was answered
+ */
+function createInteraction({ subcommand = null, values = {} } = {}) {
+  const options = Object.entries(values).map(([name, value]) => ({ name, value }));
+  return {
+    channel: { id: 'channel' },
+    user: { id: 'user-1' },
+    client: { users: { fetch: jest.fn(async (id) => (id === '404' ? Promise.reject(new Error('Unknown user')) : { id })) } },
+    options: {
+      data: subcommand ? [{ name: subcommand, options }] : options,
+      getSubcommand: () => subcommand,
+      getString: (name) => values[name] ?? null
+    },
+    deferReply: jest.fn(async () => {}),
+    editReply: jest.fn(async (payload) => payload),
+    followUp: jest.fn(async (payload) => payload),
+    deleteReply: jest.fn(async () => {})
+  };
+}
+
+/**
+ * Create a registry with a command family and a command with options
+ * @returns {CommandRegistry} Registry
+ */
+function createRegistry() {
+  return new CommandRegistry()
+    .register({
+      name: 'memory',
+      description: 'Manage memories',
+      subcommands: [
+        { name: 'search', description: 'Search memories', usage: '<query>' },
+        { name: 'list', description: 'List memories', usage: '[page]' },
+        { name: 'clear', description: 'Forget everything' }
+      ],
+      execute
+    })
+    .register({
+      name: 'tag',
+      description: 'x'.repeat(150),
+      options: [
+        { name: 'mode', description: 'How to tag', required: true, choices: ['add', 'remove'] },
+        { name: 'tags', description: 'Tags', autocomplete: async (query) => Array.from({ length: 40 }, (_, i) => ({ name: `${query}-${i}`, value: `${query}-${i}` })) }
+      ],
+      execute
+    });
+}
+
+describe('register', () => {
+  test('rejects invalid names, duplicates and commands that do nothing', () => {
+    const registry = createRegistry();
+
+    expect(() => registry.register({ name: 'Memory Show', description: 'Bad', execute })).toThrow('Invalid command name');
+    expect(() => registry.register({ name: 'memory', description: 'Again', execute })).toThrow('already registered');
+    expect(() => registry.register({ name: 'noop', description: 'Nothing' })).toThrow('needs an execute function');
+    expect(registry.get('TAG').name).toBe('tag');
+    expect(registry.get('missing')).toBeNull();
+  });
+});
+
+describe('slash commands', () => {
+  test('get the arguments a prefix command would', () => {
+    const registry = createRegistry();
+
+    expect(registry.getInteractionArgs(registry.get('memory'), createInteraction({ subcommand: 'search', values: { arguments: ' the  red door ' } })))
+      .toEqual(['search', 'the', 'red', 'door']);
+    expect(registry.getInteractionArgs(registry.get('tag'), createInteraction({ values: { mode: 'add', tags: 'food travel' } })))
+      .toEqual(['add', 'food', 'travel']);
+    expect(splitArgs(null)).toEqual([]);
+  });
+
+  test('are built from the same definitions, within Discord limits', () => {
+    const [memory, tag] = createRegistry().toSlashCommands();
+
+    expect(memory.options.map(sub => [sub.name, sub.options.map(option => option.required)])).toEqual([
+      ['search', [true]],
+      ['list', [false]],
+      ['clear', []]
+    ]);
+    expect(tag.description).toHaveLength(100);
+    expect(tag.options[0]).toMatchObject({ name: 'mode', required: true, choices: [{ name: 'add', value: 'add' }, { name: 'remove', value: 'remove' }] });
+    expect(tag.options[1]).toMatchObject({ name: 'tags', required: false, autocomplete: true });
+  });
+
+  test('autocomplete at most 25 choices', async () => {
+    const registry = createRegistry();
+    const interaction = { commandName: 'tag', options: { getFocused: () => ({ name: 'tags', value: 'fo' }) } };
+
+    const choices = await registry.autocomplete(interaction);
+
+    expect(choices).toHaveLength(25);
+    expect(choices[0]).toEqual({ name: 'fo-0', value: 'fo-0' });
+    expect(await registry.autocomplete({ commandName: 'tag', options: { getFocused: () => ({ name: 'mode', value: '' }) } })).toEqual([]);
+  });
+});
+
+describe('help', () => {
+  test('describes each command and each subcommand', () => {
+    const registry = createRegistry();
+
+    expect(registry.getUsage(registry.get('memory'), '!')).toEqual([
+      '`!memory search <query>` - Search memories',
+      '`!memory list [page]` - List memories',
+      '`!memory clear` - Forget everything'
+    ]);
+    expect(registry.getOverview('!')).toEqual([
+      '`!memory <search|list|clear>` - Manage memories',
+      `\`!tag <add|remove> [tags]\` - ${'x'.repeat(150)}`
+    ]);
+  });
+});
+
+describe('InteractionContext', () => {
+  test('defers the interaction and finds the users mentioned in its options', async () => {
+    const interaction = createInteraction({ subcommand: 'search', values: { arguments: 'what <@123> and <@!456> and <@404> said' } });
+
+    const context = await InteractionContext.create(interaction, { ephemeral: true });
+
+    expect(interaction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+    expect([...context.mentions.users.keys()]).toEqual(['123', '456']);
+    expect(context.author.id).toBe('user-1');
+  });
+
+  test('fills in the deferred reply first and follows up after', async () => {
+    const interaction = createInteraction();
+    const context = await InteractionContext.create(interaction, { ephemeral: true });
+
+    await context.reply('First');
+    await context.reply({ content: 'Second', allowedMentions: { parse: [] } });
+    await context.finish();
+
+    expect(interaction.editReply).toHaveBeenCalledWith({ content: 'First' });
+    expect(interaction.followUp).toHaveBeenCalledWith({ content: 'Second', allowedMentions: { parse: [] }, ephemeral: true });
+    expect(interaction.deleteReply).not.toHaveBeenCalled();
+  });
+
+  test('removes the deferred reply when the command never answered', async () => {
+    const interaction = createInteraction();
+    const context = await InteractionContext.create(interaction);
+
+    await context.finish();
+
+    expect(interaction.deleteReply).toHaveBeenCalled();
+  });
+});
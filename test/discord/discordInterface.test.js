@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+import discordInterface from '../../src/discord/discordInterface.js';
+import memoryManager from '../../src/memory/memoryManager.js';
+import entityIndex from '../../src/memory/entityIndex.js';
+import contextManager from '../../src/context/contextManager.js';
+import { DISCORD_MESSAGE_LIMIT } from '../../src/discord/messageSplitter.js';
+
+/**
+ * Create a Discord message recording the replies to it
+ * @param {string} [channelId='channel'] - Channel the message was sent in
+ * @returns {Object} Message whose `sent` lists every message sent in answer, in order
+ */
+function createMessage(channelId = 'channel') {
+  const sent = [];
+  const record = async (payload) => {
+    sent.push(typeof payload === 'string' ? { content: payload } : payload);
+    return payload;
+  };
+  return {
+    sent,
+    author: { id: 'user-1', username: 'Ana' },
+    member: null,
+    reply: jest.fn(record),
+    channel: { id: channelId, send: jest.fn(record) }
+  };
+}
+
+beforeAll(async () => {
+  await memoryManager.initialize();
+});
+
+afterAll(async () => {
+  await entityIndex.close();
+  await memoryManager.close();
+  await contextManager.cleanup();
+});
+
+describe('_safeReply', () => {
+  test('splits long content into messages that ping no one', async () => {
+    const message = createMessage();
+
+    await discordInterface._safeReply(message, `@everyone ${'word '.repeat(600)}`);
+
+    expect(message.sent.length).toBeGreaterThan(1);
+    for (const part of message.sent) {
+      expect(part.content.length).toBeLessThanOrEqual(DISCORD_MESSAGE_LIMIT);
+      expect(part.allowedMentions).toEqual({ parse: [] });
+    }
+  });
+
+  test('splits the content of message options, keeping the components on the first message', async () => {
+    const message = createMessage();
+    const components = [{ type: 1, components: [] }];
+
+    await discordInterface._safeReply(message, { content: 'line\n'.repeat(700), components });
+
+    expect(message.sent.length).toBeGreaterThan(1);
+    expect(message.sent[0].components).toBe(components);
+    expect(message.sent.slice(1).every(part => part.components === undefined)).toBe(true);
+    expect(message.sent.every(part => part.content.length <= DISCORD_MESSAGE_LIMIT)).toBe(true);
+  });
+
+  test('attaches content that would take too many messages', async () => {
+    const message = createMessage();
+
+    await discordInterface._safeReply(message, { content: 'word '.repeat(5000) });
+
+    expect(message.sent).toHaveLength(1);
+    expect(message.sent[0].files).toHaveLength(1);
+    expect(message.sent[0].allowedMentions).toEqual({ parse: [] });
+  });
+});
+
+describe('commands', () => {
+  test('can all be registered as slash commands', () => {
+    const slashCommands = discordInterface.commands.toSlashCommands();
+
+    expect(slashCommands.map(command => command.name)).toEqual(discordInterface.commands.list().map(command => command.name));
+    expect(slashCommands.map(command => command.name)).toContain('memory');
+  });
+});
+
+describe('memory commands', () => {
+  beforeAll(() => {
+    discordInterface.channelConversations.set('memories', 'memory-commands');
+  });
+
+  test('show a memory too long for one message in several', async () => {
+    const memory = await memoryManager.addMemory({
+      conversationId: 'memory-commands',
+      content: `<@123> told a long story: ${'and then '.repeat(300)}`,
+      metadata: { userId: 'user-1' }
+    });
+    const message = createMessage('memories');
+
+    await discordInterface._handleMemoryCommand(message, ['show', memory.id.slice(0, 8)]);
+
+    expect(message.sent.length).toBeGreaterThan(1);
+    expect(message.sent.every(part => part.content.length <= DISCORD_MESSAGE_LIMIT)).toBe(true);
+    expect(message.sent.every(part => part.allowedMentions?.parse?.length === 0)).toBe(true);
+  });
+
+  test('quote what they forget without pinging anyone', async () => {
+    const memory = await memoryManager.addMemory({
+      conversationId: 'memory-commands',
+      content: '@everyone meets at the tavern',
+      metadata: { userId: 'user-1' }
+    });
+    const message = createMessage('memories');
+
+    await discordInterface._handleMemoryCommand(message, ['forget', memory.id.slice(0, 8)]);
+
+    expect(message.sent).toEqual([{ content: expect.stringContaining('@everyone meets at the tavern'), allowedMentions: { parse: [] } }]);
+    expect(await memoryManager.getMemory(memory.id)).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+import { splitMessage, takeChunk, needsAttachment, DISCORD_MESSAGE_LIMIT } from '../../src/discord/messageSplitter.js';
+
+describe('splitMessage', () => {
+  test('keeps a short text in one chunk', () => {
+    expect(splitMessage('  Hello there!  ')).toEqual(['Hello there!']);
+  });
+
+  test('keeps every chunk within the limit and loses no words', () => {
+    const text = Array.from({ length: 400 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+    const chunks = splitMessage(text);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.length).toBeLessThanOrEqual(DISCORD_MESSAGE_LIMIT);
+    }
+    expect(chunks.join(' ').split(/\s+/)).toEqual(text.split(/\s+/));
+  });
+
+  test('prefers paragraph breaks over cutting sentences', () => {
+    const first = 'a'.repeat(60);
+    const second = 'b '.repeat(40).trim();
+    expect(splitMessage(`${first}\n\n${second}`, 100)).toEqual([first, second]);
+  });
+
+  test('closes a code fence at the cut and reopens it with its language', () => {
+    const code = Array.from({ length: 30 }, (_, i) => `const value${i} = ${i};`).join('\n');
+    const chunks = splitMessage(`\`\`\`js\n${code}\n\`\`\``, 200);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.startsWith('```js\n')).toBe(true);
+      expect(chunk.endsWith('```')).toBe(true);
+      expect(chunk.length).toBeLessThanOrEqual(200);
+    }
+  });
+
+  test('carries bold spans over to the next chunk', () => {
+    const chunks = splitMessage(`**${'word '.repeat(60).trim()}**`, 100);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.startsWith('**')).toBe(true);
+      expect(chunk.endsWith('**')).toBe(true);
+    }
+  });
+
+  test('treats list bullets and snake_case as text, not spans', () => {
+    const { carry } = takeChunk(`* item with some_name_here\n${'x '.repeat(100)}`, 60);
+    expect(carry).toBe('');
+  });
+});
+
+describe('needsAttachment', () => {
+  test('sends replies longer than the maximum number of messages as attachments', () => {
+    expect(needsAttachment('short')).toBe(false);
+    expect(needsAttachment('word '.repeat(5000))).toBe(true);
+  });
+});
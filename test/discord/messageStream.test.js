@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import { MessageStream } from '../../src/discord/messageStream.js';
+
+/**
+ * Wait for some time
+ * @param {number} ms - Time to wait in ms
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a Discord message recording the messages sent in answer and their edits
+ * @returns {Object} Message whose `sent` lists the answers, each with its `content` and `edits`
+ */
+function createMessage() {
+  const sent = [];
+  const send = (via) => jest.fn(async (payload) => {
+    const answer = {
+      via,
+      content: payload,
+      edits: [],
+      deleted: false,
+      edit: jest.fn(async (content) => {
+        answer.edits.push(content);
+        answer.content = content;
+        return answer;
+      }),
+      delete: jest.fn(async () => {
+        answer.deleted = true;
+      })
+    };
+    sent.push(answer);
+    return answer;
+  });
+  return {
+    sent,
+    reply: send('reply'),
+    channel: { sendTyping: jest.fn(async () => {}), send: send('channel') }
+  };
+}
+
+describe('MessageStream', () => {
+  test('shows typing until the first text, then edits the reply at most once per interval', async () => {
+    const message = createMessage();
+    const stream = new MessageStream(message, { editInterval: 200 });
+    stream.startTyping();
+
+    stream.update('  Hello');
+    await sleep(20);
+    expect(message.channel.sendTyping).toHaveBeenCalledTimes(1);
+    expect(message.sent).toMatchObject([{ via: 'reply', content: 'Hello' }]);
+
+    stream.update('Hello there');
+    stream.update('Hello there, friend');
+    await sleep(20);
+    expect(message.sent[0].edits).toEqual([]);
+
+    await sleep(250);
+    expect(message.sent[0].edits).toEqual(['Hello there, friend']);
+    expect(stream.typingTimer).toBeNull();
+
+    expect(await stream.finish('Hello there, friend!')).toEqual([message.sent[0]]);
+    expect(message.sent[0].edits).toEqual(['Hello there, friend', 'Hello there, friend!']);
+  });
+
+  test('rolls text beyond the limit over into new messages, keeping code blocks open', async () => {
+    const message = createMessage();
+    const stream = new MessageStream(message, { editInterval: 0, maxLength: 100 });
+    const code = Array.from({ length: 12 }, (_, i) => `x${i} = ${i}`).join('\n');
+    const text = `Here you go:\n\`\`\`py\n${code}\n\`\`\``;
+
+    stream.update(text.slice(0, 60));
+    await sleep(10);
+    const sent = await stream.finish(text);
+
+    expect(sent.length).toBeGreaterThan(1);
+    expect(sent.map(answer => answer.via)).toEqual(['reply', ...sent.slice(1).map(() => 'channel')]);
+    for (const answer of sent) {
+      expect(answer.content.length).toBeLessThanOrEqual(100);
+      expect(answer.content.match(/```/g)).toHaveLength(2);
+    }
+    expect(sent.at(-1).content).toMatch(/^```py\n/);
+    expect(sent.map(answer => answer.content).join('\n')).toContain('x11 = 11');
+  });
+
+  test('replaces what it streamed with an attachment when the reply is too long', async () => {
+    const message = createMessage();
+    const stream = new MessageStream(message, { editInterval: 0 });
+    const text = 'word '.repeat(5000);
+
+    stream.update(text.slice(0, 5000));
+    await sleep(10);
+    const [first, second] = message.sent;
+    const sent = await stream.finish(text);
+
+    expect(sent).toEqual([first]);
+    expect(first.content.files).toHaveLength(1);
+    expect(second.deleted).toBe(true);
+  });
+
+  test('carries on in a new message when the one it edits is gone', async () => {
+    const message = createMessage();
+    const stream = new MessageStream(message, { editInterval: 0 });
+
+    stream.update('Once upon');
+    await sleep(10);
+    message.sent[0].edit.mockRejectedValueOnce(new Error('Unknown Message'));
+    const sent = await stream.finish('Once upon a time');
+
+    expect(sent).toEqual([message.sent[1]]);
+    expect(message.sent[1]).toMatchObject({ via: 'reply', content: 'Once upon a time' });
+  });
+});
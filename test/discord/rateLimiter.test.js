@@ -0,0 +1,85 @@
+import { jest } from '@jest/globals';
+import { RateLimiter, TokenBucket, parseLimit } from '../../src/discord/rateLimiter.js';
+
+describe('parseLimit', () => {
+  test('parses "<requests>/<seconds>"', () => {
+    expect(parseLimit('5/60')).toEqual({ capacity: 5, windowMs: 60000 });
+    expect(parseLimit(' 3 / 1.5 ')).toEqual({ capacity: 3, windowMs: 1500 });
+  });
+
+  test('reads empty and "0" as no limit', () => {
+    expect(parseLimit('')).toBeNull();
+    expect(parseLimit('0')).toBeNull();
+  });
+
+  test('rejects malformed limits', () => {
+    expect(() => parseLimit('5 per minute')).toThrow('Invalid rate limit');
+    expect(() => parseLimit('0/60')).toThrow('Invalid rate limit');
+  });
+});
+
+describe('TokenBucket', () => {
+  test('refills evenly over its window', () => {
+    const bucket = new TokenBucket(2, 1000);
+    const start = bucket.updatedAt;
+
+    bucket.take();
+    bucket.take();
+    expect(bucket.getWait(start)).toBe(500);
+    expect(bucket.getWait(start + 500)).toBe(0);
+    expect(bucket.isFull(start + 1000)).toBe(true);
+  });
+});
+
+describe('RateLimiter', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('limits each user separately and says which scope is limited', () => {
+    jest.useFakeTimers({ now: 0 });
+    const limiter = new RateLimiter({ limits: { ai: { user: '2/10' } }, minInterval: 0, maxConcurrent: 1 });
+
+    expect(limiter.consume({ type: 'ai', userId: 'a' }).allowed).toBe(true);
+    expect(limiter.consume({ type: 'ai', userId: 'a' }).allowed).toBe(true);
+    expect(limiter.consume({ type: 'ai', userId: 'a' })).toEqual({ allowed: false, scope: 'user', retryAfter: 5000 });
+    expect(limiter.consume({ type: 'ai', userId: 'b' }).allowed).toBe(true);
+
+    jest.setSystemTime(5000);
+    expect(limiter.consume({ type: 'ai', userId: 'a' }).allowed).toBe(true);
+  });
+
+  test('only counts a request if every scope has room', () => {
+    jest.useFakeTimers({ now: 0 });
+    const limiter = new RateLimiter({ limits: { ai: { user: '5/10', channel: '1/10' } }, minInterval: 0, maxConcurrent: 1 });
+
+    expect(limiter.consume({ type: 'ai', userId: 'a', channelId: 'c' }).allowed).toBe(true);
+    expect(limiter.consume({ type: 'ai', userId: 'a', channelId: 'c' }).scope).toBe('channel');
+
+    // The refused request took no token from the user's bucket
+    expect(limiter.buckets.get('ai:user:a').tokens).toBe(4);
+  });
+
+  test('enforces the minimum interval between requests of a user', () => {
+    jest.useFakeTimers({ now: 0 });
+    const limiter = new RateLimiter({ limits: {}, minInterval: 1000, maxConcurrent: 1 });
+
+    expect(limiter.consume({ type: 'command', userId: 'a' }).allowed).toBe(true);
+    jest.setSystemTime(400);
+    expect(limiter.consume({ type: 'command', userId: 'a' })).toEqual({ allowed: false, scope: 'user', retryAfter: 600 });
+  });
+
+  test('runs at most the maximum number of tasks at the same time', async () => {
+    const limiter = new RateLimiter({ limits: {}, minInterval: 0, maxConcurrent: 2 });
+    let running = 0;
+    let peak = 0;
+    const task = async () => {
+      peak = Math.max(peak, ++running);
+      await new Promise(resolve => setImmediate(resolve));
+      running--;
+    };
+
+    await Promise.all(Array.from({ length: 5 }, () => limiter.runLimited(task)));
+    expect(peak).toBe(2);
+  });
+});
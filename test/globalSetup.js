@@ -0,0 +1,10 @@
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Create the directory holding the data directories of all test files
+ */
+export default function globalSetup() {
+  process.env.CALI_TEST_DIR = mkdtempSync(join(tmpdir(), 'cali-test-'));
+}
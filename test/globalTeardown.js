@@ -0,0 +1,8 @@
+import { rmSync } from 'fs';
+
+/**
+ * Remove the data directories of the test run
+ */
+export default function globalTeardown() {
+  rmSync(process.env.CALI_TEST_DIR, { recursive: true, force: true });
+}
@@ -0,0 +1,39 @@
+import memoryManager from '../src/memory/memoryManager.js';
+import llmClient from '../src/llm/llmClient.js';
+
+/**
+ * Forget the replies queued on the mock model and the requests it received
+ */
+function resetMockModel() {
+  llmClient.provider.responses = [];
+  llmClient.provider.requests = [];
+}
+
+/**
+ * Store memories in a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {...(string|Object)} memories - Contents, or memory parameters
+ * @returns {Promise<Memory[]>} Stored memories
+ */
+async function remember(conversationId, ...memories) {
+  const stored = [];
+  for (const memory of memories) {
+    stored.push(await memoryManager.addMemory({ conversationId, ...(typeof memory === 'string' ? { content: memory } : memory) }));
+  }
+  return stored;
+}
+
+/**
+ * Get the contents of a conversation's memories
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<string[]>} Contents, sorted
+ */
+async function memoryContents(conversationId) {
+  return (await memoryManager.listAllMemories(conversationId, 50, 0)).map(memory => memory.content).sort();
+}
+
+export {
+  resetMockModel,
+  remember,
+  memoryContents
+};
@@ -0,0 +1,132 @@
+import itemManager from '../../src/items/itemManager.js';
+import placeManager from '../../src/places/placeManager.js';
+import scenarioManager from '../../src/scenario/scenarioManager.js';
+import contextManager from '../../src/context/contextManager.js';
+
+const actor = { actorType: 'user', actorId: 'user-1' };
+
+beforeAll(async () => {
+  await itemManager.initialize();
+});
+
+afterAll(async () => {
+  await itemManager.close();
+  await placeManager.close();
+  await scenarioManager.close();
+  await contextManager.cleanup();
+});
+
+describe('items', () => {
+  test('are made from a blueprint and keep their transfer history', async () => {
+    const blueprint = await itemManager.createBlueprint({
+      scenarioId: 'market',
+      name: 'Lantern',
+      properties: { lit: false },
+      maxDurability: 10
+    });
+    const lantern = await itemManager.createItem({ blueprintId: blueprint.id, holderType: 'user', holderId: 'user-1' });
+
+    expect(lantern.name).toBe('Lantern');
+    expect(lantern.durability).toBe(10);
+    expect(itemManager.getProperties(lantern)).toEqual({ lit: false });
+    await expect(itemManager.createBlueprint({ scenarioId: 'market', name: 'lantern' })).rejects.toThrow('already exists');
+
+    await itemManager.transferItem(lantern.id, { type: 'user', id: 'user-2' }, 'sold');
+    expect(itemManager.getInventory('market', 'user', 'user-2').map(item => item.id)).toEqual([lantern.id]);
+    expect(itemManager.getInventory('market', 'user', 'user-1')).toEqual([]);
+
+    const transfers = await itemManager.getTransfers(lantern.id);
+    expect(transfers.map(transfer => transfer.reason)).toEqual(['sold', 'created']);
+    expect(transfers[0].from).toEqual({ type: 'user', id: 'user-1' });
+  });
+});
+
+describe('useItem', () => {
+  test('runs the effects of a use', async () => {
+    await itemManager.createBlueprint({ scenarioId: 'forge', name: 'Nail' });
+    const blueprint = await itemManager.createBlueprint({
+      scenarioId: 'forge',
+      name: 'Anvil',
+      maxDurability: 5,
+      uses: {
+        hammer: {
+          durabilityCost: 2,
+          effects: [
+            { type: 'property', key: 'warm', value: true },
+            { type: 'spawn', blueprint: 'Nail', count: 2 }
+          ]
+        }
+      }
+    });
+    const anvil = await itemManager.createItem({ blueprintId: blueprint.id, holderType: 'user', holderId: 'user-1' });
+
+    const result = await itemManager.useItem(anvil.id, actor);
+
+    expect(result.spawned.map(item => item.name)).toEqual(['Nail', 'Nail']);
+    expect(anvil.durability).toBe(3);
+    expect(itemManager.getProperties(anvil).warm).toBe(true);
+    expect(itemManager.getInventory('forge', 'user', 'user-1')).toHaveLength(3);
+  });
+
+  test('destroys an item its use consumes', async () => {
+    const blueprint = await itemManager.createBlueprint({
+      scenarioId: 'kitchen',
+      name: 'Apple',
+      uses: { eat: { consumes: true } }
+    });
+    const apple = await itemManager.createItem({ blueprintId: blueprint.id, holderType: 'user', holderId: 'user-1' });
+
+    const result = await itemManager.useItem(apple.id, actor);
+
+    expect(result.consumed).toBe(true);
+    expect(itemManager.getItem(apple.id)).toBeNull();
+    expect((await itemManager.getTransfers(apple.id))[0].reason).toBe('consumed (eat)');
+  });
+
+  test('changes nothing when one of its effects cannot be applied', async () => {
+    await itemManager.createBlueprint({ scenarioId: 'lab', name: 'Potion' });
+    const blueprint = await itemManager.createBlueprint({
+      scenarioId: 'lab',
+      name: 'Cauldron',
+      maxDurability: 5,
+      uses: {
+        brew: {
+          durabilityCost: 1,
+          effects: [
+            { type: 'property', key: 'bubbling', value: true },
+            { type: 'spawn', blueprint: 'Potion' },
+            { type: 'spawn', blueprint: 'Elixir' }
+          ]
+        }
+      }
+    });
+    const cauldron = await itemManager.createItem({ blueprintId: blueprint.id, holderType: 'user', holderId: 'user-1' });
+
+    await expect(itemManager.useItem(cauldron.id, actor)).rejects.toThrow('Blueprint Elixir not found');
+
+    expect(itemManager.getInventory('lab', 'user', 'user-1').map(item => item.name)).toEqual(['Cauldron']);
+    expect(cauldron.durability).toBe(5);
+    expect(itemManager.getProperties(cauldron).bubbling).toBeUndefined();
+  });
+
+  test('changes nothing when the world it would change has not started', async () => {
+    await itemManager.createBlueprint({ scenarioId: 'harbor', name: 'Rope' });
+    const blueprint = await itemManager.createBlueprint({
+      scenarioId: 'harbor',
+      name: 'Bell',
+      uses: {
+        ring: {
+          effects: [
+            { type: 'spawn', blueprint: 'Rope' },
+            { type: 'world', changes: [{ op: 'set', key: 'harbor.alarm', value: true }] }
+          ]
+        }
+      }
+    });
+    const bell = await itemManager.createItem({ blueprintId: blueprint.id, holderType: 'user', holderId: 'user-1' });
+
+    await expect(itemManager.useItem(bell.id, actor)).rejects.toThrow('has not been started');
+
+    expect(itemManager.getInventory('harbor', 'user', 'user-1').map(item => item.name)).toEqual(['Bell']);
+  });
+});
@@ -0,0 +1,174 @@
+import { jest } from '@jest/globals';
+import { LLMClient, CircuitBreaker, CircuitOpenError } from '../../src/llm/llmClient.js';
+import { MockProvider, ProviderError } from '../../src/llm/providers.js';
+
+/**
+ * Create a client answering from a fresh mock provider, retrying without delay
+ * @param {Object} [options] - Client settings to override
+ * @returns {LLMClient} Client
+ */
+function createClient(options = {}) {
+  const client = new LLMClient();
+  client.provider = new MockProvider();
+  client.retryBaseDelay = 0;
+  client.fallbackModels = [];
+  Object.assign(client, options);
+  return client;
+}
+
+const request = { model: 'main-model', messages: [{ role: 'user', content: 'Hi' }] };
+
+describe('CircuitBreaker', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('opens after the threshold of failures in a row', () => {
+    const breaker = new CircuitBreaker(2, 1000);
+
+    expect(breaker.recordFailure()).toBe(false);
+    expect(breaker.state).toBe('closed');
+    expect(breaker.recordFailure()).toBe(true);
+    expect(breaker.state).toBe('open');
+  });
+
+  test('lets one trial request through once the cooldown is over', () => {
+    jest.useFakeTimers({ now: 0 });
+    const breaker = new CircuitBreaker(1, 1000);
+    breaker.recordFailure();
+    expect(breaker.getWait()).toBe(1000);
+
+    jest.setSystemTime(1000);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.getWait()).toBe(0);
+    breaker.acquire();
+    expect(breaker.getWait()).toBe(1000);
+
+    expect(breaker.recordSuccess()).toBe(true);
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('opens again when the trial request fails', () => {
+    jest.useFakeTimers({ now: 0 });
+    const breaker = new CircuitBreaker(3, 1000);
+    breaker.failures = 2;
+    breaker.recordFailure();
+
+    jest.setSystemTime(1000);
+    breaker.acquire();
+    expect(breaker.recordFailure()).toBe(true);
+    expect(breaker.state).toBe('open');
+  });
+});
+
+describe('LLMClient', () => {
+  test('retries failures worth retrying', async () => {
+    const client = createClient({ maxRetries: 2 });
+    client.provider.enqueue(new ProviderError(503, 'Unavailable'), new ProviderError(429, 'Slow down'), 'Hello!');
+    const retries = [];
+    client.on('retry', event => retries.push(event.attempt));
+
+    const response = await client.createChatCompletion(request);
+
+    expect(response.choices[0].message.content).toBe('Hello!');
+    expect(retries).toEqual([1, 2]);
+  });
+
+  test('gives up after the maximum number of retries', async () => {
+    const client = createClient({ maxRetries: 1 });
+    client.provider.enqueue(new ProviderError(500, 'Broken'), new ProviderError(500, 'Still broken'));
+
+    await expect(client.createChatCompletion(request)).rejects.toThrow('Still broken');
+    expect(client.provider.requests).toHaveLength(2);
+  });
+
+  test("doesn't retry requests the provider rejects", async () => {
+    const client = createClient({ maxRetries: 3 });
+    client.provider.enqueue(new ProviderError(400, 'Bad request'));
+
+    await expect(client.createChatCompletion(request)).rejects.toThrow('Bad request');
+    expect(client.provider.requests).toHaveLength(1);
+    expect(client._getBreaker('main-model').failures).toBe(0);
+  });
+
+  test('lets other requests run while a request waits to be retried', async () => {
+    const client = createClient({ maxConcurrent: 1, retryBaseDelay: 40 });
+    client.provider.enqueue(new ProviderError(503, 'Unavailable'));
+    const order = [];
+    const requests = ['first', 'second'].map(content =>
+      client.createChatCompletion({ ...request, messages: [{ role: 'user', content }] })
+        .then(response => order.push(response.choices[0].message.content)));
+
+    await Promise.all(requests);
+    expect(order).toEqual(['Mock reply to: second', 'Mock reply to: first']);
+  });
+
+  test('checks the circuit again before a retry', async () => {
+    const client = createClient({ maxRetries: 2, retryBaseDelay: 20, fallbackModels: ['backup-model'] });
+    const breaker = client._getBreaker('main-model');
+    breaker.threshold = 2;
+    client.provider.enqueue(new ProviderError(503, 'Unavailable'), 'From the backup');
+    // Another request's failure opens the circuit during the backoff
+    client.on('retry', () => breaker.recordFailure());
+
+    const response = await client.createChatCompletion(request);
+
+    expect(response.choices[0].message.content).toBe('From the backup');
+    expect(client.provider.requests.map(sent => sent.model)).toEqual(['main-model', 'backup-model']);
+  });
+
+  test('waits as long as retry-after asks', () => {
+    const client = createClient();
+    expect(client._getRetryDelay(new ProviderError(429, 'Slow down', { 'retry-after': '2' }), 0)).toBe(2000);
+    expect(client._getRetryDelay(new ProviderError(429, 'Slow down', { 'retry-after-ms': '150' }), 0)).toBe(150);
+    expect(client._getRetryDelay(new ProviderError(429, 'Slow down', { 'retry-after': '3600' }), 0)).toBeNull();
+  });
+
+  test('backs off exponentially with jitter', () => {
+    const client = createClient({ retryBaseDelay: 100, retryMaxDelay: 1000 });
+    for (const [attempt, backoff] of [[0, 100], [2, 400], [6, 1000]]) {
+      const delay = client._getRetryDelay(new Error('Network error'), attempt);
+      expect(delay).toBeGreaterThanOrEqual(backoff / 2);
+      expect(delay).toBeLessThanOrEqual(backoff);
+    }
+  });
+
+  test('falls back to the next model when a circuit opens', async () => {
+    const client = createClient({ maxRetries: 0, fallbackModels: ['backup-model'] });
+    client._getBreaker('main-model').threshold = 1;
+    client.provider.enqueue(new ProviderError(503, 'Unavailable'), 'From the backup');
+    const fallbacks = [];
+    client.on('modelFallback', event => fallbacks.push(event));
+
+    const response = await client.createChatCompletion(request);
+
+    expect(response.choices[0].message.content).toBe('From the backup');
+    expect(fallbacks).toEqual([{ requested: 'main-model', used: 'backup-model' }]);
+
+    // The open circuit skips the main model without asking it
+    client.provider.enqueue('Backup again');
+    await client.createChatCompletion(request);
+    expect(client.provider.requests.map(sent => sent.model)).toEqual(['main-model', 'backup-model', 'backup-model']);
+  });
+
+  test('fails with the open circuit when no model is left', async () => {
+    const client = createClient();
+    client._getBreaker('main-model').threshold = 1;
+    client._getBreaker('main-model').recordFailure();
+
+    await expect(client.createChatCompletion(request)).rejects.toBeInstanceOf(CircuitOpenError);
+  });
+
+  test('starts queued requests by priority', async () => {
+    const client = createClient({ maxConcurrent: 1 });
+    const blocker = client.createChatCompletion(request);
+    const order = [];
+    const queued = [
+      client.createChatCompletion({ ...request, messages: [{ role: 'user', content: 'background' }] }, { priority: 'background' }),
+      client.createChatCompletion({ ...request, messages: [{ role: 'user', content: 'reply' }] }, { priority: 'reply' })
+    ].map(promise => promise.then(response => order.push(response.choices[0].message.content)));
+
+    await Promise.all([blocker, ...queued]);
+    expect(order).toEqual(['Mock reply to: reply', 'Mock reply to: background']);
+  });
+});
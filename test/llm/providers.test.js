@@ -0,0 +1,28 @@
+import { OpenAICompatibleProvider } from '../../src/llm/providers.js';
+
+/**
+ * Read the chunks of a streamed completion
+ * @param {string[]} parts - Pieces of the response body, as they arrive
+ * @returns {Promise<Object[]>} Chunks
+ */
+async function readChunks(parts) {
+  const provider = new OpenAICompatibleProvider({ apiUrl: 'http://localhost:11434/v1' });
+  const body = parts.map(part => Buffer.from(part));
+  const chunks = [];
+  for await (const chunk of provider._readEvents(body)) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+describe('OpenAICompatibleProvider', () => {
+  test('reads server-sent events split across reads', async () => {
+    const chunks = await readChunks(['data: {"id":1}\n\ndata: {"i', 'd":2}\n\ndata: [DONE]\n\n']);
+    expect(chunks).toEqual([{ id: 1 }, { id: 2 }]);
+  });
+
+  test('reads server-sent events ending lines with \\r\\n', async () => {
+    const chunks = await readChunks(['data: {"id":1}\r\n\r\ndata: {"id":2}\r', '\n\r\ndata: [DONE]\r\n\r\n']);
+    expect(chunks).toEqual([{ id: 1 }, { id: 2 }]);
+  });
+});
@@ -0,0 +1,128 @@
+import entityIndex from '../../src/memory/entityIndex.js';
+import memoryManager from '../../src/memory/memoryManager.js';
+import placeManager from '../../src/places/placeManager.js';
+import scenarioManager from '../../src/scenario/scenarioManager.js';
+import contextManager from '../../src/context/contextManager.js';
+import llmClient from '../../src/llm/llmClient.js';
+import { resetMockModel, remember } from '../helpers.js';
+
+/**
+ * Wait for a condition the entity index brings about in the background
+ * @param {Function} condition - Async function returning whether the condition holds
+ */
+async function waitFor(condition) {
+  for (let tries = 0; tries < 100 && !(await condition()); tries++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Name the entities a memory is linked to
+ * @param {Memory} memory - Memory
+ * @returns {Promise<string[]>} Entity names, sorted
+ */
+async function entityNames(memory) {
+  return (await entityIndex.getMemoryEntities(memory.id)).map(entity => entity.name);
+}
+
+beforeAll(async () => {
+  await entityIndex.initialize();
+});
+
+afterAll(async () => {
+  await entityIndex.close();
+  await memoryManager.close();
+  await placeManager.close();
+  await scenarioManager.close();
+  await contextManager.cleanup();
+});
+
+beforeEach(resetMockModel);
+
+describe('aliases', () => {
+  test('find an entity by its name or any alias, as whole words in any case', async () => {
+    const conversationId = 'aliases';
+    const tessa = await entityIndex.createEntity({ conversationId, type: 'person', name: 'Tessa', aliases: ['the Smith', 'Tess', 'tessa'] });
+
+    expect(tessa.aliases).toEqual(['the Smith', 'Tess']);
+    for (const text of ['Tessa waved', 'I met THE  SMITH today', 'Tess?']) {
+      expect(entityIndex.findMentionedEntities(conversationId, text)).toEqual([tessa]);
+    }
+    expect(entityIndex.findMentionedEntities(conversationId, 'Tessellated tiles')).toEqual([]);
+    expect(entityIndex.findMentionedEntities('elsewhere', 'Tessa waved')).toEqual([]);
+  });
+
+  test('must not be taken by another entity of the conversation', async () => {
+    await entityIndex.createEntity({ conversationId: 'taken', type: 'person', name: 'Bram', aliases: ['Captain'] });
+
+    await expect(entityIndex.createEntity({ conversationId: 'taken', type: 'person', name: 'Ilse', aliases: ['captain'] })).rejects.toThrow();
+    await expect(entityIndex.createEntity({ conversationId: 'other', type: 'person', name: 'Ilse', aliases: ['captain'] })).resolves.toBeTruthy();
+  });
+});
+
+describe('linking', () => {
+  test('links stored memories to the entities they mention', async () => {
+    await entityIndex.createEntity({ conversationId: 'linking', type: 'person', name: 'Mira', aliases: ['the baker'] });
+
+    const [memory] = await remember('linking', 'The baker burned the bread again');
+
+    await waitFor(async () => (await entityNames(memory)).length > 0);
+    expect(await entityNames(memory)).toEqual(['Mira']);
+  });
+
+  test('links a new entity to the memories already mentioning it', async () => {
+    const [mentioning, other] = await remember('late', 'Oskar fixed the mill wheel', 'The river froze over');
+
+    await entityIndex.createEntity({ conversationId: 'late', type: 'person', name: 'Oskar' });
+
+    expect(await entityNames(mentioning)).toEqual(['Oskar']);
+    expect(await entityNames(other)).toEqual([]);
+  });
+
+  test("turns places of the conversation's scenario a memory mentions into entities", async () => {
+    const scenarioId = await scenarioManager.getConversationScenarioId('world');
+    await placeManager.createPlace({ scenarioId, name: 'Greywater Docks', description: 'A foggy harbour' });
+
+    const [memory] = await remember('world', 'The user lost a boot at Greywater Docks');
+
+    await waitFor(async () => (await entityNames(memory)).length > 0);
+    const entity = entityIndex.getEntityByName('Greywater Docks', 'world');
+    expect(entity).toMatchObject({ type: 'place', sourceType: 'place', description: 'A foggy harbour' });
+    expect(await entityNames(memory)).toEqual(['Greywater Docks']);
+  });
+});
+
+describe('profiles', () => {
+  test('are rewritten once the memories they were written from change', async () => {
+    const entity = await entityIndex.createEntity({ conversationId: 'profiles', type: 'person', name: 'Lena' });
+    const [first] = await remember('profiles', 'Lena is a cartographer');
+    await entityIndex.linkMemory(first);
+
+    const unwritten = await entityIndex.getEntityProfile(entity.id, { refresh: false });
+    expect(unwritten).toMatchObject({ profile: null, stale: true });
+
+    llmClient.provider.enqueue('Lena draws maps for a living.');
+    const written = await entityIndex.getEntityProfile(entity.id);
+    expect(written).toMatchObject({ profile: 'Lena draws maps for a living.', stale: false });
+    expect(llmClient.provider.requests.at(-1).messages[1].content).toContain('- Lena is a cartographer');
+
+    expect(await entityIndex.getEntityProfile(entity.id, { refresh: false })).toMatchObject({ stale: false });
+
+    const [second] = await remember('profiles', 'Lena moved to the coast');
+    await entityIndex.linkMemory(second);
+    expect(await entityIndex.getEntityProfile(entity.id, { refresh: false })).toMatchObject({ profile: 'Lena draws maps for a living.', stale: true });
+  });
+
+  test('stand in with memories in prompts until written, and get written in the background', async () => {
+    const entity = await entityIndex.createEntity({ conversationId: 'prompt', type: 'person', name: 'Pim', description: 'A street musician' });
+    const [memory] = await remember('prompt', 'Pim plays the fiddle by the fountain');
+    await entityIndex.linkMemory(memory);
+
+    llmClient.provider.enqueue('Pim is a fiddler.');
+    const items = await entityIndex.getPromptContext('prompt', 'Have you seen Pim?');
+
+    expect(items).toEqual([{ id: entity.id, content: 'Pim (person): A street musician Pim plays the fiddle by the fountain' }]);
+    await waitFor(async () => !(await entityIndex.getEntityProfile(entity.id, { refresh: false })).stale);
+    expect(await entityIndex.getPromptContext('prompt', 'Have you seen Pim?')).toEqual([{ id: entity.id, content: 'Pim (person): Pim is a fiddler.' }]);
+  });
+});
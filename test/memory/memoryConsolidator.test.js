@@ -0,0 +1,45 @@
+import memoryConsolidator from '../../src/memory/memoryConsolidator.js';
+import memoryManager from '../../src/memory/memoryManager.js';
+import contextManager from '../../src/context/contextManager.js';
+import llmClient from '../../src/llm/llmClient.js';
+import { resetMockModel, remember, memoryContents } from '../helpers.js';
+
+beforeAll(async () => {
+  await memoryManager.initialize();
+  await memoryConsolidator.initialize();
+});
+
+afterAll(async () => {
+  memoryConsolidator.cleanup();
+  await memoryManager.close();
+  await contextManager.cleanup();
+});
+
+beforeEach(resetMockModel);
+
+describe('consolidate', () => {
+  test('merges reworded memories with the default threshold', async () => {
+    await remember('reworded', 'Alice likes tea', 'Alice enjoys tea', 'Bob is afraid of spiders');
+    llmClient.provider.enqueue(JSON.stringify({ merge: true, content: 'Alice likes tea', importance: 0.6 }));
+
+    const results = await memoryConsolidator.consolidate({ conversationId: 'reworded' });
+
+    expect(results.map(result => result.memories.map(memory => memory.content).sort())).toEqual([['Alice enjoys tea', 'Alice likes tea']]);
+    expect(await memoryContents('reworded')).toEqual(['Alice likes tea', 'Bob is afraid of spiders']);
+  });
+
+  test('merges the remaining groups when one fails', async () => {
+    await remember('failing',
+      { content: 'The user has a dog named Rex', importance: 0.9 },
+      { content: 'The user owns a dog called Rex', importance: 0.9 },
+      { content: 'Alice likes tea', importance: 0.3 },
+      { content: 'Alice enjoys tea', importance: 0.3 });
+    llmClient.provider.enqueue('Merged: {merge: true}', JSON.stringify({ merge: true, content: 'Alice likes tea' }));
+
+    const results = await memoryConsolidator.consolidate({ conversationId: 'failing' });
+
+    expect(results.map(result => result.merged?.content ?? null)).toEqual([null, 'Alice likes tea']);
+    expect(await memoryContents('failing')).toEqual(['Alice likes tea', 'The user has a dog named Rex', 'The user owns a dog called Rex']);
+    expect(memoryConsolidator.isConsolidating).toBe(false);
+  });
+});
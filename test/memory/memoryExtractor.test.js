@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import memoryExtractor from '../../src/memory/memoryExtractor.js';
+import memoryManager from '../../src/memory/memoryManager.js';
+import entityIndex from '../../src/memory/entityIndex.js';
+import contextManager from '../../src/context/contextManager.js';
+import llmClient from '../../src/llm/llmClient.js';
+import { resetMockModel, memoryContents } from '../helpers.js';
+
+/**
+ * Queue the summary model's answer to an extraction
+ * @param {...Object} facts - Extracted facts
+ */
+function enqueueFacts(...facts) {
+  llmClient.provider.enqueue(JSON.stringify({
+    facts: facts.map(fact => ({ category: 'person', importance: 0.5, tags: [], subjects: [], ...fact }))
+  }));
+}
+
+beforeAll(async () => {
+  await memoryManager.initialize();
+  await entityIndex.initialize();
+});
+
+afterAll(async () => {
+  await entityIndex.close();
+  await memoryManager.close();
+  await contextManager.cleanup();
+});
+
+beforeEach(resetMockModel);
+
+describe('extract', () => {
+  test('stores the facts the summary model finds', async () => {
+    enqueueFacts({ content: 'Tessa is a blacksmith', keywords: ['blacksmith'], subjects: [{ name: 'Tessa', type: 'person' }] });
+
+    const created = await memoryExtractor.extract({ conversationId: 'facts', source: 'exchange', text: 'User: Tessa works the forge.' });
+
+    expect(created.map(memory => memory.content)).toEqual(['Tessa is a blacksmith']);
+    expect(created[0].tags).toEqual(['extracted', 'person']);
+    expect((await entityIndex.getMemoryEntities(created[0].id)).map(entity => entity.name)).toEqual(['Tessa']);
+  });
+
+  test('recognises a reworded fact as already remembered and reinforces it instead', async () => {
+    enqueueFacts({ content: 'Alice likes tea', category: 'preference', keywords: ['tea'] });
+    const [memory] = await memoryExtractor.extract({ conversationId: 'reworded', source: 'exchange', text: 'User: I like tea.' });
+
+    enqueueFacts({ content: 'Alice enjoys tea', category: 'preference', keywords: ['tea'] });
+    const created = await memoryExtractor.extract({ conversationId: 'reworded', source: 'exchange', text: 'User: Tea is my favourite.' });
+
+    expect(created).toEqual([]);
+    expect(await memoryContents('reworded')).toEqual(['Alice likes tea']);
+    expect((await memoryManager.getMemory(memory.id)).accessCount).toBe(1);
+  });
+
+  test('keeps a different fact about the same subject apart and links it', async () => {
+    enqueueFacts({ content: 'Alice lives in Paris', keywords: ['Paris'] });
+    const [paris] = await memoryExtractor.extract({ conversationId: 'moved', source: 'exchange', text: 'User: I live in Paris.' });
+
+    enqueueFacts({ content: 'Alice lives in Berlin', keywords: ['Berlin'] });
+    llmClient.provider.enqueue(JSON.stringify({ links: [{ memory: 1, type: 'contradicts' }] }));
+    const [berlin] = await memoryExtractor.extract({ conversationId: 'moved', source: 'exchange', text: 'User: I moved to Berlin.' });
+
+    expect(await memoryContents('moved')).toEqual(['Alice lives in Berlin', 'Alice lives in Paris']);
+    const stored = await memoryManager.getMemory(berlin.id);
+    expect(stored.relationships).toContainEqual({ id: paris.id, type: 'contradicts' });
+    expect(stored.tags).toContain('contradiction');
+  });
+
+  test('stores a fact contradicting a memory it closely resembles, linked as a contradiction', async () => {
+    enqueueFacts({ content: 'Alice likes tea', category: 'preference', keywords: ['tea'] });
+    const [likes] = await memoryExtractor.extract({ conversationId: 'changed', source: 'exchange', text: 'User: I like tea.' });
+
+    enqueueFacts({ content: 'Alice hates tea', category: 'preference', keywords: ['tea'] });
+    llmClient.provider.enqueue(JSON.stringify({ links: [{ memory: 1, type: 'contradicts' }] }));
+    const [hates] = await memoryExtractor.extract({ conversationId: 'changed', source: 'exchange', text: 'User: I hate tea now.' });
+
+    expect(hates?.content).toBe('Alice hates tea');
+    expect((await memoryManager.getMemory(hates.id)).tags).toContain('contradiction');
+    const contradictions = await memoryManager.getContradictions('changed');
+    expect(contradictions.map(pair => [pair.memory.id, pair.contradicted.id])).toEqual([[hates.id, likes.id]]);
+  });
+
+  test('links facts only to memories about the same thing', async () => {
+    enqueueFacts({ content: 'The user works as a nurse', keywords: ['nurse'] });
+    const [nurse] = await memoryExtractor.extract({ conversationId: 'unrelated', source: 'exchange', text: 'User: I am a nurse.' });
+
+    enqueueFacts(
+      { content: 'Tessa is a blacksmith', keywords: ['blacksmith'] },
+      { content: 'The user is a nurse at the city hospital', keywords: ['nurse', 'hospital'] }
+    );
+    const [tessa, hospital] = await memoryExtractor.extract({ conversationId: 'unrelated', source: 'exchange', text: 'User: Tessa fixed my bike on the way to the hospital.' });
+
+    expect((await memoryManager.getMemory(tessa.id)).relatedTo).toEqual([]);
+    expect((await memoryManager.getMemory(hospital.id)).relatedTo).toEqual([nurse.id]);
+  });
+});
+
+describe('forgetMessage', () => {
+  test('forgets the memories of an edited message and extracts its exchange again as it now reads', async () => {
+    const conversationId = 'edited';
+    const question = await contextManager.addContextMessage({ conversationId, content: 'I live in Paris.', role: 'user', userId: 'u1' });
+    const answer = await contextManager.addContextMessage({ conversationId, content: 'Lovely city!', role: 'assistant' });
+    const unrelated = await contextManager.addContextMessage({ conversationId, content: 'I have a cat.', role: 'user', userId: 'u1' });
+
+    enqueueFacts({ content: 'The user lives in Paris', keywords: ['Paris'] });
+    await memoryExtractor.extract({ conversationId, source: 'exchange', text: 'User: I live in Paris.', messages: [question, answer] });
+    enqueueFacts({ content: 'The user has a cat', keywords: ['cat'] });
+    await memoryExtractor.extract({ conversationId, source: 'exchange', text: 'User: I have a cat.', messages: [unrelated] });
+
+    await contextManager.editContextMessage(conversationId, question.id, 'I live in Rome.');
+    const forgotten = await memoryExtractor.forgetMessage(conversationId, question.id);
+
+    expect(forgotten.map(memory => memory.content)).toEqual(['The user lives in Paris']);
+    expect(await memoryContents(conversationId)).toEqual(['The user has a cat']);
+
+    const queueExchange = jest.spyOn(memoryExtractor, 'queueExchange').mockImplementation(() => {});
+    try {
+      await memoryExtractor.reextract(conversationId, forgotten);
+      expect(queueExchange).toHaveBeenCalledTimes(1);
+      expect(queueExchange.mock.calls[0][1].map(msg => msg.content)).toEqual(['I live in Rome.', 'Lovely city!']);
+    } finally {
+      queueExchange.mockRestore();
+    }
+  });
+});
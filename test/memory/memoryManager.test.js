@@ -0,0 +1,207 @@
+import memoryManager, { Memory } from '../../src/memory/memoryManager.js';
+import contextManager from '../../src/context/contextManager.js';
+
+const conversationId = 'recall';
+
+beforeAll(async () => {
+  await memoryManager.initialize();
+  for (const [content, tags, keywords] of [
+    ['Alice likes tea', ['preference'], ['tea']],
+    ['Bob is afraid of spiders', ['person'], ['spiders']],
+    ['Mira lives in a cottage by the river', ['world'], ['cottage', 'river']],
+    ['The user has a dog named Rex', ['person'], ['dog', 'Rex']],
+    ['The user works as a nurse', ['person'], ['nurse']]
+  ]) {
+    await memoryManager.addMemory({ content, conversationId, tags, keywords });
+  }
+});
+
+afterAll(async () => {
+  await memoryManager.close();
+  await contextManager.cleanup();
+});
+
+describe('getRelevantMemories', () => {
+  test.each([
+    ['What does Alice like to drink?', 'Alice likes tea'],
+    ['What is Bob scared of?', 'Bob is afraid of spiders'],
+    ['Do you remember my dog?', 'The user has a dog named Rex']
+  ])('recalls a memory for a paraphrased question with the default threshold: %s', async (query, expected) => {
+    const memories = await memoryManager.getRelevantMemories({ query, conversationId, recordAccess: false });
+
+    expect(memories[0]?.content).toBe(expected);
+  });
+
+  test('recalls nothing for small talk', async () => {
+    const memories = await memoryManager.getRelevantMemories({ query: 'Good morning!', conversationId, recordAccess: false });
+
+    expect(memories).toEqual([]);
+  });
+
+  test('reinforces recalled memories unless asked not to', async () => {
+    const [memory] = await memoryManager.getRelevantMemories({ query: 'Alice tea', conversationId, maxCount: 1 });
+    expect((await memoryManager.getMemory(memory.id)).accessCount).toBe(1);
+
+    await memoryManager.getRelevantMemories({ query: 'Alice tea', conversationId, maxCount: 1, recordAccess: false });
+    expect((await memoryManager.getMemory(memory.id)).accessCount).toBe(1);
+  });
+});
+
+describe('searchMemories', () => {
+  /**
+   * Search the conversation's memories
+   * @param {string} query - Search query
+   * @returns {Promise<string[]>} Contents of the matching memories
+   */
+  async function search(query) {
+    return (await memoryManager.searchMemories({ query, conversationId: 'search' })).map(memory => memory.content);
+  }
+
+  test('finds memories by stemmed words, tags and keywords', async () => {
+    await memoryManager.addMemory({ content: 'Tessa is riding to the capital', conversationId: 'search', tags: ['journey'], keywords: ['horse'] });
+
+    expect(await search('rides')).toEqual(['Tessa is riding to the capital']);
+    expect(await search('journey horse')).toEqual(['Tessa is riding to the capital']);
+  });
+
+  test('keeps the index in step with updates and deletions', async () => {
+    const memory = await memoryManager.addMemory({ content: 'The lantern is made of brass', conversationId: 'search' });
+
+    await memoryManager.updateMemory(memory.id, { content: 'The lantern is made of copper' });
+    expect(await search('brass')).toEqual([]);
+    expect(await search('copper')).toEqual(['The lantern is made of copper']);
+
+    await memoryManager.deleteMemory(memory.id);
+    expect(await search('lantern')).toEqual([]);
+  });
+
+  test('rebuilds an index whose entries are not keyed by the memories rowids', async () => {
+    await memoryManager.addMemory({ content: 'The old mill burned down', conversationId: 'search' });
+
+    // Entries as an index written before they were keyed by rowid would have them
+    await memoryManager.db.run(`DELETE FROM memories_fts`);
+    await memoryManager.db.run(`
+      INSERT INTO memories_fts (rowid, memory_id, conversation_id, content, keywords, tags)
+      SELECT rowid + 1000, id, conversation_id, content, '', '' FROM memories
+    `);
+    await memoryManager.close();
+    await memoryManager.initialize();
+
+    const { mismatched } = await memoryManager.db.get(`
+      SELECT COUNT(*) AS mismatched FROM memories m LEFT JOIN memories_fts f ON f.rowid = m.rowid
+      WHERE f.memory_id IS NOT m.id
+    `);
+    expect(mismatched).toBe(0);
+    expect(await search('mill')).toEqual(['The old mill burned down']);
+  });
+});
+
+describe('updateMemory', () => {
+  test('stores updated links with known types only', async () => {
+    const [cause, detail, other] = await Promise.all(['The storm flooded the road', 'The road was under a foot of water', 'The bridge held'].map(
+      content => memoryManager.addMemory({ content, conversationId: 'links' })
+    ));
+
+    const updated = await memoryManager.updateMemory(detail.id, {
+      relationships: [{ id: cause.id, type: 'causes', note: 'extra' }, { id: other.id, type: 'bogus' }]
+    });
+
+    expect(updated.relationships).toEqual([{ id: cause.id, type: 'causes' }, { id: other.id, type: 'related' }]);
+    const links = await memoryManager.getLinkedMemories(detail.id, { direction: 'out' });
+    expect(links.map(link => [link.memory.id, link.type]).sort()).toEqual([[cause.id, 'causes'], [other.id, 'related']].sort());
+  });
+});
+
+describe('memory graph', () => {
+  test('expands memories along their links, hop by hop', async () => {
+    const [storm, flood, bridge, ferry, unrelated] = await Promise.all([
+      'A storm hit the valley', 'The river flooded the mill', 'The bridge was washed away', 'A ferry now crosses the river', 'Mira bakes bread'
+    ].map(content => memoryManager.addMemory({ content, conversationId: 'graph' })));
+    await memoryManager.linkMemories(storm.id, flood.id, 'causes');
+    await memoryManager.linkMemories(flood.id, bridge.id, 'causes');
+    await memoryManager.linkMemories(ferry.id, bridge.id, 'elaborates');
+
+    const oneHop = await memoryManager.expandNeighborhood([flood.id], { hops: 1 });
+    expect(oneHop.map(memory => [memory.id, memory.hop]).sort()).toEqual([[storm.id, 1], [bridge.id, 1]].sort());
+    expect(oneHop.find(memory => memory.id === storm.id).via).toEqual({ id: flood.id, type: 'causes', direction: 'in' });
+
+    const twoHops = await memoryManager.expandNeighborhood([storm.id], { hops: 2 });
+    expect(twoHops.map(memory => memory.content)).toEqual(['The river flooded the mill', 'The bridge was washed away']);
+
+    const causesOnly = await memoryManager.expandNeighborhood([bridge.id], { hops: 3, types: ['causes'] });
+    expect(causesOnly.map(memory => memory.id)).toEqual([flood.id, storm.id]);
+    expect(causesOnly.map(memory => memory.id)).not.toContain(unrelated.id);
+  });
+
+  test('lists the memories contradicting earlier ones', async () => {
+    const before = await memoryManager.addMemory({ content: 'The user lives in Paris', conversationId: 'contradictions' });
+    const after = await memoryManager.addMemory({ content: 'The user lives in Berlin', conversationId: 'contradictions' });
+    await memoryManager.linkMemories(after.id, before.id, 'contradicts');
+    await memoryManager.addMemory({ content: 'The user lives in Lyon', conversationId: 'elsewhere', relationships: [{ id: before.id, type: 'contradicts' }] });
+
+    const pairs = await memoryManager.getContradictions('contradictions');
+
+    expect(pairs.map(pair => [pair.memory.content, pair.contradicted.content])).toEqual([['The user lives in Berlin', 'The user lives in Paris']]);
+  });
+});
+
+/**
+ * Make a memory look as if it was formed and last recalled some days ago
+ * @param {Memory} memory - Memory
+ * @param {number} days - Days ago
+ */
+async function age(memory, days) {
+  const then = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  await memoryManager.db.run(`UPDATE memories SET created_at = ?, last_accessed_at = NULL WHERE id = ?`, [then, memory.id]);
+}
+
+describe('retention', () => {
+  test('scores important, recent and often recalled memories higher', () => {
+    const now = Date.now();
+    const score = (fields) => new Memory({ content: 'A fact', conversationId, createdAt: new Date(now), importance: 0.5, ...fields }).getRetentionScore(now);
+
+    expect(score({ importance: 0.9 })).toBeGreaterThan(score({}));
+    expect(score({ accessCount: 5 })).toBeGreaterThan(score({}));
+    expect(score({ createdAt: new Date(now - 30 * 24 * 60 * 60 * 1000) })).toBeLessThan(score({}));
+  });
+
+  test('prunes the memories whose score has fallen below the threshold, whatever their age', async () => {
+    const trivia = await memoryManager.addMemory({ content: 'The user had toast once', conversationId: 'prune', importance: 0.1 });
+    const central = await memoryManager.addMemory({ content: 'The user is Mira\'s sister', conversationId: 'prune', importance: 0.9 });
+    const pinned = await memoryManager.addMemory({ content: 'The user hums when nervous', conversationId: 'prune', importance: 0.1, tags: ['pinned'] });
+    const fresh = await memoryManager.addMemory({ content: 'The user had tea today', conversationId: 'prune', importance: 0.1 });
+    for (const memory of [trivia, central, pinned]) {
+      await age(memory, 90);
+    }
+
+    expect(await memoryManager.pruneOldMemories('prune')).toBe(1);
+
+    expect(await memoryManager.getMemory(trivia.id)).toBeNull();
+    for (const memory of [central, pinned, fresh]) {
+      expect(await memoryManager.getMemory(memory.id)).not.toBeNull();
+    }
+  });
+
+  test('evicts the lowest-scoring unpinned memories of a conversation over its cap', async () => {
+    const low = await memoryManager.addMemory({ content: 'The user once sneezed', conversationId: 'caps', importance: 0.2 });
+    const pinned = await memoryManager.addMemory({ content: 'The user is left-handed', conversationId: 'caps', importance: 0, tags: ['pinned'] });
+    const high = await memoryManager.addMemory({ content: 'The user is a knight', conversationId: 'caps', importance: 0.9 });
+    const recalled = await memoryManager.addMemory({ content: 'The user owns a horse', conversationId: 'caps', importance: 0.2 });
+    await memoryManager.reinforceMemories([recalled]);
+    for (const memory of [low, pinned, high, recalled]) {
+      await age(memory, 10);
+    }
+
+    const cap = memoryManager.maxMemoriesPerConversation;
+    memoryManager.maxMemoriesPerConversation = 4;
+    try {
+      // The memory just added is kept, so the lowest-scoring of the others goes
+      const newest = await memoryManager.addMemory({ content: 'The user lost a glove', conversationId: 'caps', importance: 0 });
+
+      const remaining = await memoryManager.listAllMemories('caps');
+      expect(remaining.map(memory => memory.id).sort()).toEqual([pinned.id, high.id, recalled.id, newest.id].sort());
+    } finally {
+      memoryManager.maxMemoriesPerConversation = cap;
+    }
+  });
+});
@@ -0,0 +1,118 @@
+import placeManager from '../../src/places/placeManager.js';
+import scenarioManager from '../../src/scenario/scenarioManager.js';
+import contextManager from '../../src/context/contextManager.js';
+
+/**
+ * Create places of a scenario
+ * @param {string} scenarioId - Scenario ID
+ * @param {...Object} places - Place data without the scenario
+ * @returns {Promise<Object<string, Place>>} Places by name
+ */
+async function createPlaces(scenarioId, ...places) {
+  const created = {};
+  for (const place of places) {
+    created[place.name] = await placeManager.createPlace({ scenarioId, ...place, parentId: created[place.parent]?.id ?? null });
+  }
+  return created;
+}
+
+/**
+ * Name the places of a route
+ * @param {Object|null} route - Route found by findPath
+ * @returns {string[]|null} Place names, start to destination
+ */
+function names(route) {
+  return route && route.places.map(place => place.name);
+}
+
+beforeAll(async () => {
+  await placeManager.initialize();
+});
+
+afterAll(async () => {
+  await placeManager.close();
+  await scenarioManager.close();
+  await contextManager.cleanup();
+});
+
+describe('hierarchy', () => {
+  test('lists the places around and inside a place', async () => {
+    const { Keep, Hall, Cellar } = await createPlaces('castle',
+      { name: 'Keep' },
+      { name: 'Hall', parent: 'Keep' },
+      { name: 'Cellar', parent: 'Hall' });
+
+    expect(placeManager.getAncestors(Cellar.id).map(place => place.name)).toEqual(['Keep', 'Hall']);
+    expect(placeManager.getDescendants(Keep.id).map(place => place.name)).toEqual(['Hall', 'Cellar']);
+    expect(placeManager.listPlaces('castle', { parentId: Hall.id }).map(place => place.name)).toEqual(['Cellar']);
+  });
+
+  test('rejects a second place of the same name in a scenario', async () => {
+    await createPlaces('names', { name: 'Well' });
+
+    await expect(placeManager.createPlace({ scenarioId: 'names', name: 'well' })).rejects.toThrow('already exists');
+  });
+});
+
+describe('findPath', () => {
+  test('finds the cheapest route by coordinates, with the distance as default cost', async () => {
+    const { A, B, C, D } = await createPlaces('grid',
+      { name: 'A', coordinates: { x: 0, y: 0 } },
+      { name: 'B', coordinates: { x: 3, y: 4 } },
+      { name: 'C', coordinates: { x: 6, y: 0 } },
+      { name: 'D', coordinates: { x: 3, y: -4 } });
+    await placeManager.connectPlaces(A.id, B.id);
+    await placeManager.connectPlaces(B.id, C.id);
+    await placeManager.connectPlaces(A.id, D.id, { cost: 2 });
+    await placeManager.connectPlaces(D.id, C.id, { cost: 2 });
+
+    const route = placeManager.findPath(A.id, C.id);
+    expect(names(route)).toEqual(['A', 'D', 'C']);
+    expect(route.cost).toBe(4);
+    expect(placeManager.findPath(C.id, A.id).cost).toBe(4);
+  });
+
+  test('finds a cheaper route through places without coordinates', async () => {
+    // The portal stone lies far from the fort, but the tunnels make it a shortcut
+    const { Town, Tunnel, Stone, Portal, Fort } = await createPlaces('shortcut',
+      { name: 'Town', coordinates: { x: 0, y: 0 } },
+      { name: 'Tunnel' },
+      { name: 'Stone', coordinates: { x: 0, y: -20 } },
+      { name: 'Portal' },
+      { name: 'Fort', coordinates: { x: 10, y: 0 } });
+    await placeManager.connectPlaces(Town.id, Fort.id, { type: 'road' });
+    await placeManager.connectPlaces(Town.id, Tunnel.id, { cost: 1 });
+    await placeManager.connectPlaces(Tunnel.id, Stone.id, { cost: 1 });
+    await placeManager.connectPlaces(Stone.id, Portal.id, { cost: 1 });
+    await placeManager.connectPlaces(Portal.id, Fort.id, { cost: 1 });
+
+    const route = placeManager.findPath(Town.id, Fort.id);
+    expect(names(route)).toEqual(['Town', 'Tunnel', 'Stone', 'Portal', 'Fort']);
+    expect(route.cost).toBe(4);
+  });
+
+  test("doesn't travel one-way connections backwards", async () => {
+    const { Ledge, Pit } = await createPlaces('drop', { name: 'Ledge' }, { name: 'Pit' });
+    await placeManager.connectPlaces(Ledge.id, Pit.id, { bidirectional: false });
+
+    expect(names(placeManager.findPath(Ledge.id, Pit.id))).toEqual(['Ledge', 'Pit']);
+    expect(placeManager.findPath(Pit.id, Ledge.id)).toBeNull();
+  });
+});
+
+describe('occupants', () => {
+  test('are at one place of a scenario at a time', async () => {
+    const { Square, Inn, Taproom } = await createPlaces('village',
+      { name: 'Square' },
+      { name: 'Inn' },
+      { name: 'Taproom', parent: 'Inn' });
+
+    await placeManager.moveOccupant({ occupantId: 'u1', occupantType: 'user', placeId: Square.id, name: 'Ana' });
+    await placeManager.moveOccupant({ occupantId: 'u1', occupantType: 'user', placeId: Taproom.id });
+
+    expect(placeManager.getLocation('village', 'user', 'u1').name).toBe('Taproom');
+    expect(placeManager.getOccupants(Square.id)).toEqual([]);
+    expect(placeManager.getOccupants(Inn.id)).toEqual([]);
+    expect(placeManager.getOccupants(Inn.id, { includeInside: true }).map(occupant => occupant.name)).toEqual(['Ana']);
+  });
+});
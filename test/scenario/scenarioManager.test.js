@@ -0,0 +1,171 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import scenarioManager, { Scenario } from '../../src/scenario/scenarioManager.js';
+import agentManager from '../../src/agents/agentManager.js';
+import timeManager from '../../src/time/timeManager.js';
+import memoryManager from '../../src/memory/memoryManager.js';
+import contextManager from '../../src/context/contextManager.js';
+import llmClient from '../../src/llm/llmClient.js';
+import { resetMockModel } from '../helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const island = {
+  name: 'Salt Island',
+  description: 'A windswept island with one lighthouse.',
+  startDate: '1890-03-01T06:00:00Z',
+  timeScale: 0,
+  worldState: { 'lighthouse.lit': false, weather: 'fog' },
+  plotThreads: [{ id: 'wreck', title: 'The wreck', description: 'A ship ran aground' }],
+  agents: [{ name: 'Keeper Hale', traits: ['patient'] }],
+  events: [{ name: 'Storm', at: '1890-03-01T07:00:00Z', changes: [{ op: 'set', key: 'weather', value: 'storm' }] }]
+};
+
+/**
+ * Wait for a condition the scenario manager brings about in the background
+ * @param {Function} condition - Function returning whether the condition holds
+ */
+async function waitFor(condition) {
+  for (let tries = 0; tries < 100 && !condition(); tries++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+beforeAll(async () => {
+  await mkdir(scenarioManager.scenariosPath, { recursive: true });
+  await writeFile(join(scenarioManager.scenariosPath, 'island.json'), JSON.stringify(island));
+  await writeFile(join(scenarioManager.scenariosPath, 'broken.json'), JSON.stringify({ name: 'Broken' }));
+  await writeFile(join(scenarioManager.scenariosPath, 'notes.txt'), 'not a scenario');
+
+  await timeManager.initialize();
+  await scenarioManager.initialize();
+});
+
+afterAll(async () => {
+  await scenarioManager.close();
+  await timeManager.close();
+  await agentManager.close();
+  await memoryManager.close();
+  await contextManager.cleanup();
+});
+
+beforeEach(resetMockModel);
+
+describe('loading', () => {
+  test('loads every valid scenario file and reports the invalid ones', async () => {
+    const { loaded, errors } = await scenarioManager.loadScenarios();
+
+    expect(loaded).toEqual(['island']);
+    expect(errors).toEqual([expect.stringContaining('broken.json: Invalid scenario broken: description is required')]);
+    expect(scenarioManager.getScenario('island')).toMatchObject({ name: 'Salt Island', timeScale: 0 });
+  });
+
+  test('lists every problem of a definition at once', () => {
+    expect(() => Scenario.fromJSON({
+      name: 'Bad',
+      description: 'Wrong in many ways',
+      startDate: 'someday',
+      plotThreads: [{ id: 'a', title: 'A', status: 'finished' }],
+      events: [{ name: 'Nothing', at: '1890-01-01', changes: [] }]
+    }, 'bad')).toThrow(
+      'Invalid scenario bad: startDate is not a valid date: someday; plotThreads[0] has an unknown status: finished; ' +
+      'events[0] Changes must be a non-empty array'
+    );
+  });
+});
+
+describe('binding', () => {
+  test('starts the scenario once, with its world state, clock and agents', async () => {
+    const { state, agents } = await scenarioManager.bindConversation('voyage', 'island');
+
+    expect(await scenarioManager.getConversationScenarioId('voyage')).toBe('island');
+    expect(state).toMatchObject({ worldState: island.worldState, revision: 0 });
+    expect(agents.map(agent => agent.name)).toEqual(['Keeper Hale']);
+    expect(agents[0].metadata.scenarioId).toBe('island');
+    expect(timeManager.now('island').toISOString()).toBe('1890-03-01T06:00:00.000Z');
+
+    const again = await scenarioManager.bindConversation('return', 'island');
+    expect(again.state).toBe(state);
+    expect(again.agents[0]).toBe(agents[0]);
+  });
+
+  test('fails for unknown scenarios', async () => {
+    await expect(scenarioManager.bindConversation('lost', 'atlantis')).rejects.toThrow('Scenario atlantis not found');
+  });
+});
+
+describe('world state', () => {
+  test('records every change as a revision', async () => {
+    await scenarioManager.bindConversation('changes', 'island');
+    const before = scenarioManager.getWorldState('island').revision;
+
+    await scenarioManager.applyChanges('island', [
+      { op: 'set', key: ' lighthouse.lit ', value: true },
+      { op: 'thread', id: 'wreck', status: 'resolved' },
+      { op: 'thread', id: 'smugglers' }
+    ], { reason: 'The keeper lit the lamp' });
+    await scenarioManager.applyChanges('island', [{ op: 'unset', key: 'lighthouse.lit' }]);
+
+    const state = scenarioManager.getWorldState('island');
+    expect(state.revision).toBe(before + 2);
+    expect(state.worldState['lighthouse.lit']).toBeUndefined();
+    expect(state.plotThreads).toEqual([
+      { id: 'wreck', title: 'The wreck', description: 'A ship ran aground', status: 'resolved' },
+      { id: 'smugglers', title: 'smugglers', description: '', status: 'active' }
+    ]);
+
+    const [latest, previous] = await scenarioManager.getRevisions('island', 2);
+    expect(latest.changes).toEqual([{ op: 'unset', key: 'lighthouse.lit' }]);
+    expect(previous).toMatchObject({ source: 'manual', reason: 'The keeper lit the lamp' });
+    expect(previous.changes[0]).toEqual({ op: 'set', key: 'lighthouse.lit', value: true });
+  });
+
+  test('is left alone by malformed changes', async () => {
+    const before = scenarioManager.getWorldState('island');
+
+    await expect(scenarioManager.applyChanges('island', [
+      { op: 'set', key: 'weather', value: 'sun' },
+      { op: 'thread', id: 'wreck', status: 'forgotten' }
+    ])).rejects.toThrow('unknown status');
+
+    expect(scenarioManager.getWorldState('island')).toBe(before);
+    await expect(scenarioManager.applyChanges('never-started', [{ op: 'unset', key: 'x' }])).rejects.toThrow('has not been started');
+  });
+
+  test("changes when the scenario's scheduled events come due", async () => {
+    await scenarioManager.bindConversation('storm', 'island');
+
+    await timeManager.jump(2 * HOUR, 'island');
+
+    await waitFor(() => scenarioManager.getWorldState('island').worldState.weather === 'storm');
+    expect(scenarioManager.getWorldState('island').worldState.weather).toBe('storm');
+    expect((await scenarioManager.getRevisions('island', 1))[0]).toMatchObject({ source: 'event', reason: 'Scheduled event: Storm' });
+  });
+
+  test('keeps only the well-formed changes the model proposes', async () => {
+    llmClient.provider.enqueue(JSON.stringify({
+      changes: [{ op: 'set', key: 'boat', value: 'moored' }, { op: 'set', key: 'tide' }, { op: 'grow', key: 'moss' }],
+      reason: 'The boat came in'
+    }));
+
+    const proposal = await scenarioManager.proposeChanges('island', 'user: I tie the boat to the pier');
+
+    expect(proposal).toEqual({ changes: [{ op: 'set', key: 'boat', value: 'moored' }], reason: 'The boat came in' });
+  });
+});
+
+describe('getPromptContext', () => {
+  test("describes the conversation's scenario and its active plot threads", async () => {
+    await scenarioManager.bindConversation('prompt', 'island');
+    await scenarioManager.applyChanges('island', [{ op: 'thread', id: 'beacon', title: 'The dark beacon', description: 'Someone cut the wick' }]);
+
+    const { overview, entries } = await scenarioManager.getPromptContext('prompt', 'Is the beacon lit?');
+
+    expect(overview).toContain('Scenario: Salt Island\nA windswept island with one lighthouse.');
+    expect(overview).toContain('- The dark beacon: Someone cut the wick');
+    expect(overview).not.toContain('The wreck');
+    expect(entries.length).toBeGreaterThan(0);
+    expect(entries.every((entry, index) => index === 0 || entries[index - 1].score >= entry.score)).toBe(true);
+    expect(await scenarioManager.getPromptContext('unbound', 'Hello')).toBeNull();
+  });
+});
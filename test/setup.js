@@ -0,0 +1,16 @@
+import { mkdtempSync } from 'fs';
+import { join } from 'path';
+
+// Every test file gets its own data directory, removed after the run (see globalTeardown.js),
+// and talks to the mock model
+const dataDir = mkdtempSync(join(process.env.CALI_TEST_DIR, 'data-'));
+
+process.env.DATA_DIR = dataDir;
+process.env.DATABASE_PATH = join(dataDir, 'memory.db');
+process.env.SCENARIOS_PATH = join(dataDir, 'scenarios');
+process.env.LLM_PROVIDER = 'mock';
+
+// No background timers, so test runs end on their own
+process.env.MEMORY_PRUNE_INTERVAL = '0';
+process.env.MEMORY_CONSOLIDATION_INTERVAL = '0';
+process.env.REAL_TIME_UPDATE_INTERVAL = '0';
@@ -0,0 +1,90 @@
+import { jest } from '@jest/globals';
+import timeManager from '../../src/time/timeManager.js';
+import scenarioManager from '../../src/scenario/scenarioManager.js';
+import contextManager from '../../src/context/contextManager.js';
+import memoryManager from '../../src/memory/memoryManager.js';
+
+const HOUR = 60 * 60 * 1000;
+
+beforeAll(async () => {
+  await timeManager.initialize();
+});
+
+afterAll(async () => {
+  await timeManager.close();
+  await memoryManager.close();
+  await contextManager.cleanup();
+});
+
+describe('clocks', () => {
+  test('keep their own time per scenario, stopped while paused', async () => {
+    await timeManager.pause('stopped');
+    await timeManager.setTime('1200-05-01T08:00:00Z', 'stopped');
+    await timeManager.jump(2 * HOUR, 'stopped');
+
+    expect(timeManager.now('stopped').toISOString()).toBe('1200-05-01T10:00:00.000Z');
+    expect(timeManager.getClock('stopped').paused).toBe(true);
+    expect(timeManager.now('elsewhere').toISOString()).not.toBe('1200-05-01T10:00:00.000Z');
+  });
+
+  test('run at their scale', async () => {
+    await timeManager.pause('fast');
+    await timeManager.setTime('1200-05-01T08:00:00Z', 'fast');
+    await timeManager.setScale(60, 'fast');
+    await timeManager.resume('fast');
+
+    const clock = timeManager.clocks.get('fast');
+    const later = clock.now(new Date(clock.anchorRealTime.getTime() + 60 * 1000));
+    expect(later.toISOString()).toBe('1200-05-01T09:00:00.000Z');
+  });
+
+  test('survive a restart', async () => {
+    await timeManager.pause('kept');
+    await timeManager.setTime('1200-05-01T08:00:00Z', 'kept');
+    await timeManager.close();
+    timeManager.clocks.clear();
+    await timeManager.initialize();
+
+    expect(timeManager.now('kept').toISOString()).toBe('1200-05-01T08:00:00.000Z');
+  });
+});
+
+describe('schedules', () => {
+  test('fire once the clock passes them', async () => {
+    const reached = jest.fn();
+    timeManager.on('timeReached', reached);
+
+    await timeManager.pause('feast');
+    await timeManager.setTime('1200-05-01T08:00:00Z', 'feast');
+    await timeManager.schedule({ name: 'feast', at: '1200-05-01T12:00:00Z', payload: { hall: 'great' }, scenarioId: 'feast' });
+    await timeManager.jump(HOUR, 'feast');
+    expect(reached).not.toHaveBeenCalled();
+
+    await timeManager.jump(4 * HOUR, 'feast');
+    await timeManager.jump(HOUR, 'feast');
+    expect(reached).toHaveBeenCalledTimes(1);
+    expect(reached.mock.calls[0][0]).toMatchObject({ name: 'feast', scenarioId: 'feast', payload: { hall: 'great' } });
+    expect(timeManager.listSchedules('feast')).toEqual([]);
+
+    timeManager.off('timeReached', reached);
+  });
+});
+
+describe('stamping', () => {
+  test("uses the default scenario's clock for conversations without a scenario", async () => {
+    const { defaultScenarioId } = scenarioManager;
+    scenarioManager.defaultScenarioId = 'fantasy';
+    try {
+      await timeManager.pause('fantasy');
+      await timeManager.setTime('1200-05-01T08:00:00Z', 'fantasy');
+
+      const message = await contextManager.addContextMessage({ conversationId: 'unbound', content: 'Hello', role: 'user' });
+      const memory = await memoryManager.addMemory({ conversationId: 'unbound', content: 'The user said hello' });
+
+      expect(message.universeTime.toISOString()).toBe('1200-05-01T08:00:00.000Z');
+      expect(memory.universeTime.toISOString()).toBe('1200-05-01T08:00:00.000Z');
+    } finally {
+      scenarioManager.defaultScenarioId = defaultScenarioId;
+    }
+  });
+});